@@ -246,6 +246,110 @@ class CacheService {
     }
   }
 
+  // Atomically move the oldest item of one queue onto another (e.g. a processing list)
+  async moveQueueItem(sourceQueue, destinationQueue) {
+    try {
+      const data = await redisClient.lmove(sourceQueue, destinationQueue, 'RIGHT', 'LEFT');
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('Queue move error:', error);
+      return null;
+    }
+  }
+
+  async getQueueItems(queueName) {
+    try {
+      const items = await redisClient.lrange(queueName, 0, -1);
+      return items.map(item => JSON.parse(item));
+    } catch (error) {
+      logger.error('Queue read error:', error);
+      return [];
+    }
+  }
+
+  // Returns how many copies were removed, so concurrent callers can tell who took the item
+  async removeQueueItem(queueName, data) {
+    try {
+      return await redisClient.lrem(queueName, 1, JSON.stringify(data));
+    } catch (error) {
+      logger.error('Queue remove error:', error);
+      return 0;
+    }
+  }
+
+  // Delayed queue items, held in a sorted set until runAt (ms)
+  async scheduleQueueItem(setName, data, runAt) {
+    try {
+      await redisClient.zadd(setName, runAt, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      logger.error('Queue schedule error:', error);
+      return false;
+    }
+  }
+
+  // Take the items due by now; an item removed by another caller first is skipped
+  async takeDueQueueItems(setName, now = Date.now()) {
+    try {
+      const due = await redisClient.zrangebyscore(setName, '-inf', now);
+      const taken = [];
+
+      for (const item of due) {
+        if (await redisClient.zrem(setName, item) === 1) {
+          taken.push(JSON.parse(item));
+        }
+      }
+
+      return taken;
+    } catch (error) {
+      logger.error('Queue schedule read error:', error);
+      return [];
+    }
+  }
+
+  async getScheduledLength(setName) {
+    try {
+      return await redisClient.zcard(setName);
+    } catch (error) {
+      logger.error('Queue schedule length error:', error);
+      return 0;
+    }
+  }
+
+  // Hash fields, e.g. per-job leases
+  async getHashField(key, field) {
+    try {
+      return await redisClient.hget(key, field);
+    } catch (error) {
+      logger.error('Hash get error:', error);
+      return null;
+    }
+  }
+
+  async setHashField(key, field, value, onlyIfMissing = false) {
+    try {
+      if (onlyIfMissing) {
+        return await redisClient.hsetnx(key, field, value) === 1;
+      }
+
+      await redisClient.hset(key, field, value);
+      return true;
+    } catch (error) {
+      logger.error('Hash set error:', error);
+      return false;
+    }
+  }
+
+  async deleteHashField(key, field) {
+    try {
+      await redisClient.hdel(key, field);
+      return true;
+    } catch (error) {
+      logger.error('Hash delete error:', error);
+      return false;
+    }
+  }
+
   // Rate limiting
   async checkRateLimit(key, maxRequests, windowSeconds) {
     try {
@@ -297,12 +297,18 @@ async function main() {
         await migrationManager.rollback(steps);
         break;
 
+      case 'encrypt-bank-accounts':
+        // Data step for 20261019000000_encrypt_bank_accounts.sql, which can't encrypt in SQL
+        await require('../services/payments/bankAccountService').encryptLegacyAccounts();
+        break;
+
       default:
         console.log('Usage:');
         console.log('  node migrate.js migrate                    # Run all pending migrations');
         console.log('  node migrate.js create <name>              # Create new migration file');
         console.log('  node migrate.js status                     # Show migration status');
         console.log('  node migrate.js rollback [steps]           # Rollback last migration(s)');
+        console.log('  node migrate.js encrypt-bank-accounts      # Encrypt bank account numbers stored in plaintext');
         process.exit(1);
     }
 
@@ -0,0 +1,7 @@
+-- Migration: add_task_reward_limits
+-- Created: 2026-10-18T09:00:00.000Z
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS max_rewards INT CHECK (max_rewards > 0);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reward_budget DECIMAL(12, 2) CHECK (reward_budget > 0);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rewards_issued INT DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS budget_spent DECIMAL(12, 2) DEFAULT 0;
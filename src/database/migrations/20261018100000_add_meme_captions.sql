@@ -0,0 +1,37 @@
+-- Migration: add_meme_captions
+-- Created: 2026-10-18T10:00:00.000Z
+
+CREATE TABLE IF NOT EXISTS meme_captions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    caption VARCHAR(150) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'winner')),
+    upvote_count INT DEFAULT 0,
+    rendered_image_url VARCHAR(500),
+    rejection_reason VARCHAR(255),
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, user_id) -- One caption per user per task
+);
+
+-- Indexes for meme_captions table
+CREATE INDEX IF NOT EXISTS idx_meme_captions_task_id ON meme_captions(task_id);
+CREATE INDEX IF NOT EXISTS idx_meme_captions_user_id ON meme_captions(user_id);
+CREATE INDEX IF NOT EXISTS idx_meme_captions_status ON meme_captions(task_id, status);
+CREATE INDEX IF NOT EXISTS idx_meme_captions_upvote_count ON meme_captions(task_id, upvote_count DESC);
+
+CREATE TABLE IF NOT EXISTS meme_caption_votes (
+    caption_id UUID NOT NULL REFERENCES meme_captions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (caption_id, user_id)
+);
+
+-- Indexes for meme_caption_votes table
+CREATE INDEX IF NOT EXISTS idx_meme_caption_votes_user_id ON meme_caption_votes(user_id);
+
+CREATE TRIGGER update_meme_captions_updated_at BEFORE UPDATE ON meme_captions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Migration: add_task_attempt_seed
+-- Created: 2026-10-18T11:00:00.000Z
+
+-- Session seed used to rebuild the board a player saw
+ALTER TABLE task_attempts ADD COLUMN IF NOT EXISTS seed VARCHAR(64);
@@ -0,0 +1,7 @@
+-- Migration: add_task_complexity_score
+-- Created: 2026-10-18T12:00:00.000Z
+
+-- Image complexity 0-100 from puzzle generation, used for ranking and analytics
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS complexity_score DECIMAL(5, 2);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_complexity_score ON tasks(complexity_score);
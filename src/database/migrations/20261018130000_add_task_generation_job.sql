@@ -0,0 +1,9 @@
+-- Migration: add_task_generation_job
+-- Created: 2026-10-18T13:00:00.000Z
+
+-- Image puzzles are generated by the puzzle worker; the job's progress lives on the task
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS generation_job JSONB;
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_status_check
+    CHECK (status IN ('draft', 'processing', 'failed', 'pending', 'active', 'blocked', 'expired'));
@@ -0,0 +1,11 @@
+-- Migration: add_task_schedule
+-- Created: 2026-10-18T14:00:00.000Z
+
+-- Published tasks with a future start wait as 'scheduled' until starts_at
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_starts_at ON tasks(starts_at);
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_status_check
+    CHECK (status IN ('draft', 'processing', 'failed', 'pending', 'scheduled', 'active', 'blocked', 'expired'));
@@ -0,0 +1,9 @@
+-- Migration: add_task_search_indexes
+-- Created: 2026-10-18T15:00:00.000Z
+
+-- /tasks/search matches titles (idx_tasks_title_search), content and company names
+CREATE INDEX IF NOT EXISTS idx_tasks_content_search
+    ON tasks USING gin(to_tsvector('english', COALESCE(description, '') || ' ' || reward_description));
+
+CREATE INDEX IF NOT EXISTS idx_company_profiles_name_search
+    ON company_profiles USING gin(to_tsvector('english', company_name));
@@ -0,0 +1,36 @@
+-- Migration: add_store_locations
+-- Created: 2026-10-18T16:00:00.000Z
+
+-- Company city, referenced by the /tasks/list city filter and active_tasks_view
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS store_locations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    city VARCHAR(100),
+    latitude DECIMAL(9,6) NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for store_locations table
+CREATE INDEX IF NOT EXISTS idx_store_locations_company_id ON store_locations(company_id);
+CREATE INDEX IF NOT EXISTS idx_store_locations_coordinates ON store_locations(latitude, longitude);
+CREATE INDEX IF NOT EXISTS idx_store_locations_city ON store_locations(city);
+
+-- Tasks without rows here apply at every location of their company
+CREATE TABLE IF NOT EXISTS task_locations (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES store_locations(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, location_id)
+);
+
+-- Indexes for task_locations table
+CREATE INDEX IF NOT EXISTS idx_task_locations_location_id ON task_locations(location_id);
+
+CREATE TRIGGER update_store_locations_updated_at BEFORE UPDATE ON store_locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
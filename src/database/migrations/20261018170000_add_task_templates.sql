@@ -0,0 +1,21 @@
+-- Migration: add_task_templates
+-- Created: 2026-10-18T17:00:00.000Z
+
+CREATE TABLE IF NOT EXISTS task_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    task_type VARCHAR(50) NOT NULL CHECK (task_type IN ('image-puzzle', 'spot-diff', 'speed-challenge', 'meme', 'logic')),
+    fields JSONB NOT NULL DEFAULT '{}', -- Create-request values the template pre-fills
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for task_templates table
+CREATE UNIQUE INDEX IF NOT EXISTS idx_task_templates_company_name ON task_templates(company_id, LOWER(name));
+
+CREATE TRIGGER update_task_templates_updated_at BEFORE UPDATE ON task_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Clones share generated puzzle assets, so deletes check for other tasks using them
+CREATE INDEX IF NOT EXISTS idx_tasks_image_url ON tasks(image_url);
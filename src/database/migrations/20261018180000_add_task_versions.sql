@@ -0,0 +1,27 @@
+-- Migration: add_task_versions
+-- Created: 2026-10-18T18:00:00.000Z
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS current_version INT NOT NULL DEFAULT 1;
+
+-- Attempts made before versioning were all played on the first version
+ALTER TABLE task_attempts ADD COLUMN IF NOT EXISTS task_version INT;
+UPDATE task_attempts SET task_version = 1 WHERE task_version IS NULL;
+
+CREATE TABLE IF NOT EXISTS task_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    version INT, -- Set once the change is applied
+    status VARCHAR(20) NOT NULL CHECK (status IN ('applied', 'pending_review', 'rejected', 'superseded')),
+    changes JSONB NOT NULL, -- { field: { from, to } }
+    snapshot JSONB, -- Versioned fields of the task after the change
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, version)
+);
+
+-- Indexes for task_versions table
+CREATE INDEX IF NOT EXISTS idx_task_versions_task_id ON task_versions(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_versions_pending ON task_versions(created_at) WHERE status = 'pending_review';
@@ -0,0 +1,26 @@
+-- Migration: add_task_archive
+-- Created: 2026-10-18T19:00:00.000Z
+
+-- Deleted tasks are archived, restorable for a grace period, then purged
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_from_status VARCHAR(20);
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_status_check
+    CHECK (status IN ('draft', 'processing', 'failed', 'pending', 'scheduled', 'active', 'blocked', 'expired', 'archived'));
+
+CREATE INDEX IF NOT EXISTS idx_tasks_archived_at ON tasks(archived_at) WHERE status = 'archived';
+
+-- Players' rewards and the financial history outlive purged tasks
+ALTER TABLE user_rewards ALTER COLUMN task_id DROP NOT NULL;
+ALTER TABLE user_rewards DROP CONSTRAINT IF EXISTS user_rewards_task_id_fkey;
+ALTER TABLE user_rewards ADD CONSTRAINT user_rewards_task_id_fkey
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_related_task_id_fkey;
+ALTER TABLE transactions ADD CONSTRAINT transactions_related_task_id_fkey
+    FOREIGN KEY (related_task_id) REFERENCES tasks(id) ON DELETE SET NULL;
+
+ALTER TABLE analytics_events DROP CONSTRAINT IF EXISTS analytics_events_task_id_fkey;
+ALTER TABLE analytics_events ADD CONSTRAINT analytics_events_task_id_fkey
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE SET NULL;
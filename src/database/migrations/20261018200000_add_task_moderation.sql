@@ -0,0 +1,41 @@
+-- Migration: add_task_moderation
+-- Created: 2026-10-18T20:00:00.000Z
+
+-- Published tasks from companies below the trust threshold, or flagged by the
+-- automated pre-checks, wait as 'pending' for an admin
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS review_flags JSONB DEFAULT '[]';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS submitted_for_review_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_review_queue ON tasks(submitted_for_review_at) WHERE status = 'pending';
+
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS approved_tasks_count INT DEFAULT 0;
+
+-- Companies that already run tasks keep publishing without review
+UPDATE company_profiles cp
+SET approved_tasks_count = counts.total
+FROM (
+    SELECT company_id, COUNT(*) as total
+    FROM tasks
+    WHERE status IN ('scheduled', 'active', 'expired')
+    GROUP BY company_id
+) counts
+WHERE cp.user_id = counts.company_id;
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for notifications table
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE is_read = false;
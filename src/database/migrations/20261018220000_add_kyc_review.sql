@@ -0,0 +1,36 @@
+-- Migration: add_kyc_review
+-- Created: 2026-10-18T22:00:00.000Z
+
+-- Companies upload KYC documents and submit; admins verify or reject.
+-- Earlier submissions had no documents, so they are not queued until resubmitted.
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS kyc_submitted_at TIMESTAMP;
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS kyc_review_comments TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_company_profiles_kyc_queue ON company_profiles(kyc_submitted_at) WHERE kyc_status = 'pending';
+
+CREATE TABLE IF NOT EXISTS kyc_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('pan_card', 'gst_certificate', 'cancelled_cheque')),
+    storage_key VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255),
+    content_type VARCHAR(100) NOT NULL,
+    file_size INT,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    replaced_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_documents_current ON kyc_documents(company_id, document_type) WHERE replaced_at IS NULL;
+
+-- History of KYC decisions
+CREATE TABLE IF NOT EXISTS kyc_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('verified', 'rejected')),
+    comments TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    documents JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_reviews_company_id ON kyc_reviews(company_id, created_at);
@@ -0,0 +1,5 @@
+-- Migration: add_company_business_type
+-- Created: 2026-10-18T23:00:00.000Z
+
+-- Legal entity type declared at KYC, checked against the PAN's entity character
+ALTER TABLE company_profiles ADD COLUMN IF NOT EXISTS business_type VARCHAR(40);
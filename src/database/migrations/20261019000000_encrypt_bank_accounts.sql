@@ -0,0 +1,41 @@
+-- Migration: encrypt_bank_accounts
+-- Created: 2026-10-19T00:00:00.000Z
+
+-- Account numbers move to account_number_encrypted. Encryption happens in the
+-- application, so after this migration run:
+--   node src/database/migrate.js encrypt-bank-accounts
+-- which encrypts existing numbers and clears the plaintext column.
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS account_number_encrypted TEXT;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS account_number_last4 VARCHAR(4);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS account_number_hash VARCHAR(64);
+ALTER TABLE bank_accounts ALTER COLUMN account_number DROP NOT NULL;
+
+UPDATE bank_accounts SET account_number_last4 = RIGHT(account_number, 4)
+WHERE account_number_last4 IS NULL AND account_number IS NOT NULL;
+
+-- Penny-drop verification and the account payouts go to
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS is_primary BOOLEAN DEFAULT false;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) DEFAULT 'unverified'
+    CHECK (verification_status IN ('unverified', 'verified', 'failed'));
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS verification_reference VARCHAR(255);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS verification_failure_reason TEXT;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS registered_name VARCHAR(255);
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS verification_attempts INT DEFAULT 0;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS last_verification_at TIMESTAMP;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+ALTER TABLE bank_accounts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE bank_accounts SET verification_status = 'verified' WHERE is_verified = true;
+
+-- Each company's newest verified account, which payouts used until now, becomes primary
+UPDATE bank_accounts ba SET is_primary = true
+FROM (
+    SELECT DISTINCT ON (company_id) id
+    FROM bank_accounts
+    WHERE is_verified = true
+    ORDER BY company_id, created_at DESC
+) latest
+WHERE ba.id = latest.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_accounts_unique_account ON bank_accounts(company_id, account_number_hash) WHERE removed_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_accounts_primary ON bank_accounts(company_id) WHERE is_primary = true;
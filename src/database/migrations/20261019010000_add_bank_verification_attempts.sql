@@ -0,0 +1,20 @@
+-- Migration: add_bank_verification_attempts
+-- Created: 2026-10-19T01:00:00.000Z
+
+-- Penny-drop attempts per company and account number. Kept apart from
+-- bank_accounts so removing and re-adding an account doesn't reset the limit.
+CREATE TABLE IF NOT EXISTS bank_account_verification_attempts (
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_number_hash VARCHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    last_attempt_at TIMESTAMP,
+    PRIMARY KEY (company_id, account_number_hash)
+);
+
+-- Carry over attempts already made on existing accounts
+INSERT INTO bank_account_verification_attempts (company_id, account_number_hash, attempts, last_attempt_at)
+SELECT company_id, account_number_hash, MAX(verification_attempts), MAX(last_verification_at)
+FROM bank_accounts
+WHERE account_number_hash IS NOT NULL AND verification_attempts > 0
+GROUP BY company_id, account_number_hash
+ON CONFLICT (company_id, account_number_hash) DO NOTHING;
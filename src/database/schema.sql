@@ -21,6 +21,8 @@ CREATE TABLE users (
     is_verified BOOLEAN DEFAULT false,
     verification_token VARCHAR(255),
     last_login TIMESTAMP,
+    suspended_at TIMESTAMP, -- Set while an admin has suspended the account (is_active = false)
+    suspension_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -81,14 +83,19 @@ CREATE TABLE company_profiles (
     company_name VARCHAR(255) NOT NULL,
     gstin VARCHAR(15) UNIQUE,
     pan_number VARCHAR(10) UNIQUE,
+    business_type VARCHAR(40), -- Legal entity type; must match the PAN's 4th character (see src/utils/taxIds.js)
     kyc_status VARCHAR(20) DEFAULT 'pending' CHECK (kyc_status IN ('pending', 'verified', 'rejected')),
+    kyc_submitted_at TIMESTAMP, -- Set when KYC is submitted with its documents; NULL means not submitted yet
     kyc_verified_at TIMESTAMP,
+    kyc_review_comments TEXT, -- Comments from the latest KYC review
     business_category VARCHAR(100),
     website_url VARCHAR(500),
     contact_person VARCHAR(255),
     registered_address TEXT,
+    city VARCHAR(100),
     bank_account_id UUID REFERENCES bank_accounts(id),
     logo_url VARCHAR(500),
+    approved_tasks_count INT DEFAULT 0, -- Companies at TASK_REVIEW_TRUST_THRESHOLD publish without review
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -99,7 +106,43 @@ CREATE INDEX idx_company_profiles_user_id ON company_profiles(user_id);
 CREATE INDEX idx_company_profiles_gstin ON company_profiles(gstin);
 CREATE INDEX idx_company_profiles_pan_number ON company_profiles(pan_number);
 CREATE INDEX idx_company_profiles_kyc_status ON company_profiles(kyc_status);
+CREATE INDEX idx_company_profiles_kyc_queue ON company_profiles(kyc_submitted_at) WHERE kyc_status = 'pending';
 CREATE INDEX idx_company_profiles_business_category ON company_profiles(business_category);
+CREATE INDEX idx_company_profiles_name_search ON company_profiles USING gin(to_tsvector('english', company_name));
+
+-- =============================================
+-- KYC DOCUMENTS TABLE
+-- =============================================
+CREATE TABLE kyc_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('pan_card', 'gst_certificate', 'cancelled_cheque')),
+    storage_key VARCHAR(500) NOT NULL, -- Private storage key, never served publicly
+    file_name VARCHAR(255),
+    content_type VARCHAR(100) NOT NULL,
+    file_size INT,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    replaced_at TIMESTAMP -- Set when a newer document of the same type is uploaded
+);
+
+-- Indexes for kyc_documents table
+CREATE UNIQUE INDEX idx_kyc_documents_current ON kyc_documents(company_id, document_type) WHERE replaced_at IS NULL;
+
+-- =============================================
+-- KYC REVIEWS TABLE
+-- =============================================
+CREATE TABLE kyc_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    decision VARCHAR(20) NOT NULL CHECK (decision IN ('verified', 'rejected')),
+    comments TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    documents JSONB DEFAULT '[]', -- kyc_documents IDs that were reviewed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for kyc_reviews table
+CREATE INDEX idx_kyc_reviews_company_id ON kyc_reviews(company_id, created_at);
 
 -- =============================================
 -- BANK ACCOUNTS TABLE
@@ -107,20 +150,42 @@ CREATE INDEX idx_company_profiles_business_category ON company_profiles(business
 CREATE TABLE bank_accounts (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    account_number VARCHAR(20) NOT NULL,
+    account_number_encrypted TEXT NOT NULL, -- AES-256-GCM, see src/utils/encryption.js
+    account_number_last4 VARCHAR(4) NOT NULL,
+    account_number_hash VARCHAR(64) NOT NULL, -- Keyed hash of bank code and number, for duplicate checks
     account_holder_name VARCHAR(255),
     ifsc_code VARCHAR(11),
     bank_name VARCHAR(255),
     account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('current', 'savings')),
     is_verified BOOLEAN DEFAULT false,
     verified_at TIMESTAMP,
+    is_primary BOOLEAN DEFAULT false, -- Account payouts go to
+    verification_status VARCHAR(20) DEFAULT 'unverified' CHECK (verification_status IN ('unverified', 'verified', 'failed')),
+    verification_reference VARCHAR(255), -- Provider reference of the last penny drop
+    verification_failure_reason TEXT,
+    registered_name VARCHAR(255), -- Account holder name returned by the bank
+    verification_attempts INT DEFAULT 0,
+    last_verification_at TIMESTAMP,
+    removed_at TIMESTAMP, -- Removed by the company; kept for payout history
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(company_id, account_number)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Indexes for bank_accounts table
 CREATE INDEX idx_bank_accounts_company_id ON bank_accounts(company_id);
 CREATE INDEX idx_bank_accounts_is_verified ON bank_accounts(is_verified);
+CREATE UNIQUE INDEX idx_bank_accounts_unique_account ON bank_accounts(company_id, account_number_hash) WHERE removed_at IS NULL;
+CREATE UNIQUE INDEX idx_bank_accounts_primary ON bank_accounts(company_id) WHERE is_primary = true;
+
+-- Penny-drop attempts per company and account number; removing and re-adding
+-- an account doesn't reset them
+CREATE TABLE bank_account_verification_attempts (
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_number_hash VARCHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    last_attempt_at TIMESTAMP,
+    PRIMARY KEY (company_id, account_number_hash)
+);
 
 -- =============================================
 -- TASKS TABLE
@@ -135,12 +200,18 @@ CREATE TABLE tasks (
     reward_type VARCHAR(20) NOT NULL CHECK (reward_type IN ('discount', 'coupon', 'points', 'cashback')),
     reward_value DECIMAL(10, 2) NOT NULL CHECK (reward_value > 0),
     reward_description VARCHAR(255) NOT NULL,
+    max_rewards INT CHECK (max_rewards > 0),
+    reward_budget DECIMAL(12, 2) CHECK (reward_budget > 0),
+    rewards_issued INT DEFAULT 0,
+    budget_spent DECIMAL(12, 2) DEFAULT 0,
     image_url VARCHAR(500),
     puzzle_config JSONB,
+    complexity_score DECIMAL(5, 2), -- Image complexity 0-100 (higher = more distinct detail)
+    generation_job JSONB, -- Puzzle worker job: status, attempts, error, source image keys
     is_published BOOLEAN DEFAULT false,
     is_featured BOOLEAN DEFAULT false,
     featured_until TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'active', 'blocked', 'expired')),
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'processing', 'failed', 'pending', 'scheduled', 'active', 'blocked', 'expired', 'archived')),
     attempt_count INT DEFAULT 0,
     conversion_count INT DEFAULT 0,
     conversion_rate DECIMAL(5, 2) GENERATED ALWAYS AS (
@@ -152,7 +223,16 @@ CREATE TABLE tasks (
     ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    expires_at TIMESTAMP
+    starts_at TIMESTAMP, -- Published tasks wait as 'scheduled' until this time
+    expires_at TIMESTAMP,
+    current_version INT NOT NULL DEFAULT 1, -- Bumped by each applied edit to a published task
+    archived_at TIMESTAMP, -- Deleted tasks can be restored for a grace period, then are purged
+    archived_from_status VARCHAR(20), -- Status a restore returns the task to
+    review_flags JSONB DEFAULT '[]', -- Automated pre-check findings from the last publish
+    submitted_for_review_at TIMESTAMP,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT -- Admin's notes or rejection reason, shown to the company
 );
 
 -- Indexes for tasks table
@@ -163,11 +243,87 @@ CREATE INDEX idx_tasks_difficulty ON tasks(difficulty);
 CREATE INDEX idx_tasks_task_type ON tasks(task_type);
 CREATE INDEX idx_tasks_featured_until ON tasks(featured_until);
 CREATE INDEX idx_tasks_created_at ON tasks(created_at);
+CREATE INDEX idx_tasks_starts_at ON tasks(starts_at);
 CREATE INDEX idx_tasks_expires_at ON tasks(expires_at);
 CREATE INDEX idx_tasks_conversion_rate ON tasks(conversion_rate);
+CREATE INDEX idx_tasks_complexity_score ON tasks(complexity_score);
+CREATE INDEX idx_tasks_image_url ON tasks(image_url); -- Shared by clones
+CREATE INDEX idx_tasks_archived_at ON tasks(archived_at) WHERE status = 'archived';
+CREATE INDEX idx_tasks_review_queue ON tasks(submitted_for_review_at) WHERE status = 'pending';
 
--- Full-text search index for task titles
+-- Full-text search indexes for task titles and content
 CREATE INDEX idx_tasks_title_search ON tasks USING gin(to_tsvector('english', title));
+CREATE INDEX idx_tasks_content_search ON tasks USING gin(to_tsvector('english', COALESCE(description, '') || ' ' || reward_description));
+
+-- =============================================
+-- STORE LOCATIONS TABLE
+-- =============================================
+CREATE TABLE store_locations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    address TEXT NOT NULL,
+    city VARCHAR(100),
+    latitude DECIMAL(9,6) NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for store_locations table
+CREATE INDEX idx_store_locations_company_id ON store_locations(company_id);
+CREATE INDEX idx_store_locations_coordinates ON store_locations(latitude, longitude);
+CREATE INDEX idx_store_locations_city ON store_locations(city);
+
+-- Tasks without rows here apply at every location of their company
+CREATE TABLE task_locations (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES store_locations(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, location_id)
+);
+
+-- Indexes for task_locations table
+CREATE INDEX idx_task_locations_location_id ON task_locations(location_id);
+
+-- =============================================
+-- TASK TEMPLATES TABLE
+-- =============================================
+CREATE TABLE task_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    task_type VARCHAR(50) NOT NULL CHECK (task_type IN ('image-puzzle', 'spot-diff', 'speed-challenge', 'meme', 'logic')),
+    fields JSONB NOT NULL DEFAULT '{}', -- Create-request values the template pre-fills
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for task_templates table
+CREATE UNIQUE INDEX idx_task_templates_company_name ON task_templates(company_id, LOWER(name));
+
+-- =============================================
+-- TASK VERSIONS TABLE
+-- =============================================
+-- Audit of edits to published tasks; reward changes wait here until reviewed
+CREATE TABLE task_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    version INT, -- Set once the change is applied
+    status VARCHAR(20) NOT NULL CHECK (status IN ('applied', 'pending_review', 'rejected', 'superseded')),
+    changes JSONB NOT NULL, -- { field: { from, to } }
+    snapshot JSONB, -- Versioned fields and puzzle_config of the task after the change
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, version)
+);
+
+-- Indexes for task_versions table
+CREATE INDEX idx_task_versions_task_id ON task_versions(task_id);
+CREATE INDEX idx_task_versions_pending ON task_versions(created_at) WHERE status = 'pending_review';
 
 -- =============================================
 -- TASK ATTEMPTS TABLE
@@ -181,6 +337,8 @@ CREATE TABLE task_attempts (
     time_taken_seconds INT,
     is_successful BOOLEAN DEFAULT false,
     difficulty_multiplier DECIMAL(3, 2) DEFAULT 1.0,
+    seed VARCHAR(64), -- Session seed used to rebuild the player's board
+    task_version INT, -- tasks.current_version the attempt was played on
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(task_id, user_id) -- One attempt per user per task
 );
@@ -192,13 +350,51 @@ CREATE INDEX idx_task_attempts_is_successful ON task_attempts(is_successful);
 CREATE INDEX idx_task_attempts_created_at ON task_attempts(created_at);
 CREATE INDEX idx_task_attempts_time_taken ON task_attempts(time_taken_seconds);
 
+-- =============================================
+-- MEME CAPTIONS TABLE
+-- =============================================
+CREATE TABLE meme_captions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    caption VARCHAR(150) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'winner')),
+    upvote_count INT DEFAULT 0,
+    rendered_image_url VARCHAR(500),
+    rejection_reason VARCHAR(255),
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_id, user_id) -- One caption per user per task
+);
+
+-- Indexes for meme_captions table
+CREATE INDEX idx_meme_captions_task_id ON meme_captions(task_id);
+CREATE INDEX idx_meme_captions_user_id ON meme_captions(user_id);
+CREATE INDEX idx_meme_captions_status ON meme_captions(task_id, status);
+CREATE INDEX idx_meme_captions_upvote_count ON meme_captions(task_id, upvote_count DESC);
+
+-- =============================================
+-- MEME CAPTION VOTES TABLE
+-- =============================================
+CREATE TABLE meme_caption_votes (
+    caption_id UUID NOT NULL REFERENCES meme_captions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (caption_id, user_id)
+);
+
+-- Indexes for meme_caption_votes table
+CREATE INDEX idx_meme_caption_votes_user_id ON meme_caption_votes(user_id);
+
 -- =============================================
 -- USER REWARDS TABLE
 -- =============================================
 CREATE TABLE user_rewards (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    task_id UUID REFERENCES tasks(id) ON DELETE SET NULL, -- Kept when an archived task is purged
     reward_code VARCHAR(50) UNIQUE NOT NULL,
     reward_type VARCHAR(20) NOT NULL CHECK (reward_type IN ('discount', 'coupon', 'points', 'cashback')),
     reward_value DECIMAL(10, 2) NOT NULL,
@@ -301,7 +497,7 @@ CREATE TABLE transactions (
     to_entity_id UUID,
     transaction_type VARCHAR(50) NOT NULL CHECK (transaction_type IN ('reward-given', 'featured-paid', 'commission-earned', 'payout')),
     amount DECIMAL(10, 2) NOT NULL,
-    related_task_id UUID REFERENCES tasks(id),
+    related_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
     related_reward_id UUID REFERENCES user_rewards(id),
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -314,6 +510,41 @@ CREATE INDEX idx_transactions_transaction_type ON transactions(transaction_type)
 CREATE INDEX idx_transactions_related_task_id ON transactions(related_task_id);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at);
 
+-- =============================================
+-- NOTIFICATIONS TABLE
+-- =============================================
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for notifications table
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE is_read = false;
+
+-- =============================================
+-- ADMIN ACTIONS TABLE
+-- =============================================
+CREATE TABLE admin_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL, -- suspend, reactivate, change_role, force_logout
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for admin_actions table
+CREATE INDEX idx_admin_actions_target_user_id ON admin_actions(target_user_id, created_at);
+CREATE INDEX idx_admin_actions_admin_id ON admin_actions(admin_id);
+
 -- =============================================
 -- ANALYTICS EVENTS TABLE
 -- =============================================
@@ -321,7 +552,7 @@ CREATE TABLE analytics_events (
     id BIGSERIAL PRIMARY KEY,
     event_type VARCHAR(100) NOT NULL,
     user_id UUID REFERENCES users(id),
-    task_id UUID REFERENCES tasks(id),
+    task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
     company_id UUID REFERENCES users(id),
     event_data JSONB DEFAULT '{}',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -386,6 +617,15 @@ CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_meme_captions_updated_at BEFORE UPDATE ON meme_captions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_store_locations_updated_at BEFORE UPDATE ON store_locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_task_templates_updated_at BEFORE UPDATE ON task_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to update task attempt counts
 CREATE OR REPLACE FUNCTION update_task_attempt_counts()
 RETURNS TRIGGER AS $$
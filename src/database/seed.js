@@ -1,6 +1,8 @@
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { query, withTransaction } = require('./connection');
+const encryption = require('../utils/encryption');
+const bankAccountService = require('../services/payments/bankAccountService');
 const logger = require('../utils/logger');
 
 class DatabaseSeeder {
@@ -233,11 +235,12 @@ class DatabaseSeeder {
     for (const bankData of bankAccounts) {
       await query(
         `INSERT INTO bank_accounts (
-          company_id, account_number, account_holder_name, ifsc_code,
-          bank_name, account_type, is_verified, verified_at
-        ) SELECT u.id, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP
+          company_id, account_number_encrypted, account_number_last4, account_number_hash,
+          account_holder_name, ifsc_code, bank_name, account_type,
+          is_verified, verified_at, verification_status, is_primary
+        ) SELECT u.id, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, 'verified', true
          FROM users u WHERE u.email = $1
-         ON CONFLICT (company_id, account_number) DO UPDATE SET
+         ON CONFLICT (company_id, account_number_hash) WHERE removed_at IS NULL DO UPDATE SET
            account_holder_name = EXCLUDED.account_holder_name,
            ifsc_code = EXCLUDED.ifsc_code,
            bank_name = EXCLUDED.bank_name,
@@ -246,7 +249,9 @@ class DatabaseSeeder {
            verified_at = CURRENT_TIMESTAMP`,
         [
           bankData.email,
-          bankData.account_number,
+          encryption.encrypt(bankData.account_number),
+          bankData.account_number.slice(-4),
+          bankAccountService.hashAccount(bankData.ifsc_code, bankData.account_number),
           bankData.account_holder_name,
           bankData.ifsc_code,
           bankData.bank_name,
@@ -11,11 +11,14 @@ const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { connectDatabase } = require('./database/connection');
 const { connectRedis } = require('./cache/redis');
+const { storage } = require('./storage');
+const taskScheduler = require('./services/tasks/scheduler');
 const authRoutes = require('./services/auth/routes');
 const taskRoutes = require('./services/tasks/routes');
 const userRoutes = require('./services/users/routes');
 const paymentRoutes = require('./services/payments/routes');
 const analyticsRoutes = require('./services/analytics/routes');
+const adminRoutes = require('./services/admin/routes');
 const healthRoutes = require('./routes/health');
 
 class TaskLootServer {
@@ -91,12 +94,21 @@ class TaskLootServer {
     // Health check (no versioning)
     this.app.use('/health', healthRoutes);
 
+    // Uploaded images when using local disk storage (S3 assets are served by the CDN)
+    if (storage.name === 'local') {
+      this.app.use(storage.publicPath, express.static(storage.root, {
+        maxAge: '1y',
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+      }));
+    }
+
     // API routes
     this.app.use(`${apiPrefix}/auth`, authRoutes);
     this.app.use(`${apiPrefix}/tasks`, taskRoutes);
     this.app.use(`${apiPrefix}/users`, userRoutes);
     this.app.use(`${apiPrefix}/payments`, paymentRoutes);
     this.app.use(`${apiPrefix}/analytics`, analyticsRoutes);
+    this.app.use(`${apiPrefix}/admin`, adminRoutes);
 
     // 404 handler
     this.app.use('*', (req, res) => {
@@ -129,6 +141,9 @@ class TaskLootServer {
       await connectRedis();
       logger.info('Redis connected successfully');
 
+      // Activate and expire scheduled tasks
+      taskScheduler.start();
+
       // Start server
       this.server = this.app.listen(this.port, () => {
         logger.info(`TaskLoot server running on port ${this.port}`, {
@@ -150,6 +165,8 @@ class TaskLootServer {
 
   async gracefulShutdown(signal) {
     logger.info(`Received ${signal}, starting graceful shutdown...`);
+
+    taskScheduler.stop();
     
     if (this.server) {
       this.server.close(() => {
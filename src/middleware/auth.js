@@ -3,6 +3,7 @@ const { v4: uuidv4 } = require('uuid');
 const { cacheService } = require('../cache/redis');
 const { query } = require('../database/connection');
 const logger = require('../utils/logger');
+const authService = require('../services/auth/service');
 const {
   UnauthorizedError,
   ForbiddenError,
@@ -29,6 +30,16 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = authService.verifyToken(token);
 
+    // Reject tokens from sessions an admin has ended
+    if (await authService.isSessionRevoked(decoded)) {
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    // Suspended users are turned away even if their revocation is missing from the cache
+    if (!(await authService.isUserActive(decoded.sub))) {
+      throw new UnauthorizedError('Account is deactivated');
+    }
+
     // Attach user info to request
     req.user = decoded;
     req.token = token;
@@ -211,8 +222,10 @@ const optionalAuth = async (req, res, next) => {
       if (!isBlacklisted) {
         try {
           const decoded = authService.verifyToken(token);
-          req.user = decoded;
-          req.token = token;
+          if (!(await authService.isSessionRevoked(decoded)) && await authService.isUserActive(decoded.sub)) {
+            req.user = decoded;
+            req.token = token;
+          }
         } catch (error) {
           // Token is invalid, but we don't throw error for optional auth
           logger.debug('Invalid optional auth token', { error: error.message });
@@ -0,0 +1,572 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const adminService = require('./service');
+const moderationService = require('../tasks/moderationService');
+const kycService = require('../users/kycService');
+const { asyncHandler, handleJoiError } = require('../../middleware/errorHandler');
+const { authMiddleware, requireRole } = require('../../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const details = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+    return handleJoiError({ details });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/v1/admin/tasks/review
+ * @desc    List published tasks waiting for review, oldest first
+ * @access  Private (Admin only)
+ */
+router.get('/tasks/review',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await moderationService.listQueue({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/tasks/review/:id/approve
+ * @desc    Approve a pending task
+ * @access  Private (Admin only)
+ */
+router.post('/tasks/review/:id/approve',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Task ID must be a valid UUID'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must be less than 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const task = await moderationService.approveTask(req.params.id, req.user.sub, req.body.notes || null);
+
+    res.json({
+      success: true,
+      data: task,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/tasks/review/:id/reject
+ * @desc    Reject a pending task with a reason for the company
+ * @access  Private (Admin only)
+ */
+router.post('/tasks/review/:id/reject',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Task ID must be a valid UUID'),
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('Reason must be between 3 and 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const task = await moderationService.rejectTask(req.params.id, req.user.sub, req.body.reason);
+
+    res.json({
+      success: true,
+      data: task,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    Search users by email, phone, name or company
+ * @access  Private (Admin only)
+ */
+router.get('/users',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Search query must be between 2 and 100 characters'),
+    query('role')
+      .optional()
+      .isIn(['player', 'company', 'admin'])
+      .withMessage('Invalid role'),
+    query('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await adminService.searchUsers({
+      q: req.query.q,
+      role: req.query.role,
+      is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : undefined,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId
+ * @desc    Get a user with activity totals and recent admin actions
+ * @access  Private (Admin only)
+ */
+router.get('/users/:userId',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const user = await adminService.getUser(req.params.userId);
+
+    res.json({
+      success: true,
+      data: user,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/suspend
+ * @desc    Suspend a user and end their sessions
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/suspend',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('Reason must be between 3 and 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const user = await adminService.suspendUser(req.user.sub, req.params.userId, req.body.reason);
+
+    res.json({
+      success: true,
+      data: user,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/reactivate
+ * @desc    Reactivate a suspended user
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/reactivate',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const user = await adminService.reactivateUser(req.user.sub, req.params.userId);
+
+    res.json({
+      success: true,
+      data: user,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @desc    Change a user's role and end their sessions
+ * @access  Private (Admin only)
+ */
+router.patch('/users/:userId/role',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    body('role')
+      .isIn(['player', 'company', 'admin'])
+      .withMessage('Role must be player, company or admin'),
+    body('company_name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Company name must be between 2 and 255 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const user = await adminService.changeRole(req.user.sub, req.params.userId, {
+      role: req.body.role,
+      company_name: req.body.company_name
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/logout
+ * @desc    End all of a user's sessions
+ * @access  Private (Admin only)
+ */
+router.post('/users/:userId/logout',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await adminService.forceLogout(req.user.sub, req.params.userId);
+
+    res.json({
+      success: true,
+      data: { message: 'User sessions revoked' },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/attempts
+ * @desc    Read-only view of a user's task attempts
+ * @access  Private (Admin only)
+ */
+router.get('/users/:userId/attempts',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await adminService.listUserAttempts(req.params.userId, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/rewards
+ * @desc    Read-only view of a user's rewards, with codes masked
+ * @access  Private (Admin only)
+ */
+router.get('/users/:userId/rewards',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await adminService.listUserRewards(req.params.userId, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/kyc
+ * @desc    List submitted KYC waiting for review, oldest first
+ * @access  Private (Admin only)
+ */
+router.get('/kyc',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await kycService.listQueue({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/kyc/documents/:documentId
+ * @desc    Download a KYC document
+ * @access  Private (Admin only)
+ */
+router.get('/kyc/documents/:documentId',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('documentId')
+      .isUUID()
+      .withMessage('Document ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { document, body: file } = await kycService.getDocumentFile(req.params.documentId);
+
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `inline; filename="${document.document_type}-${document.id}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(file);
+  })
+);
+
+/**
+ * @route   GET /api/v1/admin/kyc/:companyId
+ * @desc    Get a company's KYC details, documents and review history
+ * @access  Private (Admin only)
+ */
+router.get('/kyc/:companyId',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('companyId')
+      .isUUID()
+      .withMessage('Company ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const kyc = await kycService.getKycDetails(req.params.companyId);
+
+    res.json({
+      success: true,
+      data: kyc,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/kyc/:companyId/approve
+ * @desc    Approve a company's KYC
+ * @access  Private (Admin only)
+ */
+router.post('/kyc/:companyId/approve',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('companyId')
+      .isUUID()
+      .withMessage('Company ID must be a valid UUID'),
+    body('comments')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Comments must be less than 1000 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await kycService.reviewKyc(req.params.companyId, req.user.sub, {
+      decision: 'approve',
+      comments: req.body.comments || null
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/admin/kyc/:companyId/reject
+ * @desc    Reject a company's KYC with comments; the company can resubmit
+ * @access  Private (Admin only)
+ */
+router.post('/kyc/:companyId/reject',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('companyId')
+      .isUUID()
+      .withMessage('Company ID must be a valid UUID'),
+    body('comments')
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Comments must be between 3 and 1000 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await kycService.reviewKyc(req.params.companyId, req.user.sub, {
+      decision: 'reject',
+      comments: req.body.comments
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+module.exports = router;
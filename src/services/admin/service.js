@@ -0,0 +1,461 @@
+const { query, withTransaction } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const authService = require('../auth/service');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+const ROLES = ['player', 'company', 'admin'];
+
+const USER_COLUMNS = `u.id, u.email, u.phone, u.role, u.is_active, u.is_verified,
+        u.suspended_at, u.suspension_reason, u.last_login, u.created_at,
+        up.first_name, up.last_name, cp.company_name, cp.kyc_status`;
+
+/**
+ * Support tooling for admins: find users, suspend or reactivate them, change
+ * roles, end their sessions and read their activity. Every change is written
+ * to admin_actions.
+ */
+class AdminService {
+  /**
+   * Search users by email, phone, name or company name
+   * @param {Object} filters - { q, role, is_active, page, limit }
+   * @returns {Object} Users with pagination
+   */
+  async searchUsers(filters = {}) {
+    const { q, role, is_active, page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+    const whereConditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (q) {
+      whereConditions.push(`(
+        u.email ILIKE $${paramIndex} OR u.phone ILIKE $${paramIndex} OR cp.company_name ILIKE $${paramIndex}
+        OR CONCAT_WS(' ', up.first_name, up.last_name) ILIKE $${paramIndex}
+      )`);
+      queryParams.push(`%${q}%`);
+      paramIndex++;
+    }
+
+    if (role) {
+      whereConditions.push(`u.role = $${paramIndex}`);
+      queryParams.push(role);
+      paramIndex++;
+    }
+
+    if (is_active !== undefined) {
+      whereConditions.push(`u.is_active = $${paramIndex}`);
+      queryParams.push(is_active);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const fromClause = `FROM users u
+         LEFT JOIN user_profiles up ON u.id = up.user_id
+         LEFT JOIN company_profiles cp ON u.id = cp.user_id`;
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT ${USER_COLUMNS}
+         ${fromClause}
+         ${whereClause}
+         ORDER BY u.created_at DESC, u.id
+         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...queryParams, limit, offset]
+      ),
+      query(`SELECT COUNT(*) as total ${fromClause} ${whereClause}`, queryParams)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      users: result.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a user with activity totals and recent admin actions
+   * @param {string} userId - User ID
+   * @returns {Object} User
+   */
+  async getUser(userId) {
+    const result = await query(
+      `SELECT ${USER_COLUMNS},
+              (SELECT COUNT(*) FROM task_attempts ta WHERE ta.user_id = u.id) as total_attempts,
+              (SELECT COUNT(*) FROM user_rewards ur WHERE ur.user_id = u.id) as total_rewards,
+              (SELECT COUNT(*) FROM tasks t WHERE t.company_id = u.id) as total_tasks
+       FROM users u
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       LEFT JOIN company_profiles cp ON u.id = cp.user_id
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const actions = await query(
+      `SELECT aa.id, aa.action, aa.details, aa.created_at, aa.admin_id, u.email as admin_email
+       FROM admin_actions aa
+       LEFT JOIN users u ON aa.admin_id = u.id
+       WHERE aa.target_user_id = $1
+       ORDER BY aa.created_at DESC
+       LIMIT 20`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+
+    return {
+      ...user,
+      total_attempts: parseInt(user.total_attempts),
+      total_rewards: parseInt(user.total_rewards),
+      total_tasks: parseInt(user.total_tasks),
+      recent_admin_actions: actions.rows
+    };
+  }
+
+  /**
+   * Suspend a user: they can't log in and their sessions end
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - User ID
+   * @param {string} reason - Reason for the suspension
+   * @returns {Object} Updated user
+   */
+  async suspendUser(adminId, userId, reason) {
+    this.ensureNotSelf(adminId, userId, 'suspend');
+
+    const user = await withTransaction(async (client) => {
+      const target = await this.lockUser(client, userId);
+
+      if (!target.is_active) {
+        throw new ConflictError('User is already suspended');
+      }
+
+      const result = await client.query(
+        `UPDATE users
+         SET is_active = false, suspended_at = CURRENT_TIMESTAMP, suspension_reason = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, email, role, is_active, suspended_at, suspension_reason`,
+        [userId, reason]
+      );
+
+      await this.recordAction(client, adminId, userId, 'suspend', { reason });
+
+      return result.rows[0];
+    });
+
+    await authService.revokeUserSessions(userId);
+
+    logger.security('User suspended', { adminId, userId, reason });
+
+    return user;
+  }
+
+  /**
+   * Reactivate a suspended user
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - User ID
+   * @returns {Object} Updated user
+   */
+  async reactivateUser(adminId, userId) {
+    const user = await withTransaction(async (client) => {
+      const target = await this.lockUser(client, userId);
+
+      if (target.is_active) {
+        throw new ConflictError('User is not suspended');
+      }
+
+      const result = await client.query(
+        `UPDATE users
+         SET is_active = true, suspended_at = NULL, suspension_reason = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, email, role, is_active, suspended_at, suspension_reason`,
+        [userId]
+      );
+
+      await this.recordAction(client, adminId, userId, 'reactivate', {
+        suspended_at: target.suspended_at,
+        reason: target.suspension_reason
+      });
+
+      return result.rows[0];
+    });
+
+    logger.security('User reactivated', { adminId, userId });
+
+    return user;
+  }
+
+  /**
+   * Change a user's role. Tokens carry the role, so their sessions end.
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - User ID
+   * @param {Object} change - { role, company_name }
+   * @returns {Object} Updated user
+   */
+  async changeRole(adminId, userId, change) {
+    const { role, company_name } = change;
+
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    this.ensureNotSelf(adminId, userId, 'change the role of');
+
+    const user = await withTransaction(async (client) => {
+      const target = await this.lockUser(client, userId);
+
+      if (target.role === role) {
+        throw new ConflictError(`User is already a ${role}`);
+      }
+
+      if (target.role === 'company') {
+        const liveTasks = await client.query(
+          `SELECT COUNT(*) as total FROM tasks
+           WHERE company_id = $1 AND status IN ('pending', 'scheduled', 'active', 'processing')`,
+          [userId]
+        );
+
+        if (parseInt(liveTasks.rows[0].total) > 0) {
+          throw new ConflictError('Company has live tasks; archive them before changing its role');
+        }
+      }
+
+      if (role === 'company') {
+        const profile = await client.query(
+          'SELECT id FROM company_profiles WHERE user_id = $1',
+          [userId]
+        );
+
+        if (profile.rows.length === 0) {
+          if (!company_name) {
+            throw new ValidationError('company_name is required to make this user a company');
+          }
+
+          await client.query(
+            'INSERT INTO company_profiles (user_id, company_name) VALUES ($1, $2)',
+            [userId, company_name]
+          );
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, email, role, is_active, suspended_at, suspension_reason`,
+        [userId, role]
+      );
+
+      await this.recordAction(client, adminId, userId, 'change_role', { from: target.role, to: role });
+
+      return result.rows[0];
+    });
+
+    await authService.revokeUserSessions(userId);
+    await cacheService.del(`user_profile:${userId}`);
+
+    logger.security('User role changed', { adminId, userId, role });
+
+    return user;
+  }
+
+  /**
+   * End all of a user's sessions; they have to log in again
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - User ID
+   * @returns {boolean} Success status
+   */
+  async forceLogout(adminId, userId) {
+    await withTransaction(async (client) => {
+      await this.lockUser(client, userId);
+      await this.recordAction(client, adminId, userId, 'force_logout', {});
+    });
+
+    await authService.revokeUserSessions(userId);
+
+    logger.security('User sessions revoked by admin', { adminId, userId });
+
+    return true;
+  }
+
+  /**
+   * A user's task attempts, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Attempts with pagination
+   */
+  async listUserAttempts(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    await this.ensureUserExists(userId);
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT ta.id, ta.task_id, t.title as task_title, t.task_type, t.company_id,
+                ta.started_at, ta.completed_at, ta.time_taken_seconds, ta.is_successful,
+                ta.task_version, ta.created_at
+         FROM task_attempts ta
+         LEFT JOIN tasks t ON ta.task_id = t.id
+         WHERE ta.user_id = $1
+         ORDER BY ta.created_at DESC, ta.id
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      query('SELECT COUNT(*) as total FROM task_attempts WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      attempts: result.rows,
+      pagination: this.buildPagination(page, limit, parseInt(countResult.rows[0].total))
+    };
+  }
+
+  /**
+   * A user's rewards, newest first. Reward codes are masked so support staff
+   * can't redeem them on the user's behalf.
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Rewards with pagination
+   */
+  async listUserRewards(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    await this.ensureUserExists(userId);
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT ur.id, ur.task_id, t.title as task_title, ur.reward_code, ur.reward_type,
+                ur.reward_value, ur.is_redeemed, ur.redeemed_at, ur.expires_at, ur.created_at
+         FROM user_rewards ur
+         LEFT JOIN tasks t ON ur.task_id = t.id
+         WHERE ur.user_id = $1
+         ORDER BY ur.created_at DESC, ur.id
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      query('SELECT COUNT(*) as total FROM user_rewards WHERE user_id = $1', [userId])
+    ]);
+
+    return {
+      rewards: result.rows.map(reward => ({
+        ...reward,
+        reward_code: this.maskCode(reward.reward_code)
+      })),
+      pagination: this.buildPagination(page, limit, parseInt(countResult.rows[0].total))
+    };
+  }
+
+  /**
+   * Write an entry to the admin audit log
+   * @param {Object} client - Database client in the action's transaction
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - Target user ID
+   * @param {string} action - Action name
+   * @param {Object} details - Action details
+   */
+  async recordAction(client, adminId, userId, action, details) {
+    await client.query(
+      `INSERT INTO admin_actions (admin_id, target_user_id, action, details)
+       VALUES ($1, $2, $3, $4)`,
+      [adminId, userId, action, JSON.stringify(details)]
+    );
+  }
+
+  /**
+   * Lock a user row for an admin change
+   * @param {Object} client - Database client
+   * @param {string} userId - User ID
+   * @returns {Object} User row
+   */
+  async lockUser(client, userId) {
+    const result = await client.query(
+      'SELECT id, role, is_active, suspended_at, suspension_reason FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Make sure a user exists
+   * @param {string} userId - User ID
+   */
+  async ensureUserExists(userId) {
+    const result = await query('SELECT id FROM users WHERE id = $1', [userId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+  }
+
+  /**
+   * Admins can't lock themselves out
+   * @param {string} adminId - Acting admin ID
+   * @param {string} userId - Target user ID
+   * @param {string} action - Action, for the error message
+   */
+  ensureNotSelf(adminId, userId, action) {
+    if (adminId === userId) {
+      throw new ForbiddenError(`You cannot ${action} your own account`);
+    }
+  }
+
+  /**
+   * Hide all but the last four characters of a reward code
+   * @param {string} code - Reward code
+   * @returns {string} Masked code
+   */
+  maskCode(code) {
+    if (!code || code.length <= 4) {
+      return code;
+    }
+
+    return `${'*'.repeat(code.length - 4)}${code.slice(-4)}`;
+  }
+
+  /**
+   * Offset pagination block
+   * @param {number} page - Current page
+   * @param {number} limit - Page size
+   * @param {number} total - Total items
+   * @returns {Object} Pagination
+   */
+  buildPagination(page, limit, total) {
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      current_page: page,
+      total_pages: totalPages,
+      total_items: total,
+      items_per_page: limit,
+      has_next: page < totalPages,
+      has_prev: page > 1
+    };
+  }
+}
+
+module.exports = new AdminService();
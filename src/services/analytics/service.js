@@ -94,7 +94,7 @@ class AnalyticsService {
       // 6. Task performance ranking
       const taskPerformance = await query(`
         SELECT 
-          t.id, t.title, t.difficulty, t.reward_value,
+          t.id, t.title, t.difficulty, t.complexity_score, t.reward_value,
           COUNT(ta.id) as attempts,
           SUM(CASE WHEN ta.is_successful THEN 1 ELSE 0 END) as conversions,
           ROUND(
@@ -104,7 +104,7 @@ class AnalyticsService {
         FROM tasks t
         LEFT JOIN task_attempts ta ON t.id = ta.task_id
         WHERE t.company_id = $1 AND ta.created_at >= $2
-        GROUP BY t.id, t.title, t.difficulty, t.reward_value
+        GROUP BY t.id, t.title, t.difficulty, t.complexity_score, t.reward_value
         ORDER BY conversion_rate DESC, attempts DESC
       `, [companyId, startDate]);
 
@@ -9,7 +9,8 @@ const {
   ConflictError,
   UnauthorizedError,
   NotFoundError,
-  RateLimitError
+  RateLimitError,
+  InternalError
 } = require('../../middleware/errorHandler');
 
 class AuthService {
@@ -82,11 +83,14 @@ class AuthService {
 
   // Generate JWT tokens
   generateTokens(user) {
+    const issuedAt = Date.now();
     const payload = {
       sub: user.id,
       email: user.email,
       role: user.role,
-      iat: Math.floor(Date.now() / 1000),
+      iat: Math.floor(issuedAt / 1000),
+      // Millisecond issue time, so a login right after a session revocation isn't caught by it
+      iat_ms: issuedAt,
       aud: 'taskloot-api'
     };
 
@@ -381,6 +385,54 @@ class AuthService {
     return await cacheService.exists(blacklistKey);
   }
 
+  // End all of a user's sessions: refresh tokens are revoked, and access tokens
+  // issued up to now are rejected until they would have expired anyway
+  async revokeUserSessions(userId) {
+    await query(
+      'UPDATE tokens SET is_revoked = true WHERE user_id = $1 AND token_type = \'refresh\' AND is_revoked = false',
+      [userId]
+    );
+
+    // Access tokens stay valid unless the revocation is stored, so don't report success without it
+    const stored = await cacheService.set(`auth:revoked:${userId}`, Date.now(), this.getAccessTokenTtl());
+
+    if (!stored) {
+      logger.security('Failed to store session revocation', { userId });
+      throw new InternalError('Failed to revoke user sessions');
+    }
+
+    logger.business('User sessions revoked', { userId });
+  }
+
+  // Check if a token was issued before its user's sessions were revoked (times in milliseconds)
+  async isSessionRevoked(decoded) {
+    const revokedAt = await cacheService.get(`auth:revoked:${decoded.sub}`);
+    if (revokedAt === null) {
+      return false;
+    }
+
+    // Tokens without iat_ms count from the start of their issue second
+    const issuedAt = decoded.iat_ms ?? decoded.iat * 1000;
+    return issuedAt < revokedAt;
+  }
+
+  // Check if a token's user may still act; suspension is kept on the user, not only in the cache
+  async isUserActive(userId) {
+    const result = await query('SELECT is_active FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0 && result.rows[0].is_active === true;
+  }
+
+  // Access token lifetime in seconds (JWT_EXPIRES_IN is seconds or e.g. '15m', '1h', '1d')
+  getAccessTokenTtl() {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(this.jwtExpiresIn).trim());
+    if (!match) {
+      return 24 * 60 * 60;
+    }
+
+    const units = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+    return parseInt(match[1]) * units[match[2]];
+  }
+
   // Forgot password
   async forgotPassword(email) {
     this.validateEmail(email);
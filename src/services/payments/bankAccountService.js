@@ -0,0 +1,397 @@
+const { query, withTransaction } = require('../../database/connection');
+const { bankVerifier } = require('./bankVerification');
+const encryption = require('../../utils/encryption');
+const { validateBankDetails, getBankName, maskAccountNumber } = require('../../utils/bankDetails');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  RateLimitError
+} = require('../../middleware/errorHandler');
+
+const ACCOUNT_COLUMNS = `id, account_number_last4, account_holder_name, ifsc_code, bank_name, account_type,
+        is_verified, verified_at, is_primary, verification_status, verification_failure_reason,
+        registered_name, verification_attempts, last_verification_at, created_at`;
+
+/**
+ * Company bank accounts for payouts. Account numbers are encrypted at rest and
+ * only leave this service masked; payouts decrypt them through getAccountNumber.
+ * Accounts are verified by a penny drop through the configured provider.
+ */
+class BankAccountService {
+  constructor() {
+    this.maxVerificationAttempts = parseInt(process.env.BANK_VERIFICATION_MAX_ATTEMPTS) || 3;
+  }
+
+  /**
+   * List a company's bank accounts, primary first
+   * @param {string} companyId - Company ID
+   * @returns {Array} Accounts with masked numbers
+   */
+  async listAccounts(companyId) {
+    const result = await query(
+      `SELECT ${ACCOUNT_COLUMNS}
+       FROM bank_accounts
+       WHERE company_id = $1 AND removed_at IS NULL
+       ORDER BY is_primary DESC, created_at DESC`,
+      [companyId]
+    );
+
+    return result.rows.map(account => this.formatAccount(account));
+  }
+
+  /**
+   * Add a bank account; it needs verifying before it can receive payouts
+   * @param {string} companyId - Company ID
+   * @param {Object} accountData - { account_number, ifsc_code, account_holder_name, account_type }
+   * @returns {Object} Created account
+   */
+  async addAccount(companyId, accountData) {
+    const data = {
+      ...accountData,
+      account_number: String(accountData.account_number || '').replace(/\s+/g, ''),
+      ifsc_code: String(accountData.ifsc_code || '').trim().toUpperCase()
+    };
+
+    const errors = validateBankDetails(data);
+    if (errors.length > 0) {
+      throw new ValidationError(errors.map(error => error.message).join('; '), errors);
+    }
+
+    const accountHash = this.hashAccount(data.ifsc_code, data.account_number);
+
+    const existing = await query(
+      'SELECT id FROM bank_accounts WHERE company_id = $1 AND account_number_hash = $2 AND removed_at IS NULL',
+      [companyId, accountHash]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new ConflictError('This bank account has already been added');
+    }
+
+    const result = await query(
+      `INSERT INTO bank_accounts (
+        company_id, account_number_encrypted, account_number_last4, account_number_hash,
+        account_holder_name, ifsc_code, bank_name, account_type, verification_attempts
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8,
+        -- Attempts made before the account was removed still count
+        COALESCE((
+          SELECT attempts FROM bank_account_verification_attempts
+          WHERE company_id = $1 AND account_number_hash = $4
+        ), 0)
+      )
+      RETURNING ${ACCOUNT_COLUMNS}`,
+      [
+        companyId,
+        encryption.encrypt(data.account_number),
+        data.account_number.slice(-4),
+        accountHash,
+        data.account_holder_name.trim(),
+        data.ifsc_code,
+        getBankName(data.ifsc_code),
+        data.account_type
+      ]
+    );
+
+    const account = result.rows[0];
+
+    logger.business('Bank account added', {
+      companyId,
+      bankAccountId: account.id,
+      ifscCode: data.ifsc_code
+    });
+
+    return this.formatAccount(account);
+  }
+
+  /**
+   * Verify an account with a penny drop. The first verified account becomes primary.
+   * @param {string} companyId - Company ID
+   * @param {string} accountId - Bank account ID
+   * @returns {Object} Account with the verification outcome
+   */
+  async verifyAccount(companyId, accountId) {
+    const account = await this.getAccountRow(companyId, accountId);
+
+    if (account.is_verified) {
+      throw new ConflictError('Bank account is already verified');
+    }
+
+    // Each penny drop costs money, so the attempt is taken before calling the
+    // provider; concurrent requests can't go over the limit. Attempts are counted
+    // per company and account number, so removing and re-adding doesn't reset them.
+    const accountHash = account.account_number_hash ||
+      this.hashAccount(account.ifsc_code, this.getAccountNumber(account));
+
+    const claimed = await query(
+      `INSERT INTO bank_account_verification_attempts (company_id, account_number_hash, attempts, last_attempt_at)
+       VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+       ON CONFLICT (company_id, account_number_hash) DO UPDATE
+       SET attempts = bank_account_verification_attempts.attempts + 1,
+           last_attempt_at = CURRENT_TIMESTAMP
+       WHERE bank_account_verification_attempts.attempts < $3
+       RETURNING attempts`,
+      [companyId, accountHash, this.maxVerificationAttempts]
+    );
+
+    if (claimed.rows.length === 0) {
+      throw new RateLimitError('Verification attempts exhausted for this account; contact support to verify it');
+    }
+
+    const attempts = claimed.rows[0].attempts;
+
+    const outcome = await bankVerifier.verify({
+      account_number: this.getAccountNumber(account),
+      ifsc_code: account.ifsc_code,
+      account_holder_name: account.account_holder_name
+    });
+
+    let status = outcome.status === 'verified' ? 'verified' : 'failed';
+    let failureReason = outcome.failure_reason || null;
+
+    if (status === 'verified' && !this.namesMatch(account.account_holder_name, outcome.registered_name)) {
+      status = 'failed';
+      failureReason = `Account holder name at the bank (${outcome.registered_name}) does not match`;
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE bank_accounts
+         SET verification_status = $3,
+             is_verified = $4,
+             verified_at = ${status === 'verified' ? 'CURRENT_TIMESTAMP' : 'NULL'},
+             verification_reference = $5,
+             verification_failure_reason = $6,
+             registered_name = $7,
+             verification_attempts = $8,
+             last_verification_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND company_id = $2 AND is_verified = false
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [accountId, companyId, status, status === 'verified', outcome.reference, failureReason, outcome.registered_name, attempts]
+      );
+
+      // A concurrent attempt verified it first; don't overwrite that outcome
+      if (result.rows.length === 0) {
+        throw new ConflictError('Bank account is already verified');
+      }
+
+      if (status !== 'verified') {
+        return result.rows[0];
+      }
+
+      const primary = await client.query(
+        'SELECT id FROM bank_accounts WHERE company_id = $1 AND is_primary = true AND removed_at IS NULL',
+        [companyId]
+      );
+
+      if (primary.rows.length > 0) {
+        return result.rows[0];
+      }
+
+      const promoted = await client.query(
+        `UPDATE bank_accounts SET is_primary = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [accountId]
+      );
+
+      return promoted.rows[0];
+    });
+
+    logger.business('Bank account verification attempted', {
+      companyId,
+      bankAccountId: accountId,
+      status,
+      reference: outcome.reference,
+      failureReason
+    });
+
+    return this.formatAccount(updated);
+  }
+
+  /**
+   * Make a verified account the one payouts go to
+   * @param {string} companyId - Company ID
+   * @param {string} accountId - Bank account ID
+   * @returns {Object} Account
+   */
+  async setPrimary(companyId, accountId) {
+    const account = await withTransaction(async (client) => {
+      const target = await this.getAccountRow(companyId, accountId, client);
+
+      if (!target.is_verified) {
+        throw new ValidationError('Only verified bank accounts can receive payouts');
+      }
+
+      await client.query(
+        `UPDATE bank_accounts SET is_primary = false, updated_at = CURRENT_TIMESTAMP
+         WHERE company_id = $1 AND is_primary = true AND id != $2`,
+        [companyId, accountId]
+      );
+
+      const result = await client.query(
+        `UPDATE bank_accounts SET is_primary = true, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${ACCOUNT_COLUMNS}`,
+        [accountId]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.business('Primary bank account changed', { companyId, bankAccountId: accountId });
+
+    return this.formatAccount(account);
+  }
+
+  /**
+   * Remove an account. Rows are kept for payout history; the account stops appearing.
+   * @param {string} companyId - Company ID
+   * @param {string} accountId - Bank account ID
+   * @returns {boolean} Success status
+   */
+  async removeAccount(companyId, accountId) {
+    await withTransaction(async (client) => {
+      await this.getAccountRow(companyId, accountId, client);
+
+      const pendingPayouts = await client.query(
+        "SELECT COUNT(*) as total FROM payouts WHERE bank_account_id = $1 AND status = 'pending'",
+        [accountId]
+      );
+
+      if (parseInt(pendingPayouts.rows[0].total) > 0) {
+        throw new ConflictError('Bank account has pending payouts');
+      }
+
+      await client.query(
+        `UPDATE bank_accounts
+         SET removed_at = CURRENT_TIMESTAMP, is_primary = false, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [accountId]
+      );
+    });
+
+    logger.business('Bank account removed', { companyId, bankAccountId: accountId });
+
+    return true;
+  }
+
+  /**
+   * Account number of a bank account row, for sending payouts
+   * @param {Object} account - Bank account row
+   * @returns {string} Account number
+   */
+  getAccountNumber(account) {
+    // Rows added before encryption keep the plaintext until encryptLegacyAccounts runs
+    return account.account_number_encrypted
+      ? encryption.decrypt(account.account_number_encrypted)
+      : account.account_number;
+  }
+
+  /**
+   * Encrypt account numbers stored before encryption at rest
+   * @returns {number} Accounts encrypted
+   */
+  async encryptLegacyAccounts() {
+    const legacyColumn = await query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'bank_accounts' AND column_name = 'account_number'`
+    );
+
+    // Databases created from schema.sql never stored plaintext numbers
+    if (legacyColumn.rows.length === 0) {
+      return 0;
+    }
+
+    const result = await query(
+      `SELECT id, account_number, ifsc_code FROM bank_accounts
+       WHERE account_number_encrypted IS NULL AND account_number IS NOT NULL`
+    );
+
+    for (const account of result.rows) {
+      await query(
+        `UPDATE bank_accounts
+         SET account_number_encrypted = $2, account_number_last4 = $3, account_number_hash = $4,
+             account_number = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [
+          account.id,
+          encryption.encrypt(account.account_number),
+          account.account_number.slice(-4),
+          this.hashAccount(account.ifsc_code, account.account_number)
+        ]
+      );
+    }
+
+    logger.info('Legacy bank account numbers encrypted', { count: result.rows.length });
+
+    return result.rows.length;
+  }
+
+  /**
+   * Get a company's bank account row
+   * @param {string} companyId - Company ID
+   * @param {string} accountId - Bank account ID
+   * @param {Object} client - Transaction client (optional); the row is locked when given
+   * @returns {Object} Bank account row
+   */
+  async getAccountRow(companyId, accountId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `SELECT * FROM bank_accounts
+       WHERE id = $1 AND company_id = $2 AND removed_at IS NULL${client ? ' FOR UPDATE' : ''}`,
+      [accountId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Bank account not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Whether the name the bank returned matches the one the company gave
+   * @param {string} submitted - Submitted account holder name
+   * @param {string} registered - Name at the bank
+   * @returns {boolean} Names match
+   */
+  namesMatch(submitted, registered) {
+    const normalize = (name) => String(name || '')
+      .toUpperCase()
+      .replace(/\b(M\/S|MS|MR|MRS|PVT|PRIVATE|LTD|LIMITED|LLP)\b\.?/g, '')
+      .replace(/[^A-Z0-9]/g, '');
+
+    return Boolean(registered) && normalize(submitted) === normalize(registered);
+  }
+
+  /**
+   * Keyed hash of an account for duplicate checks
+   * @param {string} ifscCode - IFSC
+   * @param {string} accountNumber - Account number
+   * @returns {string} Hash
+   */
+  hashAccount(ifscCode, accountNumber) {
+    return encryption.hash(`${ifscCode.slice(0, 4)}|${accountNumber}`);
+  }
+
+  /**
+   * Shape an account for API responses
+   * @param {Object} account - Bank account row
+   * @returns {Object} Account with a masked number
+   */
+  formatAccount(account) {
+    const { account_number_last4, ...rest } = account;
+
+    return {
+      ...rest,
+      account_number: maskAccountNumber(account_number_last4)
+    };
+  }
+}
+
+module.exports = new BankAccountService();
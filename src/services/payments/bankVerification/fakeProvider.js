@@ -0,0 +1,43 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Local stand-in for a penny-drop provider. No money moves; the outcome is
+ * picked from the account number so every path can be exercised:
+ *   ...0000  account does not exist
+ *   ...1111  account is closed or frozen
+ *   ...2222  bank returns a different account holder name
+ *   anything else  verified, with the submitted name
+ */
+class FakeBankVerifier {
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.mismatchedName = options.mismatchedName || 'UNRELATED ACCOUNT HOLDER';
+  }
+
+  /**
+   * Simulate a penny drop
+   * @param {Object} account - { account_number, ifsc_code, account_holder_name }
+   * @returns {Object} { status, registered_name, reference, failure_reason }
+   */
+  async verify(account) {
+    const reference = `fake_pd_${uuidv4()}`;
+    const { account_number, account_holder_name } = account;
+
+    if (account_number.endsWith('0000')) {
+      return { status: 'failed', registered_name: null, reference, failure_reason: 'Account does not exist' };
+    }
+
+    if (account_number.endsWith('1111')) {
+      return { status: 'failed', registered_name: null, reference, failure_reason: 'Account is closed or frozen' };
+    }
+
+    return {
+      status: 'verified',
+      registered_name: account_number.endsWith('2222') ? this.mismatchedName : account_holder_name.toUpperCase(),
+      reference,
+      failure_reason: null
+    };
+  }
+}
+
+module.exports = FakeBankVerifier;
@@ -0,0 +1,34 @@
+const logger = require('../../../utils/logger');
+
+const PROVIDERS = {
+  fake: () => require('./fakeProvider')
+};
+
+/**
+ * Create a bank account verification provider
+ * @param {string} providerName - 'fake' (defaults to BANK_VERIFICATION_PROVIDER, then fake)
+ * @param {Object} options - Provider options
+ * @returns {Object} Provider exposing verify({ account_number, ifsc_code, account_holder_name }),
+ *   which resolves to { status: 'verified'|'failed', registered_name, reference, failure_reason }
+ */
+const createBankVerifier = (providerName = process.env.BANK_VERIFICATION_PROVIDER || 'fake', options = {}) => {
+  const loadProvider = PROVIDERS[providerName];
+
+  if (!loadProvider) {
+    throw new Error(`Unknown bank verification provider "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const Provider = loadProvider();
+  const provider = new Provider(options);
+
+  logger.info('Bank verification provider initialised', { provider: provider.name });
+
+  return provider;
+};
+
+const bankVerifier = createBankVerifier();
+
+module.exports = {
+  createBankVerifier,
+  bankVerifier
+};
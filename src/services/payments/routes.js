@@ -1,9 +1,11 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const paymentService = require('./service');
-const { asyncHandler, handleJoiError } = require('../../middleware/errorHandler');
+const bankAccountService = require('./bankAccountService');
+const { asyncHandler, ValidationError } = require('../../middleware/errorHandler');
 const { authMiddleware, requireRole, requireOwnership, apiKeyAuth } = require('../../middleware/auth');
 const logger = require('../../utils/logger');
+const { isCursorMode, buildKeyset, buildPageQuery, buildPage } = require('../../utils/pagination');
 
 const router = express.Router();
 
@@ -16,7 +18,8 @@ const handleValidationErrors = (req, res, next) => {
       message: error.msg,
       value: error.value
     }));
-    return handleJoiError({ details });
+    // express-validator paths are already strings, so report them directly
+    return next(new ValidationError('Validation failed', details));
   }
   next();
 };
@@ -165,6 +168,18 @@ router.get('/history',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Invalid cursor'),
+    query('pagination')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
+      .optional()
+      .isBoolean()
+      .withMessage('include_total must be boolean'),
     query('status')
       .optional()
       .isIn(['pending', 'initiated', 'completed', 'failed', 'refunded'])
@@ -191,7 +206,10 @@ router.get('/history',
       status: req.query.status,
       payment_type: req.query.payment_type,
       from_date: req.query.from_date,
-      to_date: req.query.to_date
+      to_date: req.query.to_date,
+      cursor: req.query.cursor,
+      pagination: req.query.pagination,
+      include_total: req.query.include_total === 'true'
     };
 
     const result = await paymentService.getPaymentHistory(companyId, filters);
@@ -224,6 +242,18 @@ router.get('/payouts/history',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Invalid cursor'),
+    query('pagination')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
+      .optional()
+      .isBoolean()
+      .withMessage('include_total must be boolean'),
     query('status')
       .optional()
       .isIn(['pending', 'processed', 'failed', 'cancelled'])
@@ -237,6 +267,7 @@ router.get('/payouts/history',
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+    const cursorMode = isCursorMode(req.query);
     
     let whereConditions = ['company_id = $1'];
     let queryParams = [companyId];
@@ -250,39 +281,53 @@ router.get('/payouts/history',
 
     const whereClause = whereConditions.join(' AND ');
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM payouts WHERE ${whereClause}`;
-    const countResult = await query(countQuery, queryParams);
-    const total = parseInt(countResult.rows[0].total);
+    // Get total count (optional for cursor pages)
+    let total = null;
+    if (!cursorMode || req.query.include_total === 'true') {
+      const countQuery = `SELECT COUNT(*) as total FROM payouts WHERE ${whereClause}`;
+      const countResult = await query(countQuery, queryParams);
+      total = parseInt(countResult.rows[0].total);
+    }
+
+    const keyset = cursorMode
+      ? buildKeyset({
+        cursor: req.query.cursor,
+        sortField: 'created_at',
+        sortExpression: 'created_at',
+        sortType: 'timestamp',
+        idExpression: 'id',
+        paramIndex
+      })
+      : null;
+
+    const pageQuery = buildPageQuery({
+      keyset,
+      conditions: whereConditions,
+      params: queryParams,
+      orderBy: 'created_at DESC',
+      paramIndex,
+      limit,
+      offset
+    });
 
     // Get payouts
     const payoutsQuery = `
       SELECT 
         id, amount, currency, status, payout_period_start, payout_period_end,
-        attempted_at, processed_at, failure_reason, created_at
+        attempted_at, processed_at, failure_reason, created_at${pageQuery.keyColumn}
       FROM payouts
-      WHERE ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      WHERE ${pageQuery.whereClause}
+      ${pageQuery.pageClause}
     `;
 
-    queryParams.push(limit, offset);
-    const payoutsResult = await query(payoutsQuery, queryParams);
-
-    const totalPages = Math.ceil(total / limit);
+    const payoutsResult = await query(payoutsQuery, pageQuery.params);
+    const { items, pagination } = buildPage(payoutsResult.rows, { keyset, page, limit, total });
 
     res.json({
       success: true,
       data: {
-        payouts: payoutsResult.rows,
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_items: total,
-          items_per_page: limit,
-          has_next: page < totalPages,
-          has_prev: page > 1
-        }
+        payouts: items,
+        pagination
       },
       meta: {
         timestamp: new Date().toISOString(),
@@ -360,6 +405,153 @@ router.post('/payouts/:id/process',
   })
 );
 
+/**
+ * @route   GET /api/v1/payments/bank-accounts
+ * @desc    List company bank accounts with masked numbers
+ * @access  Private (Company only)
+ */
+router.get('/bank-accounts',
+  authMiddleware,
+  requireRole('company'),
+  asyncHandler(async (req, res) => {
+    const accounts = await bankAccountService.listAccounts(req.user.sub);
+
+    res.json({
+      success: true,
+      data: accounts,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/payments/bank-accounts
+ * @desc    Add a bank account for payouts
+ * @access  Private (Company only)
+ */
+router.post('/bank-accounts',
+  authMiddleware,
+  requireRole('company'),
+  [
+    body('account_number')
+      .trim()
+      .matches(/^[0-9]{9,18}$/)
+      .withMessage('Account number must be 9 to 18 digits'),
+    body('ifsc_code')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+      .withMessage('Invalid IFSC code'),
+    body('account_holder_name')
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Account holder name must be 2-255 characters'),
+    body('account_type')
+      .isIn(['current', 'savings'])
+      .withMessage('Account type must be current or savings')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const account = await bankAccountService.addAccount(req.user.sub, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: account,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/payments/bank-accounts/:accountId/verify
+ * @desc    Verify a bank account with a penny drop
+ * @access  Private (Company only)
+ */
+router.post('/bank-accounts/:accountId/verify',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('accountId')
+      .isUUID()
+      .withMessage('Bank account ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const account = await bankAccountService.verifyAccount(req.user.sub, req.params.accountId);
+
+    res.json({
+      success: true,
+      data: account,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/payments/bank-accounts/:accountId/primary
+ * @desc    Make a verified bank account the one payouts go to
+ * @access  Private (Company only)
+ */
+router.post('/bank-accounts/:accountId/primary',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('accountId')
+      .isUUID()
+      .withMessage('Bank account ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const account = await bankAccountService.setPrimary(req.user.sub, req.params.accountId);
+
+    res.json({
+      success: true,
+      data: account,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/payments/bank-accounts/:accountId
+ * @desc    Remove a bank account
+ * @access  Private (Company only)
+ */
+router.delete('/bank-accounts/:accountId',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('accountId')
+      .isUUID()
+      .withMessage('Bank account ID must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await bankAccountService.removeAccount(req.user.sub, req.params.accountId);
+
+    res.json({
+      success: true,
+      data: { message: 'Bank account removed' },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/payments/commission/earnings
  * @desc    Get commission earnings for company
@@ -499,7 +691,19 @@ router.get('/invoices',
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100')
+      .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Invalid cursor'),
+    query('pagination')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
+      .optional()
+      .isBoolean()
+      .withMessage('include_total must be boolean')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
@@ -509,39 +713,55 @@ router.get('/invoices',
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
+    const cursorMode = isCursorMode(req.query);
+
+    // Get total count (optional for cursor pages)
+    let total = null;
+    if (!cursorMode || req.query.include_total === 'true') {
+      const countQuery = 'SELECT COUNT(*) as total FROM invoices WHERE company_id = $1';
+      const countResult = await query(countQuery, [companyId]);
+      total = parseInt(countResult.rows[0].total);
+    }
 
-    // Get total count
-    const countQuery = 'SELECT COUNT(*) as total FROM invoices WHERE company_id = $1';
-    const countResult = await query(countQuery, [companyId]);
-    const total = parseInt(countResult.rows[0].total);
+    const keyset = cursorMode
+      ? buildKeyset({
+        cursor: req.query.cursor,
+        sortField: 'created_at',
+        sortExpression: 'created_at',
+        sortType: 'timestamp',
+        idExpression: 'id',
+        paramIndex: 2
+      })
+      : null;
+
+    const pageQuery = buildPageQuery({
+      keyset,
+      conditions: ['company_id = $1'],
+      params: [companyId],
+      orderBy: 'created_at DESC',
+      paramIndex: 2,
+      limit,
+      offset
+    });
 
     // Get invoices
     const invoicesQuery = `
       SELECT 
         id, invoice_number, amount, gst_amount, net_amount,
-        from_date, to_date, pdf_url, created_at
+        from_date, to_date, pdf_url, created_at${pageQuery.keyColumn}
       FROM invoices
-      WHERE company_id = $1
-      ORDER BY created_at DESC
-      LIMIT $2 OFFSET $3
+      WHERE ${pageQuery.whereClause}
+      ${pageQuery.pageClause}
     `;
 
-    const invoicesResult = await query(invoicesQuery, [companyId, limit, offset]);
-
-    const totalPages = Math.ceil(total / limit);
+    const invoicesResult = await query(invoicesQuery, pageQuery.params);
+    const { items, pagination } = buildPage(invoicesResult.rows, { keyset, page, limit, total });
 
     res.json({
       success: true,
       data: {
-        invoices: invoicesResult.rows,
-        pagination: {
-          current_page: page,
-          total_pages: totalPages,
-          total_items: total,
-          items_per_page: limit,
-          has_next: page < totalPages,
-          has_prev: page > 1
-        }
+        invoices: items,
+        pagination
       },
       meta: {
         timestamp: new Date().toISOString(),
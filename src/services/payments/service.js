@@ -3,7 +3,9 @@ const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { query, withTransaction } = require('../../database/connection');
 const { cacheService } = require('../../cache/redis');
+const bankAccountService = require('./bankAccountService');
 const logger = require('../../utils/logger');
+const { isCursorMode, buildKeyset, buildPageQuery, buildPage } = require('../../utils/pagination');
 const {
   ValidationError,
   ConflictError,
@@ -388,7 +390,7 @@ class PaymentService {
   /**
    * Get payment history for company
    * @param {string} companyId - Company ID
-   * @param {Object} filters - Filter options
+   * @param {Object} filters - Filter options, plus cursor/pagination/include_total for keyset pages
    * @returns {Object} Payment history with pagination
    */
   async getPaymentHistory(companyId, filters = {}) {
@@ -398,9 +400,12 @@ class PaymentService {
       status,
       payment_type,
       from_date,
-      to_date
+      to_date,
+      cursor,
+      include_total
     } = filters;
 
+    const cursorMode = isCursorMode(filters);
     const offset = (page - 1) * limit;
     let whereConditions = ['company_id = $1'];
     let queryParams = [companyId];
@@ -433,41 +438,55 @@ class PaymentService {
 
     const whereClause = whereConditions.join(' AND ');
 
-    // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM payments WHERE ${whereClause}`;
-    const countResult = await query(countQuery, queryParams);
-    const total = parseInt(countResult.rows[0].total);
+    // Get total count (optional for cursor pages)
+    let total = null;
+    if (!cursorMode || include_total) {
+      const countQuery = `SELECT COUNT(*) as total FROM payments WHERE ${whereClause}`;
+      const countResult = await query(countQuery, queryParams);
+      total = parseInt(countResult.rows[0].total);
+    }
+
+    const keyset = cursorMode
+      ? buildKeyset({
+        cursor,
+        sortField: 'created_at',
+        sortExpression: 'created_at',
+        sortType: 'timestamp',
+        idExpression: 'id',
+        paramIndex
+      })
+      : null;
+
+    const pageQuery = buildPageQuery({
+      keyset,
+      conditions: whereConditions,
+      params: queryParams,
+      orderBy: 'created_at DESC',
+      paramIndex,
+      limit,
+      offset
+    });
 
     // Get payments
     const paymentsQuery = `
       SELECT 
         id, razorpay_order_id, razorpay_payment_id, payment_type,
         amount, currency, status, payment_method, customer_email,
-        created_at, updated_at, metadata
+        created_at, updated_at, metadata${pageQuery.keyColumn}
       FROM payments
-      WHERE ${whereClause}
-      ORDER BY created_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      WHERE ${pageQuery.whereClause}
+      ${pageQuery.pageClause}
     `;
 
-    queryParams.push(limit, offset);
-    const paymentsResult = await query(paymentsQuery, queryParams);
-
-    const totalPages = Math.ceil(total / limit);
+    const paymentsResult = await query(paymentsQuery, pageQuery.params);
+    const { items, pagination } = buildPage(paymentsResult.rows, { keyset, page, limit, total });
 
     return {
-      payments: paymentsResult.rows.map(payment => ({
+      payments: items.map(payment => ({
         ...payment,
         metadata: payment.metadata ? JSON.parse(payment.metadata) : null
       })),
-      pagination: {
-        current_page: page,
-        total_pages: totalPages,
-        total_items: total,
-        items_per_page: limit,
-        has_next: page < totalPages,
-        has_prev: page > 1
-      }
+      pagination
     };
   }
 
@@ -535,11 +554,11 @@ class PaymentService {
    * @returns {Object} Payout details
    */
   async createPayout(companyId, amount, periodStart, periodEnd) {
-    // Get company bank account
+    // Get company's primary bank account
     const bankAccountResult = await query(
       `SELECT ba.* FROM bank_accounts ba
-       WHERE ba.company_id = $1 AND ba.is_verified = true
-       ORDER BY ba.created_at DESC
+       WHERE ba.company_id = $1 AND ba.is_verified = true AND ba.removed_at IS NULL
+       ORDER BY ba.is_primary DESC, ba.created_at DESC
        LIMIT 1`,
       [companyId]
     );
@@ -589,7 +608,7 @@ class PaymentService {
   async processPayout(payoutId) {
     // Get payout details
     const payoutResult = await query(
-      `SELECT p.*, ba.account_number, ba.account_holder_name, ba.ifsc_code
+      `SELECT p.*, ba.account_holder_name, ba.ifsc_code
        FROM payouts p
        JOIN bank_accounts ba ON p.bank_account_id = ba.id
        WHERE p.id = $1 AND p.status = 'pending'`,
@@ -602,10 +621,15 @@ class PaymentService {
 
     const payout = payoutResult.rows[0];
 
+    const bankAccountResult = await query(
+      'SELECT * FROM bank_accounts WHERE id = $1',
+      [payout.bank_account_id]
+    );
+
     try {
       // Create Razorpay payout
       const razorpayPayout = await this.razorpay.payouts.create({
-        account_number: payout.account_number,
+        account_number: bankAccountService.getAccountNumber(bankAccountResult.rows[0]),
         fund_account_id: null, // Will be created if needed
         amount: Math.round(payout.amount * 100), // Convert to paise
         currency: 'INR',
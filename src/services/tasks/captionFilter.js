@@ -0,0 +1,91 @@
+// Baseline profanity list; extend per deployment with MEME_CAPTION_BLOCKLIST
+const DEFAULT_BLOCKLIST = [
+  'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+  'asshole', 'ass', 'dick', 'cock', 'pussy', 'cunt', 'whore', 'slut', 'wanker', 'twat',
+  'nigger', 'nigga', 'faggot', 'fag', 'retard', 'rape', 'rapist',
+  'chutiya', 'bhenchod', 'behenchod', 'madarchod', 'bhosdike', 'gaand', 'randi', 'harami'
+];
+
+// Common character substitutions used to dodge filters
+const SUBSTITUTIONS = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  '@': 'a',
+  $: 's'
+};
+
+class CaptionFilter {
+  constructor() {
+    const extra = (process.env.MEME_CAPTION_BLOCKLIST || '')
+      .split(',')
+      .map(term => term.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.blocklist = new Set([...DEFAULT_BLOCKLIST, ...extra]);
+  }
+
+  /**
+   * Find blocked terms in a caption
+   * @param {string} text - Caption text
+   * @returns {Array} Blocked terms found
+   */
+  findBlockedTerms(text) {
+    const normalized = this.normalize(text);
+    const tokens = normalized.split(' ').filter(Boolean);
+    const found = new Set();
+
+    for (const token of tokens) {
+      // Catch stretched spellings like "shiiit"
+      const variants = [token, token.replace(/(.)\1+/g, '$1'), token.replace(/(.)\1{2,}/g, '$1$1')];
+      for (const variant of variants) {
+        if (this.blocklist.has(variant)) found.add(variant);
+      }
+    }
+
+    // Catch spaced-out spellings like "f u c k"
+    let run = '';
+    for (const token of [...tokens, '']) {
+      if (token.length === 1) {
+        run += token;
+        continue;
+      }
+
+      if (run.length >= 3) {
+        for (const term of this.blocklist) {
+          if (run.includes(term)) found.add(term);
+        }
+      }
+      run = '';
+    }
+
+    return [...found];
+  }
+
+  /**
+   * Check whether a caption passes the filter
+   * @param {string} text - Caption text
+   * @returns {boolean}
+   */
+  isAllowed(text) {
+    return this.findBlockedTerms(text).length === 0;
+  }
+
+  /**
+   * Normalize text for matching
+   * @param {string} text - Raw text
+   * @returns {string} Lowercase words separated by single spaces
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[013457@$]/g, char => SUBSTITUTIONS[char] || char)
+      .replace(/[^a-z]+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new CaptionFilter();
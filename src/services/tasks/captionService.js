@@ -0,0 +1,430 @@
+const { query, withTransaction } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const taskService = require('./service');
+const memeGenerator = require('./memeGenerator');
+const captionFilter = require('./captionFilter');
+const feedService = require('./feedService');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  ForbiddenError,
+  GoneError
+} = require('../../middleware/errorHandler');
+
+class CaptionService {
+  /**
+   * Submit caption for a meme task
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {string} caption - Caption text
+   * @returns {Object} Created caption
+   */
+  async submitCaption(taskId, userId, caption) {
+    const task = await this.getMemeTask(taskId);
+
+    if (task.status !== 'active') {
+      throw new NotFoundError('Task not found or not active');
+    }
+
+    if (task.expires_at && new Date() > new Date(task.expires_at)) {
+      throw new GoneError('Task has expired');
+    }
+
+    if (taskService.isRewardInventoryExhausted(task)) {
+      throw new GoneError('All rewards for this task have been claimed');
+    }
+
+    const text = (caption || '').trim().replace(/\s+/g, ' ');
+    const maxLength = task.puzzle_config.caption_max_length || memeGenerator.captionMaxLength;
+
+    if (text.length < 3 || text.length > maxLength) {
+      throw new ValidationError(`Caption must be between 3 and ${maxLength} characters`);
+    }
+
+    if (!captionFilter.isAllowed(text)) {
+      logger.security('Blocked meme caption', { taskId, userId });
+      throw new ValidationError('Caption contains language that is not allowed');
+    }
+
+    const existing = await query(
+      'SELECT id FROM meme_captions WHERE task_id = $1 AND user_id = $2',
+      [taskId, userId]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new ConflictError('You have already submitted a caption for this task');
+    }
+
+    const result = await query(
+      `INSERT INTO meme_captions (task_id, user_id, caption)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [taskId, userId, text]
+    );
+
+    const created = result.rows[0];
+
+    // Entering a caption takes the task out of the player's feed
+    await feedService.invalidate(userId);
+
+    logger.business('Meme caption submitted', {
+      captionId: created.id,
+      taskId,
+      userId
+    });
+
+    return created;
+  }
+
+  /**
+   * List approved captions for a meme task
+   * @param {string} taskId - Task ID
+   * @param {Object} filters - { page, limit }
+   * @returns {Object} Captions with pagination
+   */
+  async listCaptions(taskId, filters = {}) {
+    const task = await this.getMemeTask(taskId);
+    const orderBy = task.puzzle_config.rank_by_upvotes
+      ? 'mc.upvote_count DESC, mc.created_at ASC'
+      : 'mc.reviewed_at DESC';
+
+    return this.queryCaptions(taskId, ['approved', 'winner'], orderBy, filters);
+  }
+
+  /**
+   * List captions awaiting or past company review
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @param {Object} filters - { status, page, limit }
+   * @returns {Object} Captions with pagination
+   */
+  async listReviewQueue(taskId, companyId, filters = {}) {
+    await this.getMemeTask(taskId, companyId);
+
+    const { status = 'pending' } = filters;
+    return this.queryCaptions(taskId, [status], 'mc.created_at ASC', filters);
+  }
+
+  /**
+   * Approve or reject a caption
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @param {string} captionId - Caption ID
+   * @param {Object} review - { decision, reason }
+   * @returns {Object} Reviewed caption (with attempt when a reward was issued)
+   */
+  async reviewCaption(taskId, companyId, captionId, review) {
+    const { decision, reason } = review;
+    const task = await this.getMemeTask(taskId, companyId);
+    const caption = await this.getCaption(taskId, captionId);
+
+    if (caption.status !== 'pending') {
+      throw new ConflictError('Caption has already been reviewed');
+    }
+
+    if (decision === 'reject') {
+      const result = await query(
+        `UPDATE meme_captions
+         SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND status = 'pending'
+         RETURNING *`,
+        [reason || null, companyId, captionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new ConflictError('Caption has already been reviewed');
+      }
+
+      logger.business('Meme caption rejected', { captionId, taskId, companyId });
+
+      return result.rows[0];
+    }
+
+    const renderedImageUrl = await memeGenerator.renderCaption(task.puzzle_config, caption.caption);
+
+    // Without upvote ranking, approval wins the reward straight away. Both happen
+    // together, so a failed award leaves the caption pending to be reviewed again.
+    const reviewed = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE meme_captions
+         SET status = 'approved', rendered_image_url = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND status = 'pending'
+         RETURNING *`,
+        [renderedImageUrl, companyId, captionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new ConflictError('Caption has already been reviewed');
+      }
+
+      return task.puzzle_config.rank_by_upvotes
+        ? result.rows[0]
+        : this.awardCaption(client, task, result.rows[0]);
+    });
+
+    logger.business('Meme caption approved', { captionId, taskId, companyId });
+
+    if (reviewed.attempt) {
+      await this.afterAward(task, [reviewed]);
+    }
+
+    return reviewed;
+  }
+
+  /**
+   * Upvote an approved caption
+   * @param {string} taskId - Task ID
+   * @param {string} captionId - Caption ID
+   * @param {string} userId - Voting user ID
+   * @returns {Object} { id, upvote_count }
+   */
+  async upvoteCaption(taskId, captionId, userId) {
+    const task = await this.getMemeTask(taskId);
+
+    if (!task.puzzle_config.rank_by_upvotes) {
+      throw new ForbiddenError('Upvoting is not enabled for this task');
+    }
+
+    if (task.status !== 'active') {
+      throw new NotFoundError('Task not found or not active');
+    }
+
+    const caption = await this.getCaption(taskId, captionId);
+
+    if (caption.status !== 'approved') {
+      throw new ValidationError('Only approved captions can be upvoted');
+    }
+
+    if (caption.user_id === userId) {
+      throw new ForbiddenError('You cannot upvote your own caption');
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const vote = await client.query(
+        `INSERT INTO meme_caption_votes (caption_id, user_id)
+         VALUES ($1, $2)
+         ON CONFLICT (caption_id, user_id) DO NOTHING
+         RETURNING caption_id`,
+        [captionId, userId]
+      );
+
+      if (vote.rows.length === 0) {
+        throw new ConflictError('You have already upvoted this caption');
+      }
+
+      const result = await client.query(
+        `UPDATE meme_captions
+         SET upvote_count = upvote_count + 1
+         WHERE id = $1
+         RETURNING id, upvote_count`,
+        [captionId]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.business('Meme caption upvoted', { captionId, taskId, userId });
+
+    return updated;
+  }
+
+  /**
+   * Award rewards to the most upvoted approved captions
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @param {number} winnerCount - Number of winners (defaults to task config)
+   * @returns {Object} { winners }
+   */
+  async awardTopCaptions(taskId, companyId, winnerCount = null) {
+    const task = await this.getMemeTask(taskId, companyId);
+
+    if (!task.puzzle_config.rank_by_upvotes) {
+      throw new ValidationError('Captions on this task are awarded when approved');
+    }
+
+    const limit = winnerCount || task.puzzle_config.winner_count || 1;
+
+    const result = await query(
+      `SELECT * FROM meme_captions
+       WHERE task_id = $1 AND status = 'approved'
+       ORDER BY upvote_count DESC, created_at ASC
+       LIMIT $2`,
+      [taskId, limit]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ValidationError('No approved captions to award');
+    }
+
+    const winners = [];
+    for (const caption of result.rows) {
+      winners.push(await withTransaction(client => this.awardCaption(client, task, caption)));
+    }
+
+    await this.afterAward(task, winners);
+
+    logger.business('Meme captions awarded', {
+      taskId,
+      companyId,
+      winners: winners.map(winner => winner.id)
+    });
+
+    return { winners };
+  }
+
+  /**
+   * Issue the task reward for a caption and mark it as a winner. Winners are
+   * often picked after the contest closes, so the task may have expired.
+   * @param {Object} client - Transaction client
+   * @param {Object} task - Meme task owned by the awarding company
+   * @param {Object} caption - Approved caption
+   * @returns {Object} Winning caption with recorded attempt
+   */
+  async awardCaption(client, task, caption) {
+    if (!['active', 'expired'].includes(task.status)) {
+      throw new GoneError('Task is no longer available');
+    }
+
+    const existingAttempt = await client.query(
+      'SELECT id FROM task_attempts WHERE task_id = $1 AND user_id = $2',
+      [task.id, caption.user_id]
+    );
+
+    if (existingAttempt.rows.length > 0) {
+      throw new ConflictError('Caption author has already been rewarded for this task');
+    }
+
+    const submittedAt = new Date(caption.created_at).getTime();
+
+    const { attempt, reward } = await taskService.insertAttempt(client, task, caption.user_id, {
+      is_successful: true,
+      time_taken_seconds: Math.max(1, Math.round((Date.now() - submittedAt) / 1000)),
+      started_at: submittedAt
+    });
+
+    const result = await client.query(
+      `UPDATE meme_captions SET status = 'winner'
+       WHERE id = $1 AND status = 'approved'
+       RETURNING *`,
+      [caption.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ConflictError('Caption has already been awarded');
+    }
+
+    return {
+      ...result.rows[0],
+      attempt: { ...attempt, reward }
+    };
+  }
+
+  /**
+   * Clear caches once awards are committed
+   * @param {Object} task - Meme task
+   * @param {Array} winners - Awarded captions
+   */
+  async afterAward(task, winners) {
+    await cacheService.del(`task:${task.id}`);
+
+    for (const winner of winners) {
+      await feedService.invalidate(winner.user_id);
+    }
+  }
+
+  /**
+   * Load meme task, optionally checking ownership
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Owning company ID (optional)
+   * @returns {Object} Task with parsed puzzle config
+   */
+  async getMemeTask(taskId, companyId = null) {
+    const result = await query('SELECT * FROM tasks WHERE id = $1', [taskId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Task not found');
+    }
+
+    const task = result.rows[0];
+
+    if (companyId && task.company_id !== companyId) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    if (task.task_type !== 'meme' || !task.puzzle_config) {
+      throw new ValidationError('Task is not a meme caption challenge');
+    }
+
+    task.puzzle_config = taskService.parsePuzzleConfig(task.puzzle_config);
+    return task;
+  }
+
+  /**
+   * Load caption belonging to a task
+   * @param {string} taskId - Task ID
+   * @param {string} captionId - Caption ID
+   * @returns {Object} Caption
+   */
+  async getCaption(taskId, captionId) {
+    const result = await query(
+      'SELECT * FROM meme_captions WHERE id = $1 AND task_id = $2',
+      [captionId, taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Caption not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Query captions with pagination
+   * @param {string} taskId - Task ID
+   * @param {Array} statuses - Caption statuses to include
+   * @param {string} orderBy - ORDER BY clause (trusted)
+   * @param {Object} filters - { page, limit }
+   * @returns {Object} Captions with pagination
+   */
+  async queryCaptions(taskId, statuses, orderBy, filters = {}) {
+    const { page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM meme_captions WHERE task_id = $1 AND status = ANY($2)',
+      [taskId, statuses]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await query(
+      `SELECT mc.id, mc.caption, mc.status, mc.upvote_count, mc.rendered_image_url,
+              mc.rejection_reason, mc.created_at, mc.reviewed_at,
+              u.id as user_id, up.first_name, up.avatar_url
+       FROM meme_captions mc
+       JOIN users u ON mc.user_id = u.id
+       LEFT JOIN user_profiles up ON u.id = up.user_id
+       WHERE mc.task_id = $1 AND mc.status = ANY($2)
+       ORDER BY ${orderBy}
+       LIMIT $3 OFFSET $4`,
+      [taskId, statuses, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      captions: result.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = new CaptionService();
@@ -0,0 +1,208 @@
+const { query } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const taskService = require('./service');
+const logger = require('../../utils/logger');
+
+// Relative weight of each ranking signal; scores fall roughly between 0 and 1
+const WEIGHTS = {
+  task_type: 0.3,
+  difficulty: 0.2,
+  city: 0.2,
+  state: 0.1,
+  featured: 0.15,
+  freshness: 0.25
+};
+
+/**
+ * Ranks active tasks for a player from their attempt history and location.
+ * The ranked feed is cached per player and dropped when they attempt a task.
+ */
+class FeedService {
+  constructor() {
+    this.feedSize = parseInt(process.env.FEED_SIZE) || 100;
+    this.cacheTTL = parseInt(process.env.FEED_CACHE_TTL_SECONDS) || 300;
+    this.freshnessHalfLifeDays = parseFloat(process.env.FEED_FRESHNESS_HALF_LIFE_DAYS) || 3;
+  }
+
+  /**
+   * Get a page of the player's personalised feed
+   * @param {string} userId - Player ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Tasks with pagination
+   */
+  async getFeed(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const cacheKey = this.getCacheKey(userId);
+
+    let feed = await cacheService.get(cacheKey);
+
+    if (!feed) {
+      feed = await this.buildFeed(userId);
+      await cacheService.set(cacheKey, feed, this.cacheTTL);
+    }
+
+    const offset = (page - 1) * limit;
+
+    return {
+      tasks: feed.tasks.slice(offset, offset + limit),
+      pagination: taskService.buildPagination(page, limit, feed.tasks.length),
+      generated_at: feed.generated_at
+    };
+  }
+
+  /**
+   * Drop a player's cached feed
+   * @param {string} userId - Player ID
+   */
+  async invalidate(userId) {
+    await cacheService.del(this.getCacheKey(userId));
+  }
+
+  /**
+   * Cache key for a player's feed
+   * @param {string} userId - Player ID
+   * @returns {string} Cache key
+   */
+  getCacheKey(userId) {
+    return `feed:${userId}`;
+  }
+
+  /**
+   * Rank active tasks the player hasn't attempted yet
+   * @param {string} userId - Player ID
+   * @returns {Object} { tasks, generated_at }
+   */
+  async buildFeed(userId) {
+    const [preferences, profile] = await Promise.all([
+      this.getPreferences(userId),
+      this.getLocation(userId)
+    ]);
+
+    const { whereConditions, queryParams, paramIndex } = taskService.buildTaskFilters({ status: 'active' });
+    const p = (offset) => `$${paramIndex + offset}`;
+
+    queryParams.push(
+      userId,
+      JSON.stringify(preferences.task_types),
+      JSON.stringify(preferences.difficulties),
+      profile.city,
+      profile.state,
+      this.freshnessHalfLifeDays,
+      this.feedSize
+    );
+
+    // Tasks the player has played or entered a caption for are left out
+    whereConditions.push(`NOT EXISTS (
+      SELECT 1 FROM task_attempts ta WHERE ta.task_id = t.id AND ta.user_id = ${p(0)}
+    )`);
+    whereConditions.push(`NOT EXISTS (
+      SELECT 1 FROM meme_captions mc WHERE mc.task_id = t.id AND mc.user_id = ${p(0)}
+    )`);
+
+    // Local if the company or one of its stores is in the player's city; the
+    // state is only matched against addresses since companies don't record one
+    const inCity = `(cp.city ILIKE ${p(3)} OR EXISTS (
+      SELECT 1 FROM store_locations sl
+      WHERE sl.company_id = t.company_id AND sl.is_active = true AND sl.city ILIKE ${p(3)}
+    ))`;
+    const inState = `(cp.registered_address ILIKE '%' || ${p(4)} || '%' OR EXISTS (
+      SELECT 1 FROM store_locations sl
+      WHERE sl.company_id = t.company_id AND sl.is_active = true AND sl.address ILIKE '%' || ${p(4)} || '%'
+    ))`;
+
+    const score = `(
+      ${WEIGHTS.task_type} * COALESCE((${p(1)}::jsonb ->> t.task_type)::float, 0) +
+      ${WEIGHTS.difficulty} * COALESCE((${p(2)}::jsonb ->> t.difficulty)::float, 0) +
+      ${WEIGHTS.city} * (CASE WHEN ${p(3)}::text IS NOT NULL AND ${inCity} THEN 1 ELSE 0 END) +
+      ${WEIGHTS.state} * (CASE WHEN ${p(4)}::text IS NOT NULL AND ${inState} THEN 1 ELSE 0 END) +
+      ${WEIGHTS.featured} * (CASE WHEN t.is_featured = true AND t.featured_until > CURRENT_TIMESTAMP THEN 1 ELSE 0 END) +
+      ${WEIGHTS.freshness} * POWER(0.5, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(t.starts_at, t.created_at))) / 86400 / ${p(5)}::float)
+    )`;
+
+    const result = await query(
+      `SELECT
+        ${taskService.taskListColumns()},
+        ROUND(${score}::numeric, 4) as feed_score
+       FROM tasks t
+       JOIN users u ON t.company_id = u.id
+       LEFT JOIN company_profiles cp ON u.id = cp.user_id
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY feed_score DESC, t.created_at DESC
+       LIMIT ${p(6)}`,
+      queryParams
+    );
+
+    logger.info('Task feed built', {
+      userId,
+      tasks: result.rows.length,
+      attempts: preferences.attempts
+    });
+
+    return {
+      tasks: result.rows,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Share of the player's attempts per task type and difficulty; wins count double
+   * @param {string} userId - Player ID
+   * @returns {Object} { task_types, difficulties, attempts }
+   */
+  async getPreferences(userId) {
+    const result = await query(
+      `SELECT t.task_type, t.difficulty,
+              COUNT(*) as attempts,
+              COUNT(*) FILTER (WHERE ta.is_successful = true) as successes
+       FROM task_attempts ta
+       JOIN tasks t ON ta.task_id = t.id
+       WHERE ta.user_id = $1
+       GROUP BY t.task_type, t.difficulty`,
+      [userId]
+    );
+
+    const taskTypes = {};
+    const difficulties = {};
+    let attempts = 0;
+    let total = 0;
+
+    for (const row of result.rows) {
+      const weight = parseInt(row.attempts) + parseInt(row.successes);
+      taskTypes[row.task_type] = (taskTypes[row.task_type] || 0) + weight;
+      difficulties[row.difficulty] = (difficulties[row.difficulty] || 0) + weight;
+      attempts += parseInt(row.attempts);
+      total += weight;
+    }
+
+    const normalize = (counts) => Object.fromEntries(
+      Object.entries(counts).map(([key, count]) => [key, Math.round((count / total) * 1000) / 1000])
+    );
+
+    return {
+      task_types: total > 0 ? normalize(taskTypes) : {},
+      difficulties: total > 0 ? normalize(difficulties) : {},
+      attempts
+    };
+  }
+
+  /**
+   * Player's city and state from their profile
+   * @param {string} userId - Player ID
+   * @returns {Object} { city, state }
+   */
+  async getLocation(userId) {
+    const result = await query(
+      'SELECT city, state FROM user_profiles WHERE user_id = $1',
+      [userId]
+    );
+
+    const profile = result.rows[0] || {};
+
+    return {
+      city: profile.city?.trim() || null,
+      state: profile.state?.trim() || null
+    };
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,245 @@
+const { v4: uuidv4 } = require('uuid');
+const { cacheService } = require('../../cache/redis');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const QUEUE_NAME = 'queue:puzzle_generation';
+
+/**
+ * Redis queue of puzzle generation jobs. Jobs are pushed on the left of a list
+ * and moved from the right into a processing list while they run, with a lease
+ * that expires after the visibility timeout; jobs whose worker died are picked
+ * up again once their lease runs out. Failed jobs wait out their backoff in a
+ * sorted set keyed by run_at.
+ */
+class GenerationQueue {
+  constructor() {
+    this.queueName = QUEUE_NAME;
+    this.processingName = `${QUEUE_NAME}:processing`;
+    this.leasesName = `${QUEUE_NAME}:leases`;
+    this.delayedName = `${QUEUE_NAME}:delayed`;
+    this.maxAttempts = parseInt(process.env.PUZZLE_JOB_MAX_ATTEMPTS) || 3;
+    this.backoffMs = parseInt(process.env.PUZZLE_JOB_BACKOFF_MS) || 5000;
+    this.visibilityTimeoutMs = parseInt(process.env.PUZZLE_JOB_VISIBILITY_TIMEOUT_MS) || 10 * 60 * 1000;
+  }
+
+  /**
+   * Build a new job for a task
+   * @param {string} taskId - Task ID
+   * @param {string} jobId - Job ID (matches the task's generation_job)
+   * @returns {Object} Job { id, task_id, attempts, max_attempts, run_at, queued_at }
+   */
+  createJob(taskId, jobId = uuidv4()) {
+    const now = Date.now();
+
+    return {
+      id: jobId,
+      task_id: taskId,
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      run_at: now,
+      queued_at: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Add job to the queue
+   * @param {Object} job - Job from createJob()
+   * @returns {Object} Queued job
+   */
+  async enqueue(job) {
+    const queued = await cacheService.pushToQueue(this.queueName, job);
+
+    if (!queued) {
+      throw new Error('Failed to queue puzzle generation job');
+    }
+
+    logger.info('Puzzle generation job queued', {
+      jobId: job.id,
+      taskId: job.task_id,
+      attempts: job.attempts
+    });
+
+    return job;
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return this.backoffMs * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Whether a failed job should be tried again
+   * @param {Object} job - Job after the failed attempt
+   * @param {Error} error - Failure
+   * @returns {boolean}
+   */
+  shouldRetry(job, error) {
+    // Bad input (e.g. an unreadable image) fails the same way every time
+    return !(error instanceof ValidationError) && job.attempts < job.max_attempts;
+  }
+
+  /**
+   * Hold a failed job until its retry is due
+   * @param {Object} job - Job with its next run_at
+   * @returns {Object} Scheduled job
+   */
+  async schedule(job) {
+    const scheduled = await cacheService.scheduleQueueItem(this.delayedName, job, job.run_at);
+
+    if (!scheduled) {
+      throw new Error('Failed to schedule puzzle generation retry');
+    }
+
+    return job;
+  }
+
+  /**
+   * Move retries whose backoff has passed onto the queue
+   * @returns {number} Jobs moved
+   */
+  async promoteDueJobs() {
+    const due = await cacheService.takeDueQueueItems(this.delayedName, Date.now());
+
+    for (const job of due) {
+      await this.enqueue(job);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Fail or retry jobs whose worker stopped before finishing them
+   * @param {Function} onFailure - Failure handler, as for processNext
+   * @returns {number} Jobs recovered
+   */
+  async recoverStalledJobs(onFailure) {
+    const now = Date.now();
+    let recovered = 0;
+
+    for (const job of await cacheService.getQueueItems(this.processingName)) {
+      const leaseUntil = await cacheService.getHashField(this.leasesName, job.id);
+
+      if (leaseUntil === null) {
+        // Claimed a moment ago and its lease isn't written yet
+        await cacheService.setHashField(this.leasesName, job.id, now + this.visibilityTimeoutMs, true);
+        continue;
+      }
+
+      if (Number(leaseUntil) > now) {
+        continue;
+      }
+
+      // Another worker may have finished or recovered it in the meantime
+      if (await cacheService.removeQueueItem(this.processingName, job) !== 1) {
+        continue;
+      }
+
+      await cacheService.deleteHashField(this.leasesName, job.id);
+      recovered++;
+
+      // The lost run counts, so a job that keeps killing its worker still gives up
+      await this.handleFailure(
+        { ...job, attempts: job.attempts + 1 },
+        new Error('Puzzle worker stopped before the job finished'),
+        onFailure
+      );
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Claim and run the next job
+   * @param {Object} handlers - { process(job), onFailure(job, error, retryAt) }
+   * @returns {string|null} 'completed' | 'retrying' | 'failed', or null when no job is due
+   */
+  async processNext({ process, onFailure }) {
+    await this.promoteDueJobs();
+    await this.recoverStalledJobs(onFailure);
+
+    const claimed = await cacheService.moveQueueItem(this.queueName, this.processingName);
+
+    if (!claimed) {
+      return null;
+    }
+
+    await cacheService.setHashField(this.leasesName, claimed.id, Date.now() + this.visibilityTimeoutMs);
+
+    const job = { ...claimed, attempts: claimed.attempts + 1 };
+    let outcome;
+
+    try {
+      await process(job);
+
+      logger.info('Puzzle generation job completed', {
+        jobId: job.id,
+        taskId: job.task_id,
+        attempts: job.attempts
+      });
+
+      outcome = 'completed';
+    } catch (error) {
+      outcome = await this.handleFailure(job, error, onFailure);
+    }
+
+    // Released only once the outcome is stored; if that throws, the lease runs out and the job is recovered
+    await cacheService.removeQueueItem(this.processingName, claimed);
+    await cacheService.deleteHashField(this.leasesName, claimed.id);
+
+    return outcome;
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry if one is left
+   * @param {Object} job - Job after the failed attempt
+   * @param {Error} error - Failure
+   * @param {Function} onFailure - Failure handler
+   * @returns {string} 'retrying' | 'failed'
+   */
+  async handleFailure(job, error, onFailure) {
+    const retry = this.shouldRetry(job, error);
+    const retryAt = retry ? new Date(Date.now() + this.getBackoffDelay(job.attempts)) : null;
+
+    logger.error('Puzzle generation job failed:', {
+      jobId: job.id,
+      taskId: job.task_id,
+      attempts: job.attempts,
+      retryAt,
+      error: error.message
+    });
+
+    try {
+      await onFailure(job, error, retryAt);
+    } catch (failureError) {
+      // Still schedule the retry below so a database hiccup doesn't drop the job
+      logger.error('Failed to record puzzle generation failure:', failureError);
+    }
+
+    if (retry) {
+      await this.schedule({ ...job, run_at: retryAt.getTime() });
+      return 'retrying';
+    }
+
+    return 'failed';
+  }
+
+  /**
+   * Number of jobs waiting (including those in backoff)
+   * @returns {number}
+   */
+  async getLength() {
+    const [queued, delayed] = await Promise.all([
+      cacheService.getQueueLength(this.queueName),
+      cacheService.getScheduledLength(this.delayedName)
+    ]);
+
+    return queued + delayed;
+  }
+}
+
+module.exports = new GenerationQueue();
@@ -0,0 +1,249 @@
+const sharp = require('sharp');
+
+const ANALYSIS_SIZE = 120;
+const SIGNATURE_SIZE = 6;
+const EDGE_THRESHOLD = 48; // Sobel magnitude counted as an edge
+const EDGE_DENSITY_CAP = 0.3; // Busy photos rarely exceed this
+const HISTOGRAM_LEVELS = 8; // Per channel, 512 bins in total
+const REPEAT_THRESHOLD = 8; // Mean grey difference below which two pieces look the same
+
+// Share of look-alike pieces tolerated before warning, by maximum piece count
+const REPETITION_LIMITS = [[9, 0.5], [16, 0.35], [Infinity, 0.25]];
+
+/**
+ * Scores how hard an image is to piece back together. A high score means
+ * lots of distinct detail (easy to place pieces); a low score means flat or
+ * repetitive areas such as sky, walls or water (pieces look alike).
+ */
+class ImageComplexity {
+  /**
+   * Analyze image complexity
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} grid - { rows, cols }
+   * @returns {Object} { score, level, edge_density, color_entropy, texture_repetition, analyzed_at }
+   */
+  async analyze(imageBuffer, grid) {
+    const resized = sharp(imageBuffer).resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'fill' });
+
+    const [grey, rgb] = await Promise.all([
+      resized.clone().greyscale().raw().toBuffer({ resolveWithObject: true }),
+      resized.clone().removeAlpha().raw().toBuffer({ resolveWithObject: true })
+    ]);
+
+    const { width, height } = grey.info;
+
+    const metrics = {
+      edge_density: this.computeEdgeDensity(grey.data, width, height),
+      color_entropy: this.computeColorEntropy(rgb.data, rgb.info.channels),
+      texture_repetition: this.computeTextureRepetition(
+        this.computePieceSignatures(grey.data, width, height, grid.rows, grid.cols)
+      )
+    };
+
+    const score = this.scoreComplexity(metrics);
+
+    return {
+      score,
+      level: this.getLevel(score),
+      ...metrics,
+      analyzed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Share of pixels on an edge (Sobel operator)
+   * @param {Buffer} grey - Greyscale pixels
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {number} Edge density 0-1
+   */
+  computeEdgeDensity(grey, width, height) {
+    let edges = 0;
+    let total = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const at = (dx, dy) => grey[(y + dy) * width + (x + dx)];
+
+        const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+        const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+
+        if (Math.hypot(gx, gy) > EDGE_THRESHOLD) edges++;
+        total++;
+      }
+    }
+
+    return total > 0 ? this.round(edges / total) : 0;
+  }
+
+  /**
+   * Normalized Shannon entropy of the color histogram
+   * @param {Buffer} pixels - Raw RGB(A) pixels
+   * @param {number} channels - Channels per pixel
+   * @returns {number} Entropy 0-1
+   */
+  computeColorEntropy(pixels, channels = 3) {
+    const bucketSize = 256 / HISTOGRAM_LEVELS;
+    const histogram = new Map();
+    let total = 0;
+
+    for (let i = 0; i + 2 < pixels.length; i += channels) {
+      const bin = Math.floor(pixels[i] / bucketSize) * HISTOGRAM_LEVELS * HISTOGRAM_LEVELS +
+        Math.floor(pixels[i + 1] / bucketSize) * HISTOGRAM_LEVELS +
+        Math.floor(pixels[i + 2] / bucketSize);
+
+      histogram.set(bin, (histogram.get(bin) || 0) + 1);
+      total++;
+    }
+
+    if (total === 0) return 0;
+
+    let entropy = 0;
+    for (const count of histogram.values()) {
+      const p = count / total;
+      entropy -= p * Math.log2(p);
+    }
+
+    return this.round(entropy / Math.log2(HISTOGRAM_LEVELS ** 3));
+  }
+
+  /**
+   * Downsample each puzzle piece to a small greyscale signature
+   * @param {Buffer} grey - Greyscale pixels
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} rows - Grid rows
+   * @param {number} cols - Grid columns
+   * @returns {Array} Signatures (arrays of SIGNATURE_SIZE² averages)
+   */
+  computePieceSignatures(grey, width, height, rows, cols) {
+    const signatures = [];
+    const pieceWidth = width / cols;
+    const pieceHeight = height / rows;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const signature = [];
+
+        for (let sy = 0; sy < SIGNATURE_SIZE; sy++) {
+          for (let sx = 0; sx < SIGNATURE_SIZE; sx++) {
+            const left = Math.floor(col * pieceWidth + (sx * pieceWidth) / SIGNATURE_SIZE);
+            const right = Math.floor(col * pieceWidth + ((sx + 1) * pieceWidth) / SIGNATURE_SIZE);
+            const top = Math.floor(row * pieceHeight + (sy * pieceHeight) / SIGNATURE_SIZE);
+            const bottom = Math.floor(row * pieceHeight + ((sy + 1) * pieceHeight) / SIGNATURE_SIZE);
+
+            let sum = 0;
+            let count = 0;
+            for (let y = top; y < Math.max(bottom, top + 1); y++) {
+              for (let x = left; x < Math.max(right, left + 1); x++) {
+                sum += grey[y * width + x];
+                count++;
+              }
+            }
+
+            signature.push(sum / count);
+          }
+        }
+
+        signatures.push(signature);
+      }
+    }
+
+    return signatures;
+  }
+
+  /**
+   * Share of pieces that look like at least one other piece
+   * @param {Array} signatures - Piece signatures
+   * @returns {number} Repetition 0-1
+   */
+  computeTextureRepetition(signatures) {
+    if (signatures.length < 2) return 0;
+
+    const repeated = new Set();
+
+    for (let i = 0; i < signatures.length; i++) {
+      for (let j = i + 1; j < signatures.length; j++) {
+        const difference = signatures[i]
+          .reduce((sum, value, index) => sum + Math.abs(value - signatures[j][index]), 0) / signatures[i].length;
+
+        if (difference < REPEAT_THRESHOLD) {
+          repeated.add(i);
+          repeated.add(j);
+        }
+      }
+    }
+
+    return this.round(repeated.size / signatures.length);
+  }
+
+  /**
+   * Combine metrics into a 0-100 score
+   * @param {Object} metrics - { edge_density, color_entropy, texture_repetition }
+   * @returns {number} Complexity score
+   */
+  scoreComplexity({ edge_density, color_entropy, texture_repetition }) {
+    const edges = Math.min(1, edge_density / EDGE_DENSITY_CAP);
+    const score = 0.45 * edges + 0.3 * color_entropy + 0.25 * (1 - texture_repetition);
+
+    return Math.round(score * 10000) / 100;
+  }
+
+  /**
+   * Difficulty the image alone suggests
+   * @param {number} score - Complexity score
+   * @returns {string} 'easy' | 'medium' | 'hard'
+   */
+  getLevel(score) {
+    if (score >= 60) return 'easy';
+    if (score >= 35) return 'medium';
+    return 'hard';
+  }
+
+  /**
+   * Explain where the image and the chosen difficulty disagree
+   * @param {string} difficulty - Difficulty chosen by the company
+   * @param {Object} dimensions - { rows, cols }
+   * @param {Object} complexity - Result of analyze()
+   * @returns {Array} Warning messages
+   */
+  getDifficultyWarnings(difficulty, dimensions, complexity) {
+    const warnings = [];
+    const grid = `${dimensions.cols}x${dimensions.rows}`;
+    const pieceCount = dimensions.rows * dimensions.cols;
+    const [, repetitionLimit] = REPETITION_LIMITS.find(([maxPieces]) => pieceCount <= maxPieces);
+
+    if (complexity.texture_repetition > repetitionLimit) {
+      warnings.push(
+        `${Math.round(complexity.texture_repetition * 100)}% of the pieces in this ${grid} puzzle look alike ` +
+        '(large areas of sky, wall or plain background) - players may not be able to solve it. ' +
+        'Choose a lower difficulty or a more detailed image.'
+      );
+    } else if (complexity.level === 'hard' && ['hard', 'expert'].includes(difficulty)) {
+      warnings.push(
+        `This image has little detail for a ${grid} puzzle - players will struggle to place pieces. ` +
+        'Choose a lower difficulty or a more detailed image.'
+      );
+    }
+
+    if (complexity.level === 'easy' && difficulty === 'easy' && complexity.score >= 80) {
+      warnings.push(
+        `This image is very detailed, so a ${grid} puzzle will be solved almost instantly. ` +
+        'Consider a higher difficulty.'
+      );
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Round metric to three decimals
+   * @param {number} value - Raw metric
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new ImageComplexity();
@@ -0,0 +1,137 @@
+const TAB_RATIO = 0.2; // Tab height relative to the shorter piece side
+
+// Tab outline along an edge: [position along edge, offset along outward normal] for
+// each cubic curve (two control points then the end point). Symmetric about the
+// midpoint, so neighbouring pieces trace the same curve from opposite ends.
+const TAB_CURVES = [
+  [[0.30, 0.6], [0.35, 1], [0.5, 1]],
+  [[0.65, 1], [0.70, 0.6], [0.65, 0]]
+];
+const TAB_START = 0.35;
+
+class JigsawShapes {
+  /**
+   * Pick tab/blank connectors for every piece
+   * @param {number} rows - Grid rows
+   * @param {number} cols - Grid columns
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Array} Connectors per piece { top, right, bottom, left } (0 flat, 1 tab, -1 blank)
+   */
+  generateConnectors(rows, cols, rng) {
+    const connectors = [];
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const index = row * cols + col;
+        const above = row > 0 ? connectors[index - cols] : null;
+        const left = col > 0 ? connectors[index - 1] : null;
+
+        connectors.push({
+          top: above ? -above.bottom : 0,
+          right: col < cols - 1 ? (rng.int(2) === 0 ? 1 : -1) : 0,
+          bottom: row < rows - 1 ? (rng.int(2) === 0 ? 1 : -1) : 0,
+          left: left ? -left.right : 0
+        });
+      }
+    }
+
+    return connectors;
+  }
+
+  /**
+   * Get tab height for a piece size
+   * @param {number} pieceWidth - Piece width in pixels
+   * @param {number} pieceHeight - Piece height in pixels
+   * @returns {number} Tab height in pixels
+   */
+  getTabSize(pieceWidth, pieceHeight) {
+    return Math.max(2, Math.round(Math.min(pieceWidth, pieceHeight) * TAB_RATIO));
+  }
+
+  /**
+   * Build SVG path outlining a piece, traced clockwise from its top-left corner
+   * @param {number} pieceWidth - Piece body width
+   * @param {number} pieceHeight - Piece body height
+   * @param {number} margin - Transparent margin around the body (room for tabs)
+   * @param {Object} connectors - { top, right, bottom, left }
+   * @param {number} tabSize - Tab height in pixels
+   * @returns {string} SVG path data
+   */
+  buildPiecePath(pieceWidth, pieceHeight, margin, connectors, tabSize) {
+    const left = margin;
+    const top = margin;
+    const right = margin + pieceWidth;
+    const bottom = margin + pieceHeight;
+
+    // Each edge: start point, direction along the edge, outward normal
+    const edges = [
+      { start: [left, top], direction: [1, 0], normal: [0, -1], length: pieceWidth, connector: connectors.top },
+      { start: [right, top], direction: [0, 1], normal: [1, 0], length: pieceHeight, connector: connectors.right },
+      { start: [right, bottom], direction: [-1, 0], normal: [0, 1], length: pieceWidth, connector: connectors.bottom },
+      { start: [left, bottom], direction: [0, -1], normal: [-1, 0], length: pieceHeight, connector: connectors.left }
+    ];
+
+    const commands = [`M ${left} ${top}`];
+    for (const edge of edges) {
+      commands.push(...this.buildEdge(edge, tabSize));
+    }
+    commands.push('Z');
+
+    return commands.join(' ');
+  }
+
+  /**
+   * Build path commands for one edge
+   * @param {Object} edge - { start, direction, normal, length, connector }
+   * @param {number} tabSize - Tab height in pixels
+   * @returns {Array} SVG path commands
+   */
+  buildEdge(edge, tabSize) {
+    const { start, direction, normal, length, connector } = edge;
+
+    const point = (along, out) => {
+      const x = start[0] + direction[0] * along * length + normal[0] * out * tabSize * connector;
+      const y = start[1] + direction[1] * along * length + normal[1] * out * tabSize * connector;
+      return `${this.round(x)} ${this.round(y)}`;
+    };
+
+    if (!connector) {
+      return [`L ${point(1, 0)}`];
+    }
+
+    return [
+      `L ${point(TAB_START, 0)}`,
+      ...TAB_CURVES.map(curve => `C ${curve.map(([along, out]) => point(along, out)).join(', ')}`),
+      `L ${point(1, 0)}`
+    ];
+  }
+
+  /**
+   * Build an SVG mask that keeps only the piece outline
+   * @param {number} pieceWidth - Piece body width
+   * @param {number} pieceHeight - Piece body height
+   * @param {number} margin - Transparent margin around the body
+   * @param {Object} connectors - { top, right, bottom, left }
+   * @param {number} tabSize - Tab height in pixels
+   * @returns {string} SVG markup
+   */
+  buildMaskSvg(pieceWidth, pieceHeight, margin, connectors, tabSize) {
+    const width = pieceWidth + margin * 2;
+    const height = pieceHeight + margin * 2;
+    const path = this.buildPiecePath(pieceWidth, pieceHeight, margin, connectors, tabSize);
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+      `<path d="${path}" fill="#fff"/></svg>`;
+  }
+
+  /**
+   * Round coordinate for compact SVG output
+   * @param {number} value - Coordinate
+   * @returns {number}
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new JigsawShapes();
@@ -0,0 +1,214 @@
+const { ValidationError } = require('../../../middleware/errorHandler');
+
+const UNKNOWN = -1;
+const FILL_DENSITY = 0.6;
+
+const DIFFICULTY_SETTINGS = {
+  easy: { rows: 5, cols: 5 },
+  medium: { rows: 8, cols: 8 },
+  hard: { rows: 10, cols: 10 },
+  expert: { rows: 15, cols: 15 }
+};
+
+class NonogramGenerator {
+  constructor() {
+    this.maxTimeSeconds = 900;
+  }
+
+  /**
+   * Generate nonogram with a unique solution
+   * @param {string} difficulty - Difficulty level
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Object} { board, solution }
+   */
+  generate(difficulty, rng) {
+    const { rows, cols } = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+
+    const solution = Array.from({ length: rows * cols }, () => (rng.next() < FILL_DENSITY ? 1 : 0));
+    const rowClues = [];
+    const colClues = [];
+
+    for (let r = 0; r < rows; r++) {
+      rowClues.push(this.getClues(solution.slice(r * cols, (r + 1) * cols)));
+    }
+    for (let c = 0; c < cols; c++) {
+      colClues.push(this.getClues(this.getColumn(solution, c, rows, cols)));
+    }
+
+    // Line solving only makes sound deductions, so a fully deduced grid is unique.
+    // When deduction stalls, reveal a cell and continue.
+    const givens = [];
+    let state = this.propagate(new Array(rows * cols).fill(UNKNOWN), rowClues, colClues, rows, cols);
+
+    while (state.includes(UNKNOWN)) {
+      const unknownCells = [...state.keys()].filter(cell => state[cell] === UNKNOWN);
+      const cell = unknownCells[rng.int(unknownCells.length)];
+
+      givens.push({ index: cell, value: solution[cell] });
+      state[cell] = solution[cell];
+      state = this.propagate(state, rowClues, colClues, rows, cols);
+    }
+
+    return {
+      board: {
+        rows,
+        cols,
+        row_clues: rowClues,
+        col_clues: colClues,
+        givens
+      },
+      solution
+    };
+  }
+
+  /**
+   * Validate nonogram solution
+   * @param {Object} board - Public board
+   * @param {Array} correctSolution - Stored solution
+   * @param {Array} solution - Submitted flat grid of 0/1
+   * @returns {Object} { is_correct, error }
+   */
+  validate(board, correctSolution, solution) {
+    if (solution.length !== board.rows * board.cols) {
+      throw new ValidationError(`Nonogram solution must contain ${board.rows * board.cols} cells`);
+    }
+
+    const isCorrect = solution.every((value, index) => Number(value) === correctSolution[index]);
+
+    return isCorrect
+      ? { is_correct: true }
+      : { is_correct: false, error: 'Nonogram grid is incorrect' };
+  }
+
+  /**
+   * Get run-length clues for a line
+   * @param {Array} line - Cells of 0/1
+   * @returns {Array} Block lengths
+   */
+  getClues(line) {
+    const clues = [];
+    let run = 0;
+
+    for (const cell of line) {
+      if (cell === 1) {
+        run++;
+      } else if (run > 0) {
+        clues.push(run);
+        run = 0;
+      }
+    }
+
+    if (run > 0) clues.push(run);
+    return clues;
+  }
+
+  /**
+   * Deduce cells by repeatedly solving rows and columns
+   * @param {Array} state - Flat grid of -1/0/1
+   * @param {Array} rowClues - Row clues
+   * @param {Array} colClues - Column clues
+   * @param {number} rows - Row count
+   * @param {number} cols - Column count
+   * @returns {Array} Deduced grid
+   */
+  propagate(state, rowClues, colClues, rows, cols) {
+    const grid = [...state];
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (let r = 0; r < rows; r++) {
+        const line = this.solveLine(grid.slice(r * cols, (r + 1) * cols), rowClues[r]);
+        line.forEach((value, c) => {
+          if (grid[r * cols + c] !== value) {
+            grid[r * cols + c] = value;
+            changed = true;
+          }
+        });
+      }
+
+      for (let c = 0; c < cols; c++) {
+        const line = this.solveLine(this.getColumn(grid, c, rows, cols), colClues[c]);
+        line.forEach((value, r) => {
+          if (grid[r * cols + c] !== value) {
+            grid[r * cols + c] = value;
+            changed = true;
+          }
+        });
+      }
+    }
+
+    return grid;
+  }
+
+  /**
+   * Deduce cells of a single line from its clues
+   * @param {Array} line - Cells of -1/0/1
+   * @param {Array} clues - Block lengths
+   * @returns {Array} Line with every forced cell set
+   */
+  solveLine(line, clues) {
+    const length = line.length;
+    const canFill = new Array(length).fill(false);
+    const canEmpty = new Array(length).fill(false);
+    const cells = new Array(length).fill(0);
+
+    // Enumerate every block placement consistent with known cells
+    const place = (blockIndex, position) => {
+      if (blockIndex === clues.length) {
+        for (let i = position; i < length; i++) {
+          if (line[i] === 1) return;
+        }
+        for (let i = 0; i < length; i++) {
+          if (i < position && cells[i] === 1) {
+            canFill[i] = true;
+          } else {
+            canEmpty[i] = true;
+          }
+        }
+        return;
+      }
+
+      const block = clues[blockIndex];
+      for (let start = position; start + block <= length; start++) {
+        if (start > position && line[start - 1] === 1) break;
+
+        const end = start + block;
+        let fits = end === length || line[end] !== 1;
+        for (let i = start; fits && i < end; i++) {
+          if (line[i] === 0) fits = false;
+        }
+
+        if (fits) {
+          cells.fill(0, position, start);
+          cells.fill(1, start, end);
+          if (end < length) cells[end] = 0;
+          place(blockIndex + 1, Math.min(end + 1, length));
+        }
+      }
+    };
+
+    place(0, 0);
+
+    return line.map((value, i) => {
+      if (canFill[i] && !canEmpty[i]) return 1;
+      if (canEmpty[i] && !canFill[i]) return 0;
+      return value;
+    });
+  }
+
+  /**
+   * Get a column from a flat grid
+   * @param {Array} grid - Flat grid
+   * @param {number} col - Column index
+   * @param {number} rows - Row count
+   * @param {number} cols - Column count
+   * @returns {Array} Column cells
+   */
+  getColumn(grid, col, rows, cols) {
+    return Array.from({ length: rows }, (_, r) => grid[r * cols + col]);
+  }
+}
+
+module.exports = new NonogramGenerator();
@@ -0,0 +1,131 @@
+const { ValidationError } = require('../../../middleware/errorHandler');
+
+const BOARD_SIZE = 4;
+const MAX_MOVES = 2000;
+
+// Number of random moves applied to the solved board
+const DIFFICULTY_SETTINGS = {
+  easy: { scramble_moves: 12 },
+  medium: { scramble_moves: 30 },
+  hard: { scramble_moves: 60 },
+  expert: { scramble_moves: 120 }
+};
+
+class SlidingTileGenerator {
+  constructor() {
+    this.maxTimeSeconds = 600;
+  }
+
+  /**
+   * Generate a solvable 15-puzzle
+   * @param {string} difficulty - Difficulty level
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Object} { board, solution }
+   */
+  generate(difficulty, rng) {
+    const { scramble_moves } = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+    const solution = this.getGoalState();
+
+    // Scrambling by legal moves keeps the board solvable
+    let tiles = [...solution];
+    let previousTile = null;
+
+    for (let move = 0; move < scramble_moves || this.isSolved(tiles, solution); move++) {
+      const movable = this.getMovableTiles(tiles).filter(tile => tile !== previousTile);
+      const tile = movable[rng.int(movable.length)];
+      tiles = this.slideTile(tiles, tile);
+      previousTile = tile;
+    }
+
+    return {
+      board: {
+        size: BOARD_SIZE,
+        tiles
+      },
+      solution
+    };
+  }
+
+  /**
+   * Validate a sequence of tile moves
+   * @param {Object} board - Public board
+   * @param {Array} correctSolution - Solved tile order
+   * @param {Array} solution - Tiles slid into the blank, in order
+   * @returns {Object} { is_correct, move_count, error }
+   */
+  validate(board, correctSolution, solution) {
+    if (solution.length > MAX_MOVES) {
+      throw new ValidationError(`Sliding tile solution cannot exceed ${MAX_MOVES} moves`);
+    }
+
+    let tiles = [...board.tiles];
+
+    for (const move of solution) {
+      const tile = Number(move);
+
+      if (!this.getMovableTiles(tiles).includes(tile)) {
+        return { is_correct: false, move_count: solution.length, error: `Tile ${tile} cannot be moved` };
+      }
+
+      tiles = this.slideTile(tiles, tile);
+    }
+
+    return this.isSolved(tiles, correctSolution)
+      ? { is_correct: true, move_count: solution.length }
+      : { is_correct: false, move_count: solution.length, error: 'Board is not solved' };
+  }
+
+  /**
+   * Get solved tile order (blank last)
+   * @returns {Array} Tiles 1..n with 0 as blank
+   */
+  getGoalState() {
+    const count = BOARD_SIZE * BOARD_SIZE;
+    return Array.from({ length: count }, (_, i) => (i + 1) % count);
+  }
+
+  /**
+   * Get tiles adjacent to the blank
+   * @param {Array} tiles - Current tiles
+   * @returns {Array} Movable tile numbers
+   */
+  getMovableTiles(tiles) {
+    const blank = tiles.indexOf(0);
+    const row = Math.floor(blank / BOARD_SIZE);
+    const col = blank % BOARD_SIZE;
+    const movable = [];
+
+    if (row > 0) movable.push(tiles[blank - BOARD_SIZE]);
+    if (row < BOARD_SIZE - 1) movable.push(tiles[blank + BOARD_SIZE]);
+    if (col > 0) movable.push(tiles[blank - 1]);
+    if (col < BOARD_SIZE - 1) movable.push(tiles[blank + 1]);
+
+    return movable;
+  }
+
+  /**
+   * Slide a tile into the blank
+   * @param {Array} tiles - Current tiles
+   * @param {number} tile - Tile to move (must be adjacent to blank)
+   * @returns {Array} New tiles
+   */
+  slideTile(tiles, tile) {
+    const next = [...tiles];
+    const blank = next.indexOf(0);
+    const position = next.indexOf(tile);
+    [next[blank], next[position]] = [next[position], next[blank]];
+    return next;
+  }
+
+  /**
+   * Check whether tiles are in solved order
+   * @param {Array} tiles - Current tiles
+   * @param {Array} goal - Solved tiles
+   * @returns {boolean}
+   */
+  isSolved(tiles, goal) {
+    return tiles.every((tile, index) => tile === goal[index]);
+  }
+}
+
+module.exports = new SlidingTileGenerator();
@@ -0,0 +1,177 @@
+const { ValidationError } = require('../../../middleware/errorHandler');
+
+const BOX_SHAPES = {
+  4: { box_rows: 2, box_cols: 2 },
+  6: { box_rows: 2, box_cols: 3 },
+  9: { box_rows: 3, box_cols: 3 }
+};
+
+// Target clue counts; removal stops earlier if uniqueness would be lost
+const DIFFICULTY_SETTINGS = {
+  easy: { size: 4, clues: 6 },
+  medium: { size: 6, clues: 14 },
+  hard: { size: 9, clues: 30 },
+  expert: { size: 9, clues: 24 }
+};
+
+class SudokuGenerator {
+  constructor() {
+    this.maxTimeSeconds = 900;
+  }
+
+  /**
+   * Generate sudoku with a unique solution
+   * @param {string} difficulty - Difficulty level
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Object} { board, solution }
+   */
+  generate(difficulty, rng) {
+    const { size, clues } = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium;
+    const shape = BOX_SHAPES[size];
+
+    const solution = new Array(size * size).fill(0);
+    this.fillGrid(solution, size, shape, rng);
+
+    // Remove cells in random order while the puzzle stays uniquely solvable
+    const givens = [...solution];
+    let clueCount = givens.length;
+
+    for (const cell of rng.shuffle([...givens.keys()])) {
+      if (clueCount <= clues) break;
+
+      const value = givens[cell];
+      givens[cell] = 0;
+
+      if (this.countSolutions([...givens], size, shape, 2) === 1) {
+        clueCount--;
+      } else {
+        givens[cell] = value;
+      }
+    }
+
+    return {
+      board: {
+        size,
+        box_rows: shape.box_rows,
+        box_cols: shape.box_cols,
+        givens
+      },
+      solution
+    };
+  }
+
+  /**
+   * Validate sudoku solution
+   * @param {Object} board - Public board
+   * @param {Array} correctSolution - Stored solution
+   * @param {Array} solution - Submitted flat grid
+   * @returns {Object} { is_correct, error }
+   */
+  validate(board, correctSolution, solution) {
+    if (solution.length !== board.size * board.size) {
+      throw new ValidationError(`Sudoku solution must contain ${board.size * board.size} cells`);
+    }
+
+    const isCorrect = solution.every((value, index) => Number(value) === correctSolution[index]);
+
+    return isCorrect
+      ? { is_correct: true }
+      : { is_correct: false, error: 'Sudoku grid is incorrect' };
+  }
+
+  /**
+   * Fill an empty grid with a random valid solution
+   * @param {Array} grid - Flat grid, 0 for empty
+   * @param {number} size - Grid size
+   * @param {Object} shape - Box shape
+   * @param {Object} rng - Seeded random number generator
+   * @returns {boolean} Whether the grid was filled
+   */
+  fillGrid(grid, size, shape, rng) {
+    const cell = grid.indexOf(0);
+    if (cell === -1) return true;
+
+    const candidates = rng.shuffle(this.getCandidates(grid, cell, size, shape));
+    for (const value of candidates) {
+      grid[cell] = value;
+      if (this.fillGrid(grid, size, shape, rng)) return true;
+    }
+
+    grid[cell] = 0;
+    return false;
+  }
+
+  /**
+   * Count solutions up to a limit
+   * @param {Array} grid - Flat grid, 0 for empty (mutated during search)
+   * @param {number} size - Grid size
+   * @param {Object} shape - Box shape
+   * @param {number} limit - Stop counting at this many solutions
+   * @returns {number} Number of solutions found (capped at limit)
+   */
+  countSolutions(grid, size, shape, limit) {
+    // Branch on the empty cell with fewest candidates
+    let bestCell = -1;
+    let bestCandidates = null;
+
+    for (let cell = 0; cell < grid.length; cell++) {
+      if (grid[cell] !== 0) continue;
+
+      const candidates = this.getCandidates(grid, cell, size, shape);
+      if (candidates.length === 0) return 0;
+
+      if (!bestCandidates || candidates.length < bestCandidates.length) {
+        bestCell = cell;
+        bestCandidates = candidates;
+        if (candidates.length === 1) break;
+      }
+    }
+
+    if (bestCell === -1) return 1;
+
+    let count = 0;
+    for (const value of bestCandidates) {
+      grid[bestCell] = value;
+      count += this.countSolutions(grid, size, shape, limit - count);
+      if (count >= limit) break;
+    }
+
+    grid[bestCell] = 0;
+    return count;
+  }
+
+  /**
+   * Get values allowed in a cell
+   * @param {Array} grid - Flat grid
+   * @param {number} cell - Cell index
+   * @param {number} size - Grid size
+   * @param {Object} shape - Box shape
+   * @returns {Array} Candidate values
+   */
+  getCandidates(grid, cell, size, shape) {
+    const row = Math.floor(cell / size);
+    const col = cell % size;
+    const boxRow = row - (row % shape.box_rows);
+    const boxCol = col - (col % shape.box_cols);
+    const used = new Set();
+
+    for (let i = 0; i < size; i++) {
+      used.add(grid[row * size + i]);
+      used.add(grid[i * size + col]);
+    }
+
+    for (let r = boxRow; r < boxRow + shape.box_rows; r++) {
+      for (let c = boxCol; c < boxCol + shape.box_cols; c++) {
+        used.add(grid[r * size + c]);
+      }
+    }
+
+    const candidates = [];
+    for (let value = 1; value <= size; value++) {
+      if (!used.has(value)) candidates.push(value);
+    }
+    return candidates;
+  }
+}
+
+module.exports = new SudokuGenerator();
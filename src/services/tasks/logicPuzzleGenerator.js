@@ -0,0 +1,127 @@
+const logger = require('../../utils/logger');
+const { createRng, createSeed } = require('./random');
+const sudoku = require('./logic/sudoku');
+const nonogram = require('./logic/nonogram');
+const slidingTile = require('./logic/slidingTile');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+class LogicPuzzleGenerator {
+  constructor() {
+    this.generators = new Map();
+
+    this.register('sudoku', sudoku);
+    this.register('nonogram', nonogram);
+    this.register('sliding-tile', slidingTile);
+  }
+
+  /**
+   * Register a logic puzzle generator
+   * @param {string} variant - Variant name
+   * @param {Object} generator - Implements generate(difficulty, rng) and validate(board, correctSolution, solution)
+   */
+  register(variant, generator) {
+    if (typeof generator.generate !== 'function' || typeof generator.validate !== 'function') {
+      throw new Error(`Logic puzzle generator "${variant}" must implement generate and validate`);
+    }
+
+    this.generators.set(variant, generator);
+  }
+
+  /**
+   * Get registered variants
+   * @returns {Array} Variant names
+   */
+  getVariants() {
+    return [...this.generators.keys()];
+  }
+
+  /**
+   * Generate logic puzzle configuration
+   * @param {string} variant - 'sudoku' | 'nonogram' | 'sliding-tile'
+   * @param {string} difficulty - Difficulty level
+   * @param {string} seed - Seed for deterministic generation
+   * @returns {Object} puzzle config with board and correct solution
+   */
+  generateLogicPuzzle(variant, difficulty, seed = createSeed()) {
+    const generator = this.getGenerator(variant);
+    const { board, solution } = generator.generate(difficulty, createRng(`${variant}:${difficulty}:${seed}`));
+
+    logger.info('Logic puzzle generated', { variant, difficulty, seed });
+
+    return {
+      variant,
+      seed,
+      difficulty,
+      board,
+      correct_solution: solution,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get board data safe to send to players
+   * @param {Object} puzzleConfig - Logic puzzle config
+   * @returns {Object} Public board
+   */
+  getPublicBoard(puzzleConfig) {
+    return {
+      variant: puzzleConfig.variant,
+      board: puzzleConfig.board
+    };
+  }
+
+  /**
+   * Validate logic puzzle solution
+   * @param {Object} puzzleConfig - Logic puzzle config
+   * @param {Array} solution - Submitted solution
+   * @param {number} timeTaken - Time taken in milliseconds
+   * @returns {Object} { is_correct, score, time_bonus }
+   */
+  validateSolution(puzzleConfig, solution, timeTaken) {
+    if (!Array.isArray(solution)) {
+      throw new ValidationError('Invalid solution format');
+    }
+
+    const generator = this.getGenerator(puzzleConfig.variant);
+    const result = generator.validate(puzzleConfig.board, puzzleConfig.correct_solution, solution);
+
+    if (!result.is_correct) {
+      return {
+        ...result,
+        score: 0,
+        time_bonus: 0
+      };
+    }
+
+    // Same scoring curve as image puzzles, scaled to the variant's time budget
+    const timeTakenSeconds = timeTaken / 1000;
+    const timeRatio = Math.max(0, (generator.maxTimeSeconds - timeTakenSeconds) / generator.maxTimeSeconds);
+    const baseScore = 100;
+    const timeBonus = Math.floor(timeRatio * 50);
+
+    return {
+      ...result,
+      score: baseScore + timeBonus,
+      base_score: baseScore,
+      time_bonus: timeBonus,
+      time_taken_seconds: timeTakenSeconds
+    };
+  }
+
+  /**
+   * Get generator for a variant
+   * @param {string} variant - Variant name
+   * @returns {Object} Generator
+   */
+  getGenerator(variant) {
+    const generator = this.generators.get(variant);
+
+    if (!generator) {
+      throw new ValidationError(`Unsupported logic puzzle variant. Must be one of: ${this.getVariants().join(', ')}`);
+    }
+
+    return generator;
+  }
+}
+
+module.exports = new LogicPuzzleGenerator();
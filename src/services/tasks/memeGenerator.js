@@ -0,0 +1,177 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const puzzleGenerator = require('./puzzleGenerator');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const MAX_TEMPLATE_SIZE = 800;
+const MAX_CAPTION_LINES = 4;
+const CAPTION_MAX_LENGTH = 150;
+
+class MemeGenerator {
+  constructor() {
+    this.captionMaxLength = CAPTION_MAX_LENGTH;
+  }
+
+  /**
+   * Prepare meme template configuration
+   * @param {Buffer} imageBuffer - Template image buffer
+   * @param {Object} options - { rank_by_upvotes, winner_count }
+   * @returns {Object} puzzle config with template details
+   */
+  async prepareTemplate(imageBuffer, options = {}) {
+    const rankByUpvotes = options.rank_by_upvotes === true || options.rank_by_upvotes === 'true';
+    const winnerCount = options.winner_count !== undefined && options.winner_count !== null
+      ? Number(options.winner_count)
+      : 1;
+
+    if (!Number.isInteger(winnerCount) || winnerCount < 1) {
+      throw new ValidationError('Winner count must be a positive integer');
+    }
+
+    if (!(await puzzleGenerator.isValidImage(imageBuffer))) {
+      throw new ValidationError('Invalid image format. Must be JPEG/PNG and < 5MB');
+    }
+
+    try {
+      const { data: template, info } = await sharp(imageBuffer)
+        .resize(MAX_TEMPLATE_SIZE, MAX_TEMPLATE_SIZE, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 90 })
+        .toBuffer({ resolveWithObject: true });
+
+      const templateKey = `memes/${uuidv4()}-template.jpg`;
+      const templateUrl = await puzzleGenerator.uploadFile(templateKey, template, 'image/jpeg');
+
+      const puzzleConfig = {
+        image_url: templateUrl,
+        template_key: templateKey,
+        width: info.width,
+        height: info.height,
+        caption_max_length: this.captionMaxLength,
+        rank_by_upvotes: rankByUpvotes,
+        winner_count: winnerCount,
+        created_at: new Date().toISOString()
+      };
+
+      logger.info('Meme template prepared', {
+        templateUrl: puzzleConfig.image_url,
+        rankByUpvotes
+      });
+
+      return puzzleConfig;
+    } catch (error) {
+      logger.error('Meme template preparation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render caption onto the task's template
+   * @param {Object} puzzleConfig - Meme config
+   * @param {string} caption - Approved caption
+   * @returns {string} Rendered image URL
+   */
+  async renderCaption(puzzleConfig, caption) {
+    try {
+      const template = await puzzleGenerator.downloadFile(puzzleConfig.template_key);
+      const overlay = Buffer.from(this.buildCaptionSvg(caption, puzzleConfig.width, puzzleConfig.height));
+
+      const rendered = await sharp(template)
+        .composite([{ input: overlay, top: 0, left: 0 }])
+        .jpeg({ quality: 90 })
+        .toBuffer();
+
+      const renderedKey = `memes/${uuidv4()}-caption.jpg`;
+      return await puzzleGenerator.uploadFile(renderedKey, rendered, 'image/jpeg');
+    } catch (error) {
+      logger.error('Meme caption rendering failed:', error);
+      throw new Error('Failed to render meme caption');
+    }
+  }
+
+  /**
+   * Build SVG overlay with classic meme styling (white text, black outline, bottom aligned)
+   * @param {string} caption - Caption text
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {string} SVG markup
+   */
+  buildCaptionSvg(caption, width, height) {
+    let fontSize = Math.max(20, Math.round(width / 12));
+    let lines = this.wrapText(caption.toUpperCase(), this.getLineLength(width, fontSize));
+
+    // Shrink text until it fits the line budget
+    while (lines.length > MAX_CAPTION_LINES && fontSize > 12) {
+      fontSize -= 2;
+      lines = this.wrapText(caption.toUpperCase(), this.getLineLength(width, fontSize));
+    }
+
+    const lineHeight = Math.round(fontSize * 1.15);
+    const bottomMargin = Math.round(fontSize * 0.5);
+    const firstLineY = height - bottomMargin - (lines.length - 1) * lineHeight;
+
+    const textNodes = lines
+      .map((line, index) => `<text x="50%" y="${firstLineY + index * lineHeight}">${this.escapeXml(line)}</text>`)
+      .join('');
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+      `<style>text{font-family:Impact,'Arial Black',sans-serif;font-size:${fontSize}px;font-weight:bold;` +
+      `fill:#fff;stroke:#000;stroke-width:${Math.max(1, Math.round(fontSize / 12))}px;` +
+      'paint-order:stroke;text-anchor:middle;}</style>' +
+      `${textNodes}</svg>`;
+  }
+
+  /**
+   * Approximate characters per line for a font size
+   * @param {number} width - Image width
+   * @param {number} fontSize - Font size in pixels
+   * @returns {number} Characters per line
+   */
+  getLineLength(width, fontSize) {
+    return Math.max(8, Math.floor((width * 0.9) / (fontSize * 0.6)));
+  }
+
+  /**
+   * Wrap text into lines
+   * @param {string} text - Text to wrap
+   * @param {number} maxLength - Maximum characters per line
+   * @returns {Array} Lines
+   */
+  wrapText(text, maxLength) {
+    const lines = [];
+    let current = '';
+
+    for (const word of text.trim().split(/\s+/)) {
+      if (!current) {
+        current = word;
+      } else if ((current + ' ' + word).length <= maxLength) {
+        current += ' ' + word;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    }
+
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  /**
+   * Escape text for SVG
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new MemeGenerator();
@@ -0,0 +1,322 @@
+const sharp = require('sharp');
+const { query, withTransaction } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const { storage } = require('../../storage');
+const captionFilter = require('./captionFilter');
+const notificationService = require('../users/notificationService');
+const logger = require('../../utils/logger');
+const {
+  ConflictError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+// Terms that are fine in a caption filter but not in a task listing; extend with TASK_BANNED_WORDS
+const DEFAULT_BANNED_TERMS = ['casino', 'betting', 'gambling', 'lottery', 'jackpot'];
+
+const SKIN_ANALYSIS_SIZE = 64;
+
+/**
+ * Review of newly published tasks. Tasks from companies below the trust
+ * threshold, or that fail an automated pre-check, wait as 'pending' until an
+ * admin approves or rejects them; the company is notified of the decision.
+ */
+class ModerationService {
+  constructor() {
+    const extra = (process.env.TASK_BANNED_WORDS || '')
+      .split(',')
+      .map(term => captionFilter.normalize(term))
+      .filter(Boolean);
+
+    this.bannedTerms = [...new Set([...DEFAULT_BANNED_TERMS, ...extra])];
+    this.trustThreshold = parseInt(process.env.TASK_REVIEW_TRUST_THRESHOLD) || 3;
+    this.maxDiscountPercent = parseFloat(process.env.TASK_REVIEW_MAX_DISCOUNT_PERCENT) || 90;
+    this.maxRewardValue = parseFloat(process.env.TASK_REVIEW_MAX_REWARD_VALUE) || 2000;
+    this.skinRatioThreshold = parseFloat(process.env.TASK_REVIEW_SKIN_RATIO) || 0.4;
+  }
+
+  /**
+   * Run the automated checks on a task about to be published
+   * @param {Object} task - Task row
+   * @returns {Array} Flags as { check, message }
+   */
+  async runPreChecks(task) {
+    const flags = [
+      ...this.checkText(task),
+      ...this.checkReward(task)
+    ];
+
+    const imageFlag = await this.checkImage(task.image_url);
+    if (imageFlag) {
+      flags.push(imageFlag);
+    }
+
+    return flags;
+  }
+
+  /**
+   * Look for banned words in the task's text
+   * @param {Object} task - Task row
+   * @returns {Array} Flags
+   */
+  checkText(task) {
+    const text = [task.title, task.description, task.reward_description].filter(Boolean).join(' ');
+    const normalized = ` ${captionFilter.normalize(text)} `;
+
+    const found = new Set(captionFilter.findBlockedTerms(text));
+    for (const term of this.bannedTerms) {
+      if (normalized.includes(` ${term} `)) {
+        found.add(term);
+      }
+    }
+
+    return found.size > 0
+      ? [{ check: 'banned_words', message: `Contains banned words: ${[...found].join(', ')}` }]
+      : [];
+  }
+
+  /**
+   * Flag rewards that look like a typo or are too good to be true
+   * @param {Object} task - Task row
+   * @returns {Array} Flags
+   */
+  checkReward(task) {
+    const rewardValue = parseFloat(task.reward_value);
+
+    if (task.reward_type === 'discount' && rewardValue > this.maxDiscountPercent) {
+      return [{ check: 'reward_value', message: `Discount of ${rewardValue}% is above ${this.maxDiscountPercent}%` }];
+    }
+
+    if (['coupon', 'cashback'].includes(task.reward_type) && rewardValue > this.maxRewardValue) {
+      return [{ check: 'reward_value', message: `Reward value ${rewardValue} is above ${this.maxRewardValue}` }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Stand-in for an NSFW classifier: flags images that are mostly skin tones
+   * @param {string} imageUrl - Task image URL
+   * @returns {Object|null} Flag, if any
+   */
+  async checkImage(imageUrl) {
+    if (!imageUrl) {
+      return null;
+    }
+
+    const key = storage.getKeyFromUrl(imageUrl);
+    if (!key) {
+      return { check: 'image', message: 'Image is not in storage and could not be checked' };
+    }
+
+    try {
+      const ratio = this.getSkinRatio(await sharp(await storage.download(key))
+        .resize(SKIN_ANALYSIS_SIZE, SKIN_ANALYSIS_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer());
+
+      return ratio > this.skinRatioThreshold
+        ? { check: 'image', message: `${Math.round(ratio * 100)}% of the image is skin-toned` }
+        : null;
+    } catch (error) {
+      logger.error('Task image check failed:', error);
+      return { check: 'image', message: 'Image could not be checked' };
+    }
+  }
+
+  /**
+   * Share of pixels matching a simple RGB skin-tone rule
+   * @param {Buffer} pixels - Raw RGB pixels
+   * @returns {number} Ratio 0-1
+   */
+  getSkinRatio(pixels) {
+    let skin = 0;
+    const total = pixels.length / 3;
+
+    for (let i = 0; i < pixels.length; i += 3) {
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+
+      if (r > 95 && g > 40 && b > 20 && r > g && r > b &&
+          Math.max(r, g, b) - Math.min(r, g, b) > 15 && Math.abs(r - g) > 15) {
+        skin++;
+      }
+    }
+
+    return total > 0 ? skin / total : 0;
+  }
+
+  /**
+   * Whether a company has enough approved tasks to publish without review
+   * @param {string} companyId - Company ID
+   * @returns {boolean} Trusted
+   */
+  async isTrusted(companyId) {
+    const result = await query(
+      'SELECT approved_tasks_count FROM company_profiles WHERE user_id = $1',
+      [companyId]
+    );
+
+    return (parseInt(result.rows[0]?.approved_tasks_count) || 0) >= this.trustThreshold;
+  }
+
+  /**
+   * Tasks waiting for review, oldest first
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Tasks with pagination
+   */
+  async listQueue(options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT t.id, t.title, t.description, t.task_type, t.difficulty,
+                t.reward_type, t.reward_value, t.reward_description, t.image_url,
+                t.starts_at, t.expires_at, t.review_flags, t.submitted_for_review_at,
+                t.company_id, cp.company_name, cp.approved_tasks_count, u.email as company_email
+         FROM tasks t
+         JOIN users u ON t.company_id = u.id
+         LEFT JOIN company_profiles cp ON u.id = cp.user_id
+         WHERE t.status = 'pending'
+         ORDER BY t.submitted_for_review_at ASC NULLS FIRST, t.id
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      ),
+      query("SELECT COUNT(*) as total FROM tasks WHERE status = 'pending'")
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      tasks: result.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Approve a pending task; it goes live, or waits as scheduled until starts_at
+   * @param {string} taskId - Task ID
+   * @param {string} adminId - Reviewing admin ID
+   * @param {string} notes - Optional notes for the company
+   * @returns {Object} Approved task
+   */
+  async approveTask(taskId, adminId, notes = null) {
+    const task = await withTransaction(async (client) => {
+      const pending = await this.getPendingTask(client, taskId);
+      const status = pending.starts_at && new Date(pending.starts_at) > new Date() ? 'scheduled' : 'active';
+
+      const result = await client.query(
+        `UPDATE tasks
+         SET status = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP,
+             review_notes = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [taskId, status, adminId, notes]
+      );
+
+      await client.query(
+        `UPDATE company_profiles
+         SET approved_tasks_count = approved_tasks_count + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1`,
+        [pending.company_id]
+      );
+
+      await notificationService.notify(pending.company_id, {
+        type: 'task_approved',
+        title: 'Task approved',
+        message: `"${pending.title}" was approved and is now ${status === 'active' ? 'live' : 'scheduled'}.`,
+        data: { task_id: taskId, status, notes }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task approved', {
+      taskId,
+      adminId,
+      companyId: task.company_id,
+      status: task.status
+    });
+
+    return task;
+  }
+
+  /**
+   * Reject a pending task; it returns to draft so the company can fix and resubmit it
+   * @param {string} taskId - Task ID
+   * @param {string} adminId - Reviewing admin ID
+   * @param {string} reason - Reason shown to the company
+   * @returns {Object} Rejected task
+   */
+  async rejectTask(taskId, adminId, reason) {
+    const task = await withTransaction(async (client) => {
+      const pending = await this.getPendingTask(client, taskId);
+
+      const result = await client.query(
+        `UPDATE tasks
+         SET status = 'draft', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP,
+             review_notes = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [taskId, adminId, reason]
+      );
+
+      await notificationService.notify(pending.company_id, {
+        type: 'task_rejected',
+        title: 'Task rejected',
+        message: `"${pending.title}" was not approved: ${reason}`,
+        data: { task_id: taskId, reason }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task rejected', {
+      taskId,
+      adminId,
+      companyId: task.company_id,
+      reason
+    });
+
+    return task;
+  }
+
+  /**
+   * Lock a task that is waiting for review
+   * @param {Object} client - Database client
+   * @param {string} taskId - Task ID
+   * @returns {Object} Task row
+   */
+  async getPendingTask(client, taskId) {
+    const result = await client.query(
+      'SELECT * FROM tasks WHERE id = $1 FOR UPDATE',
+      [taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Task not found');
+    }
+
+    if (result.rows[0].status !== 'pending') {
+      throw new ConflictError('Task is not waiting for review');
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new ModerationService();
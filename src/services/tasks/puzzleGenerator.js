@@ -1,127 +1,158 @@
 const sharp = require('sharp');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const AWS = require('aws-sdk');
+const { storage } = require('../../storage');
+const { createRng, createSeed } = require('./random');
+const imageComplexity = require('./imageComplexity');
+const jigsawShapes = require('./jigsawShapes');
 const logger = require('../../utils/logger');
 const {
   ValidationError,
   NotFoundError
 } = require('../../middleware/errorHandler');
 
+// Longest image side per rendition; larger renditions are skipped rather than upscaled
+const RESOLUTIONS = { standard: 400, tablet: 1024 };
+const MIN_GRID_SIDE = 2;
+const MAX_GRID_SIDE = 10;
+const MAX_ASPECT_RATIO = 4;
+const PIECE_SHAPES = ['square', 'jigsaw'];
+
 class PuzzleGenerator {
   constructor() {
-    this.s3 = new AWS.S3({
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      region: process.env.AWS_REGION || 'ap-south-1'
-    });
-    this.bucket = process.env.S3_BUCKET;
-    this.cdnUrl = process.env.CDN_URL || 'https://cdn.taskloot.com';
+    this.storage = storage;
   }
 
   /**
    * Generate image puzzle configuration
    * @param {Buffer} imageBuffer - Image file buffer
-   * @param {number} gridSize - 9 (3x3), 16 (4x4), 25 (5x5)
-   * @returns {Object} puzzle config with piece hashes
+   * @param {Object} options - { pieceCount, rows, cols, pieceShape, seed }
+   * @returns {Object} puzzle config with piece hashes and renditions
    */
-  async generateImagePuzzle(imageBuffer, gridSize = 9) {
+  async generateImagePuzzle(imageBuffer, options = {}) {
+    const { pieceCount = 9, pieceShape = 'square', seed = createSeed() } = options;
+
     try {
-      // Validate grid size
-      if (![9, 16, 25].includes(gridSize)) {
-        throw new ValidationError('Grid size must be 9, 16, or 25');
+      if (!PIECE_SHAPES.includes(pieceShape)) {
+        throw new ValidationError(`Piece shape must be one of: ${PIECE_SHAPES.join(', ')}`);
       }
 
       // Validate image
-      if (!this.isValidImage(imageBuffer)) {
+      if (!(await this.isValidImage(imageBuffer))) {
         throw new ValidationError('Invalid image format. Must be JPEG/PNG and < 5MB');
       }
 
-      logger.info('Generating puzzle', { gridSize, imageSize: imageBuffer.length });
+      // Keep the source aspect ratio (within limits) instead of cropping to a square
+      const metadata = await sharp(imageBuffer).metadata();
+      const aspectRatio = Math.min(MAX_ASPECT_RATIO, Math.max(1 / MAX_ASPECT_RATIO, metadata.width / metadata.height));
+      const { rows, cols } = this.getGridDimensions(pieceCount, aspectRatio, options.rows, options.cols);
 
-      // Resize to standard size (400x400)
-      const resized = await sharp(imageBuffer)
-        .resize(400, 400, { 
-          fit: 'cover',
-          position: 'center'
-        })
-        .jpeg({ quality: 90 })
-        .toBuffer();
+      logger.info('Generating puzzle', { rows, cols, pieceShape, imageSize: imageBuffer.length });
 
-      // Generate unique key for the image
-      const imageKey = `puzzles/${uuidv4()}-original.jpg`;
-      
-      // Upload original image to S3
-      await this.uploadToS3(imageKey, resized, 'image/jpeg');
+      const puzzleId = uuidv4();
+      const connectors = pieceShape === 'jigsaw'
+        ? jigsawShapes.generateConnectors(rows, cols, createRng(`${seed}:connectors`))
+        : null;
+
+      const renditions = {};
+      let standardImage = null;
+
+      for (const [name, longSide] of Object.entries(RESOLUTIONS)) {
+        if (name !== 'standard' && longSide > Math.max(metadata.width, metadata.height)) {
+          continue;
+        }
+
+        const layout = this.getLayout(longSide, aspectRatio, rows, cols);
+        const image = await sharp(imageBuffer)
+          .resize(layout.width, layout.height, {
+            fit: 'cover',
+            position: 'center'
+          })
+          .jpeg({ quality: 90 })
+          .toBuffer();
+
+        renditions[name] = {
+          image_url: await this.uploadFile(`puzzles/${puzzleId}-${name}.jpg`, image, 'image/jpeg'),
+          ...layout
+        };
 
-      // Generate puzzle pieces
-      const piecesPerSide = Math.sqrt(gridSize);
-      const pieceSize = 400 / piecesPerSide;
+        if (connectors) {
+          Object.assign(renditions[name], await this.uploadJigsawPieces(
+            image,
+            layout,
+            connectors,
+            `puzzles/${puzzleId}/${name}`
+          ));
+        }
+
+        if (name === 'standard') {
+          standardImage = image;
+        }
+      }
 
-      let pieces = [];
-      let pieceBuffers = [];
+      const { piece_width: pieceWidth, piece_height: pieceHeight } = renditions.standard;
+      const pieces = [];
 
-      // Extract pieces
-      for (let row = 0; row < piecesPerSide; row++) {
-        for (let col = 0; col < piecesPerSide; col++) {
-          const piece = await sharp(resized)
+      // Hash each piece of the standard rendition
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const piece = await sharp(standardImage)
             .extract({
-              left: Math.floor(col * pieceSize),
-              top: Math.floor(row * pieceSize),
-              width: Math.floor(pieceSize),
-              height: Math.floor(pieceSize)
+              left: col * pieceWidth,
+              top: row * pieceHeight,
+              width: pieceWidth,
+              height: pieceHeight
             })
             .jpeg({ quality: 90 })
             .toBuffer();
 
-          const pieceHash = crypto
-            .createHash('sha256')
-            .update(piece)
-            .digest('hex');
-
+          const index = row * cols + col;
           const pieceData = {
-            index: row * piecesPerSide + col,
-            hash: pieceHash,
-            row,
-            col
+            index,
+            hash: crypto.createHash('sha256').update(piece).digest('hex')
           };
 
+          if (connectors) {
+            pieceData.connectors = connectors[index];
+          }
+
           pieces.push(pieceData);
-          pieceBuffers.push(piece);
         }
       }
 
-      // Upload individual pieces to S3 (optional - for debugging)
-      // In production, we might not need to store individual pieces
-      const pieceKeys = [];
-      for (let i = 0; i < pieceBuffers.length; i++) {
-        const pieceKey = `puzzles/${uuidv4()}-piece-${i}.jpg`;
-        // await this.uploadToS3(pieceKey, pieceBuffers[i], 'image/jpeg');
-        pieceKeys.push(pieceKey);
-      }
+      const totalPieces = rows * cols;
 
       // Shuffle pieces for frontend
-      const shuffledIndices = this.shuffleArray([...Array(gridSize).keys()]);
-      
-      // Calculate difficulty based on image complexity
-      const difficulty = this.calculateDifficulty(pieces, pieceBuffers);
+      const shuffledIndices = this.shuffleArray([...Array(totalPieces).keys()], seed);
+
+      // Score how hard the image is to piece together
+      const complexity = await this.calculateDifficulty(standardImage, { rows, cols });
 
       const puzzleConfig = {
-        image_url: `${this.cdnUrl}/${imageKey}`,
-        grid_size: piecesPerSide,
-        piece_count: gridSize,
-        pieces: pieces.map(p => ({ index: p.index, hash: p.hash })),
+        image_url: renditions.standard.image_url,
+        grid_size: rows === cols ? rows : null,
+        rows,
+        cols,
+        piece_count: totalPieces,
+        piece_shape: pieceShape,
+        width: renditions.standard.width,
+        height: renditions.standard.height,
+        renditions,
+        pieces,
         shuffled_order: shuffledIndices,
-        difficulty_seed: difficulty,
+        seed,
+        complexity,
         correct_solution: pieces.map(p => p.index), // Original order
         created_at: new Date().toISOString(),
         expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
       };
 
       logger.info('Puzzle generated successfully', {
-        gridSize,
-        piecesCount: pieces.length,
-        difficulty,
+        rows,
+        cols,
+        pieceShape,
+        renditions: Object.keys(renditions),
+        complexityScore: complexity ? complexity.score : null,
         imageUrl: puzzleConfig.image_url
       });
 
@@ -133,10 +164,121 @@ class PuzzleGenerator {
     }
   }
 
+  /**
+   * Work out grid rows and columns
+   * @param {number} pieceCount - Target piece count (from difficulty)
+   * @param {number} aspectRatio - Image width / height
+   * @param {number} rows - Requested rows (optional, requires cols)
+   * @param {number} cols - Requested columns (optional, requires rows)
+   * @returns {Object} { rows, cols }
+   */
+  getGridDimensions(pieceCount, aspectRatio, rows = null, cols = null) {
+    const hasRows = rows !== null && rows !== undefined && rows !== '';
+    const hasCols = cols !== null && cols !== undefined && cols !== '';
+
+    if (hasRows !== hasCols) {
+      throw new ValidationError('Grid rows and columns must be set together');
+    }
+
+    if (hasRows) {
+      const gridRows = Number(rows);
+      const gridCols = Number(cols);
+
+      if (![gridRows, gridCols].every(side => Number.isInteger(side) && side >= MIN_GRID_SIDE && side <= MAX_GRID_SIDE)) {
+        throw new ValidationError(`Grid rows and columns must be between ${MIN_GRID_SIDE} and ${MAX_GRID_SIDE}`);
+      }
+
+      return { rows: gridRows, cols: gridCols };
+    }
+
+    // Aim for roughly square pieces: cols / rows close to the image aspect ratio
+    const clamp = value => Math.min(MAX_GRID_SIDE, Math.max(MIN_GRID_SIDE, value));
+    const gridRows = clamp(Math.round(Math.sqrt(pieceCount / aspectRatio)));
+    const gridCols = clamp(Math.round(pieceCount / gridRows));
+
+    return { rows: gridRows, cols: gridCols };
+  }
+
+  /**
+   * Size an image rendition so it splits into whole pieces
+   * @param {number} longSide - Longest side in pixels
+   * @param {number} aspectRatio - Image width / height
+   * @param {number} rows - Grid rows
+   * @param {number} cols - Grid columns
+   * @returns {Object} { width, height, piece_width, piece_height }
+   */
+  getLayout(longSide, aspectRatio, rows, cols) {
+    const width = aspectRatio >= 1 ? longSide : Math.round(longSide * aspectRatio);
+    const height = aspectRatio >= 1 ? Math.round(longSide / aspectRatio) : longSide;
+    const pieceWidth = Math.floor(width / cols);
+    const pieceHeight = Math.floor(height / rows);
+
+    return {
+      width: pieceWidth * cols,
+      height: pieceHeight * rows,
+      piece_width: pieceWidth,
+      piece_height: pieceHeight
+    };
+  }
+
+  /**
+   * Cut jigsaw-shaped pieces and upload them as transparent PNGs
+   * @param {Buffer} image - Rendition image
+   * @param {Object} layout - { piece_width, piece_height }
+   * @param {Array} connectors - Connectors per piece
+   * @param {string} keyPrefix - Storage key prefix
+   * @returns {Object} { piece_margin, piece_urls }
+   */
+  async uploadJigsawPieces(image, layout, connectors, keyPrefix) {
+    const { piece_width: pieceWidth, piece_height: pieceHeight } = layout;
+    const cols = layout.width / pieceWidth;
+    const tabSize = jigsawShapes.getTabSize(pieceWidth, pieceHeight);
+    const margin = tabSize + 1;
+
+    // Transparent border so edge pieces can be cut with the same margin as inner ones
+    const padded = await sharp(image)
+      .ensureAlpha()
+      .extend({
+        top: margin,
+        bottom: margin,
+        left: margin,
+        right: margin,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .png()
+      .toBuffer();
+
+    const pieceUrls = [];
+
+    for (const [index, pieceConnectors] of connectors.entries()) {
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      const mask = jigsawShapes.buildMaskSvg(pieceWidth, pieceHeight, margin, pieceConnectors, tabSize);
+
+      const piece = await sharp(padded)
+        .extract({
+          left: col * pieceWidth,
+          top: row * pieceHeight,
+          width: pieceWidth + margin * 2,
+          height: pieceHeight + margin * 2
+        })
+        .composite([{ input: Buffer.from(mask), blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+
+      pieceUrls.push(await this.uploadFile(`${keyPrefix}/piece-${index}.png`, piece, 'image/png'));
+    }
+
+    return {
+      piece_margin: margin,
+      piece_urls: pieceUrls
+    };
+  }
+
   /**
    * Validate puzzle solution
-   * @param {Array} userSolution - User's piece arrangement [0,1,2,3...]
-   * @param {Array} correctSolution - Server's correct arrangement
+   * @param {Array} userSolution - Board slot the user placed at each position
+   * @param {Array} correctSolution - Server's correct arrangement for that board
    * @param {number} timeTaken - Time taken in milliseconds
    * @returns {Object} { is_correct, score, time_bonus }
    */
@@ -197,51 +339,18 @@ class PuzzleGenerator {
 
   /**
    * Calculate difficulty based on image complexity
-   * @param {Array} pieces - Puzzle pieces data
-   * @param {Array} pieceBuffers - Piece image buffers
-   * @returns {string} 'easy' | 'medium' | 'hard'
+   * @param {Buffer} imageBuffer - Resized puzzle image
+   * @param {Object} grid - { rows, cols }
+   * @returns {Object|null} Complexity analysis, or null if the image could not be analyzed
    */
-  calculateDifficulty(pieces, pieceBuffers) {
+  async calculateDifficulty(imageBuffer, grid) {
     try {
-      // Analyze image entropy, color variance, pattern repetition
-      // This is a simplified implementation
-      // In production, you'd use more sophisticated algorithms
-
-      let totalEntropy = 0;
-      let colorVariance = 0;
-
-      // Calculate average color variance across pieces
-      for (const buffer of pieceBuffers) {
-        const { data } = sharp(buffer)
-          .resize(50, 50) // Smaller size for faster processing
-          .raw()
-          .toBuffer({ resolveWithObject: true });
-
-        // Calculate color variance (simplified)
-        const colors = new Set();
-        for (let i = 0; i < data.length; i += 4) {
-          const r = data[i];
-          const g = data[i + 1];
-          const b = data[i + 2];
-          colors.add(`${r},${g},${b}`);
-        }
-
-        const uniqueColors = colors.size;
-        const totalPixels = data.length / 4;
-        const entropy = uniqueColors / totalPixels;
-        totalEntropy += entropy;
-      }
-
-      const avgEntropy = totalEntropy / pieceBuffers.length;
-
-      // Determine difficulty based on entropy
-      if (avgEntropy < 0.1) return 'easy';
-      if (avgEntropy < 0.3) return 'medium';
-      return 'hard';
+      return await imageComplexity.analyze(imageBuffer, grid);
 
     } catch (error) {
+      // A missing score shouldn't block task creation
       logger.error('Difficulty calculation failed:', error);
-      return 'medium'; // Default to medium
+      return null;
     }
   }
 
@@ -250,7 +359,7 @@ class PuzzleGenerator {
    * @param {Buffer} buffer - Image buffer
    * @returns {boolean}
    */
-  isValidImage(buffer) {
+  async isValidImage(buffer) {
     try {
       // Check size
       if (!buffer || buffer.length === 0 || buffer.length > 5_000_000) {
@@ -258,7 +367,7 @@ class PuzzleGenerator {
       }
 
       // Check image format by reading metadata
-      const metadata = sharp(buffer).metadata();
+      const metadata = await sharp(buffer).metadata();
       
       // Supported formats
       const supportedFormats = ['jpeg', 'png', 'webp'];
@@ -273,55 +382,69 @@ class PuzzleGenerator {
   }
 
   /**
-   * Upload file to S3
-   * @param {string} key - S3 key
+   * Upload file to the configured storage driver
+   * @param {string} key - Storage key
    * @param {Buffer} body - File buffer
    * @param {string} contentType - MIME type
+   * @returns {string} Public URL
    */
-  async uploadToS3(key, body, contentType) {
+  async uploadFile(key, body, contentType) {
     try {
-      const params = {
-        Bucket: this.bucket,
-        Key: key,
-        Body: body,
-        ContentType: contentType,
-        ACL: 'public-read',
-        CacheControl: 'max-age=31536000', // 1 year cache
-        Metadata: {
-          uploadedAt: new Date().toISOString(),
-          service: 'taskloot-puzzle-generator'
-        }
-      };
+      const url = await this.storage.upload(key, body, contentType);
 
-      const result = await this.s3.upload(params).promise();
-      
-      logger.debug('File uploaded to S3', {
+      logger.debug('File uploaded to storage', {
+        driver: this.storage.name,
         key,
-        url: result.Location,
+        url,
         size: body.length,
         contentType
       });
 
-      return result;
+      return url;
 
     } catch (error) {
-      logger.error('S3 upload failed:', error);
+      logger.error('Storage upload failed:', error);
       throw new Error('Failed to upload image to storage');
     }
   }
 
   /**
-   * Shuffle array using Fisher-Yates algorithm
+   * Download file from the configured storage driver
+   * @param {string} key - Storage key
+   * @returns {Buffer} File contents
+   */
+  async downloadFile(key) {
+    try {
+      return await this.storage.download(key);
+    } catch (error) {
+      logger.error('Storage download failed:', error);
+      throw new Error('Failed to download image from storage');
+    }
+  }
+
+  /**
+   * Shuffle array deterministically (Fisher-Yates driven by a seeded generator)
    * @param {Array} array - Array to shuffle
+   * @param {string} seed - Shuffle seed
    * @returns {Array} Shuffled array
    */
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+  shuffleArray(array, seed) {
+    return createRng(seed).shuffle(array);
+  }
+
+  /**
+   * Work out the solution for a shuffled board
+   * @param {Array} shuffledOrder - Piece index shown in each board slot
+   * @returns {Array} For each piece position, the board slot holding that piece
+   */
+  getSolutionForOrder(shuffledOrder) {
+    const solution = new Array(shuffledOrder.length);
+
+    shuffledOrder.forEach((pieceIndex, slot) => {
+      solution[pieceIndex] = slot;
+    });
+
+    return solution;
   }
 
   /**
@@ -337,9 +460,7 @@ class PuzzleGenerator {
         .toBuffer();
 
       const previewKey = `puzzles/previews/${uuidv4()}.jpg`;
-      await this.uploadToS3(previewKey, preview, 'image/jpeg');
-
-      return `${this.cdnUrl}/${previewKey}`;
+      return await this.uploadFile(previewKey, preview, 'image/jpeg');
 
     } catch (error) {
       logger.error('Preview generation failed:', error);
@@ -348,36 +469,46 @@ class PuzzleGenerator {
   }
 
   /**
-   * Delete puzzle assets from S3
+   * List rendition and piece URLs stored for a puzzle
+   * @param {Object} puzzleConfig - Parsed puzzle config
+   * @returns {Array} Asset URLs (excluding the main image_url)
+   */
+  getAssetUrls(puzzleConfig) {
+    if (!puzzleConfig) return [];
+
+    const urls = [puzzleConfig.modified_image_url];
+    for (const rendition of Object.values(puzzleConfig.renditions || {})) {
+      urls.push(rendition.image_url, ...(rendition.piece_urls || []));
+    }
+
+    return urls.filter(url => url && url !== puzzleConfig.image_url);
+  }
+
+  /**
+   * Delete puzzle assets from storage
    * @param {string} imageUrl - Main image URL
    * @param {Array} pieceUrls - Array of piece URLs (optional)
    */
   async deletePuzzleAssets(imageUrl, pieceUrls = []) {
-    try {
-      const keysToDelete = [];
+    // URLs from another driver or host are skipped rather than guessed at
+    const keysToDelete = [imageUrl, ...pieceUrls]
+      .map(url => this.storage.getKeyFromUrl(url))
+      .filter(Boolean);
 
-      // Extract key from URL
-      if (imageUrl) {
-        const key = imageUrl.replace(`${this.cdnUrl}/`, '');
-        keysToDelete.push(key);
-      }
+    await this.deleteFiles(keysToDelete);
+  }
 
-      // Extract piece keys
-      pieceUrls.forEach(url => {
-        const key = url.replace(`${this.cdnUrl}/`, '');
-        keysToDelete.push(key);
-      });
+  /**
+   * Delete files from storage by key
+   * @param {Array} keys - Storage keys
+   */
+  async deleteFiles(keys = []) {
+    try {
+      const keysToDelete = keys.filter(Boolean);
 
       if (keysToDelete.length > 0) {
-        const params = {
-          Bucket: this.bucket,
-          Delete: {
-            Objects: keysToDelete.map(key => ({ Key: key }))
-          }
-        };
+        await this.storage.delete(keysToDelete);
 
-        await this.s3.deleteObjects(params).promise();
-        
         logger.info('Puzzle assets deleted', { keys: keysToDelete });
       }
 
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {string} seed - Seed string
+ * @returns {Object} { next, int, shuffle }
+ */
+const createRng = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (max) => Math.floor(next() * max);
+
+  const shuffle = (array) => {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  };
+
+  return { next, int, shuffle };
+};
+
+/**
+ * Create a random seed for new puzzles
+ * @returns {string} Hex seed
+ */
+const createSeed = () => crypto.randomBytes(8).toString('hex');
+
+module.exports = { createRng, createSeed };
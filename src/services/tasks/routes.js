@@ -1,9 +1,13 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const taskService = require('./service');
+const captionService = require('./captionService');
+const feedService = require('./feedService');
+const templateService = require('./templateService');
+const versionService = require('./versionService');
 const { asyncHandler, handleJoiError } = require('../../middleware/errorHandler');
-const { authMiddleware, requireRole, requireOwnership } = require('../../middleware/auth');
+const { authMiddleware, optionalAuth, requireRole, requireOwnership } = require('../../middleware/auth');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -12,7 +16,7 @@ const router = express.Router();
 const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB
-    files: 1
+    files: 2
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
@@ -38,6 +42,22 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Pre-fill a create request from one of the company's templates before it is validated
+const applyTaskTemplate = asyncHandler(async (req, res, next) => {
+  if (req.body.template_id) {
+    req.body = await templateService.applyTemplate(req.user.sub, req.body.template_id, req.body);
+  }
+  next();
+});
+
+// Solutions are piece indexes, logic puzzle cells/moves or { x, y } clicks (spot-diff)
+const isSolutionEntry = (value) => {
+  if (value !== null && typeof value === 'object') {
+    return Number.isFinite(Number(value.x)) && Number.isFinite(Number(value.y));
+  }
+  return /^\d+$/.test(String(value));
+};
+
 /**
  * @route   POST /api/v1/tasks
  * @desc    Create a new task
@@ -46,7 +66,18 @@ const handleValidationErrors = (req, res, next) => {
 router.post('/',
   authMiddleware,
   requireRole('company'),
-  upload.single('image_file'),
+  upload.fields([
+    { name: 'image_file', maxCount: 1 },
+    { name: 'comparison_image_file', maxCount: 1 }
+  ]),
+  [
+    body('template_id')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid template ID')
+  ],
+  handleValidationErrors,
+  applyTaskTemplate,
   [
     body('title')
       .trim()
@@ -72,7 +103,50 @@ router.post('/',
     body('reward_description')
       .trim()
       .isLength({ min: 10, max: 255 })
-      .withMessage('Reward description must be between 10 and 255 characters')
+      .withMessage('Reward description must be between 10 and 255 characters'),
+    body('logic_variant')
+      .optional()
+      .isIn(['sudoku', 'nonogram', 'sliding-tile'])
+      .withMessage('Invalid logic puzzle variant'),
+    body('questions')
+      .if(body('task_type').equals('speed-challenge'))
+      .notEmpty()
+      .withMessage('Questions are required for speed challenges'),
+    body('min_correct')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('min_correct must be a positive integer'),
+    body('rank_by_upvotes')
+      .optional()
+      .isBoolean()
+      .withMessage('rank_by_upvotes must be a boolean'),
+    body('winner_count')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('winner_count must be a positive integer'),
+    body(['grid_rows', 'grid_cols'])
+      .optional()
+      .isInt({ min: 2, max: 10 })
+      .withMessage('grid_rows and grid_cols must be between 2 and 10'),
+    body('grid_rows')
+      .custom((value, { req }) => (value === undefined) === (req.body.grid_cols === undefined))
+      .withMessage('grid_rows and grid_cols must be set together'),
+    body('piece_shape')
+      .optional()
+      .isIn(['square', 'jigsaw'])
+      .withMessage('piece_shape must be square or jigsaw'),
+    body(['starts_at', 'expires_at'])
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('starts_at and expires_at must be ISO 8601 dates'),
+    body('max_rewards')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max rewards must be a positive integer'),
+    body('reward_budget')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Reward budget must be greater than 0')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
@@ -80,7 +154,12 @@ router.post('/',
     
     const taskData = {
       ...req.body,
-      image_file: req.file ? req.file.buffer.toString('base64') : null
+      image_file: req.files?.image_file
+        ? req.files.image_file[0].buffer.toString('base64')
+        : null,
+      comparison_image_file: req.files?.comparison_image_file
+        ? req.files.comparison_image_file[0].buffer.toString('base64')
+        : null
     };
 
     const task = await taskService.createTask(companyId, taskData);
@@ -111,6 +190,18 @@ router.get('/list',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Invalid cursor'),
+    query('pagination')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
+      .optional()
+      .isBoolean()
+      .withMessage('include_total must be boolean'),
     query('difficulty')
       .optional()
       .isIn(['easy', 'medium', 'hard', 'expert'])
@@ -121,7 +212,7 @@ router.get('/list',
       .withMessage('Invalid task type filter'),
     query('sort_by')
       .optional()
-      .isIn(['created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate'])
+      .isIn(['created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate', 'complexity_score', 'distance'])
       .withMessage('Invalid sort field'),
     query('sort_order')
       .optional()
@@ -135,7 +226,19 @@ router.get('/list',
     query('featured_only')
       .optional()
       .isBoolean()
-      .withMessage('featured_only must be boolean')
+      .withMessage('featured_only must be boolean'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('lat must be between -90 and 90'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('lng must be between -180 and 180'),
+    query('radius_km')
+      .optional()
+      .isFloat({ min: 0.1, max: 100 })
+      .withMessage('radius_km must be between 0.1 and 100')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
@@ -147,7 +250,13 @@ router.get('/list',
       sort_by: req.query.sort_by,
       sort_order: req.query.sort_order,
       city: req.query.city,
-      featured_only: req.query.featured_only === 'true'
+      featured_only: req.query.featured_only === 'true',
+      lat: req.query.lat !== undefined ? parseFloat(req.query.lat) : undefined,
+      lng: req.query.lng !== undefined ? parseFloat(req.query.lng) : undefined,
+      radius_km: req.query.radius_km !== undefined ? parseFloat(req.query.radius_km) : undefined,
+      cursor: req.query.cursor,
+      pagination: req.query.pagination,
+      include_total: req.query.include_total === 'true'
     };
 
     const result = await taskService.listTasks(filters);
@@ -164,20 +273,84 @@ router.get('/list',
 );
 
 /**
- * @route   GET /api/v1/tasks/:id
- * @desc    Get task details
- * @access  Public (with optional auth for attempt tracking)
+ * @route   GET /api/v1/tasks/search
+ * @desc    Full-text search of active tasks with the same filters as /list
+ * @access  Public
  */
-router.get('/:id',
+router.get('/search',
+  [
+    query('q')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Search query must be between 2 and 100 characters'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard', 'expert'])
+      .withMessage('Invalid difficulty filter'),
+    query('task_type')
+      .optional()
+      .isIn(['image-puzzle', 'spot-diff', 'speed-challenge', 'meme', 'logic'])
+      .withMessage('Invalid task type filter'),
+    query('sort_by')
+      .optional()
+      .isIn(['relevance', 'created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate', 'complexity_score', 'distance'])
+      .withMessage('Invalid sort field'),
+    query('sort_order')
+      .optional()
+      .isIn(['ASC', 'DESC'])
+      .withMessage('Sort order must be ASC or DESC'),
+    query('city')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('City must be between 2 and 100 characters'),
+    query('featured_only')
+      .optional()
+      .isBoolean()
+      .withMessage('featured_only must be boolean'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('lat must be between -90 and 90'),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('lng must be between -180 and 180'),
+    query('radius_km')
+      .optional()
+      .isFloat({ min: 0.1, max: 100 })
+      .withMessage('radius_km must be between 0.1 and 100')
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
-    const userId = req.user?.sub || null;
+    const filters = {
+      q: req.query.q,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      difficulty: req.query.difficulty,
+      task_type: req.query.task_type,
+      sort_by: req.query.sort_by,
+      sort_order: req.query.sort_order,
+      city: req.query.city,
+      featured_only: req.query.featured_only === 'true',
+      lat: req.query.lat !== undefined ? parseFloat(req.query.lat) : undefined,
+      lng: req.query.lng !== undefined ? parseFloat(req.query.lng) : undefined,
+      radius_km: req.query.radius_km !== undefined ? parseFloat(req.query.radius_km) : undefined
+    };
 
-    const task = await taskService.getTask(taskId, userId);
+    const result = await taskService.searchTasks(filters);
 
     res.json({
       success: true,
-      data: task,
+      data: result,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -187,49 +360,58 @@ router.get('/:id',
 );
 
 /**
- * @route   PUT /api/v1/tasks/:id
- * @desc    Update task
- * @access  Private (Company only, owner only)
+ * @route   GET /api/v1/tasks/my-tasks
+ * @desc    Get company's tasks
+ * @access  Private (Company only)
  */
-router.put('/:id',
+router.get('/my-tasks',
   authMiddleware,
   requireRole('company'),
-  requireOwnership('task'),
   [
-    body('title')
+    query('page')
       .optional()
-      .trim()
-      .isLength({ min: 3, max: 100 })
-      .withMessage('Title must be between 3 and 100 characters'),
-    body('description')
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
       .optional()
-      .trim()
       .isLength({ max: 1000 })
-      .withMessage('Description must be less than 1000 characters'),
-    body('difficulty')
+      .withMessage('Invalid cursor'),
+    query('pagination')
       .optional()
-      .isIn(['easy', 'medium', 'hard', 'expert'])
-      .withMessage('Invalid difficulty level'),
-    body('reward_value')
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
       .optional()
-      .isFloat({ min: 0.01 })
-      .withMessage('Reward value must be greater than 0'),
-    body('reward_description')
+      .isBoolean()
+      .withMessage('include_total must be boolean'),
+    query('status')
       .optional()
-      .trim()
-      .isLength({ min: 10, max: 255 })
-      .withMessage('Reward description must be between 10 and 255 characters')
+      .isIn(['draft', 'processing', 'failed', 'pending', 'scheduled', 'active', 'blocked', 'expired', 'archived'])
+      .withMessage('Invalid status filter')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
     const companyId = req.user.sub;
+    
+    const filters = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      company_id: companyId,
+      status: req.query.status || 'all',
+      cursor: req.query.cursor,
+      pagination: req.query.pagination,
+      include_total: req.query.include_total === 'true'
+    };
 
-    const updatedTask = await taskService.updateTask(taskId, companyId, req.body);
+    const result = await taskService.listTasks(filters);
 
     res.json({
       success: true,
-      data: updatedTask,
+      data: result,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -239,23 +421,33 @@ router.put('/:id',
 );
 
 /**
- * @route   DELETE /api/v1/tasks/:id
- * @desc    Delete task
- * @access  Private (Company only, owner only)
+ * @route   GET /api/v1/tasks/feed
+ * @desc    Active tasks ranked for the player, without ones they already attempted
+ * @access  Private (Player only)
  */
-router.delete('/:id',
+router.get('/feed',
   authMiddleware,
-  requireRole('company'),
-  requireOwnership('task'),
+  requireRole('player'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
-    const companyId = req.user.sub;
-
-    await taskService.deleteTask(taskId, companyId);
+    const result = await feedService.getFeed(req.user.sub, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
 
     res.json({
       success: true,
-      data: { message: 'Task deleted successfully' },
+      data: result,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -265,23 +457,19 @@ router.delete('/:id',
 );
 
 /**
- * @route   POST /api/v1/tasks/:id/publish
- * @desc    Publish task
- * @access  Private (Company only, owner only)
+ * @route   GET /api/v1/tasks/templates
+ * @desc    List company's task templates
+ * @access  Private (Company only)
  */
-router.post('/:id/publish',
+router.get('/templates',
   authMiddleware,
   requireRole('company'),
-  requireOwnership('task'),
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
-    const companyId = req.user.sub;
-
-    const publishedTask = await taskService.publishTask(taskId, companyId);
+    const templates = await templateService.listTemplates(req.user.sub);
 
     res.json({
       success: true,
-      data: publishedTask,
+      data: templates,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -291,34 +479,61 @@ router.post('/:id/publish',
 );
 
 /**
- * @route   POST /api/v1/tasks/:id/feature
- * @desc    Feature task (paid promotion)
- * @access  Private (Company only, owner only)
+ * @route   POST /api/v1/tasks/templates
+ * @desc    Create a task template
+ * @access  Private (Company only)
  */
-router.post('/:id/feature',
+router.post('/templates',
   authMiddleware,
   requireRole('company'),
-  requireOwnership('task'),
   [
-    body('duration_days')
-      .isInt({ min: 1, max: 30 })
-      .withMessage('Duration must be between 1 and 30 days'),
-    body('payment_method')
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Template name must be between 2 and 100 characters'),
+    body('task_type')
+      .isIn(['image-puzzle', 'spot-diff', 'speed-challenge', 'meme', 'logic'])
+      .withMessage('Invalid task type'),
+    body('fields')
       .optional()
-      .isIn(['card', 'upi', 'netbanking'])
-      .withMessage('Invalid payment method')
+      .isObject()
+      .withMessage('Template fields must be an object')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
-    const companyId = req.user.sub;
-    const { duration_days } = req.body;
+    const template = await templateService.createTemplate(req.user.sub, req.body);
 
-    const result = await taskService.featureTask(taskId, companyId, duration_days);
+    res.status(201).json({
+      success: true,
+      data: template,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/templates/:templateId
+ * @desc    Get a task template
+ * @access  Private (Company only)
+ */
+router.get('/templates/:templateId',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('templateId')
+      .isUUID()
+      .withMessage('Invalid template ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const template = await templateService.getTemplate(req.user.sub, req.params.templateId);
 
     res.json({
       success: true,
-      data: result,
+      data: template,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -328,35 +543,34 @@ router.post('/:id/feature',
 );
 
 /**
- * @route   POST /api/v1/tasks/:id/attempt
- * @desc    Record task attempt
- * @access  Private (Player only)
+ * @route   PUT /api/v1/tasks/templates/:templateId
+ * @desc    Update a task template
+ * @access  Private (Company only)
  */
-router.post('/:id/attempt',
+router.put('/templates/:templateId',
   authMiddleware,
-  requireRole('player'),
+  requireRole('company'),
   [
-    body('is_successful')
-      .isBoolean()
-      .withMessage('is_successful must be boolean'),
-    body('time_taken_seconds')
-      .isInt({ min: 1 })
-      .withMessage('time_taken_seconds must be a positive integer'),
-    body('difficulty_multiplier')
+    param('templateId')
+      .isUUID()
+      .withMessage('Invalid template ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Template name must be between 2 and 100 characters'),
+    body('fields')
       .optional()
-      .isFloat({ min: 0.5, max: 3.0 })
-      .withMessage('difficulty_multiplier must be between 0.5 and 3.0')
+      .isObject()
+      .withMessage('Template fields must be an object')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const taskId = req.params.id;
-    const userId = req.user.sub;
-
-    const attempt = await taskService.recordAttempt(taskId, userId, req.body);
+    const template = await templateService.updateTemplate(req.user.sub, req.params.templateId, req.body);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      data: attempt,
+      data: template,
       meta: {
         timestamp: new Date().toISOString(),
         requestId: req.id
@@ -366,13 +580,41 @@ router.post('/:id/attempt',
 );
 
 /**
- * @route   GET /api/v1/tasks/my-tasks
- * @desc    Get company's tasks
+ * @route   DELETE /api/v1/tasks/templates/:templateId
+ * @desc    Delete a task template
  * @access  Private (Company only)
  */
-router.get('/my-tasks',
+router.delete('/templates/:templateId',
   authMiddleware,
   requireRole('company'),
+  [
+    param('templateId')
+      .isUUID()
+      .withMessage('Invalid template ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await templateService.deleteTemplate(req.user.sub, req.params.templateId);
+
+    res.json({
+      success: true,
+      data: { message: 'Task template deleted successfully' },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/versions/pending
+ * @desc    List reward changes to published tasks waiting for review
+ * @access  Private (Admin only)
+ */
+router.get('/versions/pending',
+  authMiddleware,
+  requireRole('admin'),
   [
     query('page')
       .optional()
@@ -381,24 +623,667 @@ router.get('/my-tasks',
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100'),
-    query('status')
-      .optional()
-      .isIn(['draft', 'active', 'expired'])
-      .withMessage('Invalid status filter')
+      .withMessage('Limit must be between 1 and 100')
   ],
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const companyId = req.user.sub;
-    
-    const filters = {
+    const result = await versionService.listPendingReviews({
       page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 20,
-      company_id: companyId,
-      status: req.query.status
-    };
+      limit: parseInt(req.query.limit) || 20
+    });
 
-    const result = await taskService.listTasks(filters);
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/:id
+ * @desc    Get task details
+ * @access  Public (with optional auth for attempt tracking, and for owners' archived tasks and generation jobs)
+ */
+router.get('/:id',
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const userId = req.user?.sub || null;
+
+    const task = await taskService.getTask(taskId, userId, req.user?.role || null);
+
+    res.json({
+      success: true,
+      data: task,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/tasks/:id
+ * @desc    Update task; edits to published tasks create a new version
+ * @access  Private (Company only, owner only)
+ */
+router.put('/:id',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Title must be between 3 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    body('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard', 'expert'])
+      .withMessage('Invalid difficulty level'),
+    body('reward_value')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Reward value must be greater than 0'),
+    body('reward_description')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 255 })
+      .withMessage('Reward description must be between 10 and 255 characters'),
+    body('max_rewards')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max rewards must be a positive integer'),
+    body('reward_budget')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Reward budget must be greater than 0'),
+    body(['starts_at', 'expires_at'])
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('starts_at and expires_at must be ISO 8601 dates')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const companyId = req.user.sub;
+
+    const updatedTask = await taskService.updateTask(taskId, companyId, req.body);
+
+    res.json({
+      success: true,
+      data: updatedTask,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/tasks/:id
+ * @desc    Delete task (archived, restorable until restore_until)
+ * @access  Private (Company only, owner only)
+ */
+router.delete('/:id',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const companyId = req.user.sub;
+
+    const archivedTask = await taskService.deleteTask(taskId, companyId);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Task deleted successfully',
+        restore_until: archivedTask.restore_until
+      },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/restore
+ * @desc    Restore a deleted task within the grace period
+ * @access  Private (Company only, owner only)
+ */
+router.post('/:id/restore',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  asyncHandler(async (req, res) => {
+    const task = await taskService.restoreTask(req.params.id, req.user.sub);
+
+    res.json({
+      success: true,
+      data: task,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/publish
+ * @desc    Publish task
+ * @access  Private (Company only, owner only)
+ */
+router.post('/:id/publish',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const companyId = req.user.sub;
+
+    const publishedTask = await taskService.publishTask(taskId, companyId);
+
+    res.json({
+      success: true,
+      data: publishedTask,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/clone
+ * @desc    Copy a task as a new draft, optionally shifting its schedule
+ * @access  Private (Company only)
+ */
+router.post('/:id/clone',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Title must be between 3 and 100 characters'),
+    body('schedule_offset_days')
+      .optional()
+      .isFloat({ min: 0, max: 365 })
+      .withMessage('schedule_offset_days must be between 0 and 365')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const task = await taskService.cloneTask(req.params.id, req.user.sub, {
+      title: req.body.title,
+      schedule_offset_days: req.body.schedule_offset_days
+    });
+
+    res.status(201).json({
+      success: true,
+      data: task,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/:id/versions
+ * @desc    Version history of a task, including changes waiting for review
+ * @access  Private (Company owner or admin)
+ */
+router.get('/:id/versions',
+  authMiddleware,
+  requireRole('company', 'admin'),
+  requireOwnership('task'),
+  asyncHandler(async (req, res) => {
+    const result = await versionService.listVersions(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/versions/:versionId/review
+ * @desc    Approve or reject a reward change to a published task
+ * @access  Private (Admin only)
+ */
+router.post('/:id/versions/:versionId/review',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    param('versionId')
+      .isUUID()
+      .withMessage('versionId must be a valid UUID'),
+    body('decision')
+      .isIn(['approve', 'reject'])
+      .withMessage('Decision must be approve or reject'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must be less than 500 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await versionService.reviewVersion(
+      req.params.id,
+      req.params.versionId,
+      req.user.sub,
+      {
+        decision: req.body.decision,
+        notes: req.body.notes
+      }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/feature
+ * @desc    Feature task (paid promotion)
+ * @access  Private (Company only, owner only)
+ */
+router.post('/:id/feature',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    body('duration_days')
+      .isInt({ min: 1, max: 30 })
+      .withMessage('Duration must be between 1 and 30 days'),
+    body('payment_method')
+      .optional()
+      .isIn(['card', 'upi', 'netbanking'])
+      .withMessage('Invalid payment method')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const companyId = req.user.sub;
+    const { duration_days } = req.body;
+
+    const result = await taskService.featureTask(taskId, companyId, duration_days);
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/sessions
+ * @desc    Start a puzzle solve session
+ * @access  Private (Player only)
+ */
+router.post('/:id/sessions',
+  authMiddleware,
+  requireRole('player'),
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const userId = req.user.sub;
+
+    const session = await taskService.startSession(taskId, userId);
+
+    res.status(201).json({
+      success: true,
+      data: session,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/sessions/:sessionId/submit
+ * @desc    Submit puzzle solution for a session
+ * @access  Private (Player only)
+ */
+router.post('/:id/sessions/:sessionId/submit',
+  authMiddleware,
+  requireRole('player'),
+  [
+    body('solution')
+      .isArray({ min: 1 })
+      .withMessage('solution must be a non-empty array'),
+    body('solution.*')
+      .custom(isSolutionEntry)
+      .withMessage('solution must contain piece indices or click coordinates'),
+    body('session_token')
+      .isString()
+      .notEmpty()
+      .withMessage('session_token is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const sessionId = req.params.sessionId;
+    const userId = req.user.sub;
+
+    const result = await taskService.submitSession(taskId, userId, sessionId, {
+      solution: req.body.solution,
+      session_token: req.body.session_token
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/sessions/:sessionId/answer
+ * @desc    Answer the current round of a speed challenge session
+ * @access  Private (Player only)
+ */
+router.post('/:id/sessions/:sessionId/answer',
+  authMiddleware,
+  requireRole('player'),
+  [
+    body('answer')
+      .custom(value => (typeof value === 'string' && value.trim().length > 0) || Number.isInteger(value))
+      .withMessage('answer must be an option index or text'),
+    body('session_token')
+      .isString()
+      .notEmpty()
+      .withMessage('session_token is required')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const sessionId = req.params.sessionId;
+    const userId = req.user.sub;
+
+    const result = await taskService.answerRound(taskId, userId, sessionId, {
+      answer: req.body.answer,
+      session_token: req.body.session_token
+    });
+
+    res.status(result.attempt ? 201 : 200).json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/:id/attempts/:attemptId/replay
+ * @desc    Rebuild the board a player saw for an attempt (dispute support)
+ * @access  Private (Company owner or admin)
+ */
+router.get('/:id/attempts/:attemptId/replay',
+  authMiddleware,
+  requireRole('company', 'admin'),
+  requireOwnership('task'),
+  [
+    param('attemptId')
+      .isUUID()
+      .withMessage('attemptId must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const replay = await taskService.replayAttempt(req.params.id, req.params.attemptId);
+
+    res.json({
+      success: true,
+      data: replay,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/captions
+ * @desc    Submit caption for a meme task
+ * @access  Private (Player only)
+ */
+router.post('/:id/captions',
+  authMiddleware,
+  requireRole('player'),
+  [
+    body('caption')
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage('Caption must be between 3 and 150 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const taskId = req.params.id;
+    const userId = req.user.sub;
+
+    const caption = await captionService.submitCaption(taskId, userId, req.body.caption);
+
+    res.status(201).json({
+      success: true,
+      data: caption,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/:id/captions
+ * @desc    List approved captions for a meme task
+ * @access  Public
+ */
+router.get('/:id/captions',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await captionService.listCaptions(req.params.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/tasks/:id/captions/review
+ * @desc    List captions in the review queue
+ * @access  Private (Company only, owner only)
+ */
+router.get('/:id/captions/review',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'winner'])
+      .withMessage('Invalid caption status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await captionService.listReviewQueue(req.params.id, req.user.sub, {
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/captions/award
+ * @desc    Award rewards to the most upvoted captions
+ * @access  Private (Company only, owner only)
+ */
+router.post('/:id/captions/award',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    body('winner_count')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('winner_count must be a positive integer')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await captionService.awardTopCaptions(
+      req.params.id,
+      req.user.sub,
+      req.body.winner_count ? parseInt(req.body.winner_count) : null
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/captions/:captionId/review
+ * @desc    Approve or reject a caption
+ * @access  Private (Company only, owner only)
+ */
+router.post('/:id/captions/:captionId/review',
+  authMiddleware,
+  requireRole('company'),
+  requireOwnership('task'),
+  [
+    body('decision')
+      .isIn(['approve', 'reject'])
+      .withMessage('Decision must be approve or reject'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be less than 255 characters')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const caption = await captionService.reviewCaption(
+      req.params.id,
+      req.user.sub,
+      req.params.captionId,
+      {
+        decision: req.body.decision,
+        reason: req.body.reason
+      }
+    );
+
+    res.json({
+      success: true,
+      data: caption,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/tasks/:id/captions/:captionId/upvote
+ * @desc    Upvote an approved caption
+ * @access  Private (Player only)
+ */
+router.post('/:id/captions/:captionId/upvote',
+  authMiddleware,
+  requireRole('player'),
+  asyncHandler(async (req, res) => {
+    const result = await captionService.upvoteCaption(
+      req.params.id,
+      req.params.captionId,
+      req.user.sub
+    );
 
     res.json({
       success: true,
@@ -0,0 +1,120 @@
+const { query } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const taskService = require('./service');
+const logger = require('../../utils/logger');
+
+const LOCK_KEY = 'lock:task_scheduler';
+
+/**
+ * Moves tasks through their schedule: scheduled tasks go live at starts_at,
+ * live tasks expire at expires_at, and paid featuring ends at featured_until.
+ * Deleted (archived) tasks past their retention period are purged.
+ * Every API instance runs the timer; a Redis lock lets only one sweep per tick.
+ */
+class TaskScheduler {
+  constructor() {
+    this.interval = parseInt(process.env.TASK_SCHEDULER_INTERVAL_MS) || 60000;
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic sweeps
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Task scheduler tick failed:', error));
+    }, this.interval);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info('Task scheduler started', { interval: this.interval });
+  }
+
+  /**
+   * Stop periodic sweeps
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Task scheduler stopped');
+    }
+  }
+
+  /**
+   * Run a sweep unless another instance already claimed this tick
+   * @returns {Object|null} Sweep result, or null when skipped
+   */
+  async tick() {
+    const claimed = await cacheService.incr(LOCK_KEY);
+    const lockTTL = Math.max(1, Math.floor(this.interval / 1000) - 1);
+
+    if (claimed !== 1) {
+      // Recover a lock left without a TTL by a failed expire
+      if (claimed !== null && await cacheService.ttl(LOCK_KEY) === -1) {
+        await cacheService.expire(LOCK_KEY, lockTTL);
+      }
+      return null;
+    }
+
+    // Lock lasts slightly less than a tick so the next one can claim it
+    await cacheService.expire(LOCK_KEY, lockTTL);
+
+    return this.runOnce();
+  }
+
+  /**
+   * Apply all due schedule transitions
+   * @returns {Object} { activated, expired, unfeatured, purged } task IDs
+   */
+  async runOnce() {
+    const activated = await query(
+      `UPDATE tasks
+       SET status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'scheduled' AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       RETURNING id`
+    );
+
+    const expired = await query(
+      `UPDATE tasks
+       SET status = 'expired', is_featured = false, updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('active', 'scheduled') AND expires_at <= CURRENT_TIMESTAMP
+       RETURNING id`
+    );
+
+    const unfeatured = await query(
+      `UPDATE tasks
+       SET is_featured = false, updated_at = CURRENT_TIMESTAMP
+       WHERE is_featured = true AND featured_until <= CURRENT_TIMESTAMP
+       RETURNING id`
+    );
+
+    const result = {
+      activated: activated.rows.map(row => row.id),
+      expired: expired.rows.map(row => row.id),
+      unfeatured: unfeatured.rows.map(row => row.id),
+      purged: await taskService.purgeArchivedTasks()
+    };
+
+    const taskIds = new Set([...result.activated, ...result.expired, ...result.unfeatured]);
+    for (const taskId of taskIds) {
+      await cacheService.del(`task:${taskId}`);
+    }
+
+    if (taskIds.size > 0) {
+      logger.business('Task schedules applied', {
+        activated: result.activated.length,
+        expired: result.expired.length,
+        unfeatured: result.unfeatured.length
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TaskScheduler();
@@ -1,17 +1,46 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { query, withTransaction } = require('../../database/connection');
 const { cacheService } = require('../../cache/redis');
 const puzzleGenerator = require('./puzzleGenerator');
+const spotDiffGenerator = require('./spotDiffGenerator');
+const logicPuzzleGenerator = require('./logicPuzzleGenerator');
+const speedChallengeGenerator = require('./speedChallengeGenerator');
+const memeGenerator = require('./memeGenerator');
+const imageComplexity = require('./imageComplexity');
+const generationQueue = require('./generationQueue');
+const userService = require('../users/service');
+const locationService = require('../users/locationService');
+const versionService = require('./versionService');
+const moderationService = require('./moderationService');
 const logger = require('../../utils/logger');
+const { isCursorMode, buildKeyset, buildPageQuery, buildPage } = require('../../utils/pagination');
 const {
   ValidationError,
   ConflictError,
   NotFoundError,
   ForbiddenError,
-  GoneError
+  GoneError,
+  InternalError,
+  SecurityError
 } = require('../../middleware/errorHandler');
 
+const DEFAULT_RADIUS_KM = 10;
+const ARCHIVE_PURGE_BATCH_SIZE = 50;
+// How long a started attempt blocks new sessions on a task without an end time
+const ATTEMPT_CLAIM_TTL_SECONDS = 90 * 24 * 60 * 60;
+// Task types whose boards are dealt per session; the rest are the same for every player
+const SEEDED_TASK_TYPES = ['image-puzzle'];
+const GENERATION_FAILED_MESSAGE = 'Puzzle generation failed';
+
 class TaskService {
+  constructor() {
+    this.sessionSecret = process.env.PUZZLE_SESSION_SECRET;
+    this.sessionTTL = parseInt(process.env.PUZZLE_SESSION_TTL_SECONDS) || 1800;
+    this.archiveRestoreDays = parseInt(process.env.TASK_ARCHIVE_RESTORE_DAYS) || 30;
+    this.archiveRetentionDays = parseInt(process.env.TASK_ARCHIVE_RETENTION_DAYS) || 90;
+  }
+
   /**
    * Create a new task
    * @param {string} companyId - Company ID
@@ -27,7 +56,21 @@ class TaskService {
       reward_type,
       reward_value,
       reward_description,
+      max_rewards,
+      reward_budget,
       image_file,
+      comparison_image_file,
+      logic_variant,
+      questions,
+      min_correct,
+      rank_by_upvotes,
+      winner_count,
+      grid_rows,
+      grid_cols,
+      piece_shape,
+      starts_at,
+      expires_at,
+      location_ids,
       puzzle_config
     } = taskData;
 
@@ -44,49 +87,90 @@ class TaskService {
       throw new ConflictError('Task with this title already exists for your company');
     }
 
-    let imageUrl = null;
+    const locationIds = locationService.parseLocationIds(location_ids);
+    await locationService.validateLocationIds(companyId, locationIds);
+
     let generatedPuzzleConfig = null;
+    let sourceImages = null;
 
-    // Process image if provided
-    if (image_file) {
-      try {
-        // Generate puzzle from image
-        const gridSize = this.getGridSizeFromDifficulty(difficulty);
-        generatedPuzzleConfig = await puzzleGenerator.generateImagePuzzle(
-          Buffer.from(image_file, 'base64'),
-          gridSize
-        );
-        imageUrl = generatedPuzzleConfig.image_url;
-      } catch (error) {
-        logger.error('Failed to process task image:', error);
-        throw new ValidationError('Failed to process image. Please ensure it\'s a valid JPEG/PNG file under 5MB');
+    if (task_type === 'logic') {
+      // Logic puzzles are generated from a seed and need no image
+      generatedPuzzleConfig = logicPuzzleGenerator.generateLogicPuzzle(
+        logic_variant || 'sudoku',
+        difficulty
+      );
+    } else if (task_type === 'speed-challenge') {
+      // Speed challenges are built from company-authored questions
+      generatedPuzzleConfig = speedChallengeGenerator.buildSpeedChallenge(questions, { min_correct });
+    } else if (image_file) {
+      // Image processing is slow, so it runs on the puzzle worker; reject bad uploads now
+      sourceImages = {
+        image: Buffer.from(image_file, 'base64'),
+        comparison: task_type === 'spot-diff' && comparison_image_file
+          ? Buffer.from(comparison_image_file, 'base64')
+          : null
+      };
+
+      for (const buffer of Object.values(sourceImages).filter(Boolean)) {
+        if (!(await puzzleGenerator.isValidImage(buffer))) {
+          throw new ValidationError('Failed to process image. Please ensure it\'s a valid JPEG/PNG file under 5MB');
+        }
       }
     }
 
+    const generationJob = sourceImages
+      ? await this.storeGenerationSources(sourceImages, {
+        grid_rows,
+        grid_cols,
+        piece_shape,
+        rank_by_upvotes,
+        winner_count
+      })
+      : null;
+
     // Create task in database
-    const result = await query(
-      `INSERT INTO tasks (
-        company_id, title, description, task_type, difficulty,
-        reward_type, reward_value, reward_description, image_url,
-        puzzle_config, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *`,
-      [
-        companyId,
-        title.trim(),
-        description?.trim() || null,
-        task_type,
-        difficulty,
-        reward_type,
-        parseFloat(reward_value),
-        reward_description.trim(),
-        imageUrl,
-        generatedPuzzleConfig ? JSON.stringify(generatedPuzzleConfig) : null,
-        'draft'
-      ]
-    );
+    const task = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO tasks (
+          company_id, title, description, task_type, difficulty,
+          reward_type, reward_value, reward_description, max_rewards,
+          reward_budget, starts_at, expires_at, puzzle_config, generation_job, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *`,
+        [
+          companyId,
+          title.trim(),
+          description?.trim() || null,
+          task_type,
+          difficulty,
+          reward_type,
+          parseFloat(reward_value),
+          reward_description.trim(),
+          max_rewards ? parseInt(max_rewards) : null,
+          reward_budget ? parseFloat(reward_budget) : null,
+          starts_at || null,
+          expires_at || null,
+          generatedPuzzleConfig ? JSON.stringify(generatedPuzzleConfig) : null,
+          generationJob ? JSON.stringify(generationJob) : null,
+          generationJob ? 'processing' : 'draft'
+        ]
+      );
+
+      if (locationIds.length > 0) {
+        await locationService.setTaskLocations(client, result.rows[0].id, locationIds);
+      }
+
+      return result.rows[0];
+    });
 
-    const task = result.rows[0];
+    if (generationJob) {
+      try {
+        await generationQueue.enqueue(generationQueue.createJob(task.id, generationJob.id));
+      } catch (error) {
+        await this.recordGenerationFailure({ id: generationJob.id, task_id: task.id, attempts: 0 }, error, null);
+        throw new InternalError('Failed to queue puzzle generation. Please try again');
+      }
+    }
 
     // Cache the task
     await cacheService.set(`task:${task.id}`, task, 300);
@@ -96,19 +180,357 @@ class TaskService {
       companyId,
       title: task.title,
       taskType: task.task_type,
-      difficulty: task.difficulty
+      difficulty: task.difficulty,
+      generationJobId: generationJob?.id
+    });
+
+    return {
+      ...task,
+      generation_job: this.getPublicGenerationJob(task.generation_job)
+    };
+  }
+
+  /**
+   * Copy a task as a new draft, reusing its generated puzzle and stored images
+   * @param {string} taskId - Task to copy
+   * @param {string} companyId - Company ID
+   * @param {Object} options - { title, schedule_offset_days }
+   * @returns {Object} Cloned task
+   */
+  async cloneTask(taskId, companyId, options = {}) {
+    const { title, schedule_offset_days = 0 } = options;
+
+    const sourceResult = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
+      [taskId, companyId]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const source = sourceResult.rows[0];
+
+    if (source.status === 'processing') {
+      throw new ConflictError('Puzzle is still being generated');
+    }
+
+    if (!source.puzzle_config) {
+      throw new ValidationError('Only tasks with a generated puzzle can be cloned');
+    }
+
+    const cloneTitle = title ? title.trim() : await this.getCopyTitle(companyId, source.title);
+
+    // Move the whole window by the same amount so its length is kept
+    const offsetMs = parseFloat(schedule_offset_days) * 24 * 60 * 60 * 1000;
+    const shift = (date) => (date ? new Date(new Date(date).getTime() + offsetMs).toISOString() : null);
+    const startsAt = shift(source.starts_at);
+    const expiresAt = shift(source.expires_at);
+
+    this.validateTaskData({
+      ...source,
+      title: cloneTitle,
+      starts_at: startsAt,
+      expires_at: expiresAt
+    });
+
+    const existingTask = await query(
+      'SELECT id FROM tasks WHERE company_id = $1 AND LOWER(title) = LOWER($2)',
+      [companyId, cloneTitle]
+    );
+
+    if (existingTask.rows.length > 0) {
+      throw new ConflictError('Task with this title already exists for your company');
+    }
+
+    const task = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO tasks (
+          company_id, title, description, task_type, difficulty,
+          reward_type, reward_value, reward_description, max_rewards,
+          reward_budget, starts_at, expires_at, image_url, puzzle_config,
+          complexity_score, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'draft')
+        RETURNING *`,
+        [
+          companyId,
+          cloneTitle,
+          source.description,
+          source.task_type,
+          source.difficulty,
+          source.reward_type,
+          source.reward_value,
+          source.reward_description,
+          source.max_rewards,
+          source.reward_budget,
+          startsAt,
+          expiresAt,
+          source.image_url,
+          JSON.stringify(this.parsePuzzleConfig(source.puzzle_config)),
+          source.complexity_score
+        ]
+      );
+
+      await client.query(
+        `INSERT INTO task_locations (task_id, location_id)
+         SELECT $1, location_id FROM task_locations WHERE task_id = $2`,
+        [result.rows[0].id, taskId]
+      );
+
+      return result.rows[0];
+    });
+
+    await cacheService.set(`task:${task.id}`, task, 300);
+
+    logger.business('Task cloned', {
+      taskId: task.id,
+      sourceTaskId: taskId,
+      companyId,
+      scheduleOffsetDays: parseFloat(schedule_offset_days)
     });
 
     return task;
   }
 
+  /**
+   * Next free "(copy)" title for a cloned task
+   * @param {string} companyId - Company ID
+   * @param {string} title - Original title
+   * @returns {string} Unused title
+   */
+  async getCopyTitle(companyId, title) {
+    // Clones of clones copy the original name rather than stacking suffixes
+    const base = title.replace(/ \(copy(?: \d+)?\)$/, '').slice(0, 88);
+
+    const result = await query(
+      'SELECT LOWER(title) as title FROM tasks WHERE company_id = $1 AND LOWER(title) LIKE LOWER($2)',
+      [companyId, `${base.replace(/[\\%_]/g, '\\$&')} (copy%`]
+    );
+
+    const taken = new Set(result.rows.map(row => row.title));
+    let copyTitle = `${base} (copy)`;
+
+    for (let n = 2; taken.has(copyTitle.toLowerCase()); n++) {
+      copyTitle = `${base} (copy ${n})`;
+    }
+
+    return copyTitle;
+  }
+
+  /**
+   * Upload source images for the puzzle worker and describe the job
+   * @param {Object} sourceImages - { image, comparison } buffers
+   * @param {Object} options - Generation options chosen by the company
+   * @returns {Object} Generation job record stored on the task
+   */
+  async storeGenerationSources(sourceImages, options) {
+    const jobId = uuidv4();
+    const sourceKeys = {};
+
+    for (const [name, buffer] of Object.entries(sourceImages)) {
+      if (buffer) {
+        sourceKeys[name] = `sources/${jobId}-${name}`;
+        await puzzleGenerator.uploadFile(sourceKeys[name], buffer, 'application/octet-stream');
+      }
+    }
+
+    return {
+      id: jobId,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: generationQueue.maxAttempts,
+      source_keys: sourceKeys,
+      options,
+      queued_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Generate a task's puzzle from its stored source images (runs on the puzzle worker)
+   * @param {Object} job - Queued job { id, task_id, attempts }
+   * @returns {boolean} Whether the task was updated
+   */
+  async generateTaskPuzzle(job) {
+    const taskResult = await query('SELECT * FROM tasks WHERE id = $1', [job.task_id]);
+    const task = taskResult.rows[0];
+
+    const started = task && await this.updateGenerationJob(task.id, job.id, {
+      status: 'processing',
+      attempts: job.attempts,
+      started_at: new Date().toISOString(),
+      next_attempt_at: null
+    }, 'processing');
+
+    if (!started) {
+      // Task was deleted or its puzzle was regenerated since this job was queued
+      logger.info('Skipping stale puzzle generation job', { jobId: job.id, taskId: job.task_id });
+      return false;
+    }
+
+    const { source_keys: sourceKeys, options } = task.generation_job;
+    const imageBuffer = await puzzleGenerator.downloadFile(sourceKeys.image);
+    const comparisonBuffer = sourceKeys.comparison
+      ? await puzzleGenerator.downloadFile(sourceKeys.comparison)
+      : null;
+
+    const puzzleConfig = await this.generateImageConfig(
+      task.task_type,
+      task.difficulty,
+      imageBuffer,
+      comparisonBuffer,
+      options
+    );
+
+    const complexityWarnings = puzzleConfig.complexity
+      ? imageComplexity.getDifficultyWarnings(
+        task.difficulty,
+        { rows: puzzleConfig.rows, cols: puzzleConfig.cols },
+        puzzleConfig.complexity
+      )
+      : [];
+
+    const result = await query(
+      `UPDATE tasks
+       SET image_url = $3, puzzle_config = $4, complexity_score = $5, status = 'draft',
+           generation_job = generation_job || $6::jsonb, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND generation_job->>'id' = $2
+       RETURNING id`,
+      [
+        task.id,
+        job.id,
+        puzzleConfig.image_url,
+        JSON.stringify(puzzleConfig),
+        puzzleConfig.complexity ? puzzleConfig.complexity.score : null,
+        JSON.stringify({
+          status: 'completed',
+          error: null,
+          warnings: complexityWarnings,
+          completed_at: new Date().toISOString()
+        })
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      // Task went away while generating; don't leave its assets behind
+      await puzzleGenerator.deletePuzzleAssets(puzzleConfig.image_url, puzzleGenerator.getAssetUrls(puzzleConfig));
+      return false;
+    }
+
+    await cacheService.del(`task:${task.id}`);
+
+    logger.business('Task puzzle generated', {
+      taskId: task.id,
+      jobId: job.id,
+      taskType: task.task_type,
+      attempts: job.attempts,
+      complexityScore: puzzleConfig.complexity?.score,
+      complexityWarnings: complexityWarnings.length
+    });
+
+    return true;
+  }
+
+  /**
+   * Generate the puzzle config for an image-based task
+   * @param {string} taskType - Task type
+   * @param {string} difficulty - Difficulty level
+   * @param {Buffer} imageBuffer - Uploaded image
+   * @param {Buffer|null} comparisonBuffer - Altered image for spot-diff tasks
+   * @param {Object} options - { grid_rows, grid_cols, piece_shape, rank_by_upvotes, winner_count }
+   * @returns {Object} Puzzle config
+   */
+  async generateImageConfig(taskType, difficulty, imageBuffer, comparisonBuffer, options = {}) {
+    if (taskType === 'spot-diff') {
+      // Generate difference regions from a second image or automatic edits
+      return spotDiffGenerator.generateSpotDiffPuzzle(imageBuffer, {
+        differenceCount: this.getDifferenceCountFromDifficulty(difficulty),
+        comparisonImageBuffer: comparisonBuffer
+      });
+    }
+
+    if (taskType === 'meme') {
+      // Template image players write captions for
+      return memeGenerator.prepareTemplate(imageBuffer, {
+        rank_by_upvotes: options.rank_by_upvotes,
+        winner_count: options.winner_count
+      });
+    }
+
+    // Generate puzzle from image; the grid follows the image's aspect ratio unless set
+    return puzzleGenerator.generateImagePuzzle(imageBuffer, {
+      pieceCount: this.getGridSizeFromDifficulty(difficulty),
+      rows: options.grid_rows,
+      cols: options.grid_cols,
+      pieceShape: options.piece_shape || 'square'
+    });
+  }
+
+  /**
+   * Record a failed generation attempt on the task
+   * @param {Object} job - Queued job { id, task_id, attempts }
+   * @param {Error} error - Failure
+   * @param {Date|null} retryAt - When the job runs again, or null when it has given up
+   */
+  async recordGenerationFailure(job, error, retryAt) {
+    const changes = {
+      status: retryAt ? 'retrying' : 'failed',
+      attempts: job.attempts,
+      // Only our own errors are worded for users; the worker's raw error stays in the logs
+      error: error.isOperational ? error.message : GENERATION_FAILED_MESSAGE,
+      next_attempt_at: retryAt ? retryAt.toISOString() : null
+    };
+
+    if (!retryAt) {
+      changes.failed_at = new Date().toISOString();
+    }
+
+    await this.updateGenerationJob(job.task_id, job.id, changes, retryAt ? 'processing' : 'failed');
+  }
+
+  /**
+   * Merge changes into a task's generation job
+   * @param {string} taskId - Task ID
+   * @param {string} jobId - Job the changes belong to
+   * @param {Object} changes - Fields to merge into generation_job
+   * @param {string} status - New task status
+   * @returns {boolean} Whether the task still belongs to this job
+   */
+  async updateGenerationJob(taskId, jobId, changes, status) {
+    const result = await query(
+      `UPDATE tasks
+       SET generation_job = generation_job || $3::jsonb, status = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND generation_job->>'id' = $2
+       RETURNING id`,
+      [taskId, jobId, JSON.stringify(changes), status]
+    );
+
+    await cacheService.del(`task:${taskId}`);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get generation job details safe to expose to the task owner
+   * @param {Object|null} generationJob - Stored generation job
+   * @returns {Object|null} Job status without storage keys
+   */
+  getPublicGenerationJob(generationJob) {
+    if (!generationJob) {
+      return null;
+    }
+
+    const { source_keys, options, ...publicJob } = generationJob;
+    return publicJob;
+  }
+
   /**
    * Get task by ID
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID (for attempt tracking)
+   * @param {string} userRole - User role (admins see generation details)
    * @returns {Object} Task details
    */
-  async getTask(taskId, userId = null) {
+  async getTask(taskId, userId = null, userRole = null) {
     // Try cache first
     let task = await cacheService.get(`task:${taskId}`);
 
@@ -116,6 +538,7 @@ class TaskService {
       // Get from database
       const result = await query(
         `SELECT t.*, u.email as company_email, cp.company_name,
+                ${this.rewardInventoryColumns()},
                 COUNT(ta.id) as total_attempts,
                 COUNT(CASE WHEN ta.is_successful THEN 1 END) as successful_attempts
          FROM tasks t
@@ -132,11 +555,20 @@ class TaskService {
       }
 
       task = result.rows[0];
+      task.locations = await locationService.getTaskLocations(taskId, task.company_id);
 
       // Cache the task
       await cacheService.set(`task:${taskId}`, task, 300);
     }
 
+    // Deleted tasks stay visible to their company only, so they can be restored
+    if (task.status === 'archived' && task.company_id !== userId) {
+      throw new NotFoundError('Task not found');
+    }
+
+    // The cached object is shared, so per-user fields go on a copy
+    task = { ...task };
+
     // Check if user has already attempted this task
     if (userId) {
       const attemptResult = await query(
@@ -149,9 +581,17 @@ class TaskService {
 
     // Don't expose puzzle solution to users
     if (task.puzzle_config) {
-      const puzzleConfig = JSON.parse(task.puzzle_config);
-      delete puzzleConfig.correct_solution;
-      task.puzzle_config = puzzleConfig;
+      task.puzzle_config = this.getPublicPuzzleConfig(
+        task.task_type,
+        this.parsePuzzleConfig(task.puzzle_config)
+      );
+    }
+
+    // Image tasks report how puzzle generation on the worker is going, to their company and admins only
+    if (userRole === 'admin' || (userId && task.company_id === userId)) {
+      task.generation_job = this.getPublicGenerationJob(task.generation_job);
+    } else {
+      delete task.generation_job;
     }
 
     return task;
@@ -159,150 +599,482 @@ class TaskService {
 
   /**
    * List tasks with filtering and pagination
-   * @param {Object} filters - Filter options
+   * @param {Object} filters - Filter options, plus cursor/pagination/include_total for keyset pages
    * @returns {Object} Tasks list with pagination
    */
   async listTasks(filters = {}) {
     const {
       page = 1,
       limit = 20,
-      difficulty,
-      task_type,
       sort_by = 'created_at',
       sort_order = 'DESC',
-      city,
-      featured_only = false,
-      company_id
+      cursor,
+      include_total
     } = filters;
 
+    const cursorMode = isCursorMode(filters);
     const offset = (page - 1) * limit;
-    let whereConditions = ['t.status = $1'];
-    let queryParams = ['active'];
-    let paramIndex = 2;
+    const {
+      whereConditions,
+      whereClause,
+      queryParams,
+      paramIndex,
+      joinClause,
+      geoColumns,
+      geo
+    } = this.buildTaskFilters(filters);
 
-    // Add filters
-    if (difficulty) {
-      whereConditions.push(`t.difficulty = $${paramIndex}`);
-      queryParams.push(difficulty);
-      paramIndex++;
-    }
+    // Validate sort field
+    const validSortFields = ['created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate', 'complexity_score'];
+    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-    if (task_type) {
-      whereConditions.push(`t.task_type = $${paramIndex}`);
-      queryParams.push(task_type);
-      paramIndex++;
+    // Nearby searches sort by distance unless another order is asked for
+    const byDistance = geo && (!filters.sort_by || sort_by === 'distance');
+
+    // Cursor pages skip the count unless it's asked for
+    let total = null;
+    if (!cursorMode || include_total) {
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM tasks t
+        LEFT JOIN company_profiles cp ON t.company_id = cp.user_id${joinClause}
+        WHERE ${whereClause}
+      `;
+
+      const countResult = await query(countQuery, queryParams);
+      total = parseInt(countResult.rows[0].total);
     }
 
-    if (city) {
-      whereConditions.push(`cp.city ILIKE $${paramIndex}`);
-      queryParams.push(`%${city}%`);
-      paramIndex++;
-    }
+    const cursorSort = byDistance ? 'distance' : sortField;
+    const cursorOrder = byDistance ? 'ASC' : sortDirection;
+    const sortKey = this.getCursorSortKey(cursorSort, cursorOrder);
+    const keyset = cursorMode
+      ? buildKeyset({
+        cursor,
+        sortField: cursorSort,
+        sortExpression: sortKey.expression,
+        sortType: sortKey.type,
+        idExpression: 't.id',
+        order: cursorOrder,
+        paramIndex
+      })
+      : null;
+
+    const pageQuery = buildPageQuery({
+      keyset,
+      conditions: whereConditions,
+      params: queryParams,
+      orderBy: byDistance ? 'loc.distance_km ASC' : `t.${sortField} ${sortDirection} NULLS LAST`,
+      paramIndex,
+      limit,
+      offset
+    });
 
-    if (featured_only) {
-      whereConditions.push(`t.is_featured = true AND t.featured_until > CURRENT_TIMESTAMP`);
-    }
+    // Get tasks
+    const tasksQuery = `
+      SELECT 
+        ${this.taskListColumns()}${geoColumns}${pageQuery.keyColumn}
+      FROM tasks t
+      JOIN users u ON t.company_id = u.id
+      LEFT JOIN company_profiles cp ON u.id = cp.user_id${joinClause}
+      WHERE ${pageQuery.whereClause || 'TRUE'}
+      ${pageQuery.pageClause}
+    `;
 
-    if (company_id) {
-      whereConditions.push(`t.company_id = $${paramIndex}`);
-      queryParams.push(company_id);
-      paramIndex++;
+    const tasksResult = await query(tasksQuery, pageQuery.params);
+    const { items, pagination } = buildPage(tasksResult.rows, { keyset, page, limit, total });
+
+    return {
+      tasks: items,
+      pagination
+    };
+  }
+
+  /**
+   * Non-null sort expression and type for keyset pagination of tasks
+   * @param {string} sortField - Sort field
+   * @param {string} sortDirection - ASC or DESC
+   * @returns {Object} { expression, type }
+   */
+  getCursorSortKey(sortField, sortDirection) {
+    // Tasks without a score sort after scored ones either way, as with NULLS LAST
+    const unscored = sortDirection === 'ASC' ? 101 : -1;
+
+    const sortKeys = {
+      created_at: { expression: 't.created_at', type: 'timestamp' },
+      title: { expression: 't.title', type: 'text' },
+      difficulty: { expression: 't.difficulty', type: 'text' },
+      reward_value: { expression: 't.reward_value', type: 'numeric' },
+      conversion_rate: { expression: 'COALESCE(t.conversion_rate, 0)', type: 'numeric' },
+      complexity_score: { expression: `COALESCE(t.complexity_score, ${unscored})`, type: 'numeric' },
+      distance: { expression: 'loc.distance_km', type: 'float8' }
+    };
+
+    return sortKeys[sortField] || sortKeys.created_at;
+  }
+
+  /**
+   * Search tasks by title, description, reward and company name
+   * @param {Object} filters - { q, ...listTasks filters }
+   * @returns {Object} Ranked tasks with highlights and pagination
+   */
+  async searchTasks(filters = {}) {
+    const {
+      q,
+      page = 1,
+      limit = 20,
+      sort_by = 'relevance',
+      sort_order = 'DESC'
+    } = filters;
+
+    const tsQuery = this.buildSearchQuery(q);
+    if (!tsQuery) {
+      throw new ValidationError('Search query must contain at least one word');
     }
 
+    const offset = (page - 1) * limit;
+    const {
+      whereConditions,
+      queryParams,
+      paramIndex: searchIndex,
+      joinClause,
+      geoColumns,
+      geo
+    } = this.buildTaskFilters(filters);
+    const searchParam = `$${searchIndex}`;
+    const paramIndex = searchIndex + 1;
+
+    // Expressions match the GIN indexes on title, content and company name
+    whereConditions.push(`(
+      to_tsvector('english', t.title) @@ to_tsquery('english', ${searchParam})
+      OR to_tsvector('english', COALESCE(t.description, '') || ' ' || t.reward_description) @@ to_tsquery('english', ${searchParam})
+      OR to_tsvector('english', cp.company_name) @@ to_tsquery('english', ${searchParam})
+    )`);
+    queryParams.push(tsQuery);
+
     const whereClause = whereConditions.join(' AND ');
 
-    // Validate sort field
-    const validSortFields = ['created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate'];
-    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const validSortFields = ['created_at', 'title', 'difficulty', 'reward_value', 'conversion_rate', 'complexity_score'];
     const sortDirection = sort_order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    let orderBy = 'rank DESC, t.created_at DESC';
+    if (geo && sort_by === 'distance') {
+      orderBy = 'loc.distance_km ASC';
+    } else if (validSortFields.includes(sort_by)) {
+      orderBy = `t.${sort_by} ${sortDirection} NULLS LAST`;
+    }
 
-    // Get total count
     const countQuery = `
       SELECT COUNT(*) as total
       FROM tasks t
-      LEFT JOIN company_profiles cp ON t.company_id = cp.user_id
+      LEFT JOIN company_profiles cp ON t.company_id = cp.user_id${joinClause}
       WHERE ${whereClause}
     `;
 
     const countResult = await query(countQuery, queryParams);
     const total = parseInt(countResult.rows[0].total);
 
-    // Get tasks
+    const highlightOptions = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5';
     const tasksQuery = `
       SELECT 
-        t.id, t.title, t.description, t.task_type, t.difficulty,
-        t.reward_type, t.reward_value, t.reward_description, t.image_url,
-        t.is_featured, t.featured_until, t.attempt_count, t.conversion_count,
-        t.conversion_rate, t.created_at, t.expires_at,
-        cp.company_name, cp.city,
-        u.email as company_email
+        ${this.taskListColumns()},
+        ts_rank(
+          setweight(to_tsvector('english', t.title), 'A') ||
+          setweight(to_tsvector('english', COALESCE(cp.company_name, '')), 'B') ||
+          setweight(to_tsvector('english', COALESCE(t.description, '')), 'C') ||
+          setweight(to_tsvector('english', t.reward_description), 'C'),
+          to_tsquery('english', ${searchParam})
+        ) as rank,
+        json_build_object(
+          'title', ts_headline('english', t.title, to_tsquery('english', ${searchParam}), 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+          'description', ts_headline('english', COALESCE(t.description, ''), to_tsquery('english', ${searchParam}), '${highlightOptions}'),
+          'reward_description', ts_headline('english', t.reward_description, to_tsquery('english', ${searchParam}), '${highlightOptions}'),
+          'company_name', ts_headline('english', COALESCE(cp.company_name, ''), to_tsquery('english', ${searchParam}), 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        ) as highlights${geoColumns}
       FROM tasks t
       JOIN users u ON t.company_id = u.id
-      LEFT JOIN company_profiles cp ON u.id = cp.user_id
+      LEFT JOIN company_profiles cp ON u.id = cp.user_id${joinClause}
       WHERE ${whereClause}
-      ORDER BY t.${sortField} ${sortDirection}
+      ORDER BY ${orderBy}
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
     queryParams.push(limit, offset);
     const tasksResult = await query(tasksQuery, queryParams);
 
-    const totalPages = Math.ceil(total / limit);
+    logger.info('Task search', { q, total, page });
 
     return {
-      tasks: tasksResult.rows,
-      pagination: {
-        current_page: page,
-        total_pages: totalPages,
-        total_items: total,
-        items_per_page: limit,
-        has_next: page < totalPages,
-        has_prev: page > 1
-      }
+      tasks: tasksResult.rows.map(task => ({
+        ...task,
+        highlights: this.escapeHighlights(task.highlights)
+      })),
+      pagination: this.buildPagination(page, limit, total)
     };
   }
 
   /**
-   * Update task
-   * @param {string} taskId - Task ID
-   * @param {string} companyId - Company ID (for ownership check)
-   * @param {Object} updateData - Data to update
-   * @returns {Object} Updated task
+   * Build a prefix-matching tsquery from free text ("piz hut" -> "piz:* & hut:*")
+   * @param {string} text - Search text
+   * @returns {string|null} tsquery source, or null when no words remain
    */
-  async updateTask(taskId, companyId, updateData) {
-    // Check if task exists and belongs to company
-    const existingTask = await query(
-      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
-      [taskId, companyId]
-    );
+  buildSearchQuery(text) {
+    const words = String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
 
-    if (existingTask.rows.length === 0) {
-      throw new NotFoundError('Task not found or access denied');
+    if (!words) {
+      return null;
     }
 
-    const task = existingTask.rows[0];
+    // Only word characters reach to_tsquery, so its operators can't be injected
+    return words.slice(0, 10).map(word => `${word}:*`).join(' & ');
+  }
 
-    // Check if task can be edited
-    if (task.status === 'active') {
-      throw new ForbiddenError('Cannot edit published task');
-    }
+  /**
+   * HTML-escape search highlights, keeping only the <mark> tags added by ts_headline
+   * @param {Object} highlights - Field -> highlighted text
+   * @returns {Object} Escaped highlights (empty fields are null)
+   */
+  escapeHighlights(highlights = {}) {
+    const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+    return Object.fromEntries(Object.entries(highlights || {}).map(([field, text]) => [
+      field,
+      text
+        ? text
+          .replace(/[&<>"']/g, char => escapes[char])
+          .replace(/&lt;(\/?)mark&gt;/g, '<$1mark>')
+        : null
+    ]));
+  }
 
-    const allowedUpdates = ['title', 'description', 'difficulty', 'reward_value', 'reward_description'];
-    const updates = [];
-    const values = [];
+  /**
+   * Build WHERE conditions shared by task listing and search
+   * @param {Object} filters - { status, difficulty, task_type, city, featured_only, company_id, lat, lng, radius_km }
+   * @returns {Object} { whereConditions, whereClause, queryParams, paramIndex, joinClause, geoColumns, geo }
+   */
+  buildTaskFilters(filters = {}) {
+    const {
+      difficulty,
+      task_type,
+      city,
+      featured_only = false,
+      company_id,
+      status = 'active',
+      lat,
+      lng,
+      radius_km = DEFAULT_RADIUS_KM
+    } = filters;
+
+    const whereConditions = [];
+    const queryParams = [];
     let paramIndex = 1;
 
-    // Build update query
-    for (const [key, value] of Object.entries(updateData)) {
-      if (allowedUpdates.includes(key)) {
-        updates.push(`${key} = $${paramIndex}`);
-        values.push(value);
-        paramIndex++;
-      }
-    }
+    if (status === 'expired') {
+      // Include tasks past their end time that the scheduler hasn't swept yet
+      whereConditions.push(
+        "(t.status = 'expired' OR (t.status IN ('active', 'scheduled') AND t.expires_at <= CURRENT_TIMESTAMP))"
+      );
+    } else if (status === 'all') {
+      // Deleted tasks are only listed when asked for
+      whereConditions.push("t.status != 'archived'");
+    } else {
+      whereConditions.push(`t.status = $${paramIndex}`);
+      queryParams.push(status);
+      paramIndex++;
 
-    if (updates.length === 0) {
-      throw new ValidationError('No valid fields to update');
+      if (['active', 'scheduled'].includes(status)) {
+        whereConditions.push('(t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)');
+      }
+    }
+
+    // Add filters
+    if (difficulty) {
+      whereConditions.push(`t.difficulty = $${paramIndex}`);
+      queryParams.push(difficulty);
+      paramIndex++;
+    }
+
+    if (task_type) {
+      whereConditions.push(`t.task_type = $${paramIndex}`);
+      queryParams.push(task_type);
+      paramIndex++;
+    }
+
+    if (city) {
+      // Match the company's city or any of its store locations
+      whereConditions.push(`(cp.city ILIKE $${paramIndex} OR EXISTS (
+        SELECT 1 FROM store_locations sl
+        WHERE sl.company_id = t.company_id AND sl.is_active = true AND sl.city ILIKE $${paramIndex}
+      ))`);
+      queryParams.push(`%${city}%`);
+      paramIndex++;
+    }
+
+    if (featured_only) {
+      whereConditions.push(`t.is_featured = true AND t.featured_until > CURRENT_TIMESTAMP`);
+    }
+
+    if (company_id) {
+      whereConditions.push(`t.company_id = $${paramIndex}`);
+      queryParams.push(company_id);
+      paramIndex++;
+    }
+
+    let joinClause = '';
+    let geoColumns = '';
+    const geo = lat !== undefined && lat !== null && lng !== undefined && lng !== null;
+
+    if (geo) {
+      // Nearest applicable store per task: bounding box first, then exact haversine distance
+      const box = locationService.getBoundingBox(lat, lng, radius_km);
+      const distance = locationService.distanceSql(`$${paramIndex}::float8`, `$${paramIndex + 1}::float8`);
+      queryParams.push(lat, lng);
+      paramIndex += 2;
+
+      const boxConditions = [`sl.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`];
+      queryParams.push(box.min_lat, box.max_lat);
+      paramIndex += 2;
+
+      if (box.min_lng !== null) {
+        boxConditions.push(`sl.longitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+        queryParams.push(box.min_lng, box.max_lng);
+        paramIndex += 2;
+      }
+
+      joinClause = `
+      JOIN LATERAL (
+        SELECT sl.id, sl.name, sl.address, sl.city, sl.latitude, sl.longitude,
+               ${distance} AS distance_km
+        FROM store_locations sl
+        WHERE sl.company_id = t.company_id AND sl.is_active = true
+          AND ${boxConditions.join(' AND ')}
+          AND ${locationService.taskLocationScope('t.id')}
+        ORDER BY distance_km
+        LIMIT 1
+      ) loc ON true`;
+
+      whereConditions.push(`loc.distance_km <= $${paramIndex}`);
+      queryParams.push(radius_km);
+      paramIndex++;
+
+      geoColumns = `,
+        ROUND(loc.distance_km::numeric, 2) as distance_km,
+        json_build_object(
+          'id', loc.id, 'name', loc.name, 'address', loc.address, 'city', loc.city,
+          'latitude', loc.latitude, 'longitude', loc.longitude
+        ) as nearest_location`;
+    } else if ((lat !== undefined && lat !== null) || (lng !== undefined && lng !== null)) {
+      throw new ValidationError('lat and lng must be provided together');
+    }
+
+    return {
+      whereConditions,
+      whereClause: whereConditions.length > 0 ? whereConditions.join(' AND ') : 'TRUE',
+      queryParams,
+      paramIndex,
+      joinClause,
+      geoColumns,
+      geo
+    };
+  }
+
+  /**
+   * Columns returned for tasks in lists and search results
+   * @returns {string} SQL select list
+   */
+  taskListColumns() {
+    return `t.id, t.title, t.description, t.task_type, t.difficulty,
+        t.reward_type, t.reward_value, t.reward_description, t.image_url,
+        t.is_featured, t.featured_until, t.attempt_count, t.conversion_count,
+        t.conversion_rate, t.complexity_score, t.status, t.starts_at, t.created_at, t.expires_at,
+        ${this.rewardInventoryColumns()},
+        cp.company_name, cp.city,
+        u.email as company_email`;
+  }
+
+  /**
+   * Build page-based pagination metadata
+   * @param {number} page - Current page
+   * @param {number} limit - Items per page
+   * @param {number} total - Total items
+   * @returns {Object} Pagination
+   */
+  buildPagination(page, limit, total) {
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      current_page: page,
+      total_pages: totalPages,
+      total_items: total,
+      items_per_page: limit,
+      has_next: page < totalPages,
+      has_prev: page > 1
+    };
+  }
+
+  /**
+   * Update task
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID (for ownership check)
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Updated task
+   */
+  async updateTask(taskId, companyId, updateData) {
+    // Check if task exists and belongs to company
+    const existingTask = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
+      [taskId, companyId]
+    );
+
+    if (existingTask.rows.length === 0) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const task = existingTask.rows[0];
+
+    if (task.status === 'archived') {
+      throw new ForbiddenError('Deleted tasks must be restored before editing');
+    }
+
+    // An admin reviews the task as it was submitted; it can't change under them
+    if (task.status === 'pending') {
+      throw new ConflictError('Task is waiting for review and cannot be edited until an admin decides');
+    }
+
+    this.validateRewardLimits({
+      max_rewards: updateData.max_rewards,
+      reward_budget: updateData.reward_budget,
+      reward_value: updateData.reward_value ?? task.reward_value
+    });
+
+    this.validateSchedule({
+      starts_at: updateData.starts_at !== undefined ? updateData.starts_at : task.starts_at,
+      expires_at: updateData.expires_at !== undefined ? updateData.expires_at : task.expires_at
+    }, updateData.expires_at !== undefined);
+
+    const locationIds = updateData.location_ids !== undefined
+      ? locationService.parseLocationIds(updateData.location_ids)
+      : null;
+
+    if (locationIds) {
+      await locationService.validateLocationIds(companyId, locationIds);
+    }
+
+    // Published tasks, live or waiting to start, are versioned rather than edited in place
+    if (['active', 'scheduled'].includes(task.status)) {
+      return this.updatePublishedTask(task, companyId, { ...updateData, location_ids: locationIds ?? undefined });
+    }
+
+    const allowedUpdates = [
+      'title', 'description', 'difficulty', 'reward_value', 'reward_description',
+      'max_rewards', 'reward_budget', 'starts_at', 'expires_at'
+    ];
+    const { updates, values, paramIndex } = this.buildUpdateSet(updateData, allowedUpdates);
+
+    if (updates.length === 0 && !locationIds) {
+      throw new ValidationError('No valid fields to update');
     }
 
     // Add updated_at
@@ -316,192 +1088,1000 @@ class TaskService {
       RETURNING *
     `;
 
-    const result = await query(updateQuery, values);
-    const updatedTask = result.rows[0];
+    const updatedTask = await withTransaction(async (client) => {
+      const result = await client.query(updateQuery, values);
+
+      if (locationIds) {
+        await locationService.setTaskLocations(client, taskId, locationIds);
+      }
+
+      return result.rows[0];
+    });
+
+    // Clear cache
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task updated', {
+      taskId,
+      companyId,
+      updates: Object.keys(updateData)
+    });
+
+    return updatedTask;
+  }
+
+  /**
+   * Edit a published task: safe fields are applied as a new version right away,
+   * reward changes wait as a pending version until an admin approves them
+   * @param {Object} task - Current task row
+   * @param {string} companyId - Company ID
+   * @param {Object} updateData - Data to update, with parsed location_ids
+   * @returns {Object} Updated task with pending_change, if any
+   */
+  async updatePublishedTask(task, companyId, updateData) {
+    const { updatedTask, appliedVersion, pendingChange } = await withTransaction(async (client) => {
+      const currentLocationIds = await versionService.getLocationIds(client, task.id);
+      const { applied, review } = versionService.planChanges(task, updateData, currentLocationIds);
+
+      let current = task;
+      let version = null;
+
+      if (Object.keys(applied).length > 0) {
+        const { updates, values, paramIndex } = this.buildUpdateSet(
+          Object.fromEntries(Object.entries(applied).map(([field, change]) => [field, change.to])),
+          ['title', 'description', 'expires_at']
+        );
+
+        updates.push('current_version = current_version + 1', 'updated_at = CURRENT_TIMESTAMP');
+        values.push(task.id);
+
+        const result = await client.query(
+          `UPDATE tasks SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+          values
+        );
+        current = result.rows[0];
+
+        if (applied.location_ids) {
+          await locationService.setTaskLocations(client, task.id, updateData.location_ids);
+        }
+
+        version = await versionService.recordApplied(client, current, applied, companyId);
+      }
+
+      const pending = Object.keys(review).length > 0
+        ? await versionService.recordPending(client, task.id, review, companyId)
+        : null;
+
+      return { updatedTask: current, appliedVersion: version, pendingChange: pending };
+    });
+
+    await cacheService.del(`task:${task.id}`);
+
+    logger.business('Published task edited', {
+      taskId: task.id,
+      companyId,
+      version: updatedTask.current_version,
+      applied: appliedVersion ? Object.keys(appliedVersion.changes) : [],
+      pendingReview: pendingChange ? Object.keys(pendingChange.changes) : []
+    });
+
+    return {
+      ...updatedTask,
+      pending_change: pendingChange
+    };
+  }
+
+  /**
+   * Build the SET list of an UPDATE from allowed fields
+   * @param {Object} data - Field values
+   * @param {Array} allowedFields - Fields that may be set
+   * @returns {Object} { updates, values, paramIndex }
+   */
+  buildUpdateSet(data, allowedFields) {
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(data)) {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(['starts_at', 'expires_at'].includes(key) ? value || null : value);
+        paramIndex++;
+      }
+    }
+
+    return { updates, values, paramIndex };
+  }
+
+  /**
+   * Delete task. Tasks are archived so players' rewards and the transaction
+   * history stay intact; they can be restored during the grace period and are
+   * purged by the scheduler after the retention period.
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID (for ownership check)
+   * @returns {Object} Archived task with restore deadline
+   */
+  async deleteTask(taskId, companyId) {
+    const archivedTask = await withTransaction(async (client) => {
+      const taskResult = await client.query(
+        'SELECT * FROM tasks WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [taskId, companyId]
+      );
+
+      if (taskResult.rows.length === 0) {
+        throw new NotFoundError('Task not found or access denied');
+      }
+
+      const task = taskResult.rows[0];
+
+      if (task.status === 'archived') {
+        throw new ConflictError('Task is already deleted');
+      }
+
+      if (task.status === 'processing') {
+        throw new ConflictError('Puzzle is still being generated');
+      }
+
+      // Rewards are issued under the same row lock, so none can slip in after this check
+      const outstanding = await this.countOutstandingRewards(client, taskId);
+      if (outstanding > 0) {
+        throw new ConflictError(
+          `Task has ${outstanding} unredeemed reward(s) and can be deleted once they are redeemed or expire`
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE tasks
+         SET status = 'archived', archived_from_status = status,
+             archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [taskId]
+      );
+
+      return result.rows[0];
+    });
+
+    // Clear cache
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task archived', {
+      taskId,
+      companyId,
+      title: archivedTask.title,
+      previousStatus: archivedTask.archived_from_status
+    });
+
+    return {
+      ...archivedTask,
+      restore_until: this.getRestoreDeadline(archivedTask).toISOString()
+    };
+  }
+
+  /**
+   * Restore an archived task to the status it had before deletion
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID (for ownership check)
+   * @returns {Object} Restored task
+   */
+  async restoreTask(taskId, companyId) {
+    const taskResult = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
+      [taskId, companyId]
+    );
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const task = taskResult.rows[0];
+
+    if (task.status !== 'archived') {
+      throw new ConflictError('Only deleted tasks can be restored');
+    }
+
+    if (new Date() > this.getRestoreDeadline(task)) {
+      throw new GoneError('The restore period for this task has ended');
+    }
+
+    // The scheduler expires restored tasks whose end time passed while archived
+    const result = await query(
+      `UPDATE tasks
+       SET status = COALESCE(archived_from_status, 'draft'), archived_from_status = NULL,
+           archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'archived'
+       RETURNING *`,
+      [taskId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ConflictError('Only deleted tasks can be restored');
+    }
+
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task restored', {
+      taskId,
+      companyId,
+      status: result.rows[0].status
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Permanently remove archived tasks past the retention period, with their
+   * attempts and puzzle assets. Rewards, transactions and analytics events are
+   * kept and lose their link to the task.
+   * @param {number} batchSize - Maximum tasks to purge in one run
+   * @returns {Array} Purged task IDs
+   */
+  async purgeArchivedTasks(batchSize = ARCHIVE_PURGE_BATCH_SIZE) {
+    const dueResult = await query(
+      `SELECT * FROM tasks
+       WHERE status = 'archived'
+         AND archived_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+       ORDER BY archived_at
+       LIMIT $2`,
+      [this.archiveRetentionDays, batchSize]
+    );
+
+    const purged = [];
+
+    for (const task of dueResult.rows) {
+      try {
+        const deleted = await withTransaction(async (client) => {
+          const outstanding = await this.countOutstandingRewards(client, task.id);
+          if (outstanding > 0) {
+            logger.warn('Archived task still has unredeemed rewards; purge skipped', {
+              taskId: task.id,
+              outstanding
+            });
+            return false;
+          }
+
+          const result = await client.query(
+            "DELETE FROM tasks WHERE id = $1 AND status = 'archived' RETURNING id",
+            [task.id]
+          );
+
+          return result.rows.length > 0;
+        });
+
+        if (!deleted) {
+          continue;
+        }
+
+        await this.deleteTaskAssets(task);
+        await cacheService.del(`task:${task.id}`);
+        purged.push(task.id);
+      } catch (error) {
+        logger.error('Failed to purge archived task:', error);
+      }
+    }
+
+    if (purged.length > 0) {
+      logger.business('Archived tasks purged', { count: purged.length });
+    }
+
+    return purged;
+  }
+
+  /**
+   * Count a task's rewards that players can still redeem
+   * @param {Object} client - Database client
+   * @param {string} taskId - Task ID
+   * @returns {number} Unredeemed, unexpired rewards
+   */
+  async countOutstandingRewards(client, taskId) {
+    const result = await client.query(
+      `SELECT COUNT(*) as count
+       FROM user_rewards
+       WHERE task_id = $1 AND is_redeemed = false AND expires_at > CURRENT_TIMESTAMP`,
+      [taskId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Delete a task's source images and puzzle assets
+   * @param {Object} task - Deleted task row
+   */
+  async deleteTaskAssets(task) {
+    // Source images kept for the puzzle worker
+    if (task.generation_job) {
+      await puzzleGenerator.deleteFiles(Object.values(task.generation_job.source_keys || {}));
+    }
+
+    // Clean up puzzle assets if they exist and no clone still uses them
+    const shared = task.image_url
+      ? await query('SELECT 1 FROM tasks WHERE image_url = $1 LIMIT 1', [task.image_url])
+      : null;
+
+    if (task.image_url && task.puzzle_config && shared.rows.length === 0) {
+      try {
+        const puzzleConfig = this.parsePuzzleConfig(task.puzzle_config);
+        await puzzleGenerator.deletePuzzleAssets(
+          task.image_url,
+          puzzleGenerator.getAssetUrls(puzzleConfig)
+        );
+      } catch (error) {
+        logger.error('Failed to cleanup puzzle assets:', error);
+      }
+    }
+  }
+
+  /**
+   * Last moment an archived task can be restored
+   * @param {Object} task - Archived task row
+   * @returns {Date} Restore deadline
+   */
+  getRestoreDeadline(task) {
+    return new Date(new Date(task.archived_at).getTime() + this.archiveRestoreDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Publish task, or submit it for review when it needs one
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @returns {Object} Published task
+   */
+  async publishTask(taskId, companyId) {
+    const taskResult = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
+      [taskId, companyId]
+    );
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const task = taskResult.rows[0];
+
+    if (task.status === 'processing') {
+      throw new ConflictError('Puzzle is still being generated');
+    }
+
+    if (task.status !== 'draft') {
+      throw new ForbiddenError('Only draft tasks can be published');
+    }
+
+    if (['logic', 'speed-challenge'].includes(task.task_type)) {
+      if (!task.puzzle_config) {
+        throw new ValidationError('Task must have a generated puzzle to be published');
+      }
+    } else if (!task.image_url) {
+      throw new ValidationError('Task must have an image to be published');
+    }
+
+    if (task.reward_value <= 0) {
+      throw new ValidationError('Task must have a valid reward value');
+    }
+
+    if (task.expires_at && new Date(task.expires_at) <= new Date()) {
+      throw new ValidationError('Task end time has already passed');
+    }
+
+    // Flagged tasks and tasks from companies without a track record wait for an admin
+    const reviewFlags = await moderationService.runPreChecks(task);
+    const needsReview = reviewFlags.length > 0 || !(await moderationService.isTrusted(companyId));
+
+    // Tasks with a future start wait for the scheduler to go live
+    const liveStatus = task.starts_at && new Date(task.starts_at) > new Date() ? 'scheduled' : 'active';
+    const status = needsReview ? 'pending' : liveStatus;
+
+    // Update task status
+    const result = await query(
+      `UPDATE tasks 
+       SET status = $3, review_flags = $4,
+           submitted_for_review_at = CASE WHEN $3 = 'pending' THEN CURRENT_TIMESTAMP ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND company_id = $2
+       RETURNING *`,
+      [taskId, companyId, status, JSON.stringify(reviewFlags)]
+    );
+
+    const publishedTask = result.rows[0];
+
+    // Clear cache
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task published', {
+      taskId,
+      companyId,
+      title: task.title,
+      status,
+      reviewFlags: reviewFlags.map(flag => flag.check),
+      startsAt: task.starts_at
+    });
+
+    return publishedTask;
+  }
+
+  /**
+   * Feature task (paid promotion)
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @param {number} durationDays - Duration in days
+   * @returns {Object} Featured task details
+   */
+  async featureTask(taskId, companyId, durationDays) {
+    const taskResult = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
+      [taskId, companyId]
+    );
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found or access denied');
+    }
+
+    const task = taskResult.rows[0];
+
+    if (task.status !== 'active') {
+      throw new ForbiddenError('Only active tasks can be featured');
+    }
+
+    // Calculate cost
+    const costPerDay = parseFloat(process.env.FEATURED_TASK_COST_PER_DAY) || 99;
+    const totalCost = costPerDay * durationDays;
+
+    // Update task with featured status
+    const featuredUntil = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
+    
+    const result = await query(
+      `UPDATE tasks 
+       SET is_featured = true, featured_until = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND company_id = $3
+       RETURNING *`,
+      [featuredUntil, taskId, companyId]
+    );
+
+    const featuredTask = result.rows[0];
+
+    // Clear cache
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task featured', {
+      taskId,
+      companyId,
+      durationDays,
+      cost: totalCost,
+      featuredUntil
+    });
+
+    return {
+      task: featuredTask,
+      cost: totalCost,
+      featured_until: featuredUntil
+    };
+  }
+
+  /**
+   * Start a puzzle solve session
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @returns {Object} Session details with signed session token
+   */
+  async startSession(taskId, userId) {
+    // Check if user has already attempted this task
+    const existingAttempt = await query(
+      'SELECT id FROM task_attempts WHERE task_id = $1 AND user_id = $2',
+      [taskId, userId]
+    );
+
+    if (existingAttempt.rows.length > 0) {
+      throw new ConflictError('You have already attempted this task');
+    }
+
+    const taskResult = await query(
+      'SELECT * FROM tasks WHERE id = $1 AND status = $2',
+      [taskId, 'active']
+    );
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found or not active');
+    }
+
+    const task = taskResult.rows[0];
+
+    if (task.expires_at && new Date() > new Date(task.expires_at)) {
+      throw new GoneError('Task has expired');
+    }
+
+    if (this.isRewardInventoryExhausted(task)) {
+      throw new GoneError('All rewards for this task have been claimed');
+    }
+
+    // Starting a session uses up the player's attempt, even if it is abandoned,
+    // so puzzles can't be restarted until solved or read in parallel sessions
+    const claimKey = `puzzle_attempt:${taskId}:${userId}`;
+    const claim = await cacheService.incr(claimKey);
+
+    if (claim !== 1) {
+      throw new ConflictError('You have already started this task');
+    }
+
+    await cacheService.expire(claimKey, task.expires_at
+      ? Math.max(this.sessionTTL, Math.ceil((new Date(task.expires_at) - Date.now()) / 1000))
+      : ATTEMPT_CLAIM_TTL_SECONDS);
+
+    try {
+      return await this.createSession(task, userId);
+    } catch (error) {
+      // Nothing was played, so the attempt is still available
+      await cacheService.del(claimKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a session for a task the player has claimed an attempt on
+   * @param {Object} task - Task row
+   * @param {string} userId - User ID
+   * @returns {Object} Session details with signed session token
+   */
+  async createSession(task, userId) {
+    const taskId = task.id;
+    const session = {
+      id: uuidv4(),
+      task_id: taskId,
+      user_id: userId,
+      task_version: task.current_version,
+      started_at: Date.now()
+    };
+    session.seed = SEEDED_TASK_TYPES.includes(task.task_type) ? this.deriveSessionSeed(session) : null;
+
+    const board = this.buildSessionBoard(task.task_type, this.parsePuzzleConfig(task.puzzle_config), session.seed);
+
+    if (task.task_type === 'speed-challenge') {
+      // Rounds are served one at a time and timed from when each is served
+      session.round = 0;
+      session.round_started_at = session.started_at;
+      session.rounds = [];
+    }
+
+    const stored = await cacheService.set(`puzzle_session:${session.id}`, session, this.sessionTTL);
+
+    if (!stored) {
+      throw new InternalError('Failed to start puzzle session');
+    }
+
+    logger.business('Puzzle session started', {
+      sessionId: session.id,
+      taskId,
+      userId
+    });
+
+    return {
+      session_id: session.id,
+      session_token: this.signSession(session),
+      started_at: new Date(session.started_at).toISOString(),
+      expires_at: new Date(session.started_at + this.sessionTTL * 1000).toISOString(),
+      ...board
+    };
+  }
+
+  /**
+   * Build the public board for a puzzle session
+   * @param {string} taskType - Task type
+   * @param {Object|null} puzzleConfig - Parsed puzzle config
+   * @param {string|null} seed - Session seed (null replays the task's default board)
+   * @returns {Object} Board data safe to send to the player
+   */
+  buildSessionBoard(taskType, puzzleConfig, seed = null) {
+    if (taskType === 'meme') {
+      throw new ValidationError('Meme tasks are played by submitting a caption');
+    }
+
+    if (taskType === 'speed-challenge') {
+      if (!puzzleConfig || !Array.isArray(puzzleConfig.questions)) {
+        throw new ValidationError('Task does not have a playable puzzle');
+      }
+
+      return {
+        ...speedChallengeGenerator.getSummary(puzzleConfig),
+        question: speedChallengeGenerator.getPublicQuestion(puzzleConfig, 0)
+      };
+    }
+
+    if (taskType === 'logic') {
+      if (!puzzleConfig || !puzzleConfig.board) {
+        throw new ValidationError('Task does not have a playable puzzle');
+      }
+
+      return logicPuzzleGenerator.getPublicBoard(puzzleConfig);
+    }
+
+    if (taskType === 'spot-diff') {
+      if (!puzzleConfig || !Array.isArray(puzzleConfig.differences)) {
+        throw new ValidationError('Task does not have a playable puzzle');
+      }
+
+      return {
+        image_url: puzzleConfig.image_url,
+        modified_image_url: puzzleConfig.modified_image_url,
+        width: puzzleConfig.width,
+        height: puzzleConfig.height,
+        difference_count: puzzleConfig.difference_count
+      };
+    }
+
+    if (!puzzleConfig || !Array.isArray(puzzleConfig.correct_solution)) {
+      throw new ValidationError('Task does not have a playable puzzle');
+    }
+
+    // Each session gets its own shuffle so boards can't be shared between players
+    return {
+      grid_size: puzzleConfig.grid_size,
+      rows: puzzleConfig.rows || puzzleConfig.grid_size,
+      cols: puzzleConfig.cols || puzzleConfig.grid_size,
+      piece_count: puzzleConfig.piece_count,
+      piece_shape: puzzleConfig.piece_shape || 'square',
+      renditions: puzzleConfig.renditions,
+      connectors: puzzleConfig.piece_shape === 'jigsaw'
+        ? puzzleConfig.pieces.map(piece => piece.connectors)
+        : undefined,
+      shuffled_order: this.getShuffledOrder(puzzleConfig, seed)
+    };
+  }
+
+  /**
+   * Get the piece order an image puzzle board is dealt in
+   * @param {Object} puzzleConfig - Parsed puzzle config
+   * @param {string|null} seed - Session seed (null uses the task's default order)
+   * @returns {Array} Piece index shown in each board slot
+   */
+  getShuffledOrder(puzzleConfig, seed = null) {
+    return seed
+      ? puzzleGenerator.shuffleArray([...Array(puzzleConfig.piece_count).keys()], seed)
+      : puzzleConfig.shuffled_order;
+  }
+
+  /**
+   * Validate a submitted solution against the stored puzzle
+   * @param {string} taskType - Task type
+   * @param {Array} solution - Submitted solution
+   * @param {Object} puzzleConfig - Parsed puzzle config
+   * @param {number} elapsedMs - Server-measured solve time
+   * @param {string|null} seed - Session seed the board was dealt from
+   * @returns {Object} Validation result
+   */
+  validateSubmission(taskType, solution, puzzleConfig, elapsedMs, seed = null) {
+    if (taskType === 'speed-challenge') {
+      throw new ValidationError('Speed challenges are answered one round at a time');
+    }
+
+    if (taskType === 'logic') {
+      return logicPuzzleGenerator.validateSolution(puzzleConfig, solution, elapsedMs);
+    }
+
+    if (taskType === 'spot-diff') {
+      return spotDiffGenerator.validateClicks(solution, puzzleConfig, elapsedMs);
+    }
+
+    if (!solution.every(index => Number.isInteger(Number(index)))) {
+      throw new ValidationError('Solution must be an array of piece indexes');
+    }
+
+    // Pieces are placed by board slot, so the answer depends on the session's shuffle
+    return puzzleGenerator.validateSolution(
+      solution.map(Number),
+      puzzleGenerator.getSolutionForOrder(this.getShuffledOrder(puzzleConfig, seed)),
+      elapsedMs
+    );
+  }
+
+  /**
+   * Submit a puzzle solve session
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} submission - { solution, session_token }
+   * @returns {Object} Recorded attempt with validation result
+   */
+  async submitSession(taskId, userId, sessionId, submission) {
+    const { solution, session_token } = submission;
+    const cacheKey = `puzzle_session:${sessionId}`;
+
+    const session = await cacheService.get(cacheKey);
+
+    if (!session || session.task_id !== taskId || session.user_id !== userId) {
+      throw new NotFoundError('Puzzle session not found or expired');
+    }
+
+    if (!this.verifySessionToken(session, session_token)) {
+      logger.security('Invalid puzzle session token', { sessionId, taskId, userId });
+      throw new SecurityError('Invalid session token');
+    }
+
+    const taskResult = await query(
+      'SELECT task_type, difficulty, puzzle_config FROM tasks WHERE id = $1',
+      [taskId]
+    );
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found');
+    }
 
-    // Clear cache
-    await cacheService.del(`task:${taskId}`);
+    const { task_type, difficulty } = taskResult.rows[0];
+    const puzzleConfig = this.parsePuzzleConfig(taskResult.rows[0].puzzle_config);
+    const elapsedMs = Date.now() - session.started_at;
+
+    let validation = this.validateSubmission(task_type, solution, puzzleConfig, elapsedMs, session.seed);
+
+    // Answers sent back faster than anyone could play come from a script, not the board
+    if (elapsedMs < this.getMinSolveSecondsFromDifficulty(difficulty) * 1000) {
+      logger.security('Puzzle solved faster than the minimum time', { sessionId, taskId, userId, elapsedMs });
+      validation = {
+        is_correct: false,
+        score: 0,
+        time_bonus: 0,
+        error: 'Puzzle was solved faster than allowed'
+      };
+    }
 
-    logger.business('Task updated', {
-      taskId,
-      companyId,
-      updates: Object.keys(updateData)
+    // Sessions are single use
+    await cacheService.del(cacheKey);
+
+    const attempt = await this.recordAttempt(taskId, userId, {
+      is_successful: validation.is_correct,
+      time_taken_seconds: Math.max(1, Math.round(elapsedMs / 1000)),
+      started_at: session.started_at,
+      seed: session.seed,
+      task_version: session.task_version
     });
 
-    return updatedTask;
+    return {
+      attempt,
+      result: validation
+    };
   }
 
   /**
-   * Delete task
+   * Answer the current round of a speed challenge session
    * @param {string} taskId - Task ID
-   * @param {string} companyId - Company ID (for ownership check)
-   * @returns {boolean} Success status
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} submission - { answer, session_token }
+   * @returns {Object} Round result with next question, or recorded attempt after the last round
    */
-  async deleteTask(taskId, companyId) {
-    // Get task details for cleanup
+  async answerRound(taskId, userId, sessionId, submission) {
+    const { answer, session_token } = submission;
+    const cacheKey = `puzzle_session:${sessionId}`;
+
+    const session = await cacheService.get(cacheKey);
+
+    if (!session || session.task_id !== taskId || session.user_id !== userId) {
+      throw new NotFoundError('Puzzle session not found or expired');
+    }
+
+    if (!this.verifySessionToken(session, session_token)) {
+      logger.security('Invalid puzzle session token', { sessionId, taskId, userId });
+      throw new SecurityError('Invalid session token');
+    }
+
+    if (!Array.isArray(session.rounds)) {
+      throw new ValidationError('Session is not a speed challenge');
+    }
+
     const taskResult = await query(
-      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
-      [taskId, companyId]
+      'SELECT puzzle_config FROM tasks WHERE id = $1',
+      [taskId]
     );
 
     if (taskResult.rows.length === 0) {
-      throw new NotFoundError('Task not found or access denied');
+      throw new NotFoundError('Task not found');
     }
 
-    const task = taskResult.rows[0];
+    const puzzleConfig = this.parsePuzzleConfig(taskResult.rows[0].puzzle_config);
+    const round = session.round;
 
-    // Delete task in transaction
-    await withTransaction(async (client) => {
-      // Delete related records
-      await client.query('DELETE FROM task_attempts WHERE task_id = $1', [taskId]);
-      await client.query('DELETE FROM user_rewards WHERE task_id = $1', [taskId]);
-      
-      // Delete task
-      await client.query('DELETE FROM tasks WHERE id = $1', [taskId]);
-    });
+    if (round >= puzzleConfig.question_count) {
+      throw new ConflictError('All rounds have already been answered');
+    }
 
-    // Clean up puzzle assets if they exist
-    if (task.image_url && task.puzzle_config) {
-      try {
-        const puzzleConfig = JSON.parse(task.puzzle_config);
-        await puzzleGenerator.deletePuzzleAssets(task.image_url);
-      } catch (error) {
-        logger.error('Failed to cleanup puzzle assets:', error);
+    // Only the first answer for a round counts
+    const claim = await cacheService.incr(`${cacheKey}:round:${round}`);
+    await cacheService.expire(`${cacheKey}:round:${round}`, this.sessionTTL);
+
+    if (claim !== 1) {
+      throw new ConflictError('This round has already been answered');
+    }
+
+    const now = Date.now();
+    const roundResult = speedChallengeGenerator.scoreAnswer(
+      puzzleConfig.questions[round],
+      answer,
+      now - session.round_started_at
+    );
+
+    session.rounds.push(roundResult);
+    session.round = round + 1;
+    session.round_started_at = now;
+
+    if (session.round < puzzleConfig.question_count) {
+      const stored = await cacheService.set(cacheKey, session, this.sessionTTL);
+
+      if (!stored) {
+        throw new InternalError('Failed to save puzzle session');
       }
+
+      return {
+        round_result: roundResult,
+        next_question: speedChallengeGenerator.getPublicQuestion(puzzleConfig, session.round)
+      };
     }
 
-    // Clear cache
-    await cacheService.del(`task:${taskId}`);
+    // Sessions are single use
+    await cacheService.del(cacheKey);
 
-    logger.business('Task deleted', {
-      taskId,
-      companyId,
-      title: task.title
+    const validation = speedChallengeGenerator.summarize(puzzleConfig, session.rounds);
+
+    const attempt = await this.recordAttempt(taskId, userId, {
+      is_successful: validation.is_correct,
+      time_taken_seconds: Math.max(1, Math.round((now - session.started_at) / 1000)),
+      started_at: session.started_at,
+      seed: session.seed,
+      task_version: session.task_version
     });
 
-    return true;
+    return {
+      round_result: roundResult,
+      attempt,
+      result: validation
+    };
   }
 
   /**
-   * Publish task
+   * Rebuild the board a player saw during an attempt
    * @param {string} taskId - Task ID
-   * @param {string} companyId - Company ID
-   * @returns {Object} Published task
+   * @param {string} attemptId - Attempt ID
+   * @returns {Object} { attempt, task_type, seed, board, puzzle_config }
    */
-  async publishTask(taskId, companyId) {
+  async replayAttempt(taskId, attemptId) {
+    const attemptResult = await query(
+      'SELECT * FROM task_attempts WHERE id = $1 AND task_id = $2',
+      [attemptId, taskId]
+    );
+
+    if (attemptResult.rows.length === 0) {
+      throw new NotFoundError('Attempt not found');
+    }
+
     const taskResult = await query(
-      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
-      [taskId, companyId]
+      'SELECT task_type, puzzle_config FROM tasks WHERE id = $1',
+      [taskId]
     );
 
     if (taskResult.rows.length === 0) {
-      throw new NotFoundError('Task not found or access denied');
+      throw new NotFoundError('Task not found');
     }
 
-    const task = taskResult.rows[0];
+    const { task_type } = taskResult.rows[0];
 
-    if (task.status !== 'draft') {
-      throw new ForbiddenError('Only draft tasks can be published');
+    if (task_type === 'meme') {
+      throw new ValidationError('Meme attempts have no puzzle board to replay');
     }
 
-    if (!task.image_url) {
-      throw new ValidationError('Task must have an image to be published');
-    }
+    // Only image puzzle boards are dealt from the session seed
+    const seed = SEEDED_TASK_TYPES.includes(task_type) ? attemptResult.rows[0].seed : null;
+    const attempt = { ...attemptResult.rows[0], seed };
+    let puzzleConfig = this.parsePuzzleConfig(taskResult.rows[0].puzzle_config);
+
+    if (attempt.task_version) {
+      // Later edits may have replaced the puzzle; replay the one the attempt was played on
+      const versionResult = await query(
+        `SELECT snapshot FROM task_versions
+         WHERE task_id = $1 AND version = $2 AND status = 'applied'`,
+        [taskId, attempt.task_version]
+      );
+      const snapshot = versionResult.rows[0] && versionResult.rows[0].snapshot;
 
-    if (task.reward_value <= 0) {
-      throw new ValidationError('Task must have a valid reward value');
+      if (snapshot && snapshot.puzzle_config) {
+        puzzleConfig = this.parsePuzzleConfig(snapshot.puzzle_config);
+      }
     }
 
-    // Update task status
-    const result = await query(
-      `UPDATE tasks 
-       SET status = 'active', updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1 AND company_id = $2
-       RETURNING *`,
-      [taskId, companyId]
-    );
-
-    const publishedTask = result.rows[0];
+    logger.business('Puzzle attempt replayed', { taskId, attemptId, taskVersion: attempt.task_version });
 
-    // Clear cache
-    await cacheService.del(`task:${taskId}`);
+    return {
+      attempt,
+      task_type,
+      seed,
+      board: this.buildSessionBoard(task_type, puzzleConfig, seed),
+      puzzle_config: puzzleConfig
+    };
+  }
 
-    logger.business('Task published', {
-      taskId,
-      companyId,
-      title: task.title
-    });
+  /**
+   * Get puzzle config safe to expose on task details
+   * @param {string} taskType - Task type
+   * @param {Object} puzzleConfig - Parsed puzzle config
+   * @returns {Object} Public puzzle config
+   */
+  getPublicPuzzleConfig(taskType, puzzleConfig) {
+    if (taskType === 'speed-challenge') {
+      return speedChallengeGenerator.getSummary(puzzleConfig);
+    }
 
-    return publishedTask;
+    // Solutions, difference regions and seeds would reveal the answer
+    const { correct_solution, differences, seed, ...publicConfig } = puzzleConfig;
+    return publicConfig;
   }
 
   /**
-   * Feature task (paid promotion)
-   * @param {string} taskId - Task ID
-   * @param {string} companyId - Company ID
-   * @param {number} durationDays - Duration in days
-   * @returns {Object} Featured task details
+   * Derive the seed driving a session's board
+   * @param {Object} session - Session data { id, task_id, user_id }
+   * @returns {string} Hex seed
    */
-  async featureTask(taskId, companyId, durationDays) {
-    const taskResult = await query(
-      'SELECT * FROM tasks WHERE id = $1 AND company_id = $2',
-      [taskId, companyId]
-    );
-
-    if (taskResult.rows.length === 0) {
-      throw new NotFoundError('Task not found or access denied');
+  deriveSessionSeed(session) {
+    if (!this.sessionSecret) {
+      throw new InternalError('Puzzle session secret is not configured');
     }
 
-    const task = taskResult.rows[0];
+    // Keyed so players can't precompute boards from ids they can see
+    return crypto
+      .createHmac('sha256', this.sessionSecret)
+      .update(`seed|${session.task_id}|${session.user_id}|${session.id}`)
+      .digest('hex');
+  }
 
-    if (task.status !== 'active') {
-      throw new ForbiddenError('Only active tasks can be featured');
+  /**
+   * Sign puzzle session
+   * @param {Object} session - Session data
+   * @returns {string} HMAC signature
+   */
+  signSession(session) {
+    if (!this.sessionSecret) {
+      throw new InternalError('Puzzle session secret is not configured');
     }
 
-    // Calculate cost
-    const costPerDay = parseFloat(process.env.FEATURED_TASK_COST_PER_DAY) || 99;
-    const totalCost = costPerDay * durationDays;
+    return crypto
+      .createHmac('sha256', this.sessionSecret)
+      .update(`${session.id}|${session.task_id}|${session.user_id}|${session.started_at}`)
+      .digest('hex');
+  }
 
-    // Update task with featured status
-    const featuredUntil = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
-    
-    const result = await query(
-      `UPDATE tasks 
-       SET is_featured = true, featured_until = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2 AND company_id = $3
-       RETURNING *`,
-      [featuredUntil, taskId, companyId]
-    );
+  /**
+   * Verify puzzle session token
+   * @param {Object} session - Stored session data
+   * @param {string} token - Token supplied by the client
+   * @returns {boolean} Is token valid
+   */
+  verifySessionToken(session, token) {
+    if (typeof token !== 'string') {
+      return false;
+    }
 
-    const featuredTask = result.rows[0];
+    const expected = Buffer.from(this.signSession(session));
+    const received = Buffer.from(token);
 
-    // Clear cache
-    await cacheService.del(`task:${taskId}`);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
 
-    logger.business('Task featured', {
-      taskId,
-      companyId,
-      durationDays,
-      cost: totalCost,
-      featuredUntil
-    });
+  /**
+   * Parse stored puzzle config
+   * @param {string|Object} puzzleConfig - Puzzle config from database or cache
+   * @returns {Object|null} Parsed puzzle config
+   */
+  parsePuzzleConfig(puzzleConfig) {
+    if (!puzzleConfig) {
+      return null;
+    }
 
-    return {
-      task: featuredTask,
-      cost: totalCost,
-      featured_until: featuredUntil
-    };
+    return typeof puzzleConfig === 'string' ? JSON.parse(puzzleConfig) : puzzleConfig;
   }
 
   /**
    * Record task attempt
    * @param {string} taskId - Task ID
    * @param {string} userId - User ID
-   * @param {Object} attemptData - Attempt data
+   * @param {Object} attemptData - Server-computed attempt data
    * @returns {Object} Attempt result
    */
   async recordAttempt(taskId, userId, attemptData) {
-    const { is_successful, time_taken_seconds, difficulty_multiplier } = attemptData;
+    const { is_successful, time_taken_seconds } = attemptData;
 
     // Check if user has already attempted this task
     const existingAttempt = await query(
@@ -530,28 +2110,61 @@ class TaskService {
       throw new GoneError('Task has expired');
     }
 
-    // Record attempt
-    const result = await query(
+    // Record attempt, statistics and reward atomically
+    const { attempt, reward } = await withTransaction(client => this.insertAttempt(client, task, userId, attemptData));
+
+    // Clear cache, including the player's feed which still lists this task
+    await cacheService.del(`task:${taskId}`);
+    await require('./feedService').invalidate(userId);
+
+    logger.business('Task attempt recorded', {
+      taskId,
+      userId,
+      isSuccessful: is_successful,
+      timeTaken: time_taken_seconds,
+      rewardId: reward ? reward.id : null
+    });
+
+    return {
+      ...attempt,
+      reward
+    };
+  }
+
+  /**
+   * Insert an attempt, update task statistics and issue the reward on success
+   * @param {Object} client - Transaction client
+   * @param {Object} task - Task row
+   * @param {string} userId - User ID
+   * @param {Object} attemptData - Server-computed attempt data
+   * @returns {Object} { attempt, reward }
+   */
+  async insertAttempt(client, task, userId, attemptData) {
+    const { is_successful, time_taken_seconds, difficulty_multiplier, started_at, seed, task_version } = attemptData;
+    const taskId = task.id;
+
+    const result = await client.query(
       `INSERT INTO task_attempts (
         task_id, user_id, started_at, completed_at, 
-        time_taken_seconds, is_successful, difficulty_multiplier
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        time_taken_seconds, is_successful, difficulty_multiplier, seed, task_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *`,
       [
         taskId,
         userId,
-        new Date(Date.now() - (time_taken_seconds * 1000)),
+        started_at ? new Date(started_at) : new Date(Date.now() - (time_taken_seconds * 1000)),
         new Date(),
         time_taken_seconds,
         is_successful,
-        difficulty_multiplier || 1.0
+        difficulty_multiplier || 1.0,
+        seed || null,
+        // Sessions keep the version the player started on
+        task_version || task.current_version
       ]
     );
 
-    const attempt = result.rows[0];
-
     // Update task statistics
-    await query(
+    await client.query(
       `UPDATE tasks 
        SET attempt_count = attempt_count + 1,
            conversion_count = CASE WHEN $1 THEN conversion_count + 1 ELSE conversion_count END,
@@ -560,17 +2173,155 @@ class TaskService {
       [is_successful, taskId]
     );
 
-    // Clear cache
-    await cacheService.del(`task:${taskId}`);
+    if (!is_successful) {
+      return { attempt: result.rows[0], reward: null };
+    }
 
-    logger.business('Task attempt recorded', {
-      taskId,
-      userId,
-      isSuccessful: is_successful,
-      timeTaken: time_taken_seconds
+    // Reserve reward inventory under row lock
+    await this.consumeRewardInventory(client, taskId);
+
+    // Issue reward for successful attempt
+    const createdReward = await userService.createReward(userId, taskId, client);
+
+    await client.query(
+      `INSERT INTO transactions (
+        from_entity_id, to_entity_id, transaction_type, amount,
+        related_task_id, related_reward_id, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        task.company_id,
+        userId,
+        'reward-given',
+        createdReward.reward_value,
+        taskId,
+        createdReward.id,
+        JSON.stringify({
+          attempt_id: result.rows[0].id,
+          reward_code: createdReward.reward_code,
+          reward_type: createdReward.reward_type
+        })
+      ]
+    );
+
+    return { attempt: result.rows[0], reward: createdReward };
+  }
+
+  /**
+   * Consume one reward from task inventory and budget
+   * @param {Object} client - Transaction client
+   * @param {string} taskId - Task ID
+   * @returns {Object} Updated inventory counters
+   */
+  async consumeRewardInventory(client, taskId) {
+    const lockResult = await client.query(
+      `SELECT id, company_id, status, reward_value, max_rewards, reward_budget,
+              rewards_issued, budget_spent
+       FROM tasks WHERE id = $1
+       FOR UPDATE`,
+      [taskId]
+    );
+
+    const task = lockResult.rows[0];
+
+    // Deleted while the attempt was being recorded
+    if (task.status === 'archived') {
+      throw new GoneError('Task is no longer available');
+    }
+
+    if (this.isRewardInventoryExhausted(task)) {
+      throw new GoneError('All rewards for this task have been claimed');
+    }
+
+    const rewardValue = parseFloat(task.reward_value);
+    const rewardsIssued = (parseInt(task.rewards_issued) || 0) + 1;
+    const budgetSpent = (parseFloat(task.budget_spent) || 0) + rewardValue;
+    const exhausted = this.isRewardInventoryExhausted({
+      ...task,
+      rewards_issued: rewardsIssued,
+      budget_spent: budgetSpent
     });
 
-    return attempt;
+    await client.query(
+      `UPDATE tasks 
+       SET rewards_issued = $1,
+           budget_spent = $2,
+           status = CASE WHEN $3 THEN 'expired' ELSE status END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [rewardsIssued, budgetSpent, exhausted, taskId]
+    );
+
+    if (exhausted) {
+      logger.business('Task reward inventory exhausted', {
+        taskId,
+        companyId: task.company_id,
+        rewardsIssued,
+        budgetSpent
+      });
+    }
+
+    return {
+      rewards_issued: rewardsIssued,
+      budget_spent: budgetSpent,
+      exhausted
+    };
+  }
+
+  /**
+   * Check whether a task can issue another reward
+   * @param {Object} task - Task with inventory fields
+   * @returns {boolean} Is inventory exhausted
+   */
+  isRewardInventoryExhausted(task) {
+    const rewardValue = parseFloat(task.reward_value);
+
+    if (task.max_rewards && (parseInt(task.rewards_issued) || 0) >= parseInt(task.max_rewards)) {
+      return true;
+    }
+
+    if (task.reward_budget) {
+      const budgetLeft = parseFloat(task.reward_budget) - (parseFloat(task.budget_spent) || 0);
+      return budgetLeft < rewardValue;
+    }
+
+    return false;
+  }
+
+  /**
+   * SQL columns exposing remaining reward inventory
+   * @returns {string} Select list fragment
+   */
+  rewardInventoryColumns() {
+    return `CASE WHEN t.max_rewards IS NULL THEN NULL
+                 ELSE GREATEST(t.max_rewards - t.rewards_issued, 0) END as rewards_remaining,
+            CASE WHEN t.reward_budget IS NULL THEN NULL
+                 ELSE GREATEST(t.reward_budget - t.budget_spent, 0) END as budget_remaining`;
+  }
+
+  /**
+   * Validate reward inventory limits
+   * @param {Object} data - { max_rewards, reward_budget, reward_value }
+   */
+  validateRewardLimits(data) {
+    const { max_rewards, reward_budget, reward_value } = data;
+
+    if (max_rewards !== undefined && max_rewards !== null) {
+      const maxRewards = Number(max_rewards);
+      if (!Number.isInteger(maxRewards) || maxRewards < 1) {
+        throw new ValidationError('Max rewards must be a positive integer');
+      }
+    }
+
+    if (reward_budget !== undefined && reward_budget !== null) {
+      const rewardBudget = parseFloat(reward_budget);
+      if (isNaN(rewardBudget) || rewardBudget <= 0) {
+        throw new ValidationError('Reward budget must be a positive number');
+      }
+
+      if (rewardBudget < parseFloat(reward_value)) {
+        throw new ValidationError('Reward budget must cover at least one reward');
+      }
+    }
   }
 
   /**
@@ -624,6 +2375,42 @@ class TaskService {
     if (!reward_description || reward_description.trim().length < 10 || reward_description.trim().length > 255) {
       throw new ValidationError('Reward description must be between 10 and 255 characters');
     }
+
+    // Checked here as well as in the worker so the request fails instead of the generation job
+    const hasGridRows = ![undefined, null, ''].includes(taskData.grid_rows);
+    const hasGridCols = ![undefined, null, ''].includes(taskData.grid_cols);
+    if (hasGridRows !== hasGridCols) {
+      throw new ValidationError('Grid rows and columns must be set together');
+    }
+
+    this.validateRewardLimits(taskData);
+    this.validateSchedule(taskData, Boolean(taskData.expires_at));
+  }
+
+  /**
+   * Validate task start and end times
+   * @param {Object} schedule - { starts_at, expires_at }
+   * @param {boolean} checkExpiry - Require expires_at to be in the future (when it is being set)
+   */
+  validateSchedule(schedule, checkExpiry = true) {
+    const startsAt = schedule.starts_at ? new Date(schedule.starts_at) : null;
+    const expiresAt = schedule.expires_at ? new Date(schedule.expires_at) : null;
+
+    if (startsAt && isNaN(startsAt.getTime())) {
+      throw new ValidationError('Start time must be a valid date');
+    }
+
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new ValidationError('End time must be a valid date');
+    }
+
+    if (expiresAt && checkExpiry && expiresAt <= new Date()) {
+      throw new ValidationError('End time must be in the future');
+    }
+
+    if (startsAt && expiresAt && expiresAt <= startsAt) {
+      throw new ValidationError('End time must be after the start time');
+    }
   }
 
   /**
@@ -641,6 +2428,38 @@ class TaskService {
 
     return gridSizes[difficulty] || 16;
   }
+
+  /**
+   * Get the fastest believable solve time from difficulty
+   * @param {string} difficulty - Difficulty level
+   * @returns {number} Minimum solve time in seconds
+   */
+  getMinSolveSecondsFromDifficulty(difficulty) {
+    const minSolveSeconds = {
+      easy: 5,
+      medium: 10,
+      hard: 15,
+      expert: 20
+    };
+
+    return minSolveSeconds[difficulty] || 10;
+  }
+
+  /**
+   * Get number of spot-the-difference regions from difficulty
+   * @param {string} difficulty - Difficulty level
+   * @returns {number} Difference count
+   */
+  getDifferenceCountFromDifficulty(difficulty) {
+    const differenceCounts = {
+      easy: 3,
+      medium: 5,
+      hard: 7,
+      expert: 10
+    };
+
+    return differenceCounts[difficulty] || 5;
+  }
 }
 
 module.exports = new TaskService();
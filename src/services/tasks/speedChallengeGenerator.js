@@ -0,0 +1,285 @@
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const QUESTION_TYPES = ['multiple-choice', 'type-answer', 'image-match'];
+const MAX_QUESTIONS = 20;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_ACCEPTED_ANSWERS = 10;
+const DEFAULT_TIME_LIMIT_SECONDS = 15;
+const MIN_TIME_LIMIT_SECONDS = 3;
+const MAX_TIME_LIMIT_SECONDS = 120;
+// Allowance for network latency between the round being served and answered
+const ANSWER_GRACE_MS = 1000;
+
+class SpeedChallengeGenerator {
+  /**
+   * Build speed challenge configuration from company-authored questions
+   * @param {Array|string} questions - Questions (array or JSON string from multipart forms)
+   * @param {Object} options - { min_correct }
+   * @returns {Object} puzzle config with questions and answers
+   */
+  buildSpeedChallenge(questions, options = {}) {
+    const parsed = this.parseQuestions(questions);
+
+    if (parsed.length === 0 || parsed.length > MAX_QUESTIONS) {
+      throw new ValidationError(`Speed challenge must have between 1 and ${MAX_QUESTIONS} questions`);
+    }
+
+    const normalized = parsed.map((question, index) => this.normalizeQuestion(question, index));
+
+    const minCorrect = options.min_correct !== undefined && options.min_correct !== null
+      ? Number(options.min_correct)
+      : normalized.length;
+
+    if (!Number.isInteger(minCorrect) || minCorrect < 1 || minCorrect > normalized.length) {
+      throw new ValidationError('min_correct must be between 1 and the number of questions');
+    }
+
+    const puzzleConfig = {
+      questions: normalized,
+      question_count: normalized.length,
+      min_correct: minCorrect,
+      total_time_limit_seconds: normalized.reduce((total, q) => total + q.time_limit_seconds, 0),
+      created_at: new Date().toISOString()
+    };
+
+    logger.info('Speed challenge built', {
+      questionCount: puzzleConfig.question_count,
+      minCorrect
+    });
+
+    return puzzleConfig;
+  }
+
+  /**
+   * Get question for a round without its answer
+   * @param {Object} puzzleConfig - Speed challenge config
+   * @param {number} round - Zero-based round index
+   * @returns {Object} Public question
+   */
+  getPublicQuestion(puzzleConfig, round) {
+    const { answer, answers, ...question } = puzzleConfig.questions[round];
+
+    return {
+      ...question,
+      round,
+      question_count: puzzleConfig.question_count
+    };
+  }
+
+  /**
+   * Get public summary of a speed challenge
+   * @param {Object} puzzleConfig - Speed challenge config
+   * @returns {Object} Summary without questions
+   */
+  getSummary(puzzleConfig) {
+    return {
+      question_count: puzzleConfig.question_count,
+      min_correct: puzzleConfig.min_correct,
+      total_time_limit_seconds: puzzleConfig.total_time_limit_seconds
+    };
+  }
+
+  /**
+   * Score a single answer
+   * @param {Object} question - Stored question with answer
+   * @param {number|string} answer - Player answer
+   * @param {number} timeTaken - Time taken in milliseconds
+   * @returns {Object} { is_correct, score, time_bonus, timed_out }
+   */
+  scoreAnswer(question, answer, timeTaken) {
+    const timeLimitMs = question.time_limit_seconds * 1000;
+    const timedOut = timeTaken > timeLimitMs + ANSWER_GRACE_MS;
+    const isCorrect = !timedOut && this.isCorrectAnswer(question, answer);
+
+    if (!isCorrect) {
+      return {
+        question_id: question.id,
+        is_correct: false,
+        score: 0,
+        time_bonus: 0,
+        timed_out: timedOut,
+        time_taken_seconds: timeTaken / 1000
+      };
+    }
+
+    // Same curve as PuzzleGenerator.validateSolution, over the question's time limit
+    const timeTakenSeconds = timeTaken / 1000;
+    const timeRatio = Math.max(0, (question.time_limit_seconds - timeTakenSeconds) / question.time_limit_seconds);
+    const baseScore = 100;
+    const timeBonus = Math.floor(timeRatio * 50);
+
+    return {
+      question_id: question.id,
+      is_correct: true,
+      score: baseScore + timeBonus,
+      base_score: baseScore,
+      time_bonus: timeBonus,
+      timed_out: false,
+      time_taken_seconds: timeTakenSeconds
+    };
+  }
+
+  /**
+   * Summarize round results into an attempt result
+   * @param {Object} puzzleConfig - Speed challenge config
+   * @param {Array} rounds - Scored rounds
+   * @returns {Object} { is_correct, score, time_bonus, correct_count }
+   */
+  summarize(puzzleConfig, rounds) {
+    const correctCount = rounds.filter(round => round.is_correct).length;
+    const isCorrect = correctCount >= puzzleConfig.min_correct;
+
+    return {
+      is_correct: isCorrect,
+      score: rounds.reduce((total, round) => total + round.score, 0),
+      time_bonus: rounds.reduce((total, round) => total + round.time_bonus, 0),
+      correct_count: correctCount,
+      question_count: puzzleConfig.question_count,
+      min_correct: puzzleConfig.min_correct,
+      rounds,
+      ...(isCorrect ? {} : { error: 'Not enough correct answers' })
+    };
+  }
+
+  /**
+   * Check answer against stored question
+   * @param {Object} question - Stored question
+   * @param {number|string} answer - Player answer
+   * @returns {boolean}
+   */
+  isCorrectAnswer(question, answer) {
+    if (question.type === 'type-answer') {
+      const normalized = this.normalizeText(answer);
+      return normalized.length > 0 && question.answers.includes(normalized);
+    }
+
+    return String(answer).trim() !== '' && Number(answer) === question.answer;
+  }
+
+  /**
+   * Validate and normalize a question
+   * @param {Object} question - Company-authored question
+   * @param {number} index - Question index
+   * @returns {Object} Normalized question
+   */
+  normalizeQuestion(question, index) {
+    const label = `Question ${index + 1}`;
+
+    if (!question || typeof question !== 'object') {
+      throw new ValidationError(`${label} is invalid`);
+    }
+
+    const { type, prompt, image_url } = question;
+
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new ValidationError(`${label} type must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    if (typeof prompt !== 'string' || prompt.trim().length < 3 || prompt.trim().length > 300) {
+      throw new ValidationError(`${label} prompt must be between 3 and 300 characters`);
+    }
+
+    if (image_url !== undefined && image_url !== null && !this.isHttpUrl(image_url)) {
+      throw new ValidationError(`${label} image_url must be an http(s) URL`);
+    }
+
+    const timeLimit = question.time_limit_seconds !== undefined
+      ? Number(question.time_limit_seconds)
+      : DEFAULT_TIME_LIMIT_SECONDS;
+
+    if (!Number.isInteger(timeLimit) || timeLimit < MIN_TIME_LIMIT_SECONDS || timeLimit > MAX_TIME_LIMIT_SECONDS) {
+      throw new ValidationError(
+        `${label} time_limit_seconds must be between ${MIN_TIME_LIMIT_SECONDS} and ${MAX_TIME_LIMIT_SECONDS}`
+      );
+    }
+
+    const normalized = {
+      id: index,
+      type,
+      prompt: prompt.trim(),
+      image_url: image_url || null,
+      time_limit_seconds: timeLimit
+    };
+
+    if (type === 'type-answer') {
+      const answers = Array.isArray(question.answers) ? question.answers.map(a => this.normalizeText(a)) : [];
+
+      if (answers.length === 0 || answers.length > MAX_ACCEPTED_ANSWERS || answers.some(a => a.length === 0)) {
+        throw new ValidationError(`${label} must have between 1 and ${MAX_ACCEPTED_ANSWERS} accepted answers`);
+      }
+
+      return { ...normalized, answers: [...new Set(answers)] };
+    }
+
+    const { options } = question;
+
+    if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      throw new ValidationError(`${label} must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+
+    if (type === 'image-match' && !options.every(option => this.isHttpUrl(option))) {
+      throw new ValidationError(`${label} options must be image URLs`);
+    }
+
+    if (type === 'multiple-choice' && !options.every(option => typeof option === 'string' && option.trim().length > 0)) {
+      throw new ValidationError(`${label} options must be non-empty strings`);
+    }
+
+    const answer = Number(question.answer);
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+      throw new ValidationError(`${label} answer must be the index of one of its options`);
+    }
+
+    return {
+      ...normalized,
+      options: options.map(option => option.trim()),
+      answer
+    };
+  }
+
+  /**
+   * Parse questions from request data
+   * @param {Array|string} questions - Questions
+   * @returns {Array} Parsed questions
+   */
+  parseQuestions(questions) {
+    if (Array.isArray(questions)) {
+      return questions;
+    }
+
+    if (typeof questions === 'string') {
+      try {
+        const parsed = JSON.parse(questions);
+        if (Array.isArray(parsed)) {
+          return parsed;
+        }
+      } catch (error) {
+        // Fall through to validation error
+      }
+    }
+
+    throw new ValidationError('Speed challenge questions must be a JSON array');
+  }
+
+  /**
+   * Normalize free-text answer for comparison
+   * @param {string} text - Answer text
+   * @returns {string} Lowercased, trimmed text with collapsed whitespace
+   */
+  normalizeText(text) {
+    return String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Check for http(s) URL
+   * @param {string} value - Value to check
+   * @returns {boolean}
+   */
+  isHttpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+  }
+}
+
+module.exports = new SpeedChallengeGenerator();
@@ -0,0 +1,512 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const puzzleGenerator = require('./puzzleGenerator');
+const { createRng, createSeed } = require('./random');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const IMAGE_SIZE = 400;
+const CELL_SIZE = 10;
+const CELL_DIFF_THRESHOLD = 30;
+const MIN_REGION_SIZE = 36;
+const MAX_REGION_SIZE = 64;
+const REGION_MARGIN = 10;
+const MAX_PLACEMENT_ATTEMPTS = 500;
+const MAX_DIFFERENCES = 10;
+const EDIT_TYPES = ['color-shift', 'removed', 'cloned'];
+
+class SpotDiffGenerator {
+  constructor() {
+    this.clickTolerance = parseInt(process.env.SPOT_DIFF_CLICK_TOLERANCE_PX) || 12;
+  }
+
+  /**
+   * Generate spot-the-difference puzzle configuration
+   * @param {Buffer} imageBuffer - Original image buffer
+   * @param {Object} options - { differenceCount, comparisonImageBuffer, seed }
+   * @returns {Object} puzzle config with difference regions
+   */
+  async generateSpotDiffPuzzle(imageBuffer, options = {}) {
+    const { differenceCount = 5, comparisonImageBuffer = null, seed = createSeed() } = options;
+
+    try {
+      if (!Number.isInteger(differenceCount) || differenceCount < 1 || differenceCount > MAX_DIFFERENCES) {
+        throw new ValidationError(`Difference count must be between 1 and ${MAX_DIFFERENCES}`);
+      }
+
+      if (!(await puzzleGenerator.isValidImage(imageBuffer))) {
+        throw new ValidationError('Invalid image format. Must be JPEG/PNG and < 5MB');
+      }
+
+      if (comparisonImageBuffer && !(await puzzleGenerator.isValidImage(comparisonImageBuffer))) {
+        throw new ValidationError('Invalid comparison image format. Must be JPEG/PNG and < 5MB');
+      }
+
+      logger.info('Generating spot-the-difference puzzle', {
+        differenceCount,
+        source: comparisonImageBuffer ? 'upload' : 'auto'
+      });
+
+      const original = await this.normalizeImage(imageBuffer);
+
+      let modified;
+      let differences;
+
+      if (comparisonImageBuffer) {
+        modified = await this.normalizeImage(comparisonImageBuffer);
+        differences = await this.detectDifferences(original, modified, differenceCount);
+      } else {
+        ({ modified, differences } = await this.applyAutoEdits(original, differenceCount, createRng(seed)));
+      }
+
+      const puzzleId = uuidv4();
+      const originalKey = `puzzles/${puzzleId}-original.jpg`;
+      const modifiedKey = `puzzles/${puzzleId}-modified.jpg`;
+
+      const imageUrl = await puzzleGenerator.uploadFile(originalKey, original, 'image/jpeg');
+      const modifiedImageUrl = await puzzleGenerator.uploadFile(modifiedKey, modified, 'image/jpeg');
+
+      const puzzleConfig = {
+        image_url: imageUrl,
+        modified_image_url: modifiedImageUrl,
+        width: IMAGE_SIZE,
+        height: IMAGE_SIZE,
+        source: comparisonImageBuffer ? 'upload' : 'auto',
+        seed,
+        difference_count: differences.length,
+        differences,
+        click_tolerance: this.clickTolerance,
+        max_misses: differences.length,
+        created_at: new Date().toISOString()
+      };
+
+      logger.info('Spot-the-difference puzzle generated', {
+        differenceCount: differences.length,
+        source: puzzleConfig.source,
+        imageUrl: puzzleConfig.image_url
+      });
+
+      return puzzleConfig;
+    } catch (error) {
+      logger.error('Spot-the-difference generation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate clicks against difference regions
+   * @param {Array} clicks - User clicks [{ x, y }]
+   * @param {Object} puzzleConfig - Spot-the-difference config
+   * @param {number} timeTaken - Time taken in milliseconds
+   * @returns {Object} { is_correct, score, time_bonus, found_count, misses }
+   */
+  validateClicks(clicks, puzzleConfig, timeTaken) {
+    if (!Array.isArray(clicks)) {
+      throw new ValidationError('Invalid solution format');
+    }
+
+    const differences = puzzleConfig.differences || [];
+    const tolerance = puzzleConfig.click_tolerance ?? this.clickTolerance;
+    const maxMisses = puzzleConfig.max_misses ?? differences.length;
+    const found = new Set();
+    let misses = 0;
+
+    for (const click of clicks) {
+      const x = Number(click && click.x);
+      const y = Number(click && click.y);
+
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new ValidationError('Each click must have numeric x and y coordinates');
+      }
+
+      const hit = differences.find(region =>
+        !found.has(region.id) &&
+        x >= region.x - tolerance &&
+        x <= region.x + region.width + tolerance &&
+        y >= region.y - tolerance &&
+        y <= region.y + region.height + tolerance
+      );
+
+      if (hit) {
+        found.add(hit.id);
+      } else {
+        misses++;
+      }
+    }
+
+    const isCorrect = differences.length > 0 && found.size === differences.length && misses <= maxMisses;
+
+    if (!isCorrect) {
+      return {
+        is_correct: false,
+        score: 0,
+        time_bonus: 0,
+        found_count: found.size,
+        difference_count: differences.length,
+        misses,
+        error: misses > maxMisses ? 'Too many incorrect clicks' : 'Not all differences were found'
+      };
+    }
+
+    // Same scoring curve as image puzzles, minus a small penalty per miss
+    const maxTimeSeconds = 300;
+    const timeTakenSeconds = timeTaken / 1000;
+    const timeRatio = Math.max(0, (maxTimeSeconds - timeTakenSeconds) / maxTimeSeconds);
+    const baseScore = 100;
+    const timeBonus = Math.floor(timeRatio * 50);
+    const missPenalty = misses * 5;
+
+    return {
+      is_correct: true,
+      score: Math.max(0, baseScore + timeBonus - missPenalty),
+      base_score: baseScore,
+      time_bonus: timeBonus,
+      miss_penalty: missPenalty,
+      found_count: found.size,
+      difference_count: differences.length,
+      misses,
+      time_taken_seconds: timeTakenSeconds
+    };
+  }
+
+  /**
+   * Resize image to the standard spot-the-difference canvas
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Buffer} Normalized JPEG buffer
+   */
+  async normalizeImage(imageBuffer) {
+    return sharp(imageBuffer)
+      .resize(IMAGE_SIZE, IMAGE_SIZE, {
+        fit: 'cover',
+        position: 'center'
+      })
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  }
+
+  /**
+   * Detect difference regions between two normalized images
+   * @param {Buffer} original - Normalized original image
+   * @param {Buffer} modified - Normalized comparison image
+   * @param {number} maxRegions - Maximum regions to keep
+   * @returns {Array} Difference regions
+   */
+  async detectDifferences(original, modified, maxRegions) {
+    const [a, b] = await Promise.all([
+      this.toRaw(original),
+      this.toRaw(modified)
+    ]);
+
+    const regions = this.findDifferenceRegions(a.data, b.data, a.info.width, a.info.height, a.info.channels)
+      .sort((left, right) => (right.width * right.height) - (left.width * left.height))
+      .slice(0, maxRegions);
+
+    if (regions.length === 0) {
+      throw new ValidationError('No differences detected between the uploaded images');
+    }
+
+    return regions.map((region, index) => ({
+      id: index,
+      ...region,
+      edit: 'uploaded'
+    }));
+  }
+
+  /**
+   * Find changed regions between two raw pixel buffers
+   * @param {Buffer} dataA - Raw pixels of first image
+   * @param {Buffer} dataB - Raw pixels of second image
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} channels - Channels per pixel
+   * @returns {Array} Bounding boxes [{ x, y, width, height }]
+   */
+  findDifferenceRegions(dataA, dataB, width, height, channels) {
+    const cols = Math.ceil(width / CELL_SIZE);
+    const rows = Math.ceil(height / CELL_SIZE);
+    const changed = new Array(cols * rows).fill(false);
+
+    // Mark grid cells whose mean per-channel difference crosses the threshold
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        let total = 0;
+        let samples = 0;
+
+        for (let y = row * CELL_SIZE; y < Math.min((row + 1) * CELL_SIZE, height); y++) {
+          for (let x = col * CELL_SIZE; x < Math.min((col + 1) * CELL_SIZE, width); x++) {
+            const offset = (y * width + x) * channels;
+            for (let c = 0; c < Math.min(channels, 3); c++) {
+              total += Math.abs(dataA[offset + c] - dataB[offset + c]);
+              samples++;
+            }
+          }
+        }
+
+        changed[row * cols + col] = samples > 0 && total / samples > CELL_DIFF_THRESHOLD;
+      }
+    }
+
+    // Group neighbouring changed cells into regions
+    const visited = new Array(cols * rows).fill(false);
+    const regions = [];
+
+    for (let start = 0; start < changed.length; start++) {
+      if (!changed[start] || visited[start]) continue;
+
+      const stack = [start];
+      visited[start] = true;
+      let minCol = cols;
+      let minRow = rows;
+      let maxCol = 0;
+      let maxRow = 0;
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const col = cell % cols;
+        const row = Math.floor(cell / cols);
+
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nCol = col + dx;
+            const nRow = row + dy;
+            if (nCol < 0 || nRow < 0 || nCol >= cols || nRow >= rows) continue;
+
+            const neighbour = nRow * cols + nCol;
+            if (changed[neighbour] && !visited[neighbour]) {
+              visited[neighbour] = true;
+              stack.push(neighbour);
+            }
+          }
+        }
+      }
+
+      const x = minCol * CELL_SIZE;
+      const y = minRow * CELL_SIZE;
+      regions.push({
+        x,
+        y,
+        width: Math.min((maxCol + 1) * CELL_SIZE, width) - x,
+        height: Math.min((maxRow + 1) * CELL_SIZE, height) - y
+      });
+    }
+
+    return regions;
+  }
+
+  /**
+   * Apply automatic edits to produce a modified image
+   * @param {Buffer} original - Normalized original image
+   * @param {number} differenceCount - Number of edits to apply
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Object} { modified, differences }
+   */
+  async applyAutoEdits(original, differenceCount, rng) {
+    const regions = this.pickRegions(differenceCount, rng);
+    const composites = [];
+    const differences = [];
+
+    for (const [index, region] of regions.entries()) {
+      const edit = EDIT_TYPES[rng.int(EDIT_TYPES.length)];
+      let patch = await this.buildEditPatch(original, region, edit, regions, rng);
+
+      // Fall back to a solid patch when the edit is not visible (e.g. flat areas)
+      if (!(await this.isVisibleChange(original, region, patch))) {
+        patch = await this.buildContrastPatch(original, region);
+      }
+
+      composites.push({ input: patch, left: region.x, top: region.y });
+      differences.push({ id: index, ...region, edit });
+    }
+
+    const modified = await sharp(original)
+      .composite(composites)
+      .jpeg({ quality: 90 })
+      .toBuffer();
+
+    return { modified, differences };
+  }
+
+  /**
+   * Pick non-overlapping regions for automatic edits
+   * @param {number} count - Number of regions
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Array} Regions [{ x, y, width, height }]
+   */
+  pickRegions(count, rng) {
+    const regions = [];
+
+    for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS && regions.length < count; attempt++) {
+      const width = MIN_REGION_SIZE + rng.int(MAX_REGION_SIZE - MIN_REGION_SIZE + 1);
+      const height = MIN_REGION_SIZE + rng.int(MAX_REGION_SIZE - MIN_REGION_SIZE + 1);
+      const candidate = {
+        x: rng.int(IMAGE_SIZE - width + 1),
+        y: rng.int(IMAGE_SIZE - height + 1),
+        width,
+        height
+      };
+
+      if (!regions.some(region => this.regionsOverlap(region, candidate, REGION_MARGIN))) {
+        regions.push(candidate);
+      }
+    }
+
+    if (regions.length < count) {
+      throw new ValidationError('Could not place the requested number of differences');
+    }
+
+    return regions;
+  }
+
+  /**
+   * Check whether two regions overlap
+   * @param {Object} a - First region
+   * @param {Object} b - Second region
+   * @param {number} margin - Required gap in pixels
+   * @returns {boolean}
+   */
+  regionsOverlap(a, b, margin = 0) {
+    return a.x < b.x + b.width + margin &&
+           b.x < a.x + a.width + margin &&
+           a.y < b.y + b.height + margin &&
+           b.y < a.y + a.height + margin;
+  }
+
+  /**
+   * Build edited patch for a region
+   * @param {Buffer} original - Normalized original image
+   * @param {Object} region - Region to edit
+   * @param {string} edit - 'color-shift' | 'removed' | 'cloned'
+   * @param {Array} regions - All edited regions (clone sources must avoid them)
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Buffer} Patch image buffer
+   */
+  async buildEditPatch(original, region, edit, regions, rng) {
+    const extract = { left: region.x, top: region.y, width: region.width, height: region.height };
+
+    switch (edit) {
+      case 'color-shift':
+        return sharp(original)
+          .extract(extract)
+          .modulate({ hue: 120 + rng.int(120), saturation: 1.5 })
+          .png()
+          .toBuffer();
+
+      case 'removed':
+        // Downsample and stretch back so the detail is smeared out
+        return sharp(original)
+          .extract(extract)
+          .resize(2, 2)
+          .resize(region.width, region.height, { kernel: 'cubic' })
+          .png()
+          .toBuffer();
+
+      case 'cloned': {
+        const source = this.pickCloneSource(region, regions, rng);
+        return sharp(original)
+          .extract({ left: source.x, top: source.y, width: region.width, height: region.height })
+          .png()
+          .toBuffer();
+      }
+
+      default:
+        throw new ValidationError(`Unknown edit type: ${edit}`);
+    }
+  }
+
+  /**
+   * Pick a source area to clone into a region
+   * @param {Object} region - Target region
+   * @param {Array} regions - Edited regions to avoid
+   * @param {Object} rng - Seeded random number generator
+   * @returns {Object} Source position { x, y }
+   */
+  pickCloneSource(region, regions, rng) {
+    for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+      const candidate = {
+        x: rng.int(IMAGE_SIZE - region.width + 1),
+        y: rng.int(IMAGE_SIZE - region.height + 1),
+        width: region.width,
+        height: region.height
+      };
+
+      if (!regions.some(other => this.regionsOverlap(other, candidate))) {
+        return candidate;
+      }
+    }
+
+    // Mirror position is always inside the canvas; the visibility check covers overlaps
+    return {
+      x: IMAGE_SIZE - region.x - region.width,
+      y: IMAGE_SIZE - region.y - region.height
+    };
+  }
+
+  /**
+   * Build a solid patch contrasting with the region's average colour
+   * @param {Buffer} original - Normalized original image
+   * @param {Object} region - Region to cover
+   * @returns {Buffer} Patch image buffer
+   */
+  async buildContrastPatch(original, region) {
+    const { channels } = await sharp(original)
+      .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+      .stats();
+
+    const luminance = (channels[0].mean + channels[1].mean + channels[2].mean) / 3;
+    const background = luminance > 127 ? { r: 32, g: 32, b: 32 } : { r: 224, g: 224, b: 224 };
+
+    return sharp({
+      create: {
+        width: region.width,
+        height: region.height,
+        channels: 3,
+        background
+      }
+    })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Check whether a patch visibly changes a region
+   * @param {Buffer} original - Normalized original image
+   * @param {Object} region - Region being edited
+   * @param {Buffer} patch - Edited patch
+   * @returns {boolean}
+   */
+  async isVisibleChange(original, region, patch) {
+    const [before, after] = await Promise.all([
+      this.toRaw(sharp(original)
+        .extract({ left: region.x, top: region.y, width: region.width, height: region.height })),
+      this.toRaw(patch)
+    ]);
+
+    let total = 0;
+    for (let i = 0; i < before.data.length; i++) {
+      total += Math.abs(before.data[i] - after.data[i]);
+    }
+
+    return total / before.data.length > CELL_DIFF_THRESHOLD;
+  }
+
+  /**
+   * Decode image to raw RGB pixels
+   * @param {Buffer|Object} input - Image buffer or sharp pipeline
+   * @returns {Object} { data, info }
+   */
+  async toRaw(input) {
+    const pipeline = Buffer.isBuffer(input) ? sharp(input) : input;
+
+    return pipeline
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+}
+
+module.exports = new SpotDiffGenerator();
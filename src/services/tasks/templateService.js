@@ -0,0 +1,256 @@
+const { query } = require('../../database/connection');
+const logicPuzzleGenerator = require('./logicPuzzleGenerator');
+const speedChallengeGenerator = require('./speedChallengeGenerator');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+const TASK_TYPES = ['image-puzzle', 'spot-diff', 'speed-challenge', 'meme', 'logic'];
+
+// Create-request fields a template can pre-fill; images are still uploaded per task
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'difficulty', 'reward_type', 'reward_value',
+  'reward_description', 'max_rewards', 'reward_budget', 'logic_variant',
+  'questions', 'min_correct', 'rank_by_upvotes', 'winner_count', 'grid_rows',
+  'grid_cols', 'piece_shape', 'location_ids', 'duration_hours'
+];
+
+const MAX_DURATION_HOURS = 24 * 365;
+
+class TemplateService {
+  /**
+   * List a company's task templates
+   * @param {string} companyId - Company ID
+   * @returns {Array} Templates
+   */
+  async listTemplates(companyId) {
+    const result = await query(
+      `SELECT id, name, task_type, fields, created_at, updated_at
+       FROM task_templates
+       WHERE company_id = $1
+       ORDER BY name`,
+      [companyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get a company's task template
+   * @param {string} companyId - Company ID
+   * @param {string} templateId - Template ID
+   * @returns {Object} Template
+   */
+  async getTemplate(companyId, templateId) {
+    const result = await query(
+      `SELECT id, name, task_type, fields, created_at, updated_at
+       FROM task_templates
+       WHERE id = $1 AND company_id = $2`,
+      [templateId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Task template not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create a task template
+   * @param {string} companyId - Company ID
+   * @param {Object} templateData - { name, task_type, fields }
+   * @returns {Object} Created template
+   */
+  async createTemplate(companyId, templateData) {
+    const { name, task_type } = templateData;
+    const fields = this.normalizeFields(task_type, templateData.fields);
+
+    this.validateName(name);
+
+    if (!TASK_TYPES.includes(task_type)) {
+      throw new ValidationError('Invalid task type');
+    }
+
+    await this.ensureNameAvailable(companyId, name);
+
+    const result = await query(
+      `INSERT INTO task_templates (company_id, name, task_type, fields)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, name, task_type, fields, created_at, updated_at`,
+      [companyId, name.trim(), task_type, JSON.stringify(fields)]
+    );
+
+    const template = result.rows[0];
+
+    logger.business('Task template created', {
+      companyId,
+      templateId: template.id,
+      taskType: task_type
+    });
+
+    return template;
+  }
+
+  /**
+   * Update a task template's name or fields (fields are replaced as a whole)
+   * @param {string} companyId - Company ID
+   * @param {string} templateId - Template ID
+   * @param {Object} updateData - { name, fields }
+   * @returns {Object} Updated template
+   */
+  async updateTemplate(companyId, templateId, updateData) {
+    const template = await this.getTemplate(companyId, templateId);
+    const name = updateData.name !== undefined ? updateData.name : template.name;
+    const fields = updateData.fields !== undefined
+      ? this.normalizeFields(template.task_type, updateData.fields)
+      : template.fields;
+
+    this.validateName(name);
+
+    if (name.trim().toLowerCase() !== template.name.toLowerCase()) {
+      await this.ensureNameAvailable(companyId, name);
+    }
+
+    const result = await query(
+      `UPDATE task_templates
+       SET name = $1, fields = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND company_id = $4
+       RETURNING id, name, task_type, fields, created_at, updated_at`,
+      [name.trim(), JSON.stringify(fields), templateId, companyId]
+    );
+
+    logger.business('Task template updated', { companyId, templateId });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a task template
+   * @param {string} companyId - Company ID
+   * @param {string} templateId - Template ID
+   * @returns {boolean} Success status
+   */
+  async deleteTemplate(companyId, templateId) {
+    const result = await query(
+      'DELETE FROM task_templates WHERE id = $1 AND company_id = $2 RETURNING id',
+      [templateId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Task template not found');
+    }
+
+    logger.business('Task template deleted', { companyId, templateId });
+
+    return true;
+  }
+
+  /**
+   * Pre-fill a create request from a template; values sent in the request win
+   * @param {string} companyId - Company ID
+   * @param {string} templateId - Template ID
+   * @param {Object} taskData - Create request body
+   * @returns {Object} Merged create request
+   */
+  async applyTemplate(companyId, templateId, taskData) {
+    const template = await this.getTemplate(companyId, templateId);
+    const { duration_hours, ...fields } = template.fields;
+
+    const provided = Object.fromEntries(
+      Object.entries(taskData).filter(([key, value]) => key !== 'template_id' && value !== undefined && value !== '')
+    );
+
+    const merged = {
+      ...fields,
+      ...provided,
+      task_type: template.task_type
+    };
+
+    // The template's run length starts at starts_at, or now for tasks that start right away
+    if (duration_hours && !merged.expires_at) {
+      const start = merged.starts_at ? new Date(merged.starts_at) : new Date();
+      if (!isNaN(start.getTime())) {
+        merged.expires_at = new Date(start.getTime() + duration_hours * 60 * 60 * 1000).toISOString();
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Keep supported fields and check the type-specific ones
+   * @param {string} taskType - Task type
+   * @param {Object} fields - Template fields
+   * @returns {Object} Normalized fields
+   */
+  normalizeFields(taskType, fields = {}) {
+    if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new ValidationError('Template fields must be an object');
+    }
+
+    const unknown = Object.keys(fields).filter(key => !TEMPLATE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unsupported template fields: ${unknown.join(', ')}`);
+    }
+
+    const normalized = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+
+    if (normalized.duration_hours !== undefined) {
+      const hours = Number(normalized.duration_hours);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_DURATION_HOURS) {
+        throw new ValidationError(`duration_hours must be between 0 and ${MAX_DURATION_HOURS}`);
+      }
+      normalized.duration_hours = hours;
+    }
+
+    if (normalized.logic_variant !== undefined) {
+      if (taskType !== 'logic' || !logicPuzzleGenerator.getVariants().includes(normalized.logic_variant)) {
+        throw new ValidationError('Invalid logic_variant for this template');
+      }
+    }
+
+    if (normalized.questions !== undefined) {
+      if (taskType !== 'speed-challenge') {
+        throw new ValidationError('Only speed-challenge templates can include questions');
+      }
+      // Reject bad questions now rather than on every task created from the template
+      speedChallengeGenerator.buildSpeedChallenge(normalized.questions, { min_correct: normalized.min_correct });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate template name
+   * @param {string} name - Template name
+   */
+  validateName(name) {
+    if (!name || typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+      throw new ValidationError('Template name must be between 2 and 100 characters');
+    }
+  }
+
+  /**
+   * Make sure the company has no other template with this name
+   * @param {string} companyId - Company ID
+   * @param {string} name - Template name
+   */
+  async ensureNameAvailable(companyId, name) {
+    const existing = await query(
+      'SELECT id FROM task_templates WHERE company_id = $1 AND LOWER(name) = LOWER($2)',
+      [companyId, name.trim()]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new ConflictError('A template with this name already exists');
+    }
+  }
+}
+
+module.exports = new TemplateService();
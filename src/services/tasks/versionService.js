@@ -0,0 +1,370 @@
+const { query, withTransaction } = require('../../database/connection');
+const { cacheService } = require('../../cache/redis');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+// Fields of a live task that can change right away
+const SAFE_FIELDS = ['title', 'description', 'expires_at', 'location_ids'];
+
+// Fields that change what players are promised; held until an admin approves
+const REVIEW_FIELDS = ['reward_value', 'reward_description', 'max_rewards', 'reward_budget'];
+
+// Fields that change the puzzle itself and would make earlier attempts incomparable
+const LOCKED_FIELDS = ['difficulty', 'starts_at'];
+
+// The snapshot's puzzle_config holds the solution, so it stays out of listings
+const VERSION_COLUMNS = `v.id, v.task_id, v.version, v.status, v.changes, v.snapshot - 'puzzle_config' AS snapshot,
+        v.changed_by, v.reviewed_by, v.reviewed_at, v.review_notes, v.created_at`;
+
+/**
+ * Versions edits made to published (active or scheduled) tasks. Every applied edit gets a
+ * task_versions row and bumps tasks.current_version, so attempts can be tied
+ * to the version they were played on.
+ */
+class VersionService {
+  /**
+   * Split an edit to a live task into fields applied now and fields needing review
+   * @param {Object} task - Current task row
+   * @param {Object} updateData - Requested changes
+   * @param {Array} currentLocationIds - Location IDs the task is limited to now
+   * @returns {Object} { applied, review } as { field: { from, to } } maps
+   */
+  planChanges(task, updateData, currentLocationIds = []) {
+    const locked = LOCKED_FIELDS.filter(field => updateData[field] !== undefined);
+    if (locked.length > 0) {
+      throw new ValidationError(`Cannot change ${locked.join(', ')} of a published task`);
+    }
+
+    const applied = {};
+    const review = {};
+
+    for (const field of [...SAFE_FIELDS, ...REVIEW_FIELDS]) {
+      if (updateData[field] === undefined) {
+        continue;
+      }
+
+      const from = field === 'location_ids' ? currentLocationIds : task[field];
+      const to = updateData[field];
+
+      if (this.isSameValue(field, from, to)) {
+        continue;
+      }
+
+      const target = REVIEW_FIELDS.includes(field) ? review : applied;
+      target[field] = { from: this.serializeValue(field, from), to: this.serializeValue(field, to) };
+    }
+
+    if (Object.keys(applied).length === 0 && Object.keys(review).length === 0) {
+      throw new ValidationError('No changes to apply');
+    }
+
+    return { applied, review };
+  }
+
+  /**
+   * Record an edit that has been applied to a task
+   * @param {Object} client - Database client in the edit's transaction
+   * @param {Object} task - Task row after the edit
+   * @param {Object} changes - { field: { from, to } }
+   * @param {string} userId - User who made the change
+   * @returns {Object} Version row
+   */
+  async recordApplied(client, task, changes, userId) {
+    const result = await client.query(
+      `INSERT INTO task_versions (task_id, version, status, changes, snapshot, changed_by)
+       VALUES ($1, $2, 'applied', $3, $4, $5)
+       RETURNING *`,
+      [task.id, task.current_version, JSON.stringify(changes), JSON.stringify(this.buildSnapshot(task)), userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Queue reward changes for review; an earlier pending change is replaced
+   * @param {Object} client - Database client in the edit's transaction
+   * @param {string} taskId - Task ID
+   * @param {Object} changes - { field: { from, to } }
+   * @param {string} userId - User who made the change
+   * @returns {Object} Version row
+   */
+  async recordPending(client, taskId, changes, userId) {
+    await client.query(
+      `UPDATE task_versions SET status = 'superseded'
+       WHERE task_id = $1 AND status = 'pending_review'`,
+      [taskId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO task_versions (task_id, status, changes, changed_by)
+       VALUES ($1, 'pending_review', $2, $3)
+       RETURNING *`,
+      [taskId, JSON.stringify(changes), userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Location IDs a task is currently limited to
+   * @param {Object} client - Database client
+   * @param {string} taskId - Task ID
+   * @returns {Array} Location IDs
+   */
+  async getLocationIds(client, taskId) {
+    const result = await client.query(
+      'SELECT location_id FROM task_locations WHERE task_id = $1 ORDER BY location_id',
+      [taskId]
+    );
+
+    return result.rows.map(row => row.location_id);
+  }
+
+  /**
+   * Version history of a task, newest first, with pending changes on top
+   * @param {string} taskId - Task ID
+   * @returns {Object} { current_version, versions }
+   */
+  async listVersions(taskId) {
+    const taskResult = await query('SELECT current_version FROM tasks WHERE id = $1', [taskId]);
+
+    if (taskResult.rows.length === 0) {
+      throw new NotFoundError('Task not found');
+    }
+
+    const result = await query(
+      `SELECT ${VERSION_COLUMNS}, u.email as changed_by_email
+       FROM task_versions v
+       LEFT JOIN users u ON v.changed_by = u.id
+       WHERE v.task_id = $1
+       ORDER BY v.version DESC NULLS FIRST, v.created_at DESC`,
+      [taskId]
+    );
+
+    return {
+      current_version: taskResult.rows[0].current_version,
+      versions: result.rows
+    };
+  }
+
+  /**
+   * Reward changes waiting for an admin, oldest first
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Changes with pagination
+   */
+  async listPendingReviews(options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT ${VERSION_COLUMNS}, t.title as task_title, t.company_id, cp.company_name
+         FROM task_versions v
+         JOIN tasks t ON v.task_id = t.id
+         LEFT JOIN company_profiles cp ON t.company_id = cp.user_id
+         WHERE v.status = 'pending_review'
+         ORDER BY v.created_at ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      ),
+      query("SELECT COUNT(*) as total FROM task_versions WHERE status = 'pending_review'")
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      versions: result.rows,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Approve or reject a pending reward change
+   * @param {string} taskId - Task ID
+   * @param {string} versionId - Version ID
+   * @param {string} adminId - Reviewing admin ID
+   * @param {Object} review - { decision: 'approve'|'reject', notes }
+   * @returns {Object} { version, task }
+   */
+  async reviewVersion(taskId, versionId, adminId, review) {
+    const { decision, notes = null } = review;
+
+    const outcome = await withTransaction(async (client) => {
+      const taskResult = await client.query(
+        'SELECT * FROM tasks WHERE id = $1 FOR UPDATE',
+        [taskId]
+      );
+
+      if (taskResult.rows.length === 0) {
+        throw new NotFoundError('Task not found');
+      }
+
+      const versionResult = await client.query(
+        'SELECT * FROM task_versions WHERE id = $1 AND task_id = $2 FOR UPDATE',
+        [versionId, taskId]
+      );
+
+      if (versionResult.rows.length === 0) {
+        throw new NotFoundError('Task version not found');
+      }
+
+      if (versionResult.rows[0].status !== 'pending_review') {
+        throw new ConflictError('This change has already been reviewed');
+      }
+
+      let task = taskResult.rows[0];
+
+      if (decision === 'reject') {
+        const rejected = await client.query(
+          `UPDATE task_versions
+           SET status = 'rejected', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_notes = $2
+           WHERE id = $3
+           RETURNING *`,
+          [adminId, notes, versionId]
+        );
+
+        return { version: rejected.rows[0], task };
+      }
+
+      const changes = versionResult.rows[0].changes;
+      const values = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+
+      this.validateRewardChanges(task, values);
+
+      const fields = Object.keys(values);
+      const updated = await client.query(
+        `UPDATE tasks
+         SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')},
+             current_version = current_version + 1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${fields.length + 1}
+         RETURNING *`,
+        [...fields.map(field => values[field]), taskId]
+      );
+      task = updated.rows[0];
+
+      const approved = await client.query(
+        `UPDATE task_versions
+         SET status = 'applied', version = $1, snapshot = $2,
+             reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, review_notes = $4
+         WHERE id = $5
+         RETURNING *`,
+        [task.current_version, JSON.stringify(this.buildSnapshot(task)), adminId, notes, versionId]
+      );
+
+      return { version: approved.rows[0], task };
+    });
+
+    await cacheService.del(`task:${taskId}`);
+
+    logger.business('Task change reviewed', {
+      taskId,
+      versionId,
+      adminId,
+      decision,
+      version: outcome.version.version
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Check approved reward values against what the task has already paid out
+   * @param {Object} task - Locked task row
+   * @param {Object} values - New reward values
+   */
+  validateRewardChanges(task, values) {
+    const rewardValue = parseFloat(values.reward_value ?? task.reward_value);
+    const maxRewards = values.max_rewards !== undefined ? values.max_rewards : task.max_rewards;
+    const rewardBudget = values.reward_budget !== undefined ? values.reward_budget : task.reward_budget;
+
+    if (maxRewards !== null && maxRewards !== undefined && Number(maxRewards) < (task.rewards_issued || 0)) {
+      throw new ValidationError('Max rewards cannot be lower than the rewards already issued');
+    }
+
+    if (rewardBudget !== null && rewardBudget !== undefined) {
+      const budget = parseFloat(rewardBudget);
+
+      if (budget < parseFloat(task.budget_spent || 0)) {
+        throw new ValidationError('Reward budget cannot be lower than the budget already spent');
+      }
+
+      if (budget < rewardValue) {
+        throw new ValidationError('Reward budget must cover at least one reward');
+      }
+    }
+  }
+
+  /**
+   * Versioned fields of a task and its puzzle as stored in task_versions.snapshot
+   * @param {Object} task - Task row
+   * @returns {Object} Snapshot
+   */
+  buildSnapshot(task) {
+    const fields = [
+      'title', 'description', 'difficulty', 'reward_type', 'reward_value', 'reward_description',
+      'max_rewards', 'reward_budget', 'starts_at', 'expires_at'
+    ];
+
+    return {
+      ...Object.fromEntries(fields.map(field => [field, this.serializeValue(field, task[field])])),
+      // Kept so attempts on this version can be replayed on the board they were played on
+      puzzle_config: typeof task.puzzle_config === 'string' ? JSON.parse(task.puzzle_config) : task.puzzle_config || null
+    };
+  }
+
+  /**
+   * Normalize a field value for comparison and storage
+   * @param {string} field - Field name
+   * @param {*} value - Value
+   * @returns {*} Normalized value
+   */
+  serializeValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (['starts_at', 'expires_at'].includes(field)) {
+      return new Date(value).toISOString();
+    }
+
+    if (field === 'location_ids') {
+      return [...new Set(value)].sort();
+    }
+
+    if (['reward_value', 'reward_budget'].includes(field)) {
+      return parseFloat(value);
+    }
+
+    if (field === 'max_rewards') {
+      return parseInt(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Whether a requested value is the same as the current one
+   * @param {string} field - Field name
+   * @param {*} from - Current value
+   * @param {*} to - Requested value
+   * @returns {boolean} Unchanged
+   */
+  isSameValue(field, from, to) {
+    return JSON.stringify(this.serializeValue(field, from)) === JSON.stringify(this.serializeValue(field, to));
+  }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,326 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../../database/connection');
+const { PRIVATE_PREFIX, storage } = require('../../storage');
+const notificationService = require('./notificationService');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+const DOCUMENT_TYPES = ['pan_card', 'gst_certificate', 'cancelled_cheque'];
+
+const DOCUMENT_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const DOCUMENT_COLUMNS = 'id, document_type, file_name, content_type, file_size, uploaded_at';
+
+/**
+ * KYC documents and review. Companies upload their documents to private
+ * storage and submit KYC; admins approve or reject the submission, and each
+ * decision is kept in kyc_reviews. Rejected companies can fix and resubmit.
+ */
+class KycService {
+  /**
+   * Upload a KYC document, replacing any earlier one of the same type
+   * @param {string} companyId - Company ID
+   * @param {string} documentType - pan_card | gst_certificate | cancelled_cheque
+   * @param {Object} file - { buffer, mimetype, originalname, size }
+   * @returns {Object} Document
+   */
+  async uploadDocument(companyId, documentType, file) {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw new ValidationError(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    if (!file || !DOCUMENT_EXTENSIONS[file.mimetype]) {
+      throw new ValidationError('Document must be a PDF, JPEG or PNG file');
+    }
+
+    // Documents can be uploaded before the first submission creates the company profile
+    const profile = await this.findProfile(companyId);
+    if (profile?.kyc_status === 'verified') {
+      throw new ConflictError('KYC is already verified');
+    }
+
+    const key = `${PRIVATE_PREFIX}kyc/${companyId}/${documentType}-${uuidv4()}.${DOCUMENT_EXTENSIONS[file.mimetype]}`;
+    await storage.upload(key, file.buffer, file.mimetype);
+
+    const document = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE kyc_documents SET replaced_at = CURRENT_TIMESTAMP
+         WHERE company_id = $1 AND document_type = $2 AND replaced_at IS NULL`,
+        [companyId, documentType]
+      );
+
+      const result = await client.query(
+        `INSERT INTO kyc_documents (company_id, document_type, storage_key, file_name, content_type, file_size)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${DOCUMENT_COLUMNS}`,
+        [companyId, documentType, key, file.originalname, file.mimetype, file.size]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.business('KYC document uploaded', {
+      companyId,
+      documentType,
+      documentId: document.id
+    });
+
+    return document;
+  }
+
+  /**
+   * A company's current documents, one per type
+   * @param {string} companyId - Company ID
+   * @returns {Array} Documents
+   */
+  async listDocuments(companyId) {
+    const result = await query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM kyc_documents
+       WHERE company_id = $1 AND replaced_at IS NULL
+       ORDER BY document_type`,
+      [companyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Document types a submission still needs; the GST certificate only when a GSTIN is given
+   * @param {string} companyId - Company ID
+   * @param {Object} kycData - { gstin }
+   * @returns {Array} Missing document types
+   */
+  async getMissingDocuments(companyId, kycData = {}) {
+    const required = kycData.gstin
+      ? DOCUMENT_TYPES
+      : DOCUMENT_TYPES.filter(type => type !== 'gst_certificate');
+
+    const uploaded = (await this.listDocuments(companyId)).map(document => document.document_type);
+
+    return required.filter(type => !uploaded.includes(type));
+  }
+
+  /**
+   * A company's KYC status, current documents and review history
+   * @param {string} companyId - Company ID
+   * @returns {Object} KYC details
+   */
+  async getKycDetails(companyId) {
+    const profile = await this.findProfile(companyId);
+
+    const [documents, history] = await Promise.all([
+      this.listDocuments(companyId),
+      this.listHistory(companyId)
+    ]);
+
+    return {
+      company_id: companyId,
+      company_name: profile?.company_name || null,
+      gstin: profile?.gstin || null,
+      pan_number: profile?.pan_number || null,
+      business_type: profile?.business_type || null,
+      kyc_status: profile?.kyc_status || 'pending',
+      kyc_submitted_at: profile?.kyc_submitted_at || null,
+      kyc_verified_at: profile?.kyc_verified_at || null,
+      kyc_review_comments: profile?.kyc_review_comments || null,
+      documents,
+      history
+    };
+  }
+
+  /**
+   * KYC decisions for a company, newest first
+   * @param {string} companyId - Company ID
+   * @returns {Array} Decisions
+   */
+  async listHistory(companyId) {
+    const result = await query(
+      `SELECT id, decision, comments, reviewed_by, documents, created_at
+       FROM kyc_reviews
+       WHERE company_id = $1
+       ORDER BY created_at DESC`,
+      [companyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Submitted KYC waiting for an admin, oldest first
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Companies with pagination
+   */
+  async listQueue(options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT cp.user_id as company_id, cp.company_name, cp.gstin, cp.pan_number,
+                cp.kyc_submitted_at, u.email,
+                (SELECT COUNT(*) FROM kyc_reviews kr WHERE kr.company_id = cp.user_id) as previous_reviews
+         FROM company_profiles cp
+         JOIN users u ON cp.user_id = u.id
+         WHERE cp.kyc_status = 'pending' AND cp.kyc_submitted_at IS NOT NULL
+         ORDER BY cp.kyc_submitted_at ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      ),
+      query(
+        `SELECT COUNT(*) as total FROM company_profiles
+         WHERE kyc_status = 'pending' AND kyc_submitted_at IS NOT NULL`
+      )
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      companies: result.rows.map(row => ({
+        ...row,
+        previous_reviews: parseInt(row.previous_reviews)
+      })),
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Read a KYC document's file for an admin
+   * @param {string} documentId - Document ID
+   * @returns {Object} { document, body }
+   */
+  async getDocumentFile(documentId) {
+    const result = await query(
+      `SELECT ${DOCUMENT_COLUMNS}, company_id, storage_key FROM kyc_documents WHERE id = $1`,
+      [documentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('KYC document not found');
+    }
+
+    const { storage_key, ...document } = result.rows[0];
+
+    return {
+      document,
+      body: await storage.download(storage_key)
+    };
+  }
+
+  /**
+   * Approve or reject a submitted KYC
+   * @param {string} companyId - Company ID
+   * @param {string} adminId - Reviewing admin ID
+   * @param {Object} review - { decision: 'approve'|'reject', comments }
+   * @returns {Object} Updated KYC status
+   */
+  async reviewKyc(companyId, adminId, review) {
+    const { decision, comments = null } = review;
+
+    if (decision === 'reject' && !comments) {
+      throw new ValidationError('Comments are required when rejecting KYC');
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const profileResult = await client.query(
+        `SELECT company_name, kyc_status, kyc_submitted_at FROM company_profiles
+         WHERE user_id = $1 FOR UPDATE`,
+        [companyId]
+      );
+
+      if (profileResult.rows.length === 0) {
+        throw new NotFoundError('Company profile not found');
+      }
+
+      const profile = profileResult.rows[0];
+      if (profile.kyc_status !== 'pending' || !profile.kyc_submitted_at) {
+        throw new ConflictError('KYC is not waiting for review');
+      }
+
+      const documents = await client.query(
+        'SELECT id FROM kyc_documents WHERE company_id = $1 AND replaced_at IS NULL',
+        [companyId]
+      );
+
+      const status = decision === 'approve' ? 'verified' : 'rejected';
+
+      const updated = await client.query(
+        `UPDATE company_profiles
+         SET kyc_status = $2,
+             kyc_verified_at = ${status === 'verified' ? 'CURRENT_TIMESTAMP' : 'NULL'},
+             kyc_review_comments = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1
+         RETURNING kyc_status, kyc_verified_at, kyc_submitted_at, kyc_review_comments`,
+        [companyId, status, comments]
+      );
+
+      await client.query(
+        `INSERT INTO kyc_reviews (company_id, decision, comments, reviewed_by, documents)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [companyId, status, comments, adminId, JSON.stringify(documents.rows.map(row => row.id))]
+      );
+
+      if (status === 'verified') {
+        await notificationService.notify(companyId, {
+          type: 'kyc_approved',
+          title: 'KYC verified',
+          message: `KYC for ${profile.company_name} has been verified. You can now publish tasks.`,
+          data: { comments }
+        }, client);
+      } else {
+        await notificationService.notify(companyId, {
+          type: 'kyc_rejected',
+          title: 'KYC rejected',
+          message: `KYC for ${profile.company_name} was not approved: ${comments}. Update your details or documents and submit again.`,
+          data: { comments }
+        }, client);
+      }
+
+      return updated.rows[0];
+    });
+
+    logger.business('Company KYC reviewed', {
+      companyId,
+      adminId,
+      decision: outcome.kyc_status
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Company profile KYC fields
+   * @param {string} companyId - Company ID
+   * @returns {Object|null} Profile, or null before the first submission
+   */
+  async findProfile(companyId) {
+    const result = await query(
+      `SELECT user_id as company_id, company_name, gstin, pan_number, business_type, kyc_status,
+              kyc_submitted_at, kyc_verified_at, kyc_review_comments
+       FROM company_profiles
+       WHERE user_id = $1`,
+      [companyId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,323 @@
+const { query } = require('../../database/connection');
+const logger = require('../../utils/logger');
+const {
+  ValidationError,
+  NotFoundError
+} = require('../../middleware/errorHandler');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+const MAX_LOCATIONS_PER_COMPANY = parseInt(process.env.MAX_STORE_LOCATIONS) || 500;
+
+class LocationService {
+  /**
+   * List a company's store locations
+   * @param {string} companyId - Company ID
+   * @returns {Array} Store locations
+   */
+  async listLocations(companyId) {
+    const result = await query(
+      `SELECT id, name, address, city, latitude, longitude, is_active, created_at, updated_at
+       FROM store_locations
+       WHERE company_id = $1
+       ORDER BY created_at`,
+      [companyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Add a store location to a company profile
+   * @param {string} companyId - Company ID
+   * @param {Object} locationData - { name, address, city, latitude, longitude }
+   * @returns {Object} Created location
+   */
+  async createLocation(companyId, locationData) {
+    this.validateLocation(locationData);
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM store_locations WHERE company_id = $1',
+      [companyId]
+    );
+
+    if (parseInt(countResult.rows[0].total) >= MAX_LOCATIONS_PER_COMPANY) {
+      throw new ValidationError(`A company can have at most ${MAX_LOCATIONS_PER_COMPANY} store locations`);
+    }
+
+    const { name, address, city, latitude, longitude } = locationData;
+
+    const result = await query(
+      `INSERT INTO store_locations (company_id, name, address, city, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        companyId,
+        name.trim(),
+        address.trim(),
+        city?.trim() || null,
+        parseFloat(latitude),
+        parseFloat(longitude)
+      ]
+    );
+
+    const location = result.rows[0];
+
+    logger.business('Store location added', {
+      companyId,
+      locationId: location.id,
+      city: location.city
+    });
+
+    return location;
+  }
+
+  /**
+   * Update a store location
+   * @param {string} companyId - Company ID
+   * @param {string} locationId - Location ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object} Updated location
+   */
+  async updateLocation(companyId, locationId, updateData) {
+    const existing = await query(
+      'SELECT * FROM store_locations WHERE id = $1 AND company_id = $2',
+      [locationId, companyId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Store location not found');
+    }
+
+    const merged = { ...existing.rows[0], ...updateData };
+    this.validateLocation(merged);
+
+    const allowedUpdates = ['name', 'address', 'city', 'latitude', 'longitude', 'is_active'];
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedUpdates.includes(key)) {
+        updates.push(`${key} = $${paramIndex}`);
+        values.push(typeof value === 'string' ? value.trim() : value);
+        paramIndex++;
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(locationId, companyId);
+
+    const result = await query(
+      `UPDATE store_locations
+       SET ${updates.join(', ')}
+       WHERE id = $${paramIndex} AND company_id = $${paramIndex + 1}
+       RETURNING *`,
+      values
+    );
+
+    logger.business('Store location updated', {
+      companyId,
+      locationId,
+      updates: Object.keys(updateData)
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a store location (tasks attached to it are detached)
+   * @param {string} companyId - Company ID
+   * @param {string} locationId - Location ID
+   * @returns {boolean} Success status
+   */
+  async deleteLocation(companyId, locationId) {
+    const result = await query(
+      'DELETE FROM store_locations WHERE id = $1 AND company_id = $2 RETURNING id',
+      [locationId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Store location not found');
+    }
+
+    logger.business('Store location deleted', { companyId, locationId });
+
+    return true;
+  }
+
+  /**
+   * Check that location IDs belong to the company
+   * @param {string} companyId - Company ID
+   * @param {Array} locationIds - Location IDs
+   */
+  async validateLocationIds(companyId, locationIds) {
+    const ids = [...new Set(locationIds)];
+
+    if (ids.length === 0) {
+      return;
+    }
+
+    const owned = await query(
+      'SELECT id FROM store_locations WHERE company_id = $1 AND id::text = ANY($2::text[])',
+      [companyId, ids]
+    );
+
+    if (owned.rows.length !== ids.length) {
+      throw new ValidationError('location_ids must be store locations of your company');
+    }
+  }
+
+  /**
+   * Attach store locations to a task (none means every company location applies)
+   * @param {Object} client - Database client
+   * @param {string} taskId - Task ID
+   * @param {Array} locationIds - Location IDs, already validated
+   */
+  async setTaskLocations(client, taskId, locationIds) {
+    const ids = [...new Set(locationIds)];
+
+    await client.query('DELETE FROM task_locations WHERE task_id = $1', [taskId]);
+
+    if (ids.length > 0) {
+      await client.query(
+        `INSERT INTO task_locations (task_id, location_id)
+         SELECT $1, UNNEST($2::uuid[])`,
+        [taskId, ids]
+      );
+    }
+  }
+
+  /**
+   * Store locations where a task can be played or redeemed
+   * @param {string} taskId - Task ID
+   * @param {string} companyId - Company ID
+   * @returns {Array} Locations
+   */
+  async getTaskLocations(taskId, companyId) {
+    const result = await query(
+      `SELECT sl.id, sl.name, sl.address, sl.city, sl.latitude, sl.longitude
+       FROM store_locations sl
+       WHERE sl.company_id = $2 AND sl.is_active = true
+         AND ${this.taskLocationScope('$1')}
+       ORDER BY sl.name`,
+      [taskId, companyId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Parse location IDs sent as an array, JSON string or comma-separated list
+   * @param {Array|string} locationIds - Raw location_ids
+   * @returns {Array} Location IDs
+   */
+  parseLocationIds(locationIds) {
+    if (locationIds === undefined || locationIds === null || locationIds === '') {
+      return [];
+    }
+
+    let ids = locationIds;
+
+    if (typeof ids === 'string') {
+      try {
+        ids = ids.trim().startsWith('[') ? JSON.parse(ids) : ids.split(',');
+      } catch (error) {
+        throw new ValidationError('location_ids must be an array of location IDs');
+      }
+    }
+
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+      throw new ValidationError('location_ids must be an array of location IDs');
+    }
+
+    return ids.map(id => id.trim()).filter(Boolean);
+  }
+
+  /**
+   * SQL condition limiting store_locations (aliased sl) to those a task applies to
+   * @param {string} taskIdExpression - SQL expression for the task ID
+   * @returns {string} SQL condition
+   */
+  taskLocationScope(taskIdExpression) {
+    return `(NOT EXISTS (SELECT 1 FROM task_locations tl WHERE tl.task_id = ${taskIdExpression})
+           OR sl.id IN (SELECT tl.location_id FROM task_locations tl WHERE tl.task_id = ${taskIdExpression}))`;
+  }
+
+  /**
+   * SQL haversine distance in km from a point to store_locations (aliased sl)
+   * @param {string} latParam - Placeholder for latitude
+   * @param {string} lngParam - Placeholder for longitude
+   * @returns {string} SQL expression
+   */
+  distanceSql(latParam, lngParam) {
+    return `(2 * ${EARTH_RADIUS_KM} * ASIN(SQRT(
+      POWER(SIN(RADIANS(sl.latitude - ${latParam}) / 2), 2) +
+      COS(RADIANS(${latParam})) * COS(RADIANS(sl.latitude)) *
+      POWER(SIN(RADIANS(sl.longitude - ${lngParam}) / 2), 2)
+    )))`;
+  }
+
+  /**
+   * Bounding box around a point, used to pre-filter before the haversine check
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radiusKm - Radius in km
+   * @returns {Object} { min_lat, max_lat, min_lng, max_lng } (longitudes null when the box wraps)
+   */
+  getBoundingBox(lat, lng, radiusKm) {
+    const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+    const minLat = Math.max(-90, lat - latDelta);
+    const maxLat = Math.min(90, lat + latDelta);
+
+    // Longitude degrees shrink towards the poles; near them or across the
+    // antimeridian the box can't be expressed as one range, so skip it
+    const cosLat = Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180);
+    const lngDelta = cosLat > 0.01 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 360;
+    const wraps = lng - lngDelta < -180 || lng + lngDelta > 180;
+
+    return {
+      min_lat: minLat,
+      max_lat: maxLat,
+      min_lng: wraps ? null : lng - lngDelta,
+      max_lng: wraps ? null : lng + lngDelta
+    };
+  }
+
+  /**
+   * Validate store location data
+   * @param {Object} data - { name, address, city, latitude, longitude }
+   */
+  validateLocation(data) {
+    const { name, address, city, latitude, longitude } = data;
+
+    if (!name || name.trim().length < 2 || name.trim().length > 255) {
+      throw new ValidationError('Location name must be between 2 and 255 characters');
+    }
+
+    if (!address || address.trim().length < 5 || address.trim().length > 500) {
+      throw new ValidationError('Address must be between 5 and 500 characters');
+    }
+
+    if (city && (city.trim().length < 2 || city.trim().length > 100)) {
+      throw new ValidationError('City must be between 2 and 100 characters');
+    }
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (isNaN(lat) || lat < -90 || lat > 90) {
+      throw new ValidationError('Latitude must be between -90 and 90');
+    }
+
+    if (isNaN(lng) || lng < -180 || lng > 180) {
+      throw new ValidationError('Longitude must be between -180 and 180');
+    }
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,94 @@
+const { query } = require('../../database/connection');
+const logger = require('../../utils/logger');
+const { NotFoundError } = require('../../middleware/errorHandler');
+
+class NotificationService {
+  /**
+   * Send an in-app notification to a user
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - { type, title, message, data }
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Object} Created notification
+   */
+  async notify(userId, notification, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const { type, title, message, data = {} } = notification;
+
+    const result = await run(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, type, title, message, JSON.stringify(data)]
+    );
+
+    logger.info('Notification sent', { userId, type });
+
+    return result.rows[0];
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { unread_only, page, limit }
+   * @returns {Object} Notifications with unread count and pagination
+   */
+  async listNotifications(userId, options = {}) {
+    const { unread_only = false, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const whereClause = unread_only ? 'user_id = $1 AND is_read = false' : 'user_id = $1';
+
+    const [result, countResult, unreadResult] = await Promise.all([
+      query(
+        `SELECT id, type, title, message, data, is_read, read_at, created_at
+         FROM notifications
+         WHERE ${whereClause}
+         ORDER BY created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      query(`SELECT COUNT(*) as total FROM notifications WHERE ${whereClause}`, [userId]),
+      query('SELECT COUNT(*) as total FROM notifications WHERE user_id = $1 AND is_read = false', [userId])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      notifications: result.rows,
+      unread_count: parseInt(unreadResult.rows[0].total),
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Object} Updated notification
+   */
+  async markRead(userId, notificationId) {
+    const result = await query(
+      `UPDATE notifications
+       SET is_read = true, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, type, title, message, data, is_read, read_at, created_at`,
+      [notificationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,12 +1,33 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const multer = require('multer');
 const userService = require('./service');
-const { asyncHandler, handleJoiError } = require('../../middleware/errorHandler');
+const kycService = require('./kycService');
+const locationService = require('./locationService');
+const notificationService = require('./notificationService');
+const { asyncHandler, handleJoiError, ValidationError } = require('../../middleware/errorHandler');
 const { authMiddleware, requireRole, requireOwnership } = require('../../middleware/auth');
 const logger = require('../../utils/logger');
+const { BUSINESS_TYPES } = require('../../utils/taxIds');
 
 const router = express.Router();
 
+// KYC documents are scans or PDFs of a single page or two
+const kycUpload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only PDF, JPEG, and PNG are allowed.'));
+    }
+  }
+});
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -120,6 +141,18 @@ router.get('/rewards',
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Invalid cursor'),
+    query('pagination')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Pagination must be offset or cursor'),
+    query('include_total')
+      .optional()
+      .isBoolean()
+      .withMessage('include_total must be boolean'),
     query('status')
       .optional()
       .isIn(['redeemed', 'unredeemed'])
@@ -136,7 +169,10 @@ router.get('/rewards',
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 20,
       status: req.query.status,
-      reward_type: req.query.reward_type
+      reward_type: req.query.reward_type,
+      cursor: req.query.cursor,
+      pagination: req.query.pagination,
+      include_total: req.query.include_total === 'true'
     };
 
     const result = await userService.getUserRewards(userId, filters);
@@ -217,6 +253,10 @@ router.post('/company/kyc',
       .optional()
       .matches(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/)
       .withMessage('Invalid PAN format'),
+    body('business_type')
+      .optional()
+      .isIn(BUSINESS_TYPES)
+      .withMessage(`Business type must be one of: ${BUSINESS_TYPES.join(', ')}`),
     body('business_category')
       .optional()
       .trim()
@@ -252,6 +292,61 @@ router.post('/company/kyc',
   })
 );
 
+/**
+ * @route   GET /api/v1/users/company/kyc
+ * @desc    Get KYC status, current documents and review history
+ * @access  Private (Company only)
+ */
+router.get('/company/kyc',
+  authMiddleware,
+  requireRole('company'),
+  asyncHandler(async (req, res) => {
+    const kyc = await kycService.getKycDetails(req.user.sub);
+
+    res.json({
+      success: true,
+      data: kyc,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/users/company/kyc/documents
+ * @desc    Upload a KYC document (replaces the earlier one of the same type)
+ * @access  Private (Company only)
+ */
+router.post('/company/kyc/documents',
+  authMiddleware,
+  requireRole('company'),
+  kycUpload.single('document'),
+  [
+    body('document_type')
+      .isIn(['pan_card', 'gst_certificate', 'cancelled_cheque'])
+      .withMessage('Document type must be pan_card, gst_certificate or cancelled_cheque')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new ValidationError('Document file is required');
+    }
+
+    const document = await kycService.uploadDocument(req.user.sub, req.body.document_type, req.file);
+
+    res.status(201).json({
+      success: true,
+      data: document,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/users/company/dashboard
  * @desc    Get company dashboard
@@ -291,9 +386,10 @@ router.get('/company/profile',
     const result = await query(
       `SELECT 
         u.email, u.created_at, u.is_verified,
-        cp.company_name, cp.gstin, cp.pan_number, cp.kyc_status,
-        cp.kyc_verified_at, cp.business_category, cp.website_url,
-        cp.contact_person, cp.registered_address, cp.logo_url, cp.is_active
+        cp.company_name, cp.gstin, cp.pan_number, cp.business_type, cp.kyc_status,
+        cp.kyc_submitted_at, cp.kyc_verified_at, cp.kyc_review_comments,
+        cp.business_category, cp.website_url,
+        cp.contact_person, cp.registered_address, cp.city, cp.logo_url, cp.is_active
        FROM users u
        LEFT JOIN company_profiles cp ON u.id = cp.user_id
        WHERE u.id = $1 AND u.role = 'company'`,
@@ -355,6 +451,11 @@ router.put('/company/profile',
       .trim()
       .isLength({ min: 10, max: 1000 })
       .withMessage('Registered address must be between 10 and 1000 characters'),
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('City must be between 2 and 100 characters'),
     body('logo_url')
       .optional()
       .isURL()
@@ -372,7 +473,7 @@ router.put('/company/profile',
     // Build update query
     const allowedUpdates = [
       'company_name', 'business_category', 'website_url', 
-      'contact_person', 'registered_address', 'logo_url'
+      'contact_person', 'registered_address', 'city', 'logo_url'
     ];
 
     for (const [key, value] of Object.entries(req.body)) {
@@ -433,6 +534,222 @@ router.put('/company/profile',
   })
 );
 
+/**
+ * @route   GET /api/v1/users/company/locations
+ * @desc    List company store locations
+ * @access  Private (Company only)
+ */
+router.get('/company/locations',
+  authMiddleware,
+  requireRole('company'),
+  asyncHandler(async (req, res) => {
+    const locations = await locationService.listLocations(req.user.sub);
+
+    res.json({
+      success: true,
+      data: locations,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/users/company/locations
+ * @desc    Add a store location
+ * @access  Private (Company only)
+ */
+router.post('/company/locations',
+  authMiddleware,
+  requireRole('company'),
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Location name must be between 2 and 255 characters'),
+    body('address')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Address must be between 5 and 500 characters'),
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('City must be between 2 and 100 characters'),
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const location = await locationService.createLocation(req.user.sub, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: location,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/v1/users/company/locations/:locationId
+ * @desc    Update a store location
+ * @access  Private (Company only)
+ */
+router.put('/company/locations/:locationId',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('locationId')
+      .isUUID()
+      .withMessage('Invalid location ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Location name must be between 2 and 255 characters'),
+    body('address')
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Address must be between 5 and 500 characters'),
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('City must be between 2 and 100 characters'),
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const location = await locationService.updateLocation(req.user.sub, req.params.locationId, req.body);
+
+    res.json({
+      success: true,
+      data: location,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/v1/users/company/locations/:locationId
+ * @desc    Delete a store location
+ * @access  Private (Company only)
+ */
+router.delete('/company/locations/:locationId',
+  authMiddleware,
+  requireRole('company'),
+  [
+    param('locationId')
+      .isUUID()
+      .withMessage('Invalid location ID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    await locationService.deleteLocation(req.user.sub, req.params.locationId);
+
+    res.json({
+      success: true,
+      data: { message: 'Store location deleted successfully' },
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/users/notifications
+ * @desc    List notifications, newest first
+ * @access  Private
+ */
+router.get('/notifications',
+  authMiddleware,
+  [
+    query('unread_only')
+      .optional()
+      .isBoolean()
+      .withMessage('unread_only must be boolean'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = await notificationService.listNotifications(req.user.sub, {
+      unread_only: req.query.unread_only === 'true',
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
+/**
+ * @route   POST /api/v1/users/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.post('/notifications/:notificationId/read',
+  authMiddleware,
+  [
+    param('notificationId')
+      .isUUID()
+      .withMessage('notificationId must be a valid UUID')
+  ],
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const notification = await notificationService.markRead(req.user.sub, req.params.notificationId);
+
+    res.json({
+      success: true,
+      data: notification,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/users/stats
  * @desc    Get user statistics
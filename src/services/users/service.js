@@ -1,7 +1,10 @@
 const { v4: uuidv4 } = require('uuid');
 const { query, withTransaction } = require('../../database/connection');
 const { cacheService } = require('../../cache/redis');
+const kycService = require('./kycService');
 const logger = require('../../utils/logger');
+const { isCursorMode, buildKeyset, buildPageQuery, buildPage } = require('../../utils/pagination');
+const { validateTaxIds } = require('../../utils/taxIds');
 const {
   ValidationError,
   ConflictError,
@@ -173,7 +176,7 @@ class UserService {
   /**
    * Get user rewards
    * @param {string} userId - User ID
-   * @param {Object} filters - Filter options
+   * @param {Object} filters - Filter options, plus cursor/pagination/include_total for keyset pages
    * @returns {Object} Rewards with pagination
    */
   async getUserRewards(userId, filters = {}) {
@@ -181,9 +184,12 @@ class UserService {
       page = 1,
       limit = 20,
       status,
-      reward_type
+      reward_type,
+      cursor,
+      include_total
     } = filters;
 
+    const cursorMode = isCursorMode(filters);
     const offset = (page - 1) * limit;
     let whereConditions = ['ur.user_id = $1'];
     let queryParams = [userId];
@@ -204,15 +210,39 @@ class UserService {
 
     const whereClause = whereConditions.join(' AND ');
 
-    // Get total count
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM user_rewards ur
-      WHERE ${whereClause}
-    `;
+    // Get total count (optional for cursor pages)
+    let total = null;
+    if (!cursorMode || include_total) {
+      const countQuery = `
+        SELECT COUNT(*) as total
+        FROM user_rewards ur
+        WHERE ${whereClause}
+      `;
 
-    const countResult = await query(countQuery, queryParams);
-    const total = parseInt(countResult.rows[0].total);
+      const countResult = await query(countQuery, queryParams);
+      total = parseInt(countResult.rows[0].total);
+    }
+
+    const keyset = cursorMode
+      ? buildKeyset({
+        cursor,
+        sortField: 'created_at',
+        sortExpression: 'ur.created_at',
+        sortType: 'timestamp',
+        idExpression: 'ur.id',
+        paramIndex
+      })
+      : null;
+
+    const pageQuery = buildPageQuery({
+      keyset,
+      conditions: whereConditions,
+      params: queryParams,
+      orderBy: 'ur.created_at DESC',
+      paramIndex,
+      limit,
+      offset
+    });
 
     // Get rewards with task details
     const rewardsQuery = `
@@ -220,18 +250,16 @@ class UserService {
         ur.id, ur.reward_code, ur.reward_type, ur.reward_value,
         ur.is_redeemed, ur.redeemed_at, ur.expires_at, ur.created_at,
         t.title as task_title, t.company_id,
-        cp.company_name, cp.logo_url as company_logo
+        cp.company_name, cp.logo_url as company_logo${pageQuery.keyColumn}
       FROM user_rewards ur
-      JOIN tasks t ON ur.task_id = t.id
-      JOIN users u ON t.company_id = u.id
+      LEFT JOIN tasks t ON ur.task_id = t.id
+      LEFT JOIN users u ON t.company_id = u.id
       LEFT JOIN company_profiles cp ON u.id = cp.user_id
-      WHERE ${whereClause}
-      ORDER BY ur.created_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      WHERE ${pageQuery.whereClause}
+      ${pageQuery.pageClause}
     `;
 
-    queryParams.push(limit, offset);
-    const rewardsResult = await query(rewardsQuery, queryParams);
+    const rewardsResult = await query(rewardsQuery, pageQuery.params);
 
     // Calculate summary stats
     const summaryQuery = `
@@ -248,10 +276,10 @@ class UserService {
     const summaryResult = await query(summaryQuery, [userId]);
     const summary = summaryResult.rows[0];
 
-    const totalPages = Math.ceil(total / limit);
+    const { items: rewards, pagination } = buildPage(rewardsResult.rows, { keyset, page, limit, total });
 
     return {
-      rewards: rewardsResult.rows,
+      rewards,
       summary: {
         total_rewards: parseInt(summary.total_rewards),
         unredeemed_count: parseInt(summary.unredeemed_count),
@@ -259,14 +287,7 @@ class UserService {
         total_unredeemed_value: parseFloat(summary.total_unredeemed_value),
         total_rewards_value: parseFloat(summary.total_rewards_value)
       },
-      pagination: {
-        current_page: page,
-        total_pages: totalPages,
-        total_items: total,
-        items_per_page: limit,
-        has_next: page < totalPages,
-        has_prev: page > 1
-      }
+      pagination
     };
   }
 
@@ -274,11 +295,14 @@ class UserService {
    * Create reward for user
    * @param {string} userId - User ID
    * @param {string} taskId - Task ID
+   * @param {Object} client - Transaction client (optional)
    * @returns {Object} Created reward
    */
-  async createReward(userId, taskId) {
+  async createReward(userId, taskId, client = null) {
+    const run = client ? client.query.bind(client) : query;
+
     // Check if user already has reward for this task
-    const existingReward = await query(
+    const existingReward = await run(
       'SELECT id FROM user_rewards WHERE user_id = $1 AND task_id = $2',
       [userId, taskId]
     );
@@ -288,7 +312,7 @@ class UserService {
     }
 
     // Get task details
-    const taskResult = await query(
+    const taskResult = await run(
       'SELECT reward_type, reward_value, reward_description FROM tasks WHERE id = $1',
       [taskId]
     );
@@ -307,7 +331,7 @@ class UserService {
     const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
 
     // Create reward
-    const result = await query(
+    const result = await run(
       `INSERT INTO user_rewards (
         user_id, task_id, reward_code, reward_type, reward_value, expires_at
       ) VALUES ($1, $2, $3, $4, $5, $6)
@@ -342,8 +366,8 @@ class UserService {
         ur.*, t.title as task_title, t.company_id,
         cp.company_name, cp.contact_person, cp.website_url, cp.registered_address
       FROM user_rewards ur
-      JOIN tasks t ON ur.task_id = t.id
-      JOIN users u ON t.company_id = u.id
+      LEFT JOIN tasks t ON ur.task_id = t.id
+      LEFT JOIN users u ON t.company_id = u.id
       LEFT JOIN company_profiles cp ON u.id = cp.user_id
       WHERE ur.reward_code = $1 AND ur.user_id = $2`,
       [rewardCode, userId]
@@ -499,16 +523,30 @@ class UserService {
       company_name,
       gstin,
       pan_number,
+      business_type,
       business_category,
       website_url,
       contact_person,
-      registered_address,
-      kyc_documents
+      registered_address
     } = kycData;
 
     // Validate KYC data
     this.validateKYCData(kycData);
 
+    const current = await query(
+      'SELECT kyc_status FROM company_profiles WHERE user_id = $1',
+      [companyId]
+    );
+
+    if (current.rows[0]?.kyc_status === 'verified') {
+      throw new ConflictError('KYC is already verified');
+    }
+
+    const missingDocuments = await kycService.getMissingDocuments(companyId, kycData);
+    if (missingDocuments.length > 0) {
+      throw new ValidationError(`Upload these documents before submitting KYC: ${missingDocuments.join(', ')}`);
+    }
+
     // Check for duplicate GSTIN or PAN
     const duplicateCheck = await query(
       `SELECT id FROM company_profiles 
@@ -523,19 +561,22 @@ class UserService {
     // Update or create company profile
     const result = await query(
       `INSERT INTO company_profiles (
-        user_id, company_name, gstin, pan_number, business_category,
-        website_url, contact_person, registered_address, kyc_status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending')
+        user_id, company_name, gstin, pan_number, business_type, business_category,
+        website_url, contact_person, registered_address, kyc_status, kyc_submitted_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', CURRENT_TIMESTAMP)
       ON CONFLICT (user_id) 
       DO UPDATE SET
         company_name = EXCLUDED.company_name,
         gstin = EXCLUDED.gstin,
         pan_number = EXCLUDED.pan_number,
+        business_type = EXCLUDED.business_type,
         business_category = EXCLUDED.business_category,
         website_url = EXCLUDED.website_url,
         contact_person = EXCLUDED.contact_person,
         registered_address = EXCLUDED.registered_address,
         kyc_status = 'pending',
+        kyc_submitted_at = CURRENT_TIMESTAMP,
+        kyc_review_comments = NULL,
         updated_at = CURRENT_TIMESTAMP
       RETURNING *`,
       [
@@ -543,6 +584,7 @@ class UserService {
         company_name.trim(),
         gstin?.trim(),
         pan_number?.trim(),
+        business_type,
         business_category?.trim(),
         website_url?.trim(),
         contact_person?.trim(),
@@ -550,9 +592,6 @@ class UserService {
       ]
     );
 
-    // TODO: Handle KYC document uploads
-    // await this.uploadKYCDocuments(companyId, kyc_documents);
-
     logger.business('Company KYC submitted', {
       companyId,
       companyName: company_name,
@@ -562,6 +601,7 @@ class UserService {
 
     return {
       kyc_status: 'pending',
+      kyc_submitted_at: result.rows[0].kyc_submitted_at,
       message: 'KYC documents submitted for verification'
     };
   }
@@ -607,9 +647,6 @@ class UserService {
   validateKYCData(data) {
     const {
       company_name,
-      gstin,
-      pan_number,
-      business_category,
       website_url,
       contact_person,
       registered_address
@@ -619,12 +656,9 @@ class UserService {
       throw new ValidationError('Company name must be between 2 and 255 characters');
     }
 
-    if (gstin && !/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/.test(gstin)) {
-      throw new ValidationError('Invalid GSTIN format');
-    }
-
-    if (pan_number && !/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(pan_number)) {
-      throw new ValidationError('Invalid PAN format');
+    const taxIdErrors = validateTaxIds(data);
+    if (taxIdErrors.length > 0) {
+      throw new ValidationError(taxIdErrors.map(error => error.message).join('; '), taxIdErrors);
     }
 
     if (website_url && !this.isValidUrl(website_url)) {
@@ -0,0 +1,40 @@
+const logger = require('../utils/logger');
+
+// Key prefix for objects that must not be served publicly (e.g. KYC documents)
+const PRIVATE_PREFIX = 'private/';
+
+const DRIVERS = {
+  s3: () => require('./s3Driver'),
+  local: () => require('./localDriver'),
+  memory: () => require('./memoryDriver')
+};
+
+/**
+ * Create a storage driver
+ * @param {string} driverName - 's3' | 'local' | 'memory' (defaults to STORAGE_DRIVER, then s3)
+ * @param {Object} options - Driver options (baseUrl, root, bucket, client)
+ * @returns {Object} Driver exposing upload, download, delete, exists, getUrl, getKeyFromUrl.
+ *   Objects under PRIVATE_PREFIX are never publicly readable; fetch them with download().
+ */
+const createStorage = (driverName = process.env.STORAGE_DRIVER || 's3', options = {}) => {
+  const loadDriver = DRIVERS[driverName];
+
+  if (!loadDriver) {
+    throw new Error(`Unknown storage driver "${driverName}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  const Driver = loadDriver();
+  const driver = new Driver(options);
+
+  logger.info('Storage driver initialised', { driver: driver.name });
+
+  return driver;
+};
+
+const storage = createStorage();
+
+module.exports = {
+  PRIVATE_PREFIX,
+  createStorage,
+  storage
+};
@@ -0,0 +1,104 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage driver. Files are written under `root` and served by
+ * the static route mounted in src/index.js at the path of `baseUrl`. Keys
+ * under `private/` are written under `privateRoot` instead, which is not served.
+ */
+class LocalStorageDriver {
+  constructor(options = {}) {
+    const port = process.env.PORT || 3000;
+
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.LOCAL_STORAGE_PATH || 'uploads');
+    this.privateRoot = path.resolve(options.privateRoot || process.env.LOCAL_PRIVATE_STORAGE_PATH || 'private_uploads');
+    this.baseUrl = (options.baseUrl || process.env.LOCAL_STORAGE_URL || `http://localhost:${port}/uploads`)
+      .replace(/\/+$/, '');
+    this.publicPath = new URL(this.baseUrl, 'http://localhost').pathname;
+  }
+
+  /**
+   * Write a file to disk
+   * @param {string} key - Object key
+   * @param {Buffer} body - File buffer
+   * @param {string} contentType - MIME type (unused, served by extension)
+   * @returns {string} Public URL
+   */
+  async upload(key, body, contentType) {
+    const filePath = this.resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+
+    return this.getUrl(key);
+  }
+
+  /**
+   * Read a file from disk
+   * @param {string} key - Object key
+   * @returns {Buffer} File contents
+   */
+  async download(key) {
+    return fs.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Delete files, ignoring ones that are already gone
+   * @param {Array} keys - Object keys
+   */
+  async delete(keys) {
+    await Promise.all(keys.map(key => fs.rm(this.resolvePath(key), { force: true })));
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} key - Object key
+   * @returns {boolean}
+   */
+  async exists(key) {
+    try {
+      await fs.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build public URL for an object
+   * @param {string} key - Object key
+   * @returns {string} Public URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Resolve object key from a URL produced by this driver
+   * @param {string} url - Public URL
+   * @returns {string|null} Object key or null if the URL is not ours
+   */
+  getKeyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+
+  /**
+   * Map a key to a path inside the storage root
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const root = key.startsWith('private/') ? this.privateRoot : this.root;
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,88 @@
+/**
+ * In-memory storage driver. Objects live for the lifetime of the process,
+ * which makes it suitable for unit tests and throwaway environments only.
+ */
+class MemoryStorageDriver {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.baseUrl = (options.baseUrl || 'memory://storage').replace(/\/+$/, '');
+    this.objects = new Map();
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} body - File buffer
+   * @param {string} contentType - MIME type
+   * @returns {string} Public URL
+   */
+  async upload(key, body, contentType) {
+    this.objects.set(key, {
+      body: Buffer.from(body),
+      content_type: contentType,
+      uploaded_at: new Date().toISOString()
+    });
+
+    return this.getUrl(key);
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Buffer} File contents
+   */
+  async download(key) {
+    const object = this.objects.get(key);
+
+    if (!object) {
+      throw new Error(`Object not found: ${key}`);
+    }
+
+    return object.body;
+  }
+
+  /**
+   * Delete objects
+   * @param {Array} keys - Object keys
+   */
+  async delete(keys) {
+    keys.forEach(key => this.objects.delete(key));
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - Object key
+   * @returns {boolean}
+   */
+  async exists(key) {
+    return this.objects.has(key);
+  }
+
+  /**
+   * Remove every stored object
+   */
+  clear() {
+    this.objects.clear();
+  }
+
+  /**
+   * Build public URL for an object
+   * @param {string} key - Object key
+   * @returns {string} Public URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Resolve object key from a URL produced by this driver
+   * @param {string} url - Public URL
+   * @returns {string|null} Object key or null if the URL is not ours
+   */
+  getKeyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+}
+
+module.exports = MemoryStorageDriver;
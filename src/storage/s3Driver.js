@@ -0,0 +1,110 @@
+/**
+ * S3 storage driver. Objects are uploaded public-read and served through the CDN,
+ * except keys under `private/`, which are only readable with the service's credentials.
+ */
+class S3StorageDriver {
+  constructor(options = {}) {
+    // Required lazily so other drivers work without AWS credentials or the SDK
+    const AWS = require('aws-sdk');
+
+    this.name = 's3';
+    this.s3 = options.client || new AWS.S3({
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      region: process.env.AWS_REGION || 'ap-south-1'
+    });
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.baseUrl = (options.baseUrl || process.env.CDN_URL || 'https://cdn.taskloot.com').replace(/\/+$/, '');
+  }
+
+  /**
+   * Upload an object
+   * @param {string} key - S3 key
+   * @param {Buffer} body - File buffer
+   * @param {string} contentType - MIME type
+   * @returns {string} CDN URL
+   */
+  async upload(key, body, contentType) {
+    const isPrivate = key.startsWith('private/');
+
+    await this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ACL: isPrivate ? 'private' : 'public-read',
+      CacheControl: isPrivate ? 'no-store' : 'max-age=31536000', // 1 year cache
+      Metadata: {
+        uploadedAt: new Date().toISOString(),
+        service: 'taskloot-puzzle-generator'
+      }
+    }).promise();
+
+    return this.getUrl(key);
+  }
+
+  /**
+   * Download an object
+   * @param {string} key - S3 key
+   * @returns {Buffer} File contents
+   */
+  async download(key) {
+    const result = await this.s3.getObject({
+      Bucket: this.bucket,
+      Key: key
+    }).promise();
+
+    return result.Body;
+  }
+
+  /**
+   * Delete objects
+   * @param {Array} keys - S3 keys
+   */
+  async delete(keys) {
+    if (keys.length === 0) return;
+
+    await this.s3.deleteObjects({
+      Bucket: this.bucket,
+      Delete: {
+        Objects: keys.map(key => ({ Key: key }))
+      }
+    }).promise();
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - S3 key
+   * @returns {boolean}
+   */
+  async exists(key) {
+    try {
+      await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Build public URL for an object
+   * @param {string} key - Object key
+   * @returns {string} Public URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Resolve object key from a CDN URL
+   * @param {string} url - CDN URL
+   * @returns {string|null} S3 key or null if the URL is not ours
+   */
+  getKeyFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,85 @@
+/**
+ * Indian bank account details. An IFSC is a four-letter bank code, a
+ * reserved '0' and a six-character branch code.
+ */
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+
+// IFSC bank codes of the banks most companies use; others are accepted without a name
+const BANK_CODES = {
+  SBIN: 'State Bank of India',
+  HDFC: 'HDFC Bank',
+  ICIC: 'ICICI Bank',
+  UTIB: 'Axis Bank',
+  KKBK: 'Kotak Mahindra Bank',
+  PUNB: 'Punjab National Bank',
+  BARB: 'Bank of Baroda',
+  CNRB: 'Canara Bank',
+  UBIN: 'Union Bank of India',
+  BKID: 'Bank of India',
+  IDIB: 'Indian Bank',
+  IOBA: 'Indian Overseas Bank',
+  UCBA: 'UCO Bank',
+  CBIN: 'Central Bank of India',
+  MAHB: 'Bank of Maharashtra',
+  PSIB: 'Punjab & Sind Bank',
+  YESB: 'Yes Bank',
+  INDB: 'IndusInd Bank',
+  IDFB: 'IDFC First Bank',
+  FDRL: 'Federal Bank',
+  RATN: 'RBL Bank',
+  KARB: 'Karnataka Bank',
+  AUBL: 'AU Small Finance Bank'
+};
+
+/**
+ * Check bank account details
+ * @param {Object} data - { account_number, ifsc_code, account_holder_name, account_type }
+ * @returns {Array} Field errors as { field, message, value }
+ */
+const validateBankDetails = (data = {}) => {
+  const { account_number, ifsc_code, account_holder_name, account_type } = data;
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message, value: data[field] });
+
+  if (!account_number || !ACCOUNT_NUMBER_PATTERN.test(account_number)) {
+    addError('account_number', 'Account number must be 9 to 18 digits');
+  }
+
+  if (!ifsc_code || !/^[A-Z]{4}/.test(ifsc_code) || ifsc_code.length !== 11) {
+    addError('ifsc_code', 'IFSC must be 11 characters starting with a 4-letter bank code');
+  } else if (!IFSC_PATTERN.test(ifsc_code)) {
+    addError('ifsc_code', 'IFSC must have 0 as its 5th character and a 6-character branch code');
+  }
+
+  if (!account_holder_name || account_holder_name.trim().length < 2 || account_holder_name.trim().length > 255) {
+    addError('account_holder_name', 'Account holder name must be between 2 and 255 characters');
+  }
+
+  if (!['current', 'savings'].includes(account_type)) {
+    addError('account_type', 'Account type must be current or savings');
+  }
+
+  return errors;
+};
+
+/**
+ * Bank name for an IFSC
+ * @param {string} ifscCode - IFSC
+ * @returns {string|null} Bank name, if the bank code is known
+ */
+const getBankName = (ifscCode) => BANK_CODES[String(ifscCode).slice(0, 4)] || null;
+
+/**
+ * Mask an account number down to its last four digits
+ * @param {string} last4 - Last four digits
+ * @returns {string} Masked account number
+ */
+const maskAccountNumber = (last4) => `XXXXXX${last4}`;
+
+module.exports = {
+  validateBankDetails,
+  getBankName,
+  maskAccountNumber
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { InternalError } = require('../middleware/errorHandler');
+
+/**
+ * Field-level encryption for sensitive values stored in the database (e.g.
+ * bank account numbers). Values are sealed with AES-256-GCM under
+ * FIELD_ENCRYPTION_KEY (32 bytes, hex or base64) as "v1:iv:tag:ciphertext".
+ * Lookups use a keyed hash, so equal values can be found without decrypting.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Read the encryption key
+ * @returns {Buffer} 32-byte key
+ */
+const getKey = () => {
+  const raw = process.env.FIELD_ENCRYPTION_KEY;
+
+  if (!raw) {
+    throw new InternalError('Field encryption key is not configured');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+
+  if (key.length !== 32) {
+    throw new InternalError('Field encryption key must be 32 bytes');
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt a value
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Sealed value
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value sealed by encrypt()
+ * @param {string} sealed - Sealed value
+ * @returns {string} Plaintext
+ */
+const decrypt = (sealed) => {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new InternalError('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Keyed hash of a value for equality lookups
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+const hash = (value) => crypto
+  .createHmac('sha256', getKey())
+  .update(`lookup|${value}`)
+  .digest('hex');
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hash
+};
@@ -0,0 +1,202 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Keyset pagination. A cursor is an opaque token holding the sort value and
+ * id of the row a page starts or ends at, so pages stay stable while rows are
+ * inserted and no OFFSET scan or COUNT(*) is needed.
+ */
+
+/**
+ * Whether a listing was asked for cursor pagination
+ * @param {Object} filters - { cursor, pagination }
+ * @returns {boolean} Cursor mode
+ */
+const isCursorMode = (filters = {}) => filters.pagination === 'cursor' || Boolean(filters.cursor);
+
+/**
+ * Encode a cursor
+ * @param {Object} payload - { d: 'next'|'prev', s: sort, k: sort key, id }
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * Decode and check a cursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort the listing uses, e.g. "created_at:DESC"
+ * @returns {Object} { d, s, k, id }
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!payload || !['next', 'prev'].includes(payload.d) || typeof payload.k !== 'string' || typeof payload.id !== 'string') {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (payload.s !== sort) {
+    throw new ValidationError('Cursor does not match the requested sort order');
+  }
+
+  return payload;
+};
+
+/**
+ * Build the ORDER BY and WHERE condition for one cursor page
+ * @param {Object} options - Keyset options
+ * @param {string} options.cursor - Cursor from a previous page, if any
+ * @param {string} options.sortField - Public sort name, bound into cursors
+ * @param {string} options.sortExpression - Non-null SQL expression to sort by
+ * @param {string} options.sortType - SQL type the sort key is cast back to
+ * @param {string} options.idExpression - SQL expression for the unique row id
+ * @param {string} options.order - ASC or DESC
+ * @param {number} options.paramIndex - Next free query parameter index
+ * @returns {Object} { condition, params, orderBy, keyColumn, paramIndex, sort, backward, hasCursor }
+ */
+const buildKeyset = ({
+  cursor,
+  sortField,
+  sortExpression,
+  sortType,
+  idExpression,
+  order = 'DESC',
+  paramIndex
+}) => {
+  const sort = `${sortField}:${order}`;
+  const decoded = cursor ? decodeCursor(cursor, sort) : null;
+  const backward = decoded?.d === 'prev';
+
+  // Walking back to earlier pages reverses the order; rows are flipped afterwards
+  const descending = (order === 'DESC') !== backward;
+  const direction = descending ? 'DESC' : 'ASC';
+
+  const keyset = {
+    condition: null,
+    params: [],
+    orderBy: `${sortExpression} ${direction}, ${idExpression} ${direction}`,
+    keyColumn: `(${sortExpression})::text as cursor_key`,
+    paramIndex,
+    sort,
+    backward,
+    hasCursor: Boolean(decoded)
+  };
+
+  if (decoded) {
+    keyset.condition = `(${sortExpression}, ${idExpression}) ${descending ? '<' : '>'} ($${paramIndex}::${sortType}, $${paramIndex + 1}::uuid)`;
+    keyset.params = [decoded.k, decoded.id];
+    keyset.paramIndex = paramIndex + 2;
+  }
+
+  return keyset;
+};
+
+/**
+ * Turn rows fetched with LIMIT limit + 1 into a page with cursors
+ * @param {Array} rows - Rows including cursor_key
+ * @param {number} limit - Page size
+ * @param {Object} keyset - Result of buildKeyset
+ * @returns {Object} { items, pagination }
+ */
+const buildCursorPage = (rows, limit, keyset) => {
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+
+  if (keyset.backward) {
+    pageRows.reverse();
+  }
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const cursorFor = (d, row) => encodeCursor({ d, s: keyset.sort, k: row.cursor_key, id: row.id });
+
+  // Going forward there are earlier rows whenever a cursor was used, and going
+  // back there are later ones; the direction of travel needs the extra row
+  const hasNext = keyset.backward ? keyset.hasCursor : hasMore;
+  const hasPrev = keyset.backward ? hasMore : keyset.hasCursor;
+
+  return {
+    items: pageRows.map(({ cursor_key, ...row }) => row),
+    pagination: {
+      items_per_page: limit,
+      has_next: Boolean(last) && hasNext,
+      has_prev: Boolean(first) && hasPrev,
+      next_cursor: last && hasNext ? cursorFor('next', last) : null,
+      prev_cursor: first && hasPrev ? cursorFor('prev', first) : null
+    }
+  };
+};
+
+/**
+ * SQL pieces for one page of a listing in either mode
+ * @param {Object} options - Page options
+ * @param {Object|null} options.keyset - Result of buildKeyset, or null for offset pages
+ * @param {Array} options.conditions - WHERE conditions of the listing
+ * @param {Array} options.params - Parameters used by the conditions
+ * @param {string} options.orderBy - ORDER BY used for offset pages
+ * @param {number} options.paramIndex - Next free query parameter index
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip on offset pages
+ * @returns {Object} { keyColumn, whereClause, pageClause, params }
+ */
+const buildPageQuery = ({ keyset, conditions, params, orderBy, paramIndex, limit, offset }) => {
+  if (!keyset) {
+    return {
+      keyColumn: '',
+      whereClause: conditions.join(' AND '),
+      pageClause: `ORDER BY ${orderBy} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      params: [...params, limit, offset]
+    };
+  }
+
+  return {
+    keyColumn: `, ${keyset.keyColumn}`,
+    whereClause: [...conditions, keyset.condition].filter(Boolean).join(' AND '),
+    pageClause: `ORDER BY ${keyset.orderBy} LIMIT $${keyset.paramIndex}`,
+    params: [...params, ...keyset.params, limit + 1]
+  };
+};
+
+/**
+ * Page items and pagination metadata in either mode
+ * @param {Array} rows - Fetched rows
+ * @param {Object} options - { keyset, page, limit, total }; total is null when not counted
+ * @returns {Object} { items, pagination }
+ */
+const buildPage = (rows, { keyset, page, limit, total }) => {
+  if (keyset) {
+    const { items, pagination } = buildCursorPage(rows, limit, keyset);
+    return {
+      items,
+      pagination: total === null ? pagination : { ...pagination, total_items: total }
+    };
+  }
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    items: rows,
+    pagination: {
+      current_page: page,
+      total_pages: totalPages,
+      total_items: total,
+      items_per_page: limit,
+      has_next: page < totalPages,
+      has_prev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  buildKeyset,
+  buildCursorPage,
+  buildPageQuery,
+  buildPage
+};
@@ -0,0 +1,102 @@
+/**
+ * Indian tax identifier checks. A GSTIN is a two-digit state code, the
+ * holder's PAN, an entity number, 'Z' and a mod-36 check character. The
+ * fourth character of a PAN encodes the holder's entity type.
+ */
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// 01-38 are states and union territories, 97 is Other Territory, 99 is Centre Jurisdiction
+const GST_STATE_CODES = new Set([
+  ...Array.from({ length: 38 }, (_, i) => String(i + 1).padStart(2, '0')),
+  '97',
+  '99'
+]);
+
+// Declared business type -> fourth character of its PAN
+const PAN_ENTITY_TYPES = {
+  individual: 'P',
+  sole_proprietorship: 'P',
+  huf: 'H',
+  company: 'C',
+  firm: 'F',
+  llp: 'F',
+  aop: 'A',
+  boi: 'B',
+  trust: 'T',
+  local_authority: 'L',
+  artificial_juridical_person: 'J',
+  government: 'G'
+};
+
+const BUSINESS_TYPES = Object.keys(PAN_ENTITY_TYPES);
+
+/**
+ * Compute the GSTIN check character from its first 14 characters
+ * @param {string} gstin - GSTIN (at least 14 characters)
+ * @returns {string} Check character
+ */
+const getGstinCheckCharacter = (gstin) => {
+  let sum = 0;
+
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Check a company's GSTIN, PAN and business type against each other
+ * @param {Object} data - { gstin, pan_number, business_type }
+ * @returns {Array} Field errors as { field, message, value }
+ */
+const validateTaxIds = (data = {}) => {
+  const { gstin, pan_number, business_type } = data;
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message, value: data[field] });
+
+  const validPan = Boolean(pan_number) && PAN_PATTERN.test(pan_number);
+  if (pan_number && !validPan) {
+    addError('pan_number', 'Invalid PAN format');
+  }
+
+  if (business_type && !BUSINESS_TYPES.includes(business_type)) {
+    addError('business_type', `Business type must be one of: ${BUSINESS_TYPES.join(', ')}`);
+  } else if (business_type && validPan && pan_number[3] !== PAN_ENTITY_TYPES[business_type]) {
+    addError('pan_number', `PAN is not a ${business_type.replace(/_/g, ' ')} PAN (4th character should be ${PAN_ENTITY_TYPES[business_type]})`);
+  }
+
+  if (!gstin) {
+    return errors;
+  }
+
+  if (!GSTIN_PATTERN.test(gstin)) {
+    addError('gstin', 'Invalid GSTIN format');
+    return errors;
+  }
+
+  if (!GST_STATE_CODES.has(gstin.slice(0, 2))) {
+    addError('gstin', `GSTIN state code ${gstin.slice(0, 2)} is not valid`);
+  }
+
+  if (gstin[14] !== getGstinCheckCharacter(gstin)) {
+    addError('gstin', 'GSTIN check digit does not match; check it for typos');
+  }
+
+  if (validPan && gstin.slice(2, 12) !== pan_number) {
+    addError('gstin', 'GSTIN does not contain the submitted PAN');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  BUSINESS_TYPES,
+  getGstinCheckCharacter,
+  validateTaxIds
+};
@@ -0,0 +1,111 @@
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { connectDatabase } = require('../database/connection');
+const { connectRedis } = require('../cache/redis');
+const generationQueue = require('../services/tasks/generationQueue');
+const taskService = require('../services/tasks/service');
+
+/**
+ * Generates puzzles for image tasks outside the API process, so resizing,
+ * slicing and uploads never block HTTP requests.
+ */
+class PuzzleWorker {
+  constructor() {
+    this.pollInterval = parseInt(process.env.PUZZLE_WORKER_POLL_MS) || 1000;
+    this.running = false;
+    this.loop = null;
+  }
+
+  async start() {
+    try {
+      // Initialize database connection
+      await connectDatabase();
+      logger.info('Database connected successfully');
+
+      // Initialize Redis connection
+      await connectRedis();
+      logger.info('Redis connected successfully');
+
+      this.running = true;
+      this.loop = this.run();
+
+      logger.info('Puzzle worker started', {
+        queue: generationQueue.queueName,
+        pollInterval: this.pollInterval,
+        maxAttempts: generationQueue.maxAttempts
+      });
+
+      // Graceful shutdown
+      process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
+      process.on('SIGINT', () => this.gracefulShutdown('SIGINT'));
+    } catch (error) {
+      logger.error('Failed to start puzzle worker:', error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Process jobs until stopped, sleeping while the queue has nothing due
+   */
+  async run() {
+    while (this.running) {
+      let outcome = null;
+
+      try {
+        outcome = await generationQueue.processNext({
+          process: job => taskService.generateTaskPuzzle(job),
+          onFailure: (job, error, retryAt) => taskService.recordGenerationFailure(job, error, retryAt)
+        });
+      } catch (error) {
+        logger.error('Puzzle worker loop error:', error);
+      }
+
+      if (outcome === null) {
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      }
+    }
+  }
+
+  async gracefulShutdown(signal) {
+    logger.info(`Received ${signal}, starting graceful shutdown...`);
+
+    // Let the job in progress finish
+    this.running = false;
+    await this.loop;
+    logger.info('Puzzle worker stopped');
+
+    // Close database connections
+    try {
+      const { pool } = require('../database/connection');
+      if (pool) {
+        await pool.end();
+        logger.info('Database connections closed');
+      }
+    } catch (error) {
+      logger.error('Error closing database:', error);
+    }
+
+    // Close Redis connection
+    try {
+      const { redisClient } = require('../cache/redis');
+      if (redisClient) {
+        await redisClient.quit();
+        logger.info('Redis connection closed');
+      }
+    } catch (error) {
+      logger.error('Error closing Redis:', error);
+    }
+
+    process.exit(0);
+  }
+}
+
+// Start the worker
+const worker = new PuzzleWorker();
+worker.start().catch((error) => {
+  logger.error('Failed to start puzzle worker:', error);
+  process.exit(1);
+});
+
+module.exports = PuzzleWorker;
@@ -9,9 +9,9 @@ process.env.JWT_PRIVATE_KEY = 'test-private-key';
 process.env.JWT_PUBLIC_KEY = 'test-public-key';
 process.env.RAZORPAY_KEY_ID = 'test-key-id';
 process.env.RAZORPAY_KEY_SECRET = 'test-key-secret';
-process.env.AWS_ACCESS_KEY_ID = 'test-access-key';
-process.env.AWS_SECRET_ACCESS_KEY = 'test-secret-key';
-process.env.S3_BUCKET = 'test-bucket';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.PUZZLE_SESSION_SECRET = 'test-puzzle-session-secret';
+process.env.FIELD_ENCRYPTION_KEY = '7cae832379c8c6aa499533bc4ce301bf29c158b467aea4d690b4071e7527f46e';
 
 // Global test setup
 beforeAll(async () => {
@@ -66,20 +66,6 @@ jest.mock('razorpay', () => ({
   }))
 }));
 
-jest.mock('aws-sdk', () => ({
-  __esModule: true,
-  default: jest.fn(() => ({
-    S3: jest.fn(() => ({
-      upload: jest.fn(() => ({
-        promise: jest.fn()
-      })),
-      deleteObjects: jest.fn(() => ({
-        promise: jest.fn()
-      }))
-    }))
-  }))
-}));
-
 // Global test utilities
 global.testUtils = {
   // Generate test UUID
@@ -0,0 +1,147 @@
+const adminService = require('../../src/services/admin/service');
+const authService = require('../../src/services/auth/service');
+const { query, withTransaction } = require('../../src/database/connection');
+const { ConflictError, ForbiddenError, ValidationError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/auth/service');
+
+describe('AdminService', () => {
+  const adminId = 'admin-123';
+  const userId = 'user-123';
+
+  let clientQuery;
+
+  const mockUser = (user, handlers = {}) => {
+    clientQuery = jest.fn((queryText, params) => {
+      if (queryText.includes('FROM users WHERE id = $1 FOR UPDATE')) {
+        return Promise.resolve({ rows: user ? [user] : [] });
+      }
+      for (const [fragment, rows] of Object.entries(handlers)) {
+        if (queryText.includes(fragment)) {
+          return Promise.resolve({ rows });
+        }
+      }
+      if (queryText.includes('UPDATE users')) {
+        return Promise.resolve({ rows: [{ id: userId, ...user, params }] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+    withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+  };
+
+  const auditCall = () => clientQuery.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO admin_actions'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('searchUsers', () => {
+    test('should match the search term against email, phone and names', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: userId, email: 'asha@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const result = await adminService.searchUsers({ q: 'asha', role: 'player', is_active: false });
+
+      const [searchQuery, params] = query.mock.calls[0];
+      expect(searchQuery).toContain('u.email ILIKE $1');
+      expect(searchQuery).toContain('u.role = $2');
+      expect(searchQuery).toContain('u.is_active = $3');
+      expect(params).toEqual(['%asha%', 'player', false, 20, 0]);
+      expect(result.pagination.total_items).toBe(1);
+    });
+  });
+
+  describe('suspendUser', () => {
+    test('should deactivate the user, audit it and end their sessions', async () => {
+      mockUser({ id: userId, role: 'player', is_active: true });
+
+      await adminService.suspendUser(adminId, userId, 'Reward code abuse');
+
+      const [updateQuery, updateParams] = clientQuery.mock.calls.find(([queryText]) => queryText.includes('UPDATE users'));
+      expect(updateQuery).toContain('is_active = false');
+      expect(updateParams).toEqual([userId, 'Reward code abuse']);
+      expect(auditCall()[1]).toEqual([adminId, userId, 'suspend', JSON.stringify({ reason: 'Reward code abuse' })]);
+      expect(authService.revokeUserSessions).toHaveBeenCalledWith(userId);
+    });
+
+    test('should not suspend an already suspended user', async () => {
+      mockUser({ id: userId, role: 'player', is_active: false });
+
+      await expect(adminService.suspendUser(adminId, userId, 'Again')).rejects.toThrow(ConflictError);
+      expect(authService.revokeUserSessions).not.toHaveBeenCalled();
+    });
+
+    test('should not let admins suspend themselves', async () => {
+      await expect(adminService.suspendUser(adminId, adminId, 'Oops')).rejects.toThrow(ForbiddenError);
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reactivateUser', () => {
+    test('should reactivate suspended users only', async () => {
+      mockUser({ id: userId, role: 'player', is_active: false, suspension_reason: 'Spam' });
+
+      await adminService.reactivateUser(adminId, userId);
+      expect(auditCall()[1][2]).toBe('reactivate');
+
+      mockUser({ id: userId, role: 'player', is_active: true });
+      await expect(adminService.reactivateUser(adminId, userId)).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('changeRole', () => {
+    test('should change the role and end sessions carrying the old one', async () => {
+      mockUser({ id: userId, role: 'company', is_active: true }, { 'FROM tasks': [{ total: '0' }] });
+
+      await adminService.changeRole(adminId, userId, { role: 'player' });
+
+      expect(auditCall()[1][3]).toBe(JSON.stringify({ from: 'company', to: 'player' }));
+      expect(authService.revokeUserSessions).toHaveBeenCalledWith(userId);
+    });
+
+    test('should not demote companies with live tasks', async () => {
+      mockUser({ id: userId, role: 'company', is_active: true }, { 'FROM tasks': [{ total: '2' }] });
+
+      await expect(adminService.changeRole(adminId, userId, { role: 'player' })).rejects.toThrow(ConflictError);
+    });
+
+    test('should create a company profile when promoting to company', async () => {
+      mockUser({ id: userId, role: 'player', is_active: true });
+
+      await expect(adminService.changeRole(adminId, userId, { role: 'company' })).rejects.toThrow(ValidationError);
+
+      await adminService.changeRole(adminId, userId, { role: 'company', company_name: 'Chai Point' });
+
+      expect(clientQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO company_profiles'), [userId, 'Chai Point']);
+    });
+  });
+
+  describe('forceLogout', () => {
+    test('should audit and revoke the user\'s sessions', async () => {
+      mockUser({ id: userId, role: 'player', is_active: true });
+
+      await adminService.forceLogout(adminId, userId);
+
+      expect(auditCall()[1][2]).toBe('force_logout');
+      expect(authService.revokeUserSessions).toHaveBeenCalledWith(userId);
+    });
+  });
+
+  describe('listUserRewards', () => {
+    test('should mask reward codes', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: userId }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'reward-1', reward_code: 'TLABCD1234' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const result = await adminService.listUserRewards(userId);
+
+      expect(result.rewards[0].reward_code).toBe('******1234');
+    });
+  });
+});
@@ -206,4 +206,69 @@ describe('AuthService', () => {
       expect(cacheService.exists).toHaveBeenCalledWith(`auth:blacklist:${token}`);
     });
   });
+
+  describe('session revocation', () => {
+    test('should revoke refresh tokens and mark earlier access tokens', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      query.mockResolvedValue({ rows: [] });
+      cacheService.set = jest.fn().mockResolvedValue(true);
+
+      await authService.revokeUserSessions('user-123');
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('UPDATE tokens SET is_revoked = true'), ['user-123']);
+      expect(cacheService.set).toHaveBeenCalledWith('auth:revoked:user-123', expect.any(Number), authService.getAccessTokenTtl());
+    });
+
+    test('should fail when the revocation can not be stored', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      query.mockResolvedValue({ rows: [] });
+      cacheService.set = jest.fn().mockResolvedValue(false);
+
+      await expect(authService.revokeUserSessions('user-123')).rejects.toThrow('Failed to revoke user sessions');
+    });
+
+    test('should treat suspended and missing users as inactive', async () => {
+      const { query } = require('../../src/database/connection');
+
+      query.mockResolvedValueOnce({ rows: [{ is_active: true }] });
+      expect(await authService.isUserActive('user-123')).toBe(true);
+
+      query.mockResolvedValueOnce({ rows: [{ is_active: false }] });
+      expect(await authService.isUserActive('user-123')).toBe(false);
+
+      query.mockResolvedValueOnce({ rows: [] });
+      expect(await authService.isUserActive('user-123')).toBe(false);
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('SELECT is_active FROM users'), ['user-123']);
+    });
+
+    test('should reject tokens issued before the revocation only', async () => {
+      const { cacheService } = require('../../src/cache/redis');
+      cacheService.get = jest.fn().mockResolvedValue(1000500);
+
+      expect(await authService.isSessionRevoked({ sub: 'user-123', iat: 1000, iat_ms: 1000400 })).toBe(true);
+      // Issued in the same second as the revocation, but after it
+      expect(await authService.isSessionRevoked({ sub: 'user-123', iat: 1000, iat_ms: 1000600 })).toBe(false);
+      // Tokens without iat_ms count from the start of their second
+      expect(await authService.isSessionRevoked({ sub: 'user-123', iat: 1000 })).toBe(true);
+      expect(await authService.isSessionRevoked({ sub: 'user-123', iat: 1001 })).toBe(false);
+
+      cacheService.get.mockResolvedValue(null);
+      expect(await authService.isSessionRevoked({ sub: 'user-123', iat: 999 })).toBe(false);
+    });
+
+    test('should read the access token lifetime from JWT_EXPIRES_IN', () => {
+      const original = authService.jwtExpiresIn;
+
+      authService.jwtExpiresIn = '15m';
+      expect(authService.getAccessTokenTtl()).toBe(900);
+      authService.jwtExpiresIn = '3600';
+      expect(authService.getAccessTokenTtl()).toBe(3600);
+      authService.jwtExpiresIn = 'soon';
+      expect(authService.getAccessTokenTtl()).toBe(86400);
+
+      authService.jwtExpiresIn = original;
+    });
+  });
 });
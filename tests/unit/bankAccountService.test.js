@@ -0,0 +1,246 @@
+const bankAccountService = require('../../src/services/payments/bankAccountService');
+const { query, withTransaction } = require('../../src/database/connection');
+const encryption = require('../../src/utils/encryption');
+const {
+  ValidationError,
+  ConflictError,
+  RateLimitError
+} = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+
+describe('BankAccountService', () => {
+  const companyId = 'company-123';
+  const accountId = 'account-123';
+
+  const accountData = {
+    account_number: '123456789012',
+    ifsc_code: 'hdfc0001234',
+    account_holder_name: 'Acme Retail Pvt Ltd',
+    account_type: 'current'
+  };
+
+  const storedAccount = (accountNumber, overrides = {}) => ({
+    id: accountId,
+    company_id: companyId,
+    account_number_encrypted: encryption.encrypt(accountNumber),
+    account_number_last4: accountNumber.slice(-4),
+    account_holder_name: 'Acme Retail Pvt Ltd',
+    ifsc_code: 'HDFC0001234',
+    is_verified: false,
+    is_primary: false,
+    verification_attempts: 0,
+    ...overrides
+  });
+
+  // Echo the update parameters back as the returned row
+  const mockVerifyTransaction = (primaryRows = []) => {
+    const clientQuery = jest.fn((queryText, params) => {
+      if (queryText.includes('is_primary = true AND removed_at IS NULL')) {
+        return Promise.resolve({ rows: primaryRows });
+      }
+      if (queryText.includes('SET is_primary = true')) {
+        return Promise.resolve({ rows: [{ id: accountId, account_number_last4: '9012', is_primary: true, verification_status: 'verified' }] });
+      }
+      return Promise.resolve({
+        rows: [{
+          id: accountId,
+          account_number_last4: '9012',
+          verification_status: params[2],
+          is_verified: params[3],
+          verification_failure_reason: params[5],
+          registered_name: params[6],
+          is_primary: false
+        }]
+      });
+    });
+    withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+    return clientQuery;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addAccount', () => {
+    test('should encrypt the number at rest and return it masked', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockImplementationOnce((queryText, params) => Promise.resolve({
+          rows: [{ id: accountId, account_number_last4: params[2], ifsc_code: params[5], bank_name: params[6] }]
+        }));
+
+      const account = await bankAccountService.addAccount(companyId, accountData);
+
+      expect(account.account_number).toBe('XXXXXX9012');
+      expect(account.ifsc_code).toBe('HDFC0001234');
+      expect(account.bank_name).toBe('HDFC Bank');
+      expect(account).not.toHaveProperty('account_number_last4');
+
+      const params = query.mock.calls[1][1];
+      expect(params[1]).not.toContain('123456789012');
+      expect(encryption.decrypt(params[1])).toBe('123456789012');
+      expect(params[3]).toBe(bankAccountService.hashAccount('HDFC0001234', '123456789012'));
+      // Attempts made on an earlier copy of the account carry over
+      expect(query.mock.calls[1][0]).toContain('FROM bank_account_verification_attempts');
+    });
+
+    test('should reject invalid details and duplicates', async () => {
+      await expect(bankAccountService.addAccount(companyId, { ...accountData, ifsc_code: 'HDFC1234567' }))
+        .rejects.toThrow(ValidationError);
+      await expect(bankAccountService.addAccount(companyId, { ...accountData, account_number: '12345' }))
+        .rejects.toThrow(ValidationError);
+
+      query.mockResolvedValueOnce({ rows: [{ id: 'account-existing' }] });
+      await expect(bankAccountService.addAccount(companyId, accountData))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('verifyAccount', () => {
+    test('should make the first verified account primary', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012')] })
+        .mockResolvedValueOnce({ rows: [{ attempts: 1 }] });
+      const clientQuery = mockVerifyTransaction();
+
+      const account = await bankAccountService.verifyAccount(companyId, accountId);
+
+      expect(account.is_primary).toBe(true);
+      expect(account.account_number).toBe('XXXXXX9012');
+      expect(clientQuery.mock.calls[0][1][2]).toBe('verified');
+      expect(clientQuery.mock.calls[0][1][4]).toMatch(/^fake_pd_/);
+    });
+
+    test('should leave the primary account alone when one exists', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012')] })
+        .mockResolvedValueOnce({ rows: [{ attempts: 1 }] });
+      const clientQuery = mockVerifyTransaction([{ id: 'account-primary' }]);
+
+      const account = await bankAccountService.verifyAccount(companyId, accountId);
+
+      expect(account.is_verified).toBe(true);
+      expect(account.is_primary).toBe(false);
+      expect(clientQuery).toHaveBeenCalledTimes(2);
+    });
+
+    test('should record failed penny drops', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456780000')] })
+        .mockResolvedValueOnce({ rows: [{ attempts: 1 }] });
+      mockVerifyTransaction();
+
+      const account = await bankAccountService.verifyAccount(companyId, accountId);
+
+      expect(account.verification_status).toBe('failed');
+      expect(account.verification_failure_reason).toBe('Account does not exist');
+    });
+
+    test('should fail when the bank has a different account holder name', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456782222')] })
+        .mockResolvedValueOnce({ rows: [{ attempts: 1 }] });
+      mockVerifyTransaction();
+
+      const account = await bankAccountService.verifyAccount(companyId, accountId);
+
+      expect(account.verification_status).toBe('failed');
+      expect(account.registered_name).toBe('UNRELATED ACCOUNT HOLDER');
+      expect(account.verification_failure_reason).toContain('does not match');
+    });
+
+    test('should stop after the maximum attempts', async () => {
+      const { bankVerifier } = require('../../src/services/payments/bankVerification');
+      const verify = jest.spyOn(bankVerifier, 'verify');
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012', { verification_attempts: 3 })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(bankAccountService.verifyAccount(companyId, accountId))
+        .rejects.toThrow(RateLimitError);
+
+      // The limit is enforced by the conditional increment, not the row read earlier
+      const [claimQuery, claimParams] = query.mock.calls[1];
+      expect(claimQuery).toContain('attempts < $3');
+      expect(claimParams).toEqual([companyId, bankAccountService.hashAccount('HDFC0001234', '123456789012'), 3]);
+      expect(verify).not.toHaveBeenCalled();
+      expect(withTransaction).not.toHaveBeenCalled();
+      verify.mockRestore();
+    });
+
+    test('should count attempts by account number so re-adding does not reset them', async () => {
+      const accountHash = bankAccountService.hashAccount('HDFC0001234', '123456789012');
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012', { id: 'account-readded', account_number_hash: accountHash })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(bankAccountService.verifyAccount(companyId, 'account-readded'))
+        .rejects.toThrow(RateLimitError);
+
+      const [claimQuery, claimParams] = query.mock.calls[1];
+      expect(claimQuery).toContain('ON CONFLICT (company_id, account_number_hash)');
+      expect(claimParams).toEqual([companyId, accountHash, 3]);
+      expect(claimParams).not.toContain('account-readded');
+    });
+
+    test('should record the attempt count on the account', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012')] })
+        .mockResolvedValueOnce({ rows: [{ attempts: 2 }] });
+      const clientQuery = mockVerifyTransaction([{ id: 'account-primary' }]);
+
+      await bankAccountService.verifyAccount(companyId, accountId);
+
+      expect(clientQuery.mock.calls[0][1][7]).toBe(2);
+    });
+  });
+
+  describe('setPrimary', () => {
+    test('should only accept verified accounts', async () => {
+      const clientQuery = jest.fn().mockResolvedValueOnce({ rows: [storedAccount('123456789012')] });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      await expect(bankAccountService.setPrimary(companyId, accountId))
+        .rejects.toThrow(ValidationError);
+      expect(clientQuery).toHaveBeenCalledTimes(1);
+    });
+
+    test('should move primary from the previous account', async () => {
+      const clientQuery = jest.fn()
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012', { is_verified: true })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: accountId, account_number_last4: '9012', is_primary: true }] });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      const account = await bankAccountService.setPrimary(companyId, accountId);
+
+      expect(account.is_primary).toBe(true);
+      expect(clientQuery.mock.calls[1][0]).toContain('SET is_primary = false');
+    });
+  });
+
+  describe('removeAccount', () => {
+    test('should refuse accounts with pending payouts', async () => {
+      const clientQuery = jest.fn()
+        .mockResolvedValueOnce({ rows: [storedAccount('123456789012')] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      await expect(bankAccountService.removeAccount(companyId, accountId))
+        .rejects.toThrow(ConflictError);
+      expect(clientQuery).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getAccountNumber', () => {
+    test('should decrypt stored numbers and fall back to legacy plaintext', () => {
+      expect(bankAccountService.getAccountNumber(storedAccount('123456789012'))).toBe('123456789012');
+      expect(bankAccountService.getAccountNumber({ account_number_encrypted: null, account_number: '555566667777' }))
+        .toBe('555566667777');
+    });
+  });
+});
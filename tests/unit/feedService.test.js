@@ -0,0 +1,123 @@
+const feedService = require('../../src/services/tasks/feedService');
+const { query } = require('../../src/database/connection');
+const { cacheService } = require('../../src/cache/redis');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/services/tasks/puzzleGenerator');
+jest.mock('../../src/utils/logger');
+
+describe('FeedService', () => {
+  const userId = 'player-123';
+
+  const mockFeedQueries = (tasks) => {
+    query.mockImplementation((queryText) => {
+      if (queryText.includes('GROUP BY t.task_type')) {
+        return Promise.resolve({
+          rows: [
+            { task_type: 'logic', difficulty: 'easy', attempts: '3', successes: '3' },
+            { task_type: 'image-puzzle', difficulty: 'hard', attempts: '2', successes: '0' }
+          ]
+        });
+      }
+      if (queryText.includes('FROM user_profiles')) {
+        return Promise.resolve({ rows: [{ city: 'Pune ', state: 'Maharashtra' }] });
+      }
+      return Promise.resolve({ rows: tasks });
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getPreferences', () => {
+    test('should weight task types and difficulties by attempts and wins', async () => {
+      mockFeedQueries([]);
+
+      const preferences = await feedService.getPreferences(userId);
+
+      expect(preferences).toEqual({
+        task_types: { logic: 0.75, 'image-puzzle': 0.25 },
+        difficulties: { easy: 0.75, hard: 0.25 },
+        attempts: 5
+      });
+    });
+
+    test('should have no preferences for new players', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      expect(await feedService.getPreferences(userId)).toEqual({ task_types: {}, difficulties: {}, attempts: 0 });
+    });
+  });
+
+  describe('getFeed', () => {
+    test('should rank unplayed active tasks for the player and cache them', async () => {
+      const tasks = [{ id: 'task-1', feed_score: '0.9' }, { id: 'task-2', feed_score: '0.4' }];
+      cacheService.get.mockResolvedValue(null);
+      mockFeedQueries(tasks);
+
+      const result = await feedService.getFeed(userId, { page: 1, limit: 1 });
+
+      const [feedQuery, params] = query.mock.calls.find(([queryText]) => queryText.includes('feed_score'));
+      expect(feedQuery).toContain('WHERE t.status = $1');
+      expect(feedQuery).toContain('ta.user_id = $2');
+      expect(feedQuery).toContain('mc.user_id = $2');
+      expect(feedQuery).toContain('ORDER BY feed_score DESC');
+      expect(params).toEqual([
+        'active',
+        userId,
+        JSON.stringify({ logic: 0.75, 'image-puzzle': 0.25 }),
+        JSON.stringify({ easy: 0.75, hard: 0.25 }),
+        'Pune',
+        'Maharashtra',
+        3,
+        100
+      ]);
+
+      expect(result.tasks).toEqual([tasks[0]]);
+      expect(result.pagination.total_items).toBe(2);
+      expect(result.pagination.has_next).toBe(true);
+      expect(cacheService.set).toHaveBeenCalledWith(`feed:${userId}`, expect.objectContaining({ tasks }), 300);
+    });
+
+    test('should serve pages from the cached feed', async () => {
+      cacheService.get.mockResolvedValue({
+        tasks: [{ id: 'task-1' }, { id: 'task-2' }, { id: 'task-3' }],
+        generated_at: '2026-10-18T12:00:00.000Z'
+      });
+
+      const result = await feedService.getFeed(userId, { page: 2, limit: 2 });
+
+      expect(result.tasks).toEqual([{ id: 'task-3' }]);
+      expect(result.generated_at).toBe('2026-10-18T12:00:00.000Z');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invalidate', () => {
+    test('should drop the feed when the player attempts a task', async () => {
+      const taskService = require('../../src/services/tasks/service');
+      const { withTransaction } = require('../../src/database/connection');
+
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT id FROM task_attempts')) {
+          return Promise.resolve({ rows: [] });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-1', status: 'active', company_id: 'company-123' }] });
+      });
+      withTransaction.mockImplementation((callback) => callback({
+        query: jest.fn().mockResolvedValue({ rows: [{ id: 'attempt-1' }] })
+      }));
+
+      await taskService.recordAttempt('task-1', userId, {
+        is_successful: false,
+        time_taken_seconds: 30,
+        started_at: new Date().toISOString()
+      });
+
+      expect(cacheService.del).toHaveBeenCalledWith(`feed:${userId}`);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const generationQueue = require('../../src/services/tasks/generationQueue');
+const { cacheService } = require('../../src/cache/redis');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+
+describe('GenerationQueue', () => {
+  const handlers = () => ({
+    process: jest.fn().mockResolvedValue(true),
+    onFailure: jest.fn().mockResolvedValue(undefined)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.pushToQueue.mockResolvedValue(true);
+    cacheService.scheduleQueueItem.mockResolvedValue(true);
+    cacheService.takeDueQueueItems.mockResolvedValue([]);
+    cacheService.getQueueItems.mockResolvedValue([]);
+  });
+
+  describe('enqueue', () => {
+    test('should push job onto the generation queue', async () => {
+      const job = generationQueue.createJob('task-123', 'job-123');
+
+      await generationQueue.enqueue(job);
+
+      expect(cacheService.pushToQueue).toHaveBeenCalledWith('queue:puzzle_generation', expect.objectContaining({
+        id: 'job-123',
+        task_id: 'task-123',
+        attempts: 0,
+        max_attempts: 3
+      }));
+    });
+
+    test('should throw when Redis rejects the job', async () => {
+      cacheService.pushToQueue.mockResolvedValue(false);
+
+      await expect(generationQueue.enqueue(generationQueue.createJob('task-123')))
+        .rejects.toThrow('Failed to queue puzzle generation job');
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    test('should double the delay after each attempt', () => {
+      expect(generationQueue.getBackoffDelay(1)).toBe(5000);
+      expect(generationQueue.getBackoffDelay(2)).toBe(10000);
+      expect(generationQueue.getBackoffDelay(3)).toBe(20000);
+    });
+  });
+
+  describe('processNext', () => {
+    test('should return null when the queue is empty', async () => {
+      cacheService.moveQueueItem.mockResolvedValue(null);
+      const { process, onFailure } = handlers();
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBeNull();
+      expect(process).not.toHaveBeenCalled();
+    });
+
+    test('should run due jobs and count the attempt', async () => {
+      const claimed = generationQueue.createJob('task-123', 'job-123');
+      cacheService.moveQueueItem.mockResolvedValue(claimed);
+      const { process, onFailure } = handlers();
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBe('completed');
+      expect(cacheService.moveQueueItem).toHaveBeenCalledWith('queue:puzzle_generation', 'queue:puzzle_generation:processing');
+      expect(cacheService.setHashField).toHaveBeenCalledWith('queue:puzzle_generation:leases', 'job-123', expect.any(Number));
+      expect(process).toHaveBeenCalledWith(expect.objectContaining({ id: 'job-123', attempts: 1 }));
+      expect(cacheService.removeQueueItem).toHaveBeenCalledWith('queue:puzzle_generation:processing', claimed);
+      expect(cacheService.deleteHashField).toHaveBeenCalledWith('queue:puzzle_generation:leases', 'job-123');
+      expect(cacheService.pushToQueue).not.toHaveBeenCalled();
+    });
+
+    test('should queue retries once their backoff has passed', async () => {
+      const job = { ...generationQueue.createJob('task-123'), attempts: 1 };
+      cacheService.takeDueQueueItems.mockResolvedValue([job]);
+      cacheService.moveQueueItem.mockResolvedValue(null);
+      const { process, onFailure } = handlers();
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBeNull();
+      expect(cacheService.takeDueQueueItems).toHaveBeenCalledWith('queue:puzzle_generation:delayed', expect.any(Number));
+      expect(cacheService.pushToQueue).toHaveBeenCalledWith('queue:puzzle_generation', job);
+    });
+
+    test('should keep the job in processing when its outcome cannot be stored', async () => {
+      cacheService.moveQueueItem.mockResolvedValue(generationQueue.createJob('task-123'));
+      cacheService.scheduleQueueItem.mockResolvedValue(false);
+      const { process, onFailure } = handlers();
+      process.mockRejectedValue(new Error('Connection reset'));
+
+      await expect(generationQueue.processNext({ process, onFailure }))
+        .rejects.toThrow('Failed to schedule puzzle generation retry');
+      expect(cacheService.removeQueueItem).not.toHaveBeenCalled();
+    });
+
+    test('should requeue failed jobs with backoff', async () => {
+      cacheService.moveQueueItem.mockResolvedValue(generationQueue.createJob('task-123', 'job-123'));
+      const { process, onFailure } = handlers();
+      process.mockRejectedValue(new Error('Failed to upload image to storage'));
+
+      const before = Date.now();
+      expect(await generationQueue.processNext({ process, onFailure })).toBe('retrying');
+
+      const [job, error, retryAt] = onFailure.mock.calls[0];
+      expect(job.attempts).toBe(1);
+      expect(error.message).toBe('Failed to upload image to storage');
+      expect(retryAt.getTime()).toBeGreaterThanOrEqual(before + 5000);
+
+      const [setName, requeued, runAt] = cacheService.scheduleQueueItem.mock.calls[0];
+      expect(setName).toBe('queue:puzzle_generation:delayed');
+      expect(requeued).toMatchObject({ id: 'job-123', attempts: 1, run_at: retryAt.getTime() });
+      expect(runAt).toBe(retryAt.getTime());
+      expect(cacheService.pushToQueue).not.toHaveBeenCalled();
+    });
+
+    test('should give up after the last attempt', async () => {
+      cacheService.moveQueueItem.mockResolvedValue({ ...generationQueue.createJob('task-123'), attempts: 2 });
+      const { process, onFailure } = handlers();
+      process.mockRejectedValue(new Error('Out of memory'));
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBe('failed');
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ attempts: 3 }), expect.any(Error), null);
+      expect(cacheService.scheduleQueueItem).not.toHaveBeenCalled();
+    });
+
+    test('should not retry invalid input', async () => {
+      cacheService.moveQueueItem.mockResolvedValue(generationQueue.createJob('task-123'));
+      const { process, onFailure } = handlers();
+      process.mockRejectedValue(new ValidationError('Invalid image format. Must be JPEG/PNG and < 5MB'));
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBe('failed');
+      expect(cacheService.scheduleQueueItem).not.toHaveBeenCalled();
+    });
+
+    test('should still requeue when recording the failure fails', async () => {
+      cacheService.moveQueueItem.mockResolvedValue(generationQueue.createJob('task-123'));
+      const { process, onFailure } = handlers();
+      process.mockRejectedValue(new Error('Connection reset'));
+      onFailure.mockRejectedValue(new Error('Database unavailable'));
+
+      expect(await generationQueue.processNext({ process, onFailure })).toBe('retrying');
+      expect(cacheService.scheduleQueueItem).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recoverStalledJobs', () => {
+    test('should retry jobs whose lease ran out', async () => {
+      const job = { ...generationQueue.createJob('task-123', 'job-123'), attempts: 0 };
+      cacheService.getQueueItems.mockResolvedValue([job]);
+      cacheService.getHashField.mockResolvedValue(String(Date.now() - 1000));
+      cacheService.removeQueueItem.mockResolvedValue(1);
+      const { onFailure } = handlers();
+
+      expect(await generationQueue.recoverStalledJobs(onFailure)).toBe(1);
+      expect(cacheService.removeQueueItem).toHaveBeenCalledWith('queue:puzzle_generation:processing', job);
+      expect(onFailure).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'job-123', attempts: 1 }),
+        expect.objectContaining({ message: 'Puzzle worker stopped before the job finished' }),
+        expect.any(Date)
+      );
+      expect(cacheService.scheduleQueueItem).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave jobs that are still leased or taken by another worker', async () => {
+      const job = generationQueue.createJob('task-123', 'job-123');
+      cacheService.getQueueItems.mockResolvedValue([job]);
+      const { onFailure } = handlers();
+
+      cacheService.getHashField.mockResolvedValueOnce(String(Date.now() + 60000));
+      expect(await generationQueue.recoverStalledJobs(onFailure)).toBe(0);
+
+      cacheService.getHashField.mockResolvedValueOnce(String(Date.now() - 1000));
+      cacheService.removeQueueItem.mockResolvedValueOnce(0);
+      expect(await generationQueue.recoverStalledJobs(onFailure)).toBe(0);
+
+      expect(onFailure).not.toHaveBeenCalled();
+    });
+
+    test('should give a lease to a job claimed a moment ago', async () => {
+      cacheService.getQueueItems.mockResolvedValue([generationQueue.createJob('task-123', 'job-123')]);
+      cacheService.getHashField.mockResolvedValue(null);
+      const { onFailure } = handlers();
+
+      expect(await generationQueue.recoverStalledJobs(onFailure)).toBe(0);
+      expect(cacheService.setHashField).toHaveBeenCalledWith('queue:puzzle_generation:leases', 'job-123', expect.any(Number), true);
+      expect(cacheService.removeQueueItem).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const imageComplexity = require('../../src/services/tasks/imageComplexity');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger');
+
+describe('ImageComplexity', () => {
+  const size = 60;
+
+  // Flat top half (sky) over a noisy bottom half
+  const skyImage = () => {
+    const grey = Buffer.alloc(size * size, 200);
+    for (let i = (size * size) / 2; i < size * size; i++) {
+      grey[i] = (i * 97) % 256;
+    }
+    return grey;
+  };
+
+  const noisyImage = () => {
+    const grey = Buffer.alloc(size * size);
+    for (let i = 0; i < grey.length; i++) {
+      grey[i] = (i * 131 + (i % 7) * 53) % 256;
+    }
+    return grey;
+  };
+
+  describe('computeEdgeDensity', () => {
+    test('should find no edges in a flat image', () => {
+      expect(imageComplexity.computeEdgeDensity(Buffer.alloc(size * size, 120), size, size)).toBe(0);
+    });
+
+    test('should find edges in a detailed image', () => {
+      expect(imageComplexity.computeEdgeDensity(noisyImage(), size, size)).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('computeColorEntropy', () => {
+    test('should be zero for a single color', () => {
+      expect(imageComplexity.computeColorEntropy(Buffer.alloc(300, 90), 3)).toBe(0);
+    });
+
+    test('should approach one for evenly spread colors', () => {
+      const pixels = [];
+      for (let r = 0; r < 8; r++) {
+        for (let g = 0; g < 8; g++) {
+          for (let b = 0; b < 8; b++) {
+            pixels.push(r * 32, g * 32, b * 32);
+          }
+        }
+      }
+
+      expect(imageComplexity.computeColorEntropy(Buffer.from(pixels), 3)).toBe(1);
+    });
+  });
+
+  describe('computeTextureRepetition', () => {
+    test('should flag pieces that look alike', () => {
+      const signatures = imageComplexity.computePieceSignatures(skyImage(), size, size, 5, 5);
+
+      expect(imageComplexity.computeTextureRepetition(signatures)).toBeGreaterThanOrEqual(0.4);
+    });
+
+    test('should not flag distinct pieces', () => {
+      const signatures = [...Array(9).keys()].map(index => Array(36).fill(index * 25));
+
+      expect(imageComplexity.computeTextureRepetition(signatures)).toBe(0);
+    });
+  });
+
+  describe('scoreComplexity', () => {
+    test('should rank detailed images above flat ones', () => {
+      const flat = imageComplexity.scoreComplexity({ edge_density: 0, color_entropy: 0.1, texture_repetition: 1 });
+      const detailed = imageComplexity.scoreComplexity({ edge_density: 0.3, color_entropy: 0.8, texture_repetition: 0 });
+
+      expect(flat).toBeLessThan(35);
+      expect(detailed).toBeGreaterThan(60);
+      expect(imageComplexity.getLevel(flat)).toBe('hard');
+      expect(imageComplexity.getLevel(detailed)).toBe('easy');
+    });
+  });
+
+  describe('getDifficultyWarnings', () => {
+    test('should warn when a 5x5 puzzle is mostly sky', () => {
+      const warnings = imageComplexity.getDifficultyWarnings('hard', { rows: 5, cols: 5 }, {
+        score: 30,
+        level: 'hard',
+        texture_repetition: 0.6
+      });
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain('5x5');
+      expect(warnings[0]).toContain('look alike');
+    });
+
+    test('should tolerate more repetition on smaller grids', () => {
+      expect(imageComplexity.getDifficultyWarnings('easy', { rows: 3, cols: 3 }, {
+        score: 55,
+        level: 'medium',
+        texture_repetition: 0.3
+      })).toEqual([]);
+    });
+
+    test('should warn when an easy puzzle is trivially detailed', () => {
+      const warnings = imageComplexity.getDifficultyWarnings('easy', { rows: 3, cols: 3 }, {
+        score: 85,
+        level: 'easy',
+        texture_repetition: 0
+      });
+
+      expect(warnings[0]).toContain('higher difficulty');
+    });
+  });
+});
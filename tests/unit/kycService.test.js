@@ -0,0 +1,127 @@
+const kycService = require('../../src/services/users/kycService');
+const { query, withTransaction } = require('../../src/database/connection');
+const { storage } = require('../../src/storage');
+const { ValidationError, ConflictError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+
+describe('KycService', () => {
+  const companyId = 'company-123';
+  const adminId = 'admin-123';
+
+  const file = {
+    buffer: Buffer.from('%PDF-1.4'),
+    mimetype: 'application/pdf',
+    originalname: 'pan.pdf',
+    size: 8
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+  });
+
+  describe('uploadDocument', () => {
+    test('should store the file privately and replace the earlier document', async () => {
+      const clientQuery = jest.fn((queryText, params) => Promise.resolve({
+        rows: [{ id: 'doc-1', document_type: params[1] }]
+      }));
+      query.mockResolvedValueOnce({ rows: [{ kyc_status: 'rejected' }] });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      const document = await kycService.uploadDocument(companyId, 'pan_card', file);
+
+      expect(document.document_type).toBe('pan_card');
+      expect(clientQuery.mock.calls[0][0]).toContain('SET replaced_at = CURRENT_TIMESTAMP');
+
+      const key = clientQuery.mock.calls[1][1][2];
+      expect(key).toMatch(new RegExp(`^private/kyc/${companyId}/pan_card-.+\\.pdf$`));
+      expect((await storage.download(key)).toString()).toBe('%PDF-1.4');
+    });
+
+    test('should reject unsupported files and verified companies', async () => {
+      await expect(kycService.uploadDocument(companyId, 'pan_card', { ...file, mimetype: 'text/plain' }))
+        .rejects.toThrow(ValidationError);
+      await expect(kycService.uploadDocument(companyId, 'passport', file))
+        .rejects.toThrow(ValidationError);
+
+      query.mockResolvedValueOnce({ rows: [{ kyc_status: 'verified' }] });
+      await expect(kycService.uploadDocument(companyId, 'pan_card', file))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('getMissingDocuments', () => {
+    test('should need the GST certificate only with a GSTIN', async () => {
+      query.mockResolvedValue({ rows: [{ document_type: 'pan_card' }] });
+
+      expect(await kycService.getMissingDocuments(companyId, {})).toEqual(['cancelled_cheque']);
+      expect(await kycService.getMissingDocuments(companyId, { gstin: '27AAPFU0939F1ZV' }))
+        .toEqual(['gst_certificate', 'cancelled_cheque']);
+    });
+  });
+
+  describe('reviewKyc', () => {
+    const mockReview = (profile) => {
+      const clientQuery = jest.fn((queryText, params) => {
+        if (queryText.includes('FROM company_profiles')) {
+          return Promise.resolve({ rows: profile ? [profile] : [] });
+        }
+        if (queryText.includes('FROM kyc_documents')) {
+          return Promise.resolve({ rows: [{ id: 'doc-1' }, { id: 'doc-2' }] });
+        }
+        if (queryText.includes('UPDATE company_profiles')) {
+          return Promise.resolve({ rows: [{ kyc_status: params[1], kyc_review_comments: params[2] }] });
+        }
+        return Promise.resolve({ rows: [{}] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+      return clientQuery;
+    };
+
+    const submitted = { company_name: 'Chai Point', kyc_status: 'pending', kyc_submitted_at: new Date() };
+
+    test('should verify the company and record the decision', async () => {
+      const clientQuery = mockReview(submitted);
+
+      const result = await kycService.reviewKyc(companyId, adminId, { decision: 'approve' });
+
+      expect(result.kyc_status).toBe('verified');
+      expect(clientQuery.mock.calls.find(([q]) => q.includes('UPDATE company_profiles'))[0])
+        .toContain('kyc_verified_at = CURRENT_TIMESTAMP');
+
+      const [, historyParams] = clientQuery.mock.calls.find(([q]) => q.includes('INSERT INTO kyc_reviews'));
+      expect(historyParams).toEqual([companyId, 'verified', null, adminId, JSON.stringify(['doc-1', 'doc-2'])]);
+
+      const [, notifyParams] = clientQuery.mock.calls.find(([q]) => q.includes('INSERT INTO notifications'));
+      expect(notifyParams[1]).toBe('kyc_approved');
+    });
+
+    test('should reject with comments the company can act on', async () => {
+      const clientQuery = mockReview(submitted);
+
+      await expect(kycService.reviewKyc(companyId, adminId, { decision: 'reject' }))
+        .rejects.toThrow(ValidationError);
+
+      const result = await kycService.reviewKyc(companyId, adminId, { decision: 'reject', comments: 'PAN card is blurry' });
+
+      expect(result.kyc_status).toBe('rejected');
+      const [, notifyParams] = clientQuery.mock.calls.find(([q]) => q.includes('INSERT INTO notifications'));
+      expect(notifyParams[1]).toBe('kyc_rejected');
+      expect(notifyParams[3]).toContain('PAN card is blurry');
+    });
+
+    test('should only review submitted KYC', async () => {
+      mockReview({ ...submitted, kyc_submitted_at: null });
+      await expect(kycService.reviewKyc(companyId, adminId, { decision: 'approve' }))
+        .rejects.toThrow(ConflictError);
+
+      mockReview({ ...submitted, kyc_status: 'verified' });
+      await expect(kycService.reviewKyc(companyId, adminId, { decision: 'approve' }))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const locationService = require('../../src/services/users/locationService');
+const { query } = require('../../src/database/connection');
+const { ValidationError, NotFoundError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/utils/logger');
+
+describe('LocationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getBoundingBox', () => {
+    test('should widen longitude away from the equator', () => {
+      const box = locationService.getBoundingBox(60, 10, 10);
+
+      expect(box.max_lat - box.min_lat).toBeCloseTo(0.18, 2);
+      expect(box.max_lng - box.min_lng).toBeCloseTo(0.36, 2);
+    });
+
+    test('should drop the longitude range across the antimeridian', () => {
+      const box = locationService.getBoundingBox(0, 179.99, 10);
+
+      expect(box.min_lng).toBeNull();
+      expect(box.max_lng).toBeNull();
+    });
+
+    test('should clamp latitude at the poles', () => {
+      const box = locationService.getBoundingBox(89.99, 0, 50);
+
+      expect(box.max_lat).toBe(90);
+      expect(box.min_lng).toBeNull();
+    });
+  });
+
+  describe('parseLocationIds', () => {
+    test('should accept arrays, JSON strings and comma-separated lists', () => {
+      expect(locationService.parseLocationIds(['a', 'b'])).toEqual(['a', 'b']);
+      expect(locationService.parseLocationIds('["a","b"]')).toEqual(['a', 'b']);
+      expect(locationService.parseLocationIds('a, b,')).toEqual(['a', 'b']);
+      expect(locationService.parseLocationIds('')).toEqual([]);
+    });
+
+    test('should reject malformed input', () => {
+      expect(() => locationService.parseLocationIds('[a')).toThrow(ValidationError);
+      expect(() => locationService.parseLocationIds([1, 2])).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateLocation', () => {
+    test('should accept a valid store', () => {
+      expect(() => locationService.validateLocation({
+        name: 'Bandra Outlet',
+        address: '12 Hill Road, Bandra West',
+        city: 'Mumbai',
+        latitude: '19.0596',
+        longitude: '72.8295'
+      })).not.toThrow();
+    });
+
+    test('should reject coordinates out of range', () => {
+      expect(() => locationService.validateLocation({
+        name: 'Bandra Outlet',
+        address: '12 Hill Road, Bandra West',
+        latitude: 91,
+        longitude: 72.8295
+      })).toThrow('Latitude must be between -90 and 90');
+    });
+  });
+
+  describe('createLocation', () => {
+    const location = {
+      name: 'Bandra Outlet',
+      address: '12 Hill Road, Bandra West',
+      city: 'Mumbai',
+      latitude: 19.0596,
+      longitude: 72.8295
+    };
+
+    test('should store the location for the company', async () => {
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('COUNT(*)')) {
+          return Promise.resolve({ rows: [{ total: '2' }] });
+        }
+        return Promise.resolve({ rows: [{ id: 'loc-1', city: params[3] }] });
+      });
+
+      const created = await locationService.createLocation('company-123', location);
+
+      expect(created.id).toBe('loc-1');
+      expect(query.mock.calls[1][1]).toEqual(['company-123', 'Bandra Outlet', '12 Hill Road, Bandra West', 'Mumbai', 19.0596, 72.8295]);
+    });
+
+    test('should cap locations per company', async () => {
+      query.mockResolvedValue({ rows: [{ total: '500' }] });
+
+      await expect(locationService.createLocation('company-123', location)).rejects.toThrow(ValidationError);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteLocation', () => {
+    test('should reject locations of other companies', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(locationService.deleteLocation('company-123', 'loc-9')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
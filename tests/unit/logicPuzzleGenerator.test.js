@@ -0,0 +1,95 @@
+const logicPuzzleGenerator = require('../../src/services/tasks/logicPuzzleGenerator');
+const sudoku = require('../../src/services/tasks/logic/sudoku');
+const nonogram = require('../../src/services/tasks/logic/nonogram');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger');
+
+describe('LogicPuzzleGenerator', () => {
+  describe('generateLogicPuzzle', () => {
+    test('should generate the same puzzle for the same seed', () => {
+      const first = logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'medium', 'seed-1');
+      const second = logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'medium', 'seed-1');
+
+      expect(second.board).toEqual(first.board);
+      expect(second.correct_solution).toEqual(first.correct_solution);
+    });
+
+    test('should map difficulty to sudoku size', () => {
+      expect(logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'easy', 'seed').board.size).toBe(4);
+      expect(logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'medium', 'seed').board.size).toBe(6);
+      expect(logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'hard', 'seed').board.size).toBe(9);
+    });
+
+    test('should reject unknown variants', () => {
+      expect(() => logicPuzzleGenerator.generateLogicPuzzle('kakuro', 'easy', 'seed'))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('sudoku', () => {
+    test('should generate puzzles with exactly one solution', () => {
+      ['easy', 'medium', 'hard', 'expert'].forEach(difficulty => {
+        const { board } = logicPuzzleGenerator.generateLogicPuzzle('sudoku', difficulty, `unique-${difficulty}`);
+        const shape = { box_rows: board.box_rows, box_cols: board.box_cols };
+
+        expect(sudoku.countSolutions([...board.givens], board.size, shape, 2)).toBe(1);
+      });
+    });
+
+    test('should validate correct and incorrect grids', () => {
+      const config = logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'easy', 'seed');
+      const wrong = [...config.correct_solution].reverse();
+
+      expect(logicPuzzleGenerator.validateSolution(config, config.correct_solution, 1000).is_correct).toBe(true);
+      expect(logicPuzzleGenerator.validateSolution(config, wrong, 1000).is_correct).toBe(false);
+    });
+  });
+
+  describe('nonogram', () => {
+    test('should be fully deducible from clues and givens', () => {
+      const { board, correct_solution } = logicPuzzleGenerator.generateLogicPuzzle('nonogram', 'hard', 'seed');
+      const state = new Array(board.rows * board.cols).fill(-1);
+      board.givens.forEach(({ index, value }) => { state[index] = value; });
+
+      const solved = nonogram.propagate(state, board.row_clues, board.col_clues, board.rows, board.cols);
+
+      expect(solved).toEqual(correct_solution);
+    });
+
+    test('should deduce forced cells of a line', () => {
+      expect(nonogram.solveLine([-1, -1, -1, -1, -1], [4])).toEqual([-1, 1, 1, 1, -1]);
+      expect(nonogram.solveLine([-1, -1, -1], [1, 1])).toEqual([1, 0, 1]);
+    });
+  });
+
+  describe('sliding-tile', () => {
+    test('should accept a sequence of moves that solves the board', () => {
+      const config = {
+        variant: 'sliding-tile',
+        board: {
+          size: 4,
+          tiles: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 0, 15]
+        },
+        correct_solution: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 0]
+      };
+
+      const result = logicPuzzleGenerator.validateSolution(config, [15], 1000);
+
+      expect(result.is_correct).toBe(true);
+      expect(result.move_count).toBe(1);
+    });
+
+    test('should reject illegal moves', () => {
+      const config = logicPuzzleGenerator.generateLogicPuzzle('sliding-tile', 'easy', 'seed');
+      const blank = config.board.tiles.indexOf(0);
+      const farTile = config.board.tiles[(blank + 10) % 16];
+
+      const result = logicPuzzleGenerator.validateSolution(config, [farTile], 1000);
+
+      expect(result.is_correct).toBe(false);
+      expect(result.score).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const captionService = require('../../src/services/tasks/captionService');
+const captionFilter = require('../../src/services/tasks/captionFilter');
+const memeGenerator = require('../../src/services/tasks/memeGenerator');
+const { ValidationError, ConflictError, ForbiddenError, GoneError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/services/tasks/puzzleGenerator');
+jest.mock('../../src/utils/logger');
+
+describe('Meme captions', () => {
+  const taskId = 'task-123';
+  const companyId = 'company-123';
+  const memeTask = {
+    id: taskId,
+    company_id: companyId,
+    task_type: 'meme',
+    status: 'active',
+    reward_value: 50,
+    puzzle_config: {
+      image_url: 'https://cdn.taskloot.com/memes/template.jpg',
+      template_key: 'memes/template.jpg',
+      width: 600,
+      height: 400,
+      caption_max_length: 150,
+      rank_by_upvotes: false,
+      winner_count: 1
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('captionFilter', () => {
+    test('should allow clean captions', () => {
+      expect(captionFilter.isAllowed('When the pizza arrives before the movie starts')).toBe(true);
+    });
+
+    test('should block disguised profanity', () => {
+      expect(captionFilter.isAllowed('this is sh1t')).toBe(false);
+      expect(captionFilter.isAllowed('f u c k mondays')).toBe(false);
+      expect(captionFilter.isAllowed('shiiiit happens')).toBe(false);
+    });
+
+    test('should not flag words that merely contain blocked terms', () => {
+      expect(captionFilter.isAllowed('Class assessment passed')).toBe(true);
+    });
+  });
+
+  describe('memeGenerator.buildCaptionSvg', () => {
+    test('should escape caption markup', () => {
+      const svg = memeGenerator.buildCaptionSvg('<script>alert("x")</script> & more', 600, 400);
+
+      expect(svg).not.toContain('<script>');
+      expect(svg).toContain('&lt;SCRIPT&gt;');
+      expect(svg).toContain('&amp;');
+    });
+
+    test('should wrap long captions onto several lines', () => {
+      const svg = memeGenerator.buildCaptionSvg('word '.repeat(30), 400, 400);
+
+      expect((svg.match(/<text /g) || []).length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('submitCaption', () => {
+    test('should store caption as pending', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ ...memeTask }] });
+        }
+        if (queryText.includes('INSERT INTO meme_captions')) {
+          return Promise.resolve({ rows: [{ id: 'caption-123', status: 'pending' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const caption = await captionService.submitCaption(taskId, 'user-123', '  Me   waiting for pizza ');
+
+      expect(caption.status).toBe('pending');
+      expect(query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO meme_captions'),
+        [taskId, 'user-123', 'Me waiting for pizza']
+      );
+    });
+
+    test('should reject blocked captions', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ ...memeTask }] });
+
+      await expect(captionService.submitCaption(taskId, 'user-123', 'this pizza is sh1t'))
+        .rejects.toThrow(ValidationError);
+    });
+
+    test('should reject second caption from same user', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ ...memeTask }] });
+        }
+        return Promise.resolve({ rows: [{ id: 'caption-123' }] });
+      });
+
+      await expect(captionService.submitCaption(taskId, 'user-123', 'Me waiting for pizza'))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('reviewCaption', () => {
+    const pendingCaption = { id: 'caption-123', user_id: 'user-123', caption: 'Me waiting', status: 'pending', created_at: new Date() };
+
+    const mockAwardTransaction = () => {
+      const { withTransaction } = require('../../src/database/connection');
+      const client = {
+        query: jest.fn((queryText) => {
+          if (queryText.includes("SET status = 'approved'")) {
+            return Promise.resolve({ rows: [{ ...pendingCaption, status: 'approved' }] });
+          }
+          if (queryText.includes("SET status = 'winner'")) {
+            return Promise.resolve({ rows: [{ ...pendingCaption, status: 'winner' }] });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+      return client;
+    };
+
+    beforeEach(() => {
+      const { query } = require('../../src/database/connection');
+      jest.spyOn(memeGenerator, 'renderCaption').mockResolvedValue('https://cdn.taskloot.com/memes/rendered.jpg');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ ...memeTask }] });
+        }
+        if (queryText.includes('SELECT * FROM meme_captions')) {
+          return Promise.resolve({ rows: [pendingCaption] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+    });
+
+    test('should render approved caption and award reward', async () => {
+      const taskService = require('../../src/services/tasks/service');
+      jest.spyOn(taskService, 'insertAttempt').mockResolvedValue({ attempt: { id: 'attempt-123' }, reward: { id: 'reward-123' } });
+      const client = mockAwardTransaction();
+
+      const result = await captionService.reviewCaption(taskId, companyId, 'caption-123', { decision: 'approve' });
+
+      expect(memeGenerator.renderCaption).toHaveBeenCalledWith(memeTask.puzzle_config, 'Me waiting');
+      expect(taskService.insertAttempt).toHaveBeenCalledWith(client, expect.objectContaining({ id: taskId }), 'user-123', expect.objectContaining({
+        is_successful: true
+      }));
+      expect(result.status).toBe('winner');
+      expect(result.attempt.reward.id).toBe('reward-123');
+    });
+
+    test('should approve and award in the same transaction', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const taskService = require('../../src/services/tasks/service');
+      jest.spyOn(taskService, 'insertAttempt').mockRejectedValue(new GoneError('All rewards for this task have been claimed'));
+      const client = mockAwardTransaction();
+
+      await expect(captionService.reviewCaption(taskId, companyId, 'caption-123', { decision: 'approve' }))
+        .rejects.toThrow(GoneError);
+
+      // The approval ran on the transaction that failed, so the caption is still pending
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'approved'"), expect.any(Array));
+      expect(query).not.toHaveBeenCalledWith(expect.stringContaining("SET status = 'approved'"), expect.any(Array));
+      expect(cacheService.del).not.toHaveBeenCalled();
+    });
+
+    test('should not review a caption twice', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ ...memeTask }] });
+        }
+        return Promise.resolve({ rows: [{ id: 'caption-123', status: 'rejected' }] });
+      });
+
+      await expect(captionService.reviewCaption(taskId, companyId, 'caption-123', { decision: 'approve' }))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('awardTopCaptions', () => {
+    test('should award winners after the task has expired', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const taskService = require('../../src/services/tasks/service');
+      const rankedTask = {
+        ...memeTask,
+        status: 'expired',
+        expires_at: new Date(Date.now() - 60000),
+        puzzle_config: { ...memeTask.puzzle_config, rank_by_upvotes: true }
+      };
+      const approved = { id: 'caption-123', user_id: 'user-123', status: 'approved', upvote_count: 12, created_at: new Date() };
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [rankedTask] });
+        }
+        return Promise.resolve({ rows: [approved] });
+      });
+      const client = {
+        query: jest.fn((queryText) => Promise.resolve({
+          rows: queryText.includes("SET status = 'winner'") ? [{ ...approved, status: 'winner' }] : []
+        }))
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+      jest.spyOn(taskService, 'insertAttempt').mockResolvedValue({ attempt: { id: 'attempt-123' }, reward: { id: 'reward-123' } });
+
+      const { winners } = await captionService.awardTopCaptions(taskId, companyId);
+
+      expect(winners).toHaveLength(1);
+      expect(winners[0].status).toBe('winner');
+      expect(winners[0].attempt.reward.id).toBe('reward-123');
+    });
+
+    test('should not award captions on an archived task', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ ...memeTask, status: 'archived', puzzle_config: { ...memeTask.puzzle_config, rank_by_upvotes: true } }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'caption-123', user_id: 'user-123', status: 'approved', created_at: new Date() }] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: jest.fn().mockResolvedValue({ rows: [] }) }));
+
+      await expect(captionService.awardTopCaptions(taskId, companyId))
+        .rejects.toThrow(GoneError);
+    });
+  });
+
+  describe('upvoteCaption', () => {
+    test('should not allow upvoting own caption', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ ...memeTask, puzzle_config: { ...memeTask.puzzle_config, rank_by_upvotes: true } }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'caption-123', user_id: 'user-123', status: 'approved' }] });
+      });
+
+      await expect(captionService.upvoteCaption(taskId, 'caption-123', 'user-123'))
+        .rejects.toThrow(ForbiddenError);
+    });
+
+    test('should reject duplicate votes', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ ...memeTask, puzzle_config: { ...memeTask.puzzle_config, rank_by_upvotes: true } }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'caption-123', user_id: 'user-456', status: 'approved' }] });
+      });
+      withTransaction.mockImplementation((callback) => callback({
+        query: jest.fn().mockResolvedValue({ rows: [] })
+      }));
+
+      await expect(captionService.upvoteCaption(taskId, 'caption-123', 'user-123'))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const moderationService = require('../../src/services/tasks/moderationService');
+const { query, withTransaction } = require('../../src/database/connection');
+const { cacheService } = require('../../src/cache/redis');
+const { ConflictError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+
+describe('ModerationService', () => {
+  const taskId = 'task-123';
+  const adminId = 'admin-123';
+
+  const task = {
+    id: taskId,
+    company_id: 'company-123',
+    title: 'Pizza Puzzle',
+    description: 'Solve the puzzle for a treat',
+    reward_type: 'discount',
+    reward_value: '20.00',
+    reward_description: '20% off any large pizza',
+    status: 'pending',
+    starts_at: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pre-checks', () => {
+    test('should flag banned words in the title or description', () => {
+      expect(moderationService.checkText({ ...task, description: 'Spin the c4sino wheel' })).toEqual([
+        { check: 'banned_words', message: 'Contains banned words: casino' }
+      ]);
+      expect(moderationService.checkText(task)).toEqual([]);
+    });
+
+    test('should flag rewards that look too good to be true', () => {
+      expect(moderationService.checkReward({ ...task, reward_value: '95' })[0].check).toBe('reward_value');
+      expect(moderationService.checkReward({ ...task, reward_type: 'cashback', reward_value: '5000' })[0].check).toBe('reward_value');
+      expect(moderationService.checkReward({ ...task, reward_type: 'points', reward_value: '5000' })).toEqual([]);
+      expect(moderationService.checkReward(task)).toEqual([]);
+    });
+
+    test('should measure the share of skin-toned pixels', () => {
+      const skin = [224, 172, 140];
+      const sky = [90, 160, 230];
+      const pixels = Buffer.from([...skin, ...skin, ...skin, ...sky]);
+
+      expect(moderationService.getSkinRatio(pixels)).toBe(0.75);
+    });
+
+    test('should flag images it cannot check', async () => {
+      const flag = await moderationService.checkImage('https://elsewhere.example.com/image.jpg');
+
+      expect(flag.check).toBe('image');
+    });
+  });
+
+  describe('isTrusted', () => {
+    test('should trust companies with enough approved tasks', async () => {
+      query.mockResolvedValueOnce({ rows: [{ approved_tasks_count: 3 }] });
+      expect(await moderationService.isTrusted('company-123')).toBe(true);
+
+      query.mockResolvedValueOnce({ rows: [] });
+      expect(await moderationService.isTrusted('company-123')).toBe(false);
+    });
+  });
+
+  describe('review decisions', () => {
+    const mockReview = (status = 'pending') => {
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('SELECT * FROM tasks')) {
+            return Promise.resolve({ rows: [{ ...task, status }] });
+          }
+          if (queryText.includes('UPDATE tasks')) {
+            return Promise.resolve({ rows: [{ ...task, status: queryText.includes("'draft'") ? 'draft' : params[1] }] });
+          }
+          return Promise.resolve({ rows: [{}] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+      return client;
+    };
+
+    test('should put approved tasks live and notify the company', async () => {
+      const client = mockReview();
+
+      const result = await moderationService.approveTask(taskId, adminId, 'Looks good');
+
+      expect(result.status).toBe('active');
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('approved_tasks_count = approved_tasks_count + 1'),
+        ['company-123']
+      );
+
+      const [, notifyParams] = client.query.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO notifications'));
+      expect(notifyParams.slice(0, 2)).toEqual(['company-123', 'task_approved']);
+      expect(cacheService.del).toHaveBeenCalledWith(`task:${taskId}`);
+    });
+
+    test('should return rejected tasks to draft with the reason', async () => {
+      const client = mockReview();
+
+      const result = await moderationService.rejectTask(taskId, adminId, 'Image is blurry');
+
+      expect(result.status).toBe('draft');
+      expect(client.query.mock.calls.some(([queryText]) => queryText.includes('approved_tasks_count'))).toBe(false);
+
+      const [, notifyParams] = client.query.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO notifications'));
+      expect(notifyParams[1]).toBe('task_rejected');
+      expect(notifyParams[3]).toContain('Image is blurry');
+    });
+
+    test('should only review pending tasks', async () => {
+      mockReview('active');
+
+      await expect(moderationService.approveTask(taskId, adminId)).rejects.toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  isCursorMode,
+  encodeCursor,
+  buildKeyset,
+  buildPageQuery,
+  buildPage
+} = require('../../src/utils/pagination');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('Cursor pagination', () => {
+  const keysetOptions = {
+    sortField: 'created_at',
+    sortExpression: 'p.created_at',
+    sortType: 'timestamp',
+    idExpression: 'p.id',
+    order: 'DESC',
+    paramIndex: 2
+  };
+
+  const rows = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `row-${i + 1}`,
+    cursor_key: `2026-10-18 12:00:0${i}.123456`
+  }));
+
+  describe('isCursorMode', () => {
+    test('should switch on with a cursor or pagination=cursor', () => {
+      expect(isCursorMode({ pagination: 'cursor' })).toBe(true);
+      expect(isCursorMode({ cursor: 'abc' })).toBe(true);
+      expect(isCursorMode({ page: 2 })).toBe(false);
+    });
+  });
+
+  describe('buildKeyset', () => {
+    test('should start from the top without a cursor', () => {
+      const keyset = buildKeyset(keysetOptions);
+
+      expect(keyset.condition).toBeNull();
+      expect(keyset.orderBy).toBe('p.created_at DESC, p.id DESC');
+      expect(keyset.paramIndex).toBe(2);
+    });
+
+    test('should continue after the cursor row', () => {
+      const cursor = encodeCursor({ d: 'next', s: 'created_at:DESC', k: '2026-10-18 12:00:00.5', id: 'row-9' });
+      const keyset = buildKeyset({ ...keysetOptions, cursor });
+
+      expect(keyset.condition).toBe('(p.created_at, p.id) < ($2::timestamp, $3::uuid)');
+      expect(keyset.params).toEqual(['2026-10-18 12:00:00.5', 'row-9']);
+      expect(keyset.paramIndex).toBe(4);
+    });
+
+    test('should walk backwards in reverse order for previous pages', () => {
+      const cursor = encodeCursor({ d: 'prev', s: 'created_at:DESC', k: '2026-10-18 12:00:00.5', id: 'row-9' });
+      const keyset = buildKeyset({ ...keysetOptions, cursor });
+
+      expect(keyset.condition).toBe('(p.created_at, p.id) > ($2::timestamp, $3::uuid)');
+      expect(keyset.orderBy).toBe('p.created_at ASC, p.id ASC');
+    });
+
+    test('should reject tampered cursors and cursors for another sort', () => {
+      expect(() => buildKeyset({ ...keysetOptions, cursor: 'not-a-cursor' })).toThrow(ValidationError);
+
+      const cursor = encodeCursor({ d: 'next', s: 'title:ASC', k: 'Pizza', id: 'row-1' });
+      expect(() => buildKeyset({ ...keysetOptions, cursor })).toThrow('Cursor does not match the requested sort order');
+    });
+  });
+
+  describe('buildPage', () => {
+    test('should return the next cursor when more rows exist', () => {
+      const keyset = buildKeyset(keysetOptions);
+      const { items, pagination } = buildPage(rows(3), { keyset, limit: 2, total: null });
+
+      expect(items).toEqual([{ id: 'row-1' }, { id: 'row-2' }]);
+      expect(pagination.has_next).toBe(true);
+      expect(pagination.has_prev).toBe(false);
+      expect(pagination.prev_cursor).toBeNull();
+      expect(pagination.total_items).toBeUndefined();
+
+      const next = buildKeyset({ ...keysetOptions, cursor: pagination.next_cursor });
+      expect(next.params).toEqual(['2026-10-18 12:00:01.123456', 'row-2']);
+    });
+
+    test('should restore page order when going back', () => {
+      const cursor = encodeCursor({ d: 'prev', s: 'created_at:DESC', k: '2026-10-18 12:00:09', id: 'row-9' });
+      const keyset = buildKeyset({ ...keysetOptions, cursor });
+      const { items, pagination } = buildPage(rows(2), { keyset, limit: 2, total: 12 });
+
+      expect(items).toEqual([{ id: 'row-2' }, { id: 'row-1' }]);
+      expect(pagination.has_prev).toBe(false);
+      expect(pagination.has_next).toBe(true);
+      expect(pagination.total_items).toBe(12);
+    });
+
+    test('should keep offset pagination unchanged', () => {
+      const pageQuery = buildPageQuery({
+        keyset: null,
+        conditions: ['p.company_id = $1'],
+        params: ['company-123'],
+        orderBy: 'p.created_at DESC',
+        paramIndex: 2,
+        limit: 20,
+        offset: 20
+      });
+
+      expect(pageQuery.pageClause).toBe('ORDER BY p.created_at DESC LIMIT $2 OFFSET $3');
+      expect(pageQuery.params).toEqual(['company-123', 20, 20]);
+      expect(buildPage([], { keyset: null, page: 2, limit: 20, total: 45 }).pagination).toEqual({
+        current_page: 2,
+        total_pages: 3,
+        total_items: 45,
+        items_per_page: 20,
+        has_next: true,
+        has_prev: true
+      });
+    });
+  });
+});
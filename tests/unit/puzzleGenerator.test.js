@@ -0,0 +1,144 @@
+const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+const jigsawShapes = require('../../src/services/tasks/jigsawShapes');
+const { createRng } = require('../../src/services/tasks/random');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger');
+
+describe('PuzzleGenerator', () => {
+  describe('getGridDimensions', () => {
+    test('should keep square grids for square images', () => {
+      expect(puzzleGenerator.getGridDimensions(9, 1)).toEqual({ rows: 3, cols: 3 });
+      expect(puzzleGenerator.getGridDimensions(16, 1)).toEqual({ rows: 4, cols: 4 });
+      expect(puzzleGenerator.getGridDimensions(25, 1)).toEqual({ rows: 5, cols: 5 });
+    });
+
+    test('should follow the aspect ratio of wide banners', () => {
+      expect(puzzleGenerator.getGridDimensions(16, 3)).toEqual({ rows: 2, cols: 8 });
+    });
+
+    test('should follow the aspect ratio of tall images', () => {
+      expect(puzzleGenerator.getGridDimensions(12, 0.75)).toEqual({ rows: 4, cols: 3 });
+    });
+
+    test('should accept explicit rows and columns', () => {
+      expect(puzzleGenerator.getGridDimensions(9, 1, '4', '6')).toEqual({ rows: 4, cols: 6 });
+    });
+
+    test('should reject grids outside the allowed range', () => {
+      expect(() => puzzleGenerator.getGridDimensions(9, 1, 1, 6)).toThrow(ValidationError);
+      expect(() => puzzleGenerator.getGridDimensions(9, 1, 4)).toThrow('must be set together');
+    });
+  });
+
+  describe('getLayout', () => {
+    test('should size renditions to whole pieces without cropping the aspect ratio', () => {
+      expect(puzzleGenerator.getLayout(400, 2, 2, 4)).toEqual({
+        width: 400,
+        height: 200,
+        piece_width: 100,
+        piece_height: 100
+      });
+      expect(puzzleGenerator.getLayout(1024, 0.75, 4, 3)).toEqual({
+        width: 768,
+        height: 1024,
+        piece_width: 256,
+        piece_height: 256
+      });
+    });
+  });
+
+  describe('getAssetUrls', () => {
+    test('should list rendition images and jigsaw pieces', () => {
+      const urls = puzzleGenerator.getAssetUrls({
+        image_url: 'memory://storage/a-standard.jpg',
+        renditions: {
+          standard: { image_url: 'memory://storage/a-standard.jpg', piece_urls: ['memory://storage/a/0.png'] },
+          tablet: { image_url: 'memory://storage/a-tablet.jpg' }
+        }
+      });
+
+      expect(urls).toEqual(['memory://storage/a/0.png', 'memory://storage/a-tablet.jpg']);
+    });
+  });
+
+  describe('getSolutionForOrder', () => {
+    test('should map each piece back to the board slot it was dealt to', () => {
+      expect(puzzleGenerator.getSolutionForOrder([2, 0, 3, 1])).toEqual([1, 3, 0, 2]);
+    });
+
+    test('should not accept the unshuffled order for a shuffled board', () => {
+      const order = [3, 1, 0, 2, 5, 4, 8, 6, 7];
+      const solution = puzzleGenerator.getSolutionForOrder(order);
+
+      expect(solution.map(slot => order[slot])).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(puzzleGenerator.validateSolution([0, 1, 2, 3, 4, 5, 6, 7, 8], solution, 60000).is_correct).toBe(false);
+      expect(puzzleGenerator.validateSolution(solution, solution, 60000).is_correct).toBe(true);
+    });
+  });
+});
+
+describe('JigsawShapes', () => {
+  describe('generateConnectors', () => {
+    const rows = 3;
+    const cols = 4;
+    const connectors = jigsawShapes.generateConnectors(rows, cols, createRng('connectors'));
+
+    test('should keep border edges flat', () => {
+      connectors.forEach((piece, index) => {
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+
+        if (row === 0) expect(piece.top).toBe(0);
+        if (row === rows - 1) expect(piece.bottom).toBe(0);
+        if (col === 0) expect(piece.left).toBe(0);
+        if (col === cols - 1) expect(piece.right).toBe(0);
+      });
+    });
+
+    test('should pair every tab with a blank on the neighbouring piece', () => {
+      connectors.forEach((piece, index) => {
+        const col = index % cols;
+
+        if (col < cols - 1) {
+          expect(Math.abs(piece.right)).toBe(1);
+          expect(connectors[index + 1].left).toBe(-piece.right);
+        }
+        if (index + cols < connectors.length) {
+          expect(Math.abs(piece.bottom)).toBe(1);
+          expect(connectors[index + cols].top).toBe(-piece.bottom);
+        }
+      });
+    });
+
+    test('should be deterministic for a seed', () => {
+      expect(jigsawShapes.generateConnectors(rows, cols, createRng('connectors'))).toEqual(connectors);
+    });
+  });
+
+  describe('buildPiecePath', () => {
+    test('should draw straight edges for flat connectors', () => {
+      const path = jigsawShapes.buildPiecePath(100, 100, 21, { top: 0, right: 0, bottom: 0, left: 0 }, 20);
+
+      expect(path).toBe('M 21 21 L 121 21 L 121 121 L 21 121 L 21 21 Z');
+    });
+
+    test('should push tabs outside and blanks inside the piece body', () => {
+      const tab = jigsawShapes.buildPiecePath(100, 100, 21, { top: 1, right: 0, bottom: 0, left: 0 }, 20);
+      const blank = jigsawShapes.buildPiecePath(100, 100, 21, { top: -1, right: 0, bottom: 0, left: 0 }, 20);
+
+      expect(tab).toContain('C 51 9, 56 1, 71 1');
+      expect(blank).toContain('C 51 33, 56 41, 71 41');
+    });
+  });
+
+  describe('buildMaskSvg', () => {
+    test('should size the mask to include the tab margin', () => {
+      const svg = jigsawShapes.buildMaskSvg(100, 80, 17, { top: 0, right: 1, bottom: -1, left: 0 }, 16);
+
+      expect(svg).toContain('width="134"');
+      expect(svg).toContain('height="114"');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const speedChallengeGenerator = require('../../src/services/tasks/speedChallengeGenerator');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger');
+
+describe('SpeedChallengeGenerator', () => {
+  const questions = [
+    {
+      type: 'multiple-choice',
+      prompt: 'Which crust is our bestseller?',
+      options: ['Thin', 'Cheese burst', 'Pan'],
+      answer: 1,
+      time_limit_seconds: 10
+    },
+    {
+      type: 'type-answer',
+      prompt: 'Name our mascot',
+      answers: ['Pizza Pete', 'Pete']
+    },
+    {
+      type: 'image-match',
+      prompt: 'Tap our logo',
+      options: ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png'],
+      answer: 0
+    }
+  ];
+
+  describe('buildSpeedChallenge', () => {
+    test('should normalize questions and default min_correct to all questions', () => {
+      const config = speedChallengeGenerator.buildSpeedChallenge(questions);
+
+      expect(config.question_count).toBe(3);
+      expect(config.min_correct).toBe(3);
+      expect(config.questions[1].answers).toEqual(['pizza pete', 'pete']);
+      expect(config.questions[1].time_limit_seconds).toBe(15);
+      expect(config.total_time_limit_seconds).toBe(40);
+    });
+
+    test('should accept questions as a JSON string', () => {
+      const config = speedChallengeGenerator.buildSpeedChallenge(JSON.stringify(questions), { min_correct: '2' });
+
+      expect(config.min_correct).toBe(2);
+    });
+
+    test('should reject answer index outside options', () => {
+      expect(() => speedChallengeGenerator.buildSpeedChallenge([{ ...questions[0], answer: 5 }]))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject image-match options that are not URLs', () => {
+      expect(() => speedChallengeGenerator.buildSpeedChallenge([{ ...questions[2], options: ['a', 'b'] }]))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('getPublicQuestion', () => {
+    test('should not expose answers', () => {
+      const config = speedChallengeGenerator.buildSpeedChallenge(questions);
+
+      const first = speedChallengeGenerator.getPublicQuestion(config, 0);
+      const second = speedChallengeGenerator.getPublicQuestion(config, 1);
+
+      expect(first).not.toHaveProperty('answer');
+      expect(second).not.toHaveProperty('answers');
+      expect(first.round).toBe(0);
+    });
+  });
+
+  describe('scoreAnswer', () => {
+    const config = speedChallengeGenerator.buildSpeedChallenge(questions);
+
+    test('should award time bonus for fast correct answers', () => {
+      const result = speedChallengeGenerator.scoreAnswer(config.questions[0], 1, 2000);
+
+      expect(result.is_correct).toBe(true);
+      expect(result.time_bonus).toBe(40);
+      expect(result.score).toBe(140);
+    });
+
+    test('should match typed answers case-insensitively', () => {
+      expect(speedChallengeGenerator.scoreAnswer(config.questions[1], '  PIZZA   pete ', 1000).is_correct).toBe(true);
+    });
+
+    test('should reject answers after the time limit', () => {
+      const result = speedChallengeGenerator.scoreAnswer(config.questions[0], 1, 20000);
+
+      expect(result.is_correct).toBe(false);
+      expect(result.timed_out).toBe(true);
+    });
+  });
+
+  describe('summarize', () => {
+    test('should pass when enough rounds are correct', () => {
+      const config = speedChallengeGenerator.buildSpeedChallenge(questions, { min_correct: 2 });
+      const rounds = [
+        { is_correct: true, score: 140, time_bonus: 40 },
+        { is_correct: false, score: 0, time_bonus: 0 },
+        { is_correct: true, score: 120, time_bonus: 20 }
+      ];
+
+      const result = speedChallengeGenerator.summarize(config, rounds);
+
+      expect(result.is_correct).toBe(true);
+      expect(result.score).toBe(260);
+      expect(result.correct_count).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const spotDiffGenerator = require('../../src/services/tasks/spotDiffGenerator');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+const { createRng } = require('../../src/services/tasks/random');
+
+// Mock dependencies
+jest.mock('../../src/services/tasks/puzzleGenerator');
+jest.mock('../../src/utils/logger');
+
+describe('SpotDiffGenerator', () => {
+  const puzzleConfig = {
+    differences: [
+      { id: 0, x: 20, y: 20, width: 40, height: 40 },
+      { id: 1, x: 200, y: 200, width: 50, height: 30 }
+    ],
+    click_tolerance: 10,
+    max_misses: 2
+  };
+
+  describe('validateClicks', () => {
+    test('should accept clicks inside every region', () => {
+      const result = spotDiffGenerator.validateClicks(
+        [{ x: 30, y: 30 }, { x: 220, y: 210 }],
+        puzzleConfig,
+        60 * 1000
+      );
+
+      expect(result.is_correct).toBe(true);
+      expect(result.found_count).toBe(2);
+      expect(result.score).toBeGreaterThan(100);
+    });
+
+    test('should accept clicks within tolerance of a region', () => {
+      const result = spotDiffGenerator.validateClicks(
+        [{ x: 15, y: 65 }, { x: 255, y: 225 }],
+        puzzleConfig,
+        60 * 1000
+      );
+
+      expect(result.is_correct).toBe(true);
+    });
+
+    test('should not count the same region twice', () => {
+      const result = spotDiffGenerator.validateClicks(
+        [{ x: 30, y: 30 }, { x: 35, y: 35 }],
+        puzzleConfig,
+        60 * 1000
+      );
+
+      expect(result.is_correct).toBe(false);
+      expect(result.found_count).toBe(1);
+      expect(result.misses).toBe(1);
+    });
+
+    test('should fail when too many clicks miss', () => {
+      const result = spotDiffGenerator.validateClicks(
+        [{ x: 30, y: 30 }, { x: 220, y: 210 }, { x: 380, y: 5 }, { x: 5, y: 380 }, { x: 150, y: 380 }],
+        puzzleConfig,
+        60 * 1000
+      );
+
+      expect(result.is_correct).toBe(false);
+      expect(result.error).toBe('Too many incorrect clicks');
+    });
+
+    test('should reject malformed clicks', () => {
+      expect(() => spotDiffGenerator.validateClicks([{ x: 'a' }], puzzleConfig, 1000))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('findDifferenceRegions', () => {
+    test('should return bounding boxes of changed areas', () => {
+      const width = 40;
+      const height = 40;
+      const channels = 3;
+      const original = Buffer.alloc(width * height * channels, 100);
+      const modified = Buffer.from(original);
+
+      // Change a 10x10 block at (20, 10)
+      for (let y = 10; y < 20; y++) {
+        for (let x = 20; x < 30; x++) {
+          const offset = (y * width + x) * channels;
+          modified[offset] = 250;
+          modified[offset + 1] = 250;
+          modified[offset + 2] = 250;
+        }
+      }
+
+      const regions = spotDiffGenerator.findDifferenceRegions(original, modified, width, height, channels);
+
+      expect(regions).toEqual([{ x: 20, y: 10, width: 10, height: 10 }]);
+    });
+
+    test('should return no regions for identical images', () => {
+      const data = Buffer.alloc(20 * 20 * 3, 50);
+
+      expect(spotDiffGenerator.findDifferenceRegions(data, Buffer.from(data), 20, 20, 3)).toEqual([]);
+    });
+  });
+
+  describe('pickRegions', () => {
+    test('should place non-overlapping regions', () => {
+      const regions = spotDiffGenerator.pickRegions(10, createRng('regions'));
+
+      expect(regions).toHaveLength(10);
+      regions.forEach((region, index) => {
+        regions.slice(index + 1).forEach(other => {
+          expect(spotDiffGenerator.regionsOverlap(region, other)).toBe(false);
+        });
+      });
+    });
+
+    test('should place the same regions for the same seed', () => {
+      expect(spotDiffGenerator.pickRegions(5, createRng('seed-1')))
+        .toEqual(spotDiffGenerator.pickRegions(5, createRng('seed-1')));
+    });
+  });
+});
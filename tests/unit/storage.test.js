@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, storage } = require('../../src/storage');
+const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger');
+
+describe('Storage', () => {
+  describe('createStorage', () => {
+    test('should use driver from STORAGE_DRIVER', () => {
+      expect(storage.name).toBe('memory');
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createStorage('ftp')).toThrow('Unknown storage driver');
+    });
+  });
+
+  describe('memory driver', () => {
+    const memory = createStorage('memory', { baseUrl: 'http://files.test' });
+
+    beforeEach(() => {
+      memory.clear();
+    });
+
+    test('should round-trip uploaded files', async () => {
+      const url = await memory.upload('puzzles/a.jpg', Buffer.from('image'), 'image/jpeg');
+
+      expect(url).toBe('http://files.test/puzzles/a.jpg');
+      expect((await memory.download('puzzles/a.jpg')).toString()).toBe('image');
+    });
+
+    test('should resolve keys only for its own URLs', () => {
+      expect(memory.getKeyFromUrl('http://files.test/puzzles/a.jpg')).toBe('puzzles/a.jpg');
+      expect(memory.getKeyFromUrl('https://cdn.taskloot.com/puzzles/a.jpg')).toBeNull();
+    });
+
+    test('should delete files', async () => {
+      await memory.upload('puzzles/a.jpg', Buffer.from('image'), 'image/jpeg');
+      await memory.delete(['puzzles/a.jpg']);
+
+      expect(await memory.exists('puzzles/a.jpg')).toBe(false);
+      await expect(memory.download('puzzles/a.jpg')).rejects.toThrow('Object not found');
+    });
+  });
+
+  describe('local driver', () => {
+    let root;
+    let local;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'taskloot-storage-'));
+      local = createStorage('local', { root, baseUrl: 'http://localhost:3000/uploads' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('should write files under the storage root', async () => {
+      const url = await local.upload('puzzles/a.jpg', Buffer.from('image'), 'image/jpeg');
+
+      expect(url).toBe('http://localhost:3000/uploads/puzzles/a.jpg');
+      expect(local.publicPath).toBe('/uploads');
+      expect(fs.readFileSync(path.join(root, 'puzzles/a.jpg')).toString()).toBe('image');
+    });
+
+    test('should keep private keys outside the served root', async () => {
+      const privateRoot = path.join(root, 'private-root');
+      local = createStorage('local', { root: path.join(root, 'public-root'), privateRoot, baseUrl: 'http://localhost:3000/uploads' });
+
+      await local.upload('private/kyc/doc.pdf', Buffer.from('pdf'), 'application/pdf');
+
+      expect(fs.existsSync(path.join(privateRoot, 'private/kyc/doc.pdf'))).toBe(true);
+      expect(fs.existsSync(path.join(root, 'public-root', 'private'))).toBe(false);
+      expect((await local.download('private/kyc/doc.pdf')).toString()).toBe('pdf');
+    });
+
+    test('should reject keys that escape the storage root', async () => {
+      await expect(local.upload('../outside.jpg', Buffer.from('image'), 'image/jpeg'))
+        .rejects.toThrow('Invalid storage key');
+    });
+
+    test('should ignore missing files on delete', async () => {
+      await expect(local.delete(['puzzles/missing.jpg'])).resolves.toBeUndefined();
+    });
+  });
+
+  describe('puzzleGenerator', () => {
+    test('should delete only assets owned by the active driver', async () => {
+      const url = await puzzleGenerator.uploadFile('puzzles/b.jpg', Buffer.from('image'), 'image/jpeg');
+      const deleteSpy = jest.spyOn(storage, 'delete');
+
+      await puzzleGenerator.deletePuzzleAssets(url, ['https://elsewhere.example.com/puzzles/c.jpg']);
+
+      expect(deleteSpy).toHaveBeenCalledWith(['puzzles/b.jpg']);
+      expect(await storage.exists('puzzles/b.jpg')).toBe(false);
+    });
+  });
+});
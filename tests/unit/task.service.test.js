@@ -1,10 +1,12 @@
 const taskService = require('../../src/services/tasks/service');
-const { ValidationError, ConflictError, NotFoundError, ForbiddenError } = require('../../src/middleware/errorHandler');
+const { ValidationError, ConflictError, NotFoundError, ForbiddenError, SecurityError, GoneError } = require('../../src/middleware/errorHandler');
 
 // Mock dependencies
 jest.mock('../../src/database/connection');
 jest.mock('../../src/cache/redis');
 jest.mock('../../src/services/tasks/puzzleGenerator');
+jest.mock('../../src/services/tasks/spotDiffGenerator');
+jest.mock('../../src/services/tasks/moderationService');
 jest.mock('../../src/utils/logger');
 
 describe('TaskService', () => {
@@ -82,6 +84,43 @@ describe('TaskService', () => {
       expect(() => taskService.validateTaskData(invalidData))
         .toThrow(ValidationError);
     });
+
+    test('should require grid rows and columns together', () => {
+      const validData = {
+        title: 'Valid Task Title',
+        task_type: 'image-puzzle',
+        difficulty: 'easy',
+        reward_type: 'discount',
+        reward_value: 10.99,
+        reward_description: '10% discount on next purchase'
+      };
+
+      expect(() => taskService.validateTaskData({ ...validData, grid_rows: 4 }))
+        .toThrow('Grid rows and columns must be set together');
+      expect(() => taskService.validateTaskData({ ...validData, grid_cols: '6' }))
+        .toThrow(ValidationError);
+      expect(() => taskService.validateTaskData({ ...validData, grid_rows: 4, grid_cols: 6 })).not.toThrow();
+    });
+  });
+
+  describe('validateRewardLimits', () => {
+    test('should accept budget covering at least one reward', () => {
+      expect(() => taskService.validateRewardLimits({
+        max_rewards: 500,
+        reward_budget: 20000,
+        reward_value: 100
+      })).not.toThrow();
+    });
+
+    test('should reject non-integer max rewards', () => {
+      expect(() => taskService.validateRewardLimits({ max_rewards: 2.5, reward_value: 100 }))
+        .toThrow(ValidationError);
+    });
+
+    test('should reject budget smaller than reward value', () => {
+      expect(() => taskService.validateRewardLimits({ reward_budget: 50, reward_value: 100 }))
+        .toThrow(ValidationError);
+    });
   });
 
   describe('getGridSizeFromDifficulty', () => {
@@ -152,6 +191,169 @@ describe('TaskService', () => {
         expect.arrayContaining(['active', 'easy', 'image-puzzle'])
       );
     });
+
+    test('should hide active tasks past their end time', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ total: 0 }] });
+
+      await taskService.listTasks();
+
+      expect(query.mock.calls[0][0]).toContain('t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP');
+    });
+
+    test('should list every status of a company\'s tasks but deleted ones by default', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ total: 0 }] });
+
+      await taskService.listTasks({ company_id: 'company-123', status: 'all' });
+
+      const [countQuery, params] = query.mock.calls[0];
+      expect(countQuery).toContain("WHERE t.status != 'archived' AND t.company_id = $1");
+      expect(params[0]).toBe('company-123');
+    });
+
+    test('should find nearby tasks sorted by distance', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ total: 0 }] });
+
+      await taskService.listTasks({ lat: 19.076, lng: 72.8777, radius_km: 5 });
+
+      const [countQuery] = query.mock.calls[0];
+      const [tasksQuery, params] = query.mock.calls[1];
+      expect(countQuery).toContain('JOIN LATERAL');
+      expect(tasksQuery).toContain('ASIN(SQRT(');
+      expect(tasksQuery).toContain('sl.latitude BETWEEN $4 AND $5');
+      expect(tasksQuery).toContain('sl.longitude BETWEEN $6 AND $7');
+      expect(tasksQuery).toContain('loc.distance_km <= $8');
+      expect(tasksQuery).toContain('ORDER BY loc.distance_km ASC');
+      expect(tasksQuery).toContain('as nearest_location');
+      expect(params.slice(0, 3)).toEqual(['active', 19.076, 72.8777]);
+      expect(params[3]).toBeCloseTo(19.031, 3);
+      expect(params[7]).toBe(5);
+    });
+
+    test('should keep the requested order for nearby tasks', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ total: 0 }] });
+
+      await taskService.listTasks({ lat: 19.076, lng: 72.8777, sort_by: 'reward_value' });
+
+      expect(query.mock.calls[1][0]).toContain('ORDER BY t.reward_value DESC');
+    });
+
+    test('should page by cursor without counting', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({
+        rows: [
+          { id: 'task-3', title: 'Task 3', cursor_key: '2026-10-18 12:00:03.5' },
+          { id: 'task-2', title: 'Task 2', cursor_key: '2026-10-18 12:00:02.5' }
+        ]
+      });
+
+      const result = await taskService.listTasks({ pagination: 'cursor', limit: 1 });
+
+      expect(query).toHaveBeenCalledTimes(1);
+      const [tasksQuery, params] = query.mock.calls[0];
+      expect(tasksQuery).toContain('ORDER BY t.created_at DESC, t.id DESC');
+      expect(tasksQuery).not.toContain('OFFSET');
+      expect(params).toEqual(['active', 2]);
+      expect(result.tasks).toEqual([{ id: 'task-3', title: 'Task 3' }]);
+      expect(result.pagination.has_next).toBe(true);
+
+      query.mockClear();
+      query.mockResolvedValue({ rows: [] });
+      await taskService.listTasks({ cursor: result.pagination.next_cursor, limit: 1 });
+
+      const [nextQuery, nextParams] = query.mock.calls[0];
+      expect(nextQuery).toContain('(t.created_at, t.id) < ($2::timestamp, $3::uuid)');
+      expect(nextParams).toEqual(['active', '2026-10-18 12:00:03.5', 'task-3', 2]);
+    });
+
+    test('should require lat and lng together', async () => {
+      await expect(taskService.listTasks({ lat: 19.076 })).rejects.toThrow('lat and lng must be provided together');
+    });
+
+    test('should include unswept tasks in the expired filter', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ total: 0 }] });
+
+      await taskService.listTasks({ company_id: 'company-123', status: 'expired' });
+
+      const [countQuery, params] = query.mock.calls[0];
+      expect(countQuery).toContain('t.status = \'expired\' OR');
+      expect(countQuery).toContain('t.expires_at <= CURRENT_TIMESTAMP');
+      expect(params[0]).toBe('company-123');
+    });
+  });
+
+  describe('searchTasks', () => {
+    test('should build prefix queries from free text', () => {
+      expect(taskService.buildSearchQuery('Pizza  hu')).toBe('pizza:* & hu:*');
+      expect(taskService.buildSearchQuery('café-latte')).toBe('café:* & latte:*');
+    });
+
+    test('should drop tsquery operators from user input', () => {
+      expect(taskService.buildSearchQuery("pizza & !(burger | 'x')")).toBe('pizza:* & burger:* & x:*');
+      expect(taskService.buildSearchQuery('&& !!')).toBeNull();
+    });
+
+    test('should rank matches with the shared list filters', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('COUNT(*)')) {
+          return Promise.resolve({ rows: [{ total: 1 }] });
+        }
+        return Promise.resolve({
+          rows: [{ id: '1', title: 'Pizza Puzzle', rank: 0.6, highlights: { title: '<mark>Pizza</mark> Puzzle', description: '' } }]
+        });
+      });
+
+      const result = await taskService.searchTasks({ q: 'pizz', difficulty: 'easy' });
+
+      const [searchQuery, params] = query.mock.calls[1];
+      expect(searchQuery).toContain('ts_rank(');
+      expect(searchQuery).toContain('ORDER BY rank DESC');
+      expect(params.slice(0, 3)).toEqual(['active', 'easy', 'pizz:*']);
+      expect(result.tasks[0].highlights).toEqual({ title: '<mark>Pizza</mark> Puzzle', description: null });
+      expect(result.pagination.total_items).toBe(1);
+    });
+
+    test('should reject queries without words', async () => {
+      await expect(taskService.searchTasks({ q: '!!' })).rejects.toThrow(ValidationError);
+    });
+
+    test('should escape HTML in highlights but keep match marks', () => {
+      expect(taskService.escapeHighlights({ title: '<b>Free</b> <mark>pizza</mark> & "more"' })).toEqual({
+        title: '&lt;b&gt;Free&lt;/b&gt; <mark>pizza</mark> &amp; &quot;more&quot;'
+      });
+    });
+  });
+
+  describe('validateSchedule', () => {
+    test('should accept a future window', () => {
+      expect(() => taskService.validateSchedule({
+        starts_at: new Date(Date.now() + 3600000).toISOString(),
+        expires_at: new Date(Date.now() + 7200000).toISOString()
+      })).not.toThrow();
+    });
+
+    test('should reject an end time before the start time', () => {
+      expect(() => taskService.validateSchedule({
+        starts_at: new Date(Date.now() + 7200000).toISOString(),
+        expires_at: new Date(Date.now() + 3600000).toISOString()
+      })).toThrow('End time must be after the start time');
+    });
+
+    test('should reject an end time in the past only when setting it', () => {
+      const schedule = { expires_at: new Date(Date.now() - 3600000).toISOString() };
+
+      expect(() => taskService.validateSchedule(schedule)).toThrow('End time must be in the future');
+      expect(() => taskService.validateSchedule(schedule, false)).not.toThrow();
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => taskService.validateSchedule({ starts_at: 'tomorrow' })).toThrow(ValidationError);
+    });
   });
 
   describe('recordAttempt', () => {
@@ -164,22 +366,152 @@ describe('TaskService', () => {
         difficulty_multiplier: 1.0
       };
 
-      const { query } = require('../../src/database/connection');
+      const { query, withTransaction } = require('../../src/database/connection');
       query.mockImplementation((queryText, params) => {
         if (queryText.includes('SELECT * FROM tasks')) {
-          return Promise.resolve({ rows: [{ id: taskId, status: 'active' }] });
+          return Promise.resolve({ rows: [{ id: taskId, company_id: 'company-123', status: 'active' }] });
         }
         if (queryText.includes('SELECT id FROM task_attempts')) {
           return Promise.resolve({ rows: [] }); // No existing attempt
         }
-        return Promise.resolve({ rows: [{ id: 'attempt-123' }] });
+        return Promise.resolve({ rows: [] });
       });
 
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('INSERT INTO task_attempts')) {
+            return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: true, time_taken_seconds: 120 }] });
+          }
+          if (queryText.includes('FOR UPDATE')) {
+            return Promise.resolve({ rows: [{ id: taskId, reward_value: 50, rewards_issued: 0, budget_spent: 0 }] });
+          }
+          if (queryText.includes('SELECT reward_type, reward_value')) {
+            return Promise.resolve({ rows: [{ reward_type: 'coupon', reward_value: 50 }] });
+          }
+          if (queryText.includes('INSERT INTO user_rewards')) {
+            return Promise.resolve({ rows: [{ id: 'reward-123', reward_code: 'TLCODE', reward_type: 'coupon', reward_value: 50 }] });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+
       const result = await taskService.recordAttempt(taskId, userId, attemptData);
 
       expect(result).toHaveProperty('id');
       expect(result.is_successful).toBe(true);
       expect(result.time_taken_seconds).toBe(120);
+      expect(result.reward.id).toBe('reward-123');
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO transactions'),
+        expect.arrayContaining(['company-123', userId, 'reward-given', 50, taskId, 'reward-123'])
+      );
+    });
+
+    test('should not issue reward for failed attempt', async () => {
+      const taskId = 'task-123';
+      const userId = 'user-123';
+
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, company_id: 'company-123', status: 'active' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('INSERT INTO task_attempts')) {
+            return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: false }] });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+
+      const result = await taskService.recordAttempt(taskId, userId, {
+        is_successful: false,
+        time_taken_seconds: 300
+      });
+
+      expect(result.reward).toBeNull();
+      expect(client.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO user_rewards'),
+        expect.anything()
+      );
+    });
+
+    test('should expire task when last reward is issued', async () => {
+      const taskId = 'task-123';
+      const userId = 'user-123';
+
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, company_id: 'company-123', status: 'active' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('INSERT INTO task_attempts')) {
+            return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: true }] });
+          }
+          if (queryText.includes('FOR UPDATE')) {
+            return Promise.resolve({
+              rows: [{ id: taskId, reward_value: 50, max_rewards: 10, rewards_issued: 9, budget_spent: 450 }]
+            });
+          }
+          if (queryText.includes('SELECT reward_type, reward_value')) {
+            return Promise.resolve({ rows: [{ reward_type: 'coupon', reward_value: 50 }] });
+          }
+          if (queryText.includes('INSERT INTO user_rewards')) {
+            return Promise.resolve({ rows: [{ id: 'reward-123', reward_value: 50 }] });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+
+      await taskService.recordAttempt(taskId, userId, { is_successful: true, time_taken_seconds: 60 });
+
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET rewards_issued = $1'),
+        [10, 500, true, taskId]
+      );
+    });
+
+    test('should reject reward when budget is exhausted', async () => {
+      const taskId = 'task-123';
+      const userId = 'user-123';
+
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, company_id: 'company-123', status: 'active' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('INSERT INTO task_attempts')) {
+            return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: true }] });
+          }
+          if (queryText.includes('FOR UPDATE')) {
+            return Promise.resolve({
+              rows: [{ id: taskId, reward_value: 50, reward_budget: 1000, rewards_issued: 19, budget_spent: 960 }]
+            });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+
+      await expect(taskService.recordAttempt(taskId, userId, { is_successful: true, time_taken_seconds: 60 }))
+        .rejects.toThrow('All rewards for this task have been claimed');
     });
 
     test('should reject duplicate attempt', async () => {
@@ -232,47 +564,1268 @@ describe('TaskService', () => {
     });
   });
 
-  describe('publishTask', () => {
-    test('should publish valid task', async () => {
-      const taskId = 'task-123';
-      const companyId = 'company-123';
+  describe('puzzle sessions', () => {
+    const taskId = 'task-123';
+    const userId = 'user-123';
+    const puzzleConfig = {
+      grid_size: 3,
+      piece_count: 9,
+      shuffled_order: [3, 1, 0, 2, 5, 4, 8, 6, 7],
+      correct_solution: [0, 1, 2, 3, 4, 5, 6, 7, 8]
+    };
+
+    beforeEach(() => {
+      const { cacheService } = require('../../src/cache/redis');
+      cacheService.incr.mockResolvedValue(1);
+    });
 
+    test('should start session with server-side timestamp and signed token', async () => {
       const { query } = require('../../src/database/connection');
-      query.mockImplementation((queryText, params) => {
+      const { cacheService } = require('../../src/cache/redis');
+      query.mockImplementation((queryText) => {
         if (queryText.includes('SELECT * FROM tasks')) {
-          return Promise.resolve({ 
-            rows: [{ 
-              id: taskId,
-              company_id: companyId,
-              status: 'draft',
-              image_url: 'https://example.com/image.jpg',
-              reward_value: 10.99
-            }] 
+          return Promise.resolve({
+            rows: [{ id: taskId, status: 'active', puzzle_config: puzzleConfig }]
           });
         }
-        return Promise.resolve({ rows: [{ id: taskId, status: 'active' }] });
+        return Promise.resolve({ rows: [] });
       });
+      cacheService.set.mockResolvedValue(true);
 
-      const result = await taskService.publishTask(taskId, companyId);
+      const session = await taskService.startSession(taskId, userId);
 
-      expect(result.status).toBe('active');
+      expect(session).toHaveProperty('session_id');
+      expect(session).toHaveProperty('started_at');
+      expect(session).not.toHaveProperty('correct_solution');
+      expect(session).not.toHaveProperty('seed');
+      expect(session.session_token).toBe(taskService.signSession({
+        id: session.session_id,
+        task_id: taskId,
+        user_id: userId,
+        started_at: new Date(session.started_at).getTime()
+      }));
     });
 
-    test('should reject publishing active task', async () => {
-      const taskId = 'task-123';
-      const companyId = 'company-123';
+    test('should shuffle each session board from its own seed', async () => {
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+      const { createRng } = require('../../src/services/tasks/random');
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      puzzleGenerator.shuffleArray.mockImplementation((array, seed) => createRng(seed).shuffle(array));
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: taskId, status: 'active', task_type: 'image-puzzle', puzzle_config: puzzleConfig }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      cacheService.set.mockResolvedValue(true);
+
+      const session = await taskService.startSession(taskId, userId);
+      const stored = cacheService.set.mock.calls[0][1];
+
+      expect(stored.seed).toBe(taskService.deriveSessionSeed({
+        id: session.session_id,
+        task_id: taskId,
+        user_id: userId
+      }));
+      expect(session.shuffled_order).toEqual(createRng(stored.seed).shuffle([0, 1, 2, 3, 4, 5, 6, 7, 8]));
+      expect(taskService.buildSessionBoard('image-puzzle', puzzleConfig, stored.seed)).toEqual({
+        grid_size: 3,
+        rows: 3,
+        cols: 3,
+        piece_count: 9,
+        piece_shape: 'square',
+        shuffled_order: session.shuffled_order
+      });
+    });
+
+    test('should derive different seeds for different sessions', () => {
+      const seedA = taskService.deriveSessionSeed({ id: 'session-a', task_id: taskId, user_id: userId });
+      const seedB = taskService.deriveSessionSeed({ id: 'session-b', task_id: taskId, user_id: userId });
+
+      expect(seedA).toMatch(/^[0-9a-f]{64}$/);
+      expect(seedA).not.toBe(seedB);
+    });
 
+    test('should reject session for task without puzzle', async () => {
       const { query } = require('../../src/database/connection');
-      query.mockResolvedValue({ 
-        rows: [{ 
-          id: taskId,
-          company_id: companyId,
-          status: 'active' // Already active
-        }] 
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, status: 'active', puzzle_config: null }] });
+        }
+        return Promise.resolve({ rows: [] });
       });
 
-      await expect(taskService.publishTask(taskId, companyId))
-        .rejects.toThrow(ForbiddenError);
+      await expect(taskService.startSession(taskId, userId))
+        .rejects.toThrow(ValidationError);
+    });
+
+    test('should refuse a second session once the attempt is claimed', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: taskId, status: 'active', puzzle_config: puzzleConfig, expires_at: expiresAt }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      cacheService.set.mockResolvedValue(true);
+      cacheService.incr.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+      await taskService.startSession(taskId, userId);
+
+      await expect(taskService.startSession(taskId, userId))
+        .rejects.toThrow(ConflictError);
+      expect(cacheService.incr).toHaveBeenCalledWith(`puzzle_attempt:${taskId}:${userId}`);
+      // The claim lasts until the task ends, well past the session itself
+      expect(cacheService.expire.mock.calls[0][1]).toBeGreaterThan(taskService.sessionTTL);
+      expect(cacheService.set).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the claim when the session cannot start', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, status: 'active', puzzle_config: puzzleConfig }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      cacheService.set.mockResolvedValue(false);
+
+      await expect(taskService.startSession(taskId, userId))
+        .rejects.toThrow('Failed to start puzzle session');
+      expect(cacheService.del).toHaveBeenCalledWith(`puzzle_attempt:${taskId}:${userId}`);
+    });
+
+    test('should validate submission on the server and record attempt', async () => {
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+      const { query, withTransaction } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const session = {
+        id: 'session-123',
+        task_id: taskId,
+        user_id: userId,
+        started_at: Date.now() - 60 * 1000,
+        seed: 'a1b2c3',
+        task_version: 2
+      };
+      const clientQuery = jest.fn((queryText) => {
+        if (queryText.includes('INSERT INTO task_attempts')) {
+          return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: true }] });
+        }
+        if (queryText.includes('FOR UPDATE')) {
+          return Promise.resolve({ rows: [{ id: taskId, reward_value: 50, rewards_issued: 0, budget_spent: 0 }] });
+        }
+        if (queryText.includes('SELECT reward_type, reward_value')) {
+          return Promise.resolve({ rows: [{ reward_type: 'coupon', reward_value: 50 }] });
+        }
+        if (queryText.includes('INSERT INTO user_rewards')) {
+          return Promise.resolve({ rows: [{ id: 'reward-123', reward_value: 50 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      cacheService.get.mockResolvedValue(session);
+      puzzleGenerator.shuffleArray.mockReturnValue([2, 0, 1, 3, 4, 5, 6, 7, 8]);
+      puzzleGenerator.getSolutionForOrder.mockReturnValue([1, 2, 0, 3, 4, 5, 6, 7, 8]);
+      puzzleGenerator.validateSolution.mockReturnValue({ is_correct: true, score: 140, time_bonus: 40 });
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT task_type, difficulty, puzzle_config FROM tasks')) {
+          return Promise.resolve({ rows: [{ difficulty: 'easy', puzzle_config: JSON.stringify(puzzleConfig) }] });
+        }
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, status: 'active', current_version: 3 }] });
+        }
+        if (queryText.includes('SELECT id FROM task_attempts')) {
+          return Promise.resolve({ rows: [] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      const result = await taskService.submitSession(taskId, userId, session.id, {
+        solution: [1, 2, 0, 3, 4, 5, 6, 7, 8],
+        session_token: taskService.signSession(session)
+      });
+
+      // Checked against the board dealt from the session's seed, not the unshuffled order
+      expect(puzzleGenerator.shuffleArray).toHaveBeenCalledWith([0, 1, 2, 3, 4, 5, 6, 7, 8], 'a1b2c3');
+      expect(puzzleGenerator.getSolutionForOrder).toHaveBeenCalledWith([2, 0, 1, 3, 4, 5, 6, 7, 8]);
+      expect(puzzleGenerator.validateSolution).toHaveBeenCalledWith(
+        [1, 2, 0, 3, 4, 5, 6, 7, 8],
+        [1, 2, 0, 3, 4, 5, 6, 7, 8],
+        expect.any(Number)
+      );
+      expect(result.result.is_correct).toBe(true);
+      expect(result.attempt).toHaveProperty('id');
+      expect(result.attempt.reward.id).toBe('reward-123');
+      expect(cacheService.del).toHaveBeenCalledWith('puzzle_session:session-123');
+      expect(clientQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO task_attempts'),
+        expect.arrayContaining(['a1b2c3'])
+      );
+      // Edits made while playing don't move the attempt to the new version
+      expect(clientQuery.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO task_attempts'))[1][8]).toBe(2);
+    });
+
+    test('should score submissions faster than the difficulty allows as failed', async () => {
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+      const { query, withTransaction } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const session = {
+        id: 'session-123',
+        task_id: taskId,
+        user_id: userId,
+        started_at: Date.now() - 2000,
+        seed: 'a1b2c3',
+        task_version: 2
+      };
+      const clientQuery = jest.fn((queryText) => {
+        if (queryText.includes('INSERT INTO task_attempts')) {
+          return Promise.resolve({ rows: [{ id: 'attempt-123', is_successful: false }] });
+        }
+        if (queryText.includes('FOR UPDATE')) {
+          return Promise.resolve({ rows: [{ id: taskId, reward_value: 50, rewards_issued: 0, budget_spent: 0 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      cacheService.get.mockResolvedValue(session);
+      puzzleGenerator.validateSolution.mockReturnValue({ is_correct: true, score: 150, time_bonus: 50 });
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT task_type, difficulty, puzzle_config FROM tasks')) {
+          return Promise.resolve({ rows: [{ task_type: 'image-puzzle', difficulty: 'medium', puzzle_config: puzzleConfig }] });
+        }
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: taskId, status: 'active', current_version: 3 }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      const result = await taskService.submitSession(taskId, userId, session.id, {
+        solution: [1, 2, 0, 3, 4, 5, 6, 7, 8],
+        session_token: taskService.signSession(session)
+      });
+
+      expect(result.result).toMatchObject({ is_correct: false, score: 0, time_bonus: 0 });
+      expect(clientQuery.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO task_attempts'))[1])
+        .toContain(false);
+      expect(clientQuery).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO user_rewards'), expect.anything());
+    });
+
+    test('should replay attempt board from stored seed', async () => {
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+      const { query } = require('../../src/database/connection');
+      puzzleGenerator.shuffleArray.mockReturnValue([8, 7, 6, 5, 4, 3, 2, 1, 0]);
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM task_attempts')) {
+          return Promise.resolve({ rows: [{ id: 'attempt-123', task_id: taskId, seed: 'a1b2c3' }] });
+        }
+        if (queryText.includes('SELECT task_type, puzzle_config FROM tasks')) {
+          return Promise.resolve({ rows: [{ task_type: 'image-puzzle', puzzle_config: puzzleConfig }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const replay = await taskService.replayAttempt(taskId, 'attempt-123');
+
+      expect(puzzleGenerator.shuffleArray).toHaveBeenCalledWith([0, 1, 2, 3, 4, 5, 6, 7, 8], 'a1b2c3');
+      expect(replay.seed).toBe('a1b2c3');
+      expect(replay.board.shuffled_order).toEqual([8, 7, 6, 5, 4, 3, 2, 1, 0]);
+    });
+
+    test('should replay the puzzle of the version the attempt was played on', async () => {
+      const { query } = require('../../src/database/connection');
+      const previousConfig = { ...puzzleConfig, grid_size: 2, piece_count: 4, shuffled_order: [1, 0, 3, 2] };
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM task_attempts')) {
+          return Promise.resolve({ rows: [{ id: 'attempt-123', task_id: taskId, seed: null, task_version: 2 }] });
+        }
+        if (queryText.includes('SELECT task_type, puzzle_config FROM tasks')) {
+          return Promise.resolve({ rows: [{ task_type: 'image-puzzle', puzzle_config: puzzleConfig }] });
+        }
+        if (queryText.includes('FROM task_versions')) {
+          return Promise.resolve({ rows: [{ snapshot: { title: 'Pizza Puzzle', puzzle_config: previousConfig } }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const replay = await taskService.replayAttempt(taskId, 'attempt-123');
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining('FROM task_versions'), [taskId, 2]);
+      expect(replay.puzzle_config).toEqual(previousConfig);
+      expect(replay.board.shuffled_order).toEqual([1, 0, 3, 2]);
+    });
+
+    test('should not report a seed for boards that are the same for every player', async () => {
+      const { query } = require('../../src/database/connection');
+      const logicPuzzleGenerator = require('../../src/services/tasks/logicPuzzleGenerator');
+      const config = logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'easy', 'seed');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM task_attempts')) {
+          return Promise.resolve({ rows: [{ id: 'attempt-123', task_id: taskId, seed: 'a1b2c3', task_version: 1 }] });
+        }
+        if (queryText.includes('SELECT task_type, puzzle_config FROM tasks')) {
+          return Promise.resolve({ rows: [{ task_type: 'logic', puzzle_config: config }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const replay = await taskService.replayAttempt(taskId, 'attempt-123');
+
+      expect(replay.seed).toBeNull();
+      expect(replay.attempt.seed).toBeNull();
+      expect(replay.board).toEqual(logicPuzzleGenerator.getPublicBoard(config));
+    });
+
+    test('should ship jigsaw connectors and renditions with the board', () => {
+      const jigsawConfig = {
+        ...puzzleConfig,
+        grid_size: null,
+        rows: 2,
+        cols: 3,
+        piece_count: 6,
+        piece_shape: 'jigsaw',
+        renditions: { standard: { image_url: 'memory://storage/a.jpg', piece_urls: [] } },
+        pieces: [...Array(6).keys()].map(index => ({
+          index,
+          hash: 'hash',
+          connectors: { top: 0, right: 1, bottom: -1, left: 0 }
+        }))
+      };
+
+      const board = taskService.buildSessionBoard('image-puzzle', jigsawConfig, null);
+
+      expect(board.rows).toBe(2);
+      expect(board.cols).toBe(3);
+      expect(board.connectors).toHaveLength(6);
+      expect(board.renditions.standard.image_url).toBe('memory://storage/a.jpg');
+      expect(board).not.toHaveProperty('correct_solution');
+    });
+
+    test('should replay attempts recorded before seeding with the task board', () => {
+      const board = taskService.buildSessionBoard('image-puzzle', puzzleConfig, null);
+
+      expect(board.shuffled_order).toEqual(puzzleConfig.shuffled_order);
+    });
+
+    test('should start spot-diff session without exposing difference regions', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{
+              id: taskId,
+              status: 'active',
+              task_type: 'spot-diff',
+              puzzle_config: {
+                image_url: 'https://cdn.taskloot.com/puzzles/a-original.jpg',
+                modified_image_url: 'https://cdn.taskloot.com/puzzles/a-modified.jpg',
+                width: 400,
+                height: 400,
+                difference_count: 1,
+                differences: [{ id: 0, x: 10, y: 10, width: 40, height: 40 }]
+              }
+            }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      cacheService.set.mockResolvedValue(true);
+
+      const session = await taskService.startSession(taskId, userId);
+
+      expect(session.modified_image_url).toBe('https://cdn.taskloot.com/puzzles/a-modified.jpg');
+      expect(session.difference_count).toBe(1);
+      expect(session).not.toHaveProperty('differences');
+    });
+
+    test('should validate spot-diff submissions with click validator', () => {
+      const spotDiffGenerator = require('../../src/services/tasks/spotDiffGenerator');
+      const config = { differences: [{ id: 0, x: 10, y: 10, width: 40, height: 40 }] };
+      const clicks = [{ x: 20, y: 20 }];
+      spotDiffGenerator.validateClicks.mockReturnValue({ is_correct: true, score: 150 });
+
+      const result = taskService.validateSubmission('spot-diff', clicks, config, 1000);
+
+      expect(spotDiffGenerator.validateClicks).toHaveBeenCalledWith(clicks, config, 1000);
+      expect(result.is_correct).toBe(true);
+    });
+
+    test('should build logic puzzle board without solution or seed', () => {
+      const logicPuzzleGenerator = require('../../src/services/tasks/logicPuzzleGenerator');
+      const config = logicPuzzleGenerator.generateLogicPuzzle('sudoku', 'easy', 'seed');
+
+      const board = taskService.buildSessionBoard('logic', config);
+
+      expect(board.variant).toBe('sudoku');
+      expect(board.board.givens).toHaveLength(16);
+      expect(board).not.toHaveProperty('correct_solution');
+      expect(board).not.toHaveProperty('seed');
+    });
+
+    test('should reject click coordinates for image puzzles', () => {
+      expect(() => taskService.validateSubmission('image-puzzle', [{ x: 1, y: 2 }], puzzleConfig, 1000))
+        .toThrow(ValidationError);
+    });
+
+    test('should serve next speed challenge round after an answer', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const speedChallengeGenerator = require('../../src/services/tasks/speedChallengeGenerator');
+      const config = speedChallengeGenerator.buildSpeedChallenge([
+        { type: 'multiple-choice', prompt: 'First question', options: ['a', 'b'], answer: 0 },
+        { type: 'type-answer', prompt: 'Second question', answers: ['yes'] }
+      ]);
+      const session = {
+        id: 'session-123',
+        task_id: taskId,
+        user_id: userId,
+        started_at: Date.now() - 3000,
+        round: 0,
+        round_started_at: Date.now() - 3000,
+        rounds: []
+      };
+
+      cacheService.get.mockResolvedValue(session);
+      cacheService.incr.mockResolvedValue(1);
+      cacheService.set.mockResolvedValue(true);
+      query.mockResolvedValue({ rows: [{ puzzle_config: config }] });
+
+      const result = await taskService.answerRound(taskId, userId, session.id, {
+        answer: 0,
+        session_token: taskService.signSession(session)
+      });
+
+      expect(result.round_result.is_correct).toBe(true);
+      expect(result.next_question.round).toBe(1);
+      expect(result.next_question).not.toHaveProperty('answers');
+      expect(cacheService.set).toHaveBeenCalledWith(
+        'puzzle_session:session-123',
+        expect.objectContaining({ round: 1 }),
+        expect.any(Number)
+      );
+    });
+
+    test('should not open a parallel speed challenge session to preview questions', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const speedChallengeGenerator = require('../../src/services/tasks/speedChallengeGenerator');
+      const config = speedChallengeGenerator.buildSpeedChallenge([
+        { type: 'multiple-choice', prompt: 'First question', options: ['a', 'b'], answer: 0 },
+        { type: 'type-answer', prompt: 'Second question', answers: ['yes'] }
+      ]);
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: taskId, status: 'active', task_type: 'speed-challenge', puzzle_config: config }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      cacheService.set.mockResolvedValue(true);
+      cacheService.incr.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+      const session = await taskService.startSession(taskId, userId);
+      expect(session.question.round).toBe(0);
+
+      await expect(taskService.startSession(taskId, userId))
+        .rejects.toThrow('You have already started this task');
+      expect(cacheService.set).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a second answer for the same round', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const session = {
+        id: 'session-123',
+        task_id: taskId,
+        user_id: userId,
+        started_at: Date.now(),
+        round: 0,
+        round_started_at: Date.now(),
+        rounds: []
+      };
+
+      cacheService.get.mockResolvedValue(session);
+      cacheService.incr.mockResolvedValue(2);
+      query.mockResolvedValue({ rows: [{ puzzle_config: { question_count: 2, questions: [] } }] });
+
+      await expect(taskService.answerRound(taskId, userId, session.id, {
+        answer: 1,
+        session_token: taskService.signSession(session)
+      })).rejects.toThrow(ConflictError);
+    });
+
+    test('should reject submission with forged session token', async () => {
+      const { cacheService } = require('../../src/cache/redis');
+      cacheService.get.mockResolvedValue({
+        id: 'session-123',
+        task_id: taskId,
+        user_id: userId,
+        started_at: Date.now()
+      });
+
+      await expect(taskService.submitSession(taskId, userId, 'session-123', {
+        solution: puzzleConfig.correct_solution,
+        session_token: 'forged'
+      })).rejects.toThrow(SecurityError);
+    });
+
+    test('should reject submission for unknown session', async () => {
+      const { cacheService } = require('../../src/cache/redis');
+      cacheService.get.mockResolvedValue(null);
+
+      await expect(taskService.submitSession(taskId, userId, 'missing', {
+        solution: puzzleConfig.correct_solution,
+        session_token: 'token'
+      })).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('puzzle generation', () => {
+    const taskData = {
+      title: 'Pizza Puzzle',
+      task_type: 'image-puzzle',
+      difficulty: 'medium',
+      reward_type: 'discount',
+      reward_value: 10,
+      reward_description: '10% off your next order',
+      image_file: Buffer.from('image').toString('base64'),
+      piece_shape: 'jigsaw'
+    };
+
+    const generationJob = {
+      id: 'job-123',
+      status: 'queued',
+      attempts: 0,
+      max_attempts: 3,
+      source_keys: { image: 'sources/job-123-image' },
+      options: { piece_shape: 'jigsaw' }
+    };
+
+    test('should queue image tasks instead of generating inline', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+      puzzleGenerator.isValidImage.mockResolvedValue(true);
+      puzzleGenerator.uploadFile.mockResolvedValue('memory://storage/sources/job-123-image');
+      cacheService.pushToQueue.mockResolvedValue(true);
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('INSERT INTO tasks')) {
+          return Promise.resolve({
+            rows: [{ id: 'task-123', status: params[14], generation_job: JSON.parse(params[13]) }]
+          });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query }));
+
+      const task = await taskService.createTask('company-123', taskData);
+
+      expect(task.status).toBe('processing');
+      expect(task.generation_job).toMatchObject({ status: 'queued', attempts: 0 });
+      expect(task.generation_job.source_keys).toBeUndefined();
+      expect(puzzleGenerator.generateImagePuzzle).not.toHaveBeenCalled();
+
+      const sourceKey = puzzleGenerator.uploadFile.mock.calls[0][0];
+      expect(sourceKey).toBe(`sources/${task.generation_job.id}-image`);
+      expect(cacheService.pushToQueue).toHaveBeenCalledWith('queue:puzzle_generation', expect.objectContaining({
+        id: task.generation_job.id,
+        task_id: 'task-123'
+      }));
+    });
+
+    test('should reject unreadable images before queueing', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+      puzzleGenerator.isValidImage.mockResolvedValue(false);
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(taskService.createTask('company-123', taskData)).rejects.toThrow(ValidationError);
+      expect(puzzleGenerator.uploadFile).not.toHaveBeenCalled();
+      expect(cacheService.pushToQueue).not.toHaveBeenCalled();
+    });
+
+    test('should generate the puzzle and return the task to draft', async () => {
+      const { query } = require('../../src/database/connection');
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+      puzzleGenerator.downloadFile.mockResolvedValue(Buffer.from('image'));
+      puzzleGenerator.generateImagePuzzle.mockResolvedValue({
+        image_url: 'memory://storage/puzzles/p-standard.jpg',
+        rows: 4,
+        cols: 4,
+        complexity: { score: 70, level: 'easy', texture_repetition: 0 }
+      });
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: 'task-123', task_type: 'image-puzzle', difficulty: 'medium', generation_job: generationJob }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-123' }] });
+      });
+
+      const generated = await taskService.generateTaskPuzzle({ id: 'job-123', task_id: 'task-123', attempts: 1 });
+
+      expect(generated).toBe(true);
+      expect(puzzleGenerator.downloadFile).toHaveBeenCalledWith('sources/job-123-image');
+      expect(puzzleGenerator.generateImagePuzzle).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({
+        pieceCount: 16,
+        pieceShape: 'jigsaw'
+      }));
+
+      const [startQuery, startParams] = query.mock.calls[1];
+      expect(startQuery).toContain('generation_job ||');
+      expect(startParams[3]).toBe('processing');
+
+      const [finishQuery, finishParams] = query.mock.calls[2];
+      expect(finishQuery).toContain('status = \'draft\'');
+      expect(finishParams[2]).toBe('memory://storage/puzzles/p-standard.jpg');
+      expect(JSON.parse(finishParams[5])).toMatchObject({ status: 'completed', error: null, warnings: [] });
+    });
+
+    test('should skip jobs for deleted or regenerated tasks', async () => {
+      const { query } = require('../../src/database/connection');
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [{ id: 'task-123', generation_job: { ...generationJob, id: 'job-456' } }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const generated = await taskService.generateTaskPuzzle({ id: 'job-123', task_id: 'task-123', attempts: 1 });
+
+      expect(generated).toBe(false);
+      expect(puzzleGenerator.downloadFile).not.toHaveBeenCalled();
+    });
+
+    test('should keep the task processing while a retry is pending', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ id: 'task-123' }] });
+      const retryAt = new Date('2026-10-18T13:00:10.000Z');
+
+      await taskService.recordGenerationFailure(
+        { id: 'job-123', task_id: 'task-123', attempts: 1 },
+        new Error('connect ECONNREFUSED 10.0.3.7:9000'),
+        retryAt
+      );
+
+      const [, params] = query.mock.calls[0];
+      expect(JSON.parse(params[2])).toEqual({
+        status: 'retrying',
+        attempts: 1,
+        error: 'Puzzle generation failed',
+        next_attempt_at: '2026-10-18T13:00:10.000Z'
+      });
+      expect(params[3]).toBe('processing');
+    });
+
+    test('should keep the message of errors worded for users', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ id: 'task-123' }] });
+
+      await taskService.recordGenerationFailure(
+        { id: 'job-123', task_id: 'task-123', attempts: 1 },
+        new ValidationError('Invalid image format. Must be JPEG/PNG and < 5MB'),
+        null
+      );
+
+      const [, params] = query.mock.calls[0];
+      expect(JSON.parse(params[2]).error).toBe('Invalid image format. Must be JPEG/PNG and < 5MB');
+    });
+
+    test('should fail the task when the job gives up', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ id: 'task-123' }] });
+
+      await taskService.recordGenerationFailure(
+        { id: 'job-123', task_id: 'task-123', attempts: 3 },
+        new Error('Out of memory'),
+        null
+      );
+
+      const [, params] = query.mock.calls[0];
+      expect(JSON.parse(params[2])).toMatchObject({ status: 'failed', attempts: 3, next_attempt_at: null });
+      expect(params[3]).toBe('failed');
+    });
+
+    test('should expose job status without storage keys on task details', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+
+      cacheService.get.mockResolvedValue(null);
+      query.mockResolvedValue({
+        rows: [{ id: 'task-123', company_id: 'company-123', status: 'processing', generation_job: generationJob }]
+      });
+
+      const task = await taskService.getTask('task-123', 'company-123', 'company');
+
+      expect(task.generation_job).toEqual({ id: 'job-123', status: 'queued', attempts: 0, max_attempts: 3 });
+    });
+
+    test('should show the generation job to its company and admins only', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+
+      cacheService.get.mockResolvedValue(null);
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM task_attempts')) {
+          return Promise.resolve({ rows: [] });
+        }
+        return Promise.resolve({
+          rows: [{ id: 'task-123', company_id: 'company-123', status: 'processing', generation_job: generationJob }]
+        });
+      });
+
+      expect(await taskService.getTask('task-123')).not.toHaveProperty('generation_job');
+      expect(await taskService.getTask('task-123', 'player-123', 'user')).not.toHaveProperty('generation_job');
+      expect((await taskService.getTask('task-123', 'admin-123', 'admin')).generation_job)
+        .toMatchObject({ id: 'job-123', status: 'queued' });
+    });
+  });
+
+  describe('store locations', () => {
+    test('should attach store locations to new tasks', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const clientQuery = jest.fn((queryText) => {
+        if (queryText.includes('INSERT INTO tasks')) {
+          return Promise.resolve({ rows: [{ id: 'task-123', status: 'draft' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM store_locations')) {
+          return Promise.resolve({ rows: [{ id: 'loc-1' }, { id: 'loc-2' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      await taskService.createTask('company-123', {
+        title: 'Sudoku Sprint',
+        task_type: 'logic',
+        difficulty: 'easy',
+        reward_type: 'discount',
+        reward_value: 10,
+        reward_description: '10% off your next order',
+        location_ids: 'loc-1, loc-2'
+      });
+
+      const [, ownedParams] = query.mock.calls.find(([queryText]) => queryText.includes('FROM store_locations'));
+      expect(ownedParams).toEqual(['company-123', ['loc-1', 'loc-2']]);
+      expect(clientQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO task_locations'),
+        ['task-123', ['loc-1', 'loc-2']]
+      );
+    });
+
+    test('should reject locations of other companies', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('FROM store_locations')) {
+          return Promise.resolve({ rows: [{ id: 'loc-1' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await expect(taskService.createTask('company-123', {
+        title: 'Sudoku Sprint',
+        task_type: 'logic',
+        difficulty: 'easy',
+        reward_type: 'discount',
+        reward_value: 10,
+        reward_description: '10% off your next order',
+        location_ids: ['loc-1', 'loc-9']
+      })).rejects.toThrow('location_ids must be store locations of your company');
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cloneTask', () => {
+    const sourceTask = {
+      id: 'task-123',
+      company_id: 'company-123',
+      title: 'Weekly Pizza Puzzle',
+      description: 'Solve this fun puzzle!',
+      task_type: 'image-puzzle',
+      difficulty: 'medium',
+      reward_type: 'discount',
+      reward_value: '10.00',
+      reward_description: '10% off your next order',
+      max_rewards: 100,
+      reward_budget: null,
+      image_url: 'https://cdn.example.com/puzzles/abc/original.jpg',
+      puzzle_config: { rows: 4, cols: 4 },
+      complexity_score: '55.00',
+      starts_at: '2026-10-20T10:00:00.000Z',
+      expires_at: '2026-10-27T10:00:00.000Z',
+      status: 'expired'
+    };
+
+    const mockClone = (titles = []) => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const clientQuery = jest.fn((queryText, params) => {
+        if (queryText.includes('INSERT INTO tasks')) {
+          return Promise.resolve({ rows: [{ id: 'task-456', title: params[1], starts_at: params[10], expires_at: params[11] }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ rows: [sourceTask] });
+        }
+        if (queryText.includes('LIKE')) {
+          return Promise.resolve({ rows: titles.map(title => ({ title })) });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      return clientQuery;
+    };
+
+    test('should copy the puzzle and shift the schedule', async () => {
+      const clientQuery = mockClone();
+
+      const task = await taskService.cloneTask('task-123', 'company-123', { schedule_offset_days: 7 });
+
+      expect(task.title).toBe('Weekly Pizza Puzzle (copy)');
+      expect(task.starts_at).toBe('2026-10-27T10:00:00.000Z');
+      expect(task.expires_at).toBe('2026-11-03T10:00:00.000Z');
+
+      const [, params] = clientQuery.mock.calls[0];
+      expect(params[12]).toBe(sourceTask.image_url);
+      expect(JSON.parse(params[13])).toEqual({ rows: 4, cols: 4 });
+      expect(clientQuery).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO task_locations'), ['task-456', 'task-123']);
+    });
+
+    test('should number repeated copies', async () => {
+      mockClone(['weekly pizza puzzle (copy)', 'weekly pizza puzzle (copy 2)']);
+
+      expect(await taskService.getCopyTitle('company-123', 'Weekly Pizza Puzzle (copy 2)')).toBe('Weekly Pizza Puzzle (copy 3)');
+    });
+
+    test('should reject a schedule that would already be over', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({
+        rows: [{ ...sourceTask, starts_at: '2020-01-01T10:00:00.000Z', expires_at: '2020-01-08T10:00:00.000Z' }]
+      });
+
+      await expect(taskService.cloneTask('task-123', 'company-123', { schedule_offset_days: 7 }))
+        .rejects.toThrow(ValidationError);
+    });
+
+    test('should reject tasks still being generated', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ ...sourceTask, status: 'processing' }] });
+
+      await expect(taskService.cloneTask('task-123', 'company-123')).rejects.toThrow(ConflictError);
+    });
+
+    test('should keep shared puzzle images when purging a task', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT 1 FROM tasks WHERE image_url')) {
+          return Promise.resolve({ rows: [{ '?column?': 1 }] });
+        }
+        return Promise.resolve({ rows: [{ ...sourceTask, status: 'archived' }] });
+      });
+      withTransaction.mockImplementation((callback) => callback({
+        query: jest.fn((queryText) => Promise.resolve({
+          rows: queryText.includes('COUNT(*)') ? [{ count: '0' }] : [{ id: 'task-123' }]
+        }))
+      }));
+
+      expect(await taskService.purgeArchivedTasks()).toEqual(['task-123']);
+      expect(puzzleGenerator.deletePuzzleAssets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('archiving', () => {
+    const taskId = 'task-123';
+    const companyId = 'company-123';
+    const task = {
+      id: taskId,
+      company_id: companyId,
+      title: 'Pizza Puzzle',
+      status: 'active',
+      image_url: 'https://cdn.example.com/puzzles/abc/original.jpg',
+      puzzle_config: { rows: 4, cols: 4 }
+    };
+
+    const mockArchive = (outstanding = 0) => {
+      const { withTransaction } = require('../../src/database/connection');
+      const clientQuery = jest.fn((queryText) => {
+        if (queryText.includes('COUNT(*)')) {
+          return Promise.resolve({ rows: [{ count: String(outstanding) }] });
+        }
+        if (queryText.includes("SET status = 'archived'")) {
+          return Promise.resolve({
+            rows: [{ ...task, status: 'archived', archived_from_status: 'active', archived_at: '2026-10-18T12:00:00.000Z' }]
+          });
+        }
+        return Promise.resolve({ rows: [task] });
+      });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      return clientQuery;
+    };
+
+    test('should archive instead of deleting attempts and rewards', async () => {
+      const puzzleGenerator = require('../../src/services/tasks/puzzleGenerator');
+      const clientQuery = mockArchive();
+
+      const result = await taskService.deleteTask(taskId, companyId);
+
+      expect(result.status).toBe('archived');
+      expect(result.restore_until).toBe('2026-11-17T12:00:00.000Z');
+      expect(clientQuery.mock.calls.some(([queryText]) => queryText.includes('DELETE'))).toBe(false);
+      expect(puzzleGenerator.deletePuzzleAssets).not.toHaveBeenCalled();
+    });
+
+    test('should refuse while players hold unredeemed rewards', async () => {
+      mockArchive(3);
+
+      await expect(taskService.deleteTask(taskId, companyId))
+        .rejects.toThrow('Task has 3 unredeemed reward(s)');
+    });
+
+    test('should restore to the status before deletion', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('UPDATE tasks')) {
+          return Promise.resolve({ rows: [{ ...task, status: 'active' }] });
+        }
+        return Promise.resolve({
+          rows: [{ ...task, status: 'archived', archived_from_status: 'active', archived_at: new Date().toISOString() }]
+        });
+      });
+
+      const result = await taskService.restoreTask(taskId, companyId);
+
+      expect(result.status).toBe('active');
+      expect(query).toHaveBeenCalledWith(expect.stringContaining("COALESCE(archived_from_status, 'draft')"), [taskId]);
+    });
+
+    test('should not restore after the grace period', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({
+        rows: [{ ...task, status: 'archived', archived_at: '2020-01-01T00:00:00.000Z' }]
+      });
+
+      await expect(taskService.restoreTask(taskId, companyId)).rejects.toThrow(GoneError);
+    });
+
+    test('should skip purging tasks that still have redeemable rewards', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      const clientQuery = jest.fn().mockResolvedValue({ rows: [{ count: '1' }] });
+      query.mockResolvedValue({ rows: [{ ...task, status: 'archived' }] });
+      withTransaction.mockImplementation((callback) => callback({ query: clientQuery }));
+
+      expect(await taskService.purgeArchivedTasks()).toEqual([]);
+      expect(clientQuery.mock.calls.some(([queryText]) => queryText.includes('DELETE FROM tasks'))).toBe(false);
+    });
+
+    test('should hide archived tasks from everyone but their company', async () => {
+      const { cacheService } = require('../../src/cache/redis');
+      cacheService.get.mockResolvedValue({ ...task, status: 'archived' });
+
+      await expect(taskService.getTask(taskId, 'player-123')).rejects.toThrow(NotFoundError);
+    });
+
+    test('should show archived tasks to their company', async () => {
+      const { query } = require('../../src/database/connection');
+      const { cacheService } = require('../../src/cache/redis');
+      const cached = { ...task, status: 'archived' };
+      cacheService.get.mockResolvedValue(cached);
+      query.mockResolvedValue({ rows: [] });
+
+      const result = await taskService.getTask(taskId, task.company_id);
+
+      expect(result.status).toBe('archived');
+      expect(result.user_attempt).toBeNull();
+      expect(cached).not.toHaveProperty('user_attempt');
+    });
+  });
+
+  describe('updateTask on published tasks', () => {
+    const taskId = 'task-123';
+    const companyId = 'company-123';
+    const activeTask = {
+      id: taskId,
+      company_id: companyId,
+      status: 'active',
+      title: 'Pizza Puzzle',
+      description: 'Solve it',
+      reward_value: '50.00',
+      reward_description: 'Flat 50 off on any pizza',
+      reward_budget: null,
+      max_rewards: null,
+      starts_at: null,
+      expires_at: null,
+      current_version: 1
+    };
+
+    let client;
+
+    beforeEach(() => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [activeTask] });
+
+      client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('UPDATE tasks')) {
+            return Promise.resolve({ rows: [{ ...activeTask, title: params[0], current_version: 2 }] });
+          }
+          if (queryText.includes('INSERT INTO task_versions')) {
+            return Promise.resolve({ rows: [{ id: 'version-1', changes: JSON.parse(queryText.includes('snapshot') ? params[2] : params[1]) }] });
+          }
+          return Promise.resolve({ rows: [] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+    });
+
+    test('should apply safe fields as a new version', async () => {
+      const result = await taskService.updateTask(taskId, companyId, { title: 'Pizza Puzzle Deluxe' });
+
+      expect(result.current_version).toBe(2);
+      expect(result.pending_change).toBeNull();
+
+      const [updateQuery] = client.query.mock.calls.find(([queryText]) => queryText.includes('UPDATE tasks'));
+      expect(updateQuery).toContain('current_version = current_version + 1');
+
+      const [, versionParams] = client.query.mock.calls.find(([queryText]) => queryText.includes('INSERT INTO task_versions'));
+      expect(versionParams[1]).toBe(2);
+      expect(JSON.parse(versionParams[2])).toEqual({ title: { from: 'Pizza Puzzle', to: 'Pizza Puzzle Deluxe' } });
+      expect(versionParams[4]).toBe(companyId);
+    });
+
+    test('should hold reward changes for review', async () => {
+      const result = await taskService.updateTask(taskId, companyId, { reward_value: 75 });
+
+      expect(client.query.mock.calls.some(([queryText]) => queryText.includes('UPDATE tasks'))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("SET status = 'superseded'"),
+        [taskId]
+      );
+      expect(result.pending_change.changes).toEqual({ reward_value: { from: 50, to: 75 } });
+      expect(result.current_version).toBe(1);
+    });
+
+    test('should reject changes to the puzzle of a published task', async () => {
+      await expect(taskService.updateTask(taskId, companyId, { difficulty: 'hard' }))
+        .rejects.toThrow('Cannot change difficulty of a published task');
+    });
+
+    test('should reject edits that change nothing', async () => {
+      await expect(taskService.updateTask(taskId, companyId, { title: 'Pizza Puzzle', reward_value: 50 }))
+        .rejects.toThrow('No changes to apply');
+    });
+
+    test('should hold reward changes of a scheduled task for review', async () => {
+      const { query } = require('../../src/database/connection');
+      const scheduledTask = { ...activeTask, status: 'scheduled', starts_at: new Date(Date.now() + 86400000) };
+      query.mockResolvedValue({ rows: [scheduledTask] });
+
+      const result = await taskService.updateTask(taskId, companyId, { title: 'Pizza Puzzle Deluxe', reward_value: 500 });
+
+      const [updateQuery] = client.query.mock.calls.find(([queryText]) => queryText.includes('UPDATE tasks'));
+      expect(updateQuery).not.toContain('reward_value');
+      expect(updateQuery).toContain('current_version = current_version + 1');
+      expect(result.pending_change.changes).toEqual({ reward_value: { from: 50, to: 500 } });
+    });
+
+    test('should reject edits while the task waits for review', async () => {
+      const { query, withTransaction } = require('../../src/database/connection');
+      query.mockResolvedValue({ rows: [{ ...activeTask, status: 'pending' }] });
+
+      await expect(taskService.updateTask(taskId, companyId, { reward_value: 500 }))
+        .rejects.toThrow(ConflictError);
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishTask', () => {
+    const moderationService = require('../../src/services/tasks/moderationService');
+
+    beforeEach(() => {
+      moderationService.runPreChecks.mockResolvedValue([]);
+      moderationService.isTrusted.mockResolvedValue(true);
+    });
+
+    test('should publish valid task', async () => {
+      const taskId = 'task-123';
+      const companyId = 'company-123';
+
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({ 
+            rows: [{ 
+              id: taskId,
+              company_id: companyId,
+              status: 'draft',
+              image_url: 'https://example.com/image.jpg',
+              reward_value: 10.99
+            }] 
+          });
+        }
+        return Promise.resolve({ rows: [{ id: taskId, status: 'active' }] });
+      });
+
+      const result = await taskService.publishTask(taskId, companyId);
+
+      expect(result.status).toBe('active');
+    });
+
+    test('should reject publishing active task', async () => {
+      const taskId = 'task-123';
+      const companyId = 'company-123';
+
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({ 
+        rows: [{ 
+          id: taskId,
+          company_id: companyId,
+          status: 'active' // Already active
+        }] 
+      });
+
+      await expect(taskService.publishTask(taskId, companyId))
+        .rejects.toThrow(ForbiddenError);
+    });
+
+    test('should publish logic task without image', async () => {
+      const taskId = 'task-123';
+      const companyId = 'company-123';
+
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{
+              id: taskId,
+              company_id: companyId,
+              status: 'draft',
+              task_type: 'logic',
+              image_url: null,
+              puzzle_config: { variant: 'sudoku' },
+              reward_value: 10.99
+            }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: taskId, status: 'active' }] });
+      });
+
+      const result = await taskService.publishTask(taskId, companyId);
+
+      expect(result.status).toBe('active');
+    });
+
+    test('should schedule tasks with a future start time', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{
+              id: 'task-123',
+              company_id: 'company-123',
+              status: 'draft',
+              image_url: 'https://example.com/image.jpg',
+              reward_value: 10.99,
+              starts_at: new Date(Date.now() + 3600000)
+            }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-123', status: params[2] }] });
+      });
+
+      const result = await taskService.publishTask('task-123', 'company-123');
+
+      expect(result.status).toBe('scheduled');
+    });
+
+    test('should send tasks from new companies to review', async () => {
+      const { query } = require('../../src/database/connection');
+      moderationService.isTrusted.mockResolvedValue(false);
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: 'task-123', company_id: 'company-123', status: 'draft', image_url: 'https://example.com/image.jpg', reward_value: 10.99 }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-123', status: params[2] }] });
+      });
+
+      const result = await taskService.publishTask('task-123', 'company-123');
+
+      expect(result.status).toBe('pending');
+    });
+
+    test('should send flagged tasks to review even for trusted companies', async () => {
+      const { query } = require('../../src/database/connection');
+      const flags = [{ check: 'banned_words', message: 'Contains banned words: casino' }];
+      moderationService.runPreChecks.mockResolvedValue(flags);
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('SELECT * FROM tasks')) {
+          return Promise.resolve({
+            rows: [{ id: 'task-123', company_id: 'company-123', status: 'draft', image_url: 'https://example.com/image.jpg', reward_value: 10.99 }]
+          });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-123', status: params[2], review_flags: JSON.parse(params[3]) }] });
+      });
+
+      const result = await taskService.publishTask('task-123', 'company-123');
+
+      expect(result.status).toBe('pending');
+      expect(result.review_flags).toEqual(flags);
+    });
+
+    test('should reject publishing after the end time', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({
+        rows: [{
+          id: 'task-123',
+          company_id: 'company-123',
+          status: 'draft',
+          image_url: 'https://example.com/image.jpg',
+          reward_value: 10.99,
+          expires_at: new Date(Date.now() - 3600000)
+        }]
+      });
+
+      await expect(taskService.publishTask('task-123', 'company-123'))
+        .rejects.toThrow('Task end time has already passed');
+    });
+
+    test('should reject publishing while the puzzle is generating', async () => {
+      const { query } = require('../../src/database/connection');
+      query.mockResolvedValue({
+        rows: [{ id: 'task-123', company_id: 'company-123', status: 'processing', reward_value: 10.99 }]
+      });
+
+      await expect(taskService.publishTask('task-123', 'company-123'))
+        .rejects.toThrow(ConflictError);
     });
 
     test('should reject publishing task without image', async () => {
@@ -0,0 +1,92 @@
+const taskScheduler = require('../../src/services/tasks/scheduler');
+const { query } = require('../../src/database/connection');
+const { cacheService } = require('../../src/cache/redis');
+const taskService = require('../../src/services/tasks/service');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/services/tasks/service');
+jest.mock('../../src/utils/logger');
+
+describe('TaskScheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    taskService.purgeArchivedTasks.mockResolvedValue([]);
+  });
+
+  describe('runOnce', () => {
+    test('should activate, expire and unfeature due tasks', async () => {
+      query.mockImplementation((queryText) => {
+        if (queryText.includes("SET status = 'active'")) {
+          return Promise.resolve({ rows: [{ id: 'task-1' }] });
+        }
+        if (queryText.includes("SET status = 'expired'")) {
+          return Promise.resolve({ rows: [{ id: 'task-2' }] });
+        }
+        return Promise.resolve({ rows: [{ id: 'task-2' }, { id: 'task-3' }] });
+      });
+
+      const result = await taskScheduler.runOnce();
+
+      expect(result).toEqual({
+        activated: ['task-1'],
+        expired: ['task-2'],
+        unfeatured: ['task-2', 'task-3'],
+        purged: []
+      });
+      expect(cacheService.del).toHaveBeenCalledTimes(3);
+      expect(cacheService.del).toHaveBeenCalledWith('task:task-1');
+      expect(cacheService.del).toHaveBeenCalledWith('task:task-2');
+      expect(cacheService.del).toHaveBeenCalledWith('task:task-3');
+    });
+
+    test('should purge archived tasks past retention', async () => {
+      query.mockResolvedValue({ rows: [] });
+      taskService.purgeArchivedTasks.mockResolvedValue(['task-9']);
+
+      const result = await taskScheduler.runOnce();
+
+      expect(result.purged).toEqual(['task-9']);
+    });
+
+    test('should not activate tasks whose window already ended', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await taskScheduler.runOnce();
+
+      const [activateQuery] = query.mock.calls[0];
+      expect(activateQuery).toContain('expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP');
+      expect(cacheService.del).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tick', () => {
+    test('should sweep when this instance claims the lock', async () => {
+      cacheService.incr.mockResolvedValue(1);
+      query.mockResolvedValue({ rows: [] });
+
+      const result = await taskScheduler.tick();
+
+      expect(result).toEqual({ activated: [], expired: [], unfeatured: [], purged: [] });
+      expect(cacheService.expire).toHaveBeenCalledWith('lock:task_scheduler', 59);
+    });
+
+    test('should skip when another instance holds the lock', async () => {
+      cacheService.incr.mockResolvedValue(2);
+      cacheService.ttl.mockResolvedValue(30);
+
+      expect(await taskScheduler.tick()).toBeNull();
+      expect(query).not.toHaveBeenCalled();
+      expect(cacheService.expire).not.toHaveBeenCalled();
+    });
+
+    test('should restore the TTL of a stuck lock', async () => {
+      cacheService.incr.mockResolvedValue(5);
+      cacheService.ttl.mockResolvedValue(-1);
+
+      expect(await taskScheduler.tick()).toBeNull();
+      expect(cacheService.expire).toHaveBeenCalledWith('lock:task_scheduler', 59);
+    });
+  });
+});
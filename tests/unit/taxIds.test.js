@@ -0,0 +1,57 @@
+const { getGstinCheckCharacter, validateTaxIds } = require('../../src/utils/taxIds');
+
+describe('Tax IDs', () => {
+  const gstin = '27AAPFU0939F1ZV';
+  const pan = 'AAPFU0939F';
+
+  describe('getGstinCheckCharacter', () => {
+    test('should compute the mod-36 check character', () => {
+      expect(getGstinCheckCharacter('27AAPFU0939F1ZV')).toBe('V');
+      expect(getGstinCheckCharacter('29AAGCB7383J1Z4')).toBe('4');
+      expect(getGstinCheckCharacter('24AAACC1206D1ZM')).toBe('M');
+    });
+  });
+
+  describe('validateTaxIds', () => {
+    test('should accept a consistent GSTIN, PAN and business type', () => {
+      expect(validateTaxIds({ gstin, pan_number: pan, business_type: 'firm' })).toEqual([]);
+      expect(validateTaxIds({ pan_number: 'ABCPE1234F', business_type: 'individual' })).toEqual([]);
+      expect(validateTaxIds({})).toEqual([]);
+    });
+
+    test('should catch a mistyped GSTIN through its check digit', () => {
+      expect(validateTaxIds({ gstin: '27AAPFU0939F1ZW' })).toEqual([
+        { field: 'gstin', message: 'GSTIN check digit does not match; check it for typos', value: '27AAPFU0939F1ZW' }
+      ]);
+    });
+
+    test('should reject unknown state codes', () => {
+      const outOfRange = `45${gstin.slice(2, 14)}`;
+      const errors = validateTaxIds({ gstin: outOfRange + getGstinCheckCharacter(outOfRange) });
+
+      expect(errors.map(error => error.message)).toEqual(['GSTIN state code 45 is not valid']);
+    });
+
+    test('should require the GSTIN to contain the submitted PAN', () => {
+      const errors = validateTaxIds({ gstin, pan_number: 'AAPFU0939G' });
+
+      expect(errors).toEqual([
+        { field: 'gstin', message: 'GSTIN does not contain the submitted PAN', value: gstin }
+      ]);
+    });
+
+    test('should match the PAN entity type to the business type', () => {
+      const errors = validateTaxIds({ pan_number: pan, business_type: 'company' });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].field).toBe('pan_number');
+      expect(errors[0].message).toContain('4th character should be C');
+    });
+
+    test('should report every problem with its field', () => {
+      const errors = validateTaxIds({ gstin: '27AAPFU0939F1Z', pan_number: 'aapfu0939f', business_type: 'startup' });
+
+      expect(errors.map(error => error.field)).toEqual(['pan_number', 'business_type', 'gstin']);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const templateService = require('../../src/services/tasks/templateService');
+const { query } = require('../../src/database/connection');
+const { ValidationError, ConflictError, NotFoundError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/utils/logger');
+
+describe('TemplateService', () => {
+  const companyId = 'company-123';
+  const template = {
+    id: 'template-123',
+    name: 'Weekly Sudoku',
+    task_type: 'logic',
+    fields: {
+      title: 'Sudoku Sprint',
+      difficulty: 'easy',
+      reward_type: 'discount',
+      reward_value: 10,
+      reward_description: '10% off your next order',
+      logic_variant: 'sudoku',
+      duration_hours: 168
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTemplate', () => {
+    test('should store supported fields for the company', async () => {
+      query.mockImplementation((queryText, params) => {
+        if (queryText.includes('INSERT INTO task_templates')) {
+          return Promise.resolve({ rows: [{ id: 'template-123', fields: JSON.parse(params[3]) }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const created = await templateService.createTemplate(companyId, {
+        name: 'Weekly Sudoku',
+        task_type: 'logic',
+        fields: { ...template.fields, description: '' }
+      });
+
+      expect(created.fields).toEqual(template.fields);
+    });
+
+    test('should reject unknown fields and mismatched variants', async () => {
+      await expect(templateService.createTemplate(companyId, {
+        name: 'Weekly Sudoku',
+        task_type: 'logic',
+        fields: { status: 'active' }
+      })).rejects.toThrow('Unsupported template fields: status');
+
+      await expect(templateService.createTemplate(companyId, {
+        name: 'Pizza Puzzle',
+        task_type: 'image-puzzle',
+        fields: { logic_variant: 'sudoku' }
+      })).rejects.toThrow(ValidationError);
+    });
+
+    test('should validate speed challenge questions up front', async () => {
+      await expect(templateService.createTemplate(companyId, {
+        name: 'Quiz Night',
+        task_type: 'speed-challenge',
+        fields: { questions: [] }
+      })).rejects.toThrow(ValidationError);
+    });
+
+    test('should reject duplicate names', async () => {
+      query.mockResolvedValue({ rows: [{ id: 'template-999' }] });
+
+      await expect(templateService.createTemplate(companyId, { name: 'Weekly Sudoku', task_type: 'logic' }))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('applyTemplate', () => {
+    test('should pre-fill the request and let sent values win', async () => {
+      query.mockResolvedValue({ rows: [template] });
+
+      const taskData = await templateService.applyTemplate(companyId, 'template-123', {
+        template_id: 'template-123',
+        title: 'Sudoku Sprint Week 42',
+        description: '',
+        starts_at: '2026-10-19T09:00:00.000Z'
+      });
+
+      expect(taskData).toEqual({
+        title: 'Sudoku Sprint Week 42',
+        difficulty: 'easy',
+        reward_type: 'discount',
+        reward_value: 10,
+        reward_description: '10% off your next order',
+        logic_variant: 'sudoku',
+        task_type: 'logic',
+        starts_at: '2026-10-19T09:00:00.000Z',
+        expires_at: '2026-10-26T09:00:00.000Z'
+      });
+    });
+
+    test('should only apply the company\'s own templates', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(templateService.applyTemplate('company-999', 'template-123', {}))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const versionService = require('../../src/services/tasks/versionService');
+const { withTransaction } = require('../../src/database/connection');
+const { cacheService } = require('../../src/cache/redis');
+const { ValidationError, ConflictError } = require('../../src/middleware/errorHandler');
+
+// Mock dependencies
+jest.mock('../../src/database/connection');
+jest.mock('../../src/cache/redis');
+jest.mock('../../src/utils/logger');
+
+describe('VersionService', () => {
+  const taskId = 'task-123';
+  const adminId = 'admin-123';
+
+  const task = {
+    id: taskId,
+    title: 'Pizza Puzzle',
+    description: 'Solve it',
+    reward_value: '50.00',
+    reward_description: 'Flat 50 off on any pizza',
+    max_rewards: 100,
+    reward_budget: '5000.00',
+    rewards_issued: 40,
+    budget_spent: '2000.00',
+    expires_at: new Date('2026-12-01T00:00:00.000Z'),
+    puzzle_config: JSON.stringify({ piece_count: 9, shuffled_order: [3, 1, 0, 2, 5, 4, 8, 6, 7] }),
+    current_version: 3
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('planChanges', () => {
+    test('should split safe fields from reward changes', () => {
+      const { applied, review } = versionService.planChanges(task, {
+        description: 'Solve it fast',
+        expires_at: '2026-12-01T00:00:00.000Z',
+        location_ids: ['loc-2', 'loc-1'],
+        max_rewards: '150'
+      }, ['loc-1']);
+
+      expect(applied).toEqual({
+        description: { from: 'Solve it', to: 'Solve it fast' },
+        location_ids: { from: ['loc-1'], to: ['loc-1', 'loc-2'] }
+      });
+      expect(review).toEqual({ max_rewards: { from: 100, to: 150 } });
+    });
+
+    test('should reject fields that change the puzzle', () => {
+      expect(() => versionService.planChanges(task, { starts_at: '2026-11-01T00:00:00.000Z' }))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('reviewVersion', () => {
+    const mockReview = (changes, status = 'pending_review') => {
+      const client = {
+        query: jest.fn((queryText, params) => {
+          if (queryText.includes('FROM tasks')) {
+            return Promise.resolve({ rows: [task] });
+          }
+          if (queryText.includes('FROM task_versions')) {
+            return Promise.resolve({ rows: [{ id: 'version-1', task_id: taskId, status, changes }] });
+          }
+          if (queryText.includes('UPDATE tasks')) {
+            return Promise.resolve({ rows: [{ ...task, reward_value: params[0], current_version: 4 }] });
+          }
+          return Promise.resolve({ rows: [{ id: 'version-1', status: params.length === 3 ? 'rejected' : 'applied', version: params[0] }] });
+        })
+      };
+      withTransaction.mockImplementation((callback) => callback(client));
+      return client;
+    };
+
+    test('should apply approved reward changes as the next version', async () => {
+      const client = mockReview({ reward_value: { from: 50, to: 75 } });
+
+      const result = await versionService.reviewVersion(taskId, 'version-1', adminId, { decision: 'approve' });
+
+      const [updateQuery, updateParams] = client.query.mock.calls.find(([queryText]) => queryText.includes('UPDATE tasks'));
+      expect(updateQuery).toContain('reward_value = $1');
+      expect(updateQuery).toContain('current_version = current_version + 1');
+      expect(updateParams).toEqual([75, taskId]);
+
+      const [, versionParams] = client.query.mock.calls.find(([queryText]) => queryText.includes("SET status = 'applied'"));
+      expect(versionParams[0]).toBe(4);
+      expect(JSON.parse(versionParams[1]).reward_value).toBe(75);
+      // The puzzle is kept so attempts on this version can be replayed
+      expect(JSON.parse(versionParams[1]).puzzle_config).toEqual({ piece_count: 9, shuffled_order: [3, 1, 0, 2, 5, 4, 8, 6, 7] });
+      expect(result.task.current_version).toBe(4);
+      expect(cacheService.del).toHaveBeenCalledWith(`task:${taskId}`);
+    });
+
+    test('should leave the task alone when rejected', async () => {
+      const client = mockReview({ reward_value: { from: 50, to: 75 } });
+
+      const result = await versionService.reviewVersion(taskId, 'version-1', adminId, {
+        decision: 'reject',
+        notes: 'Reward looks like a typo'
+      });
+
+      expect(client.query.mock.calls.some(([queryText]) => queryText.includes('UPDATE tasks'))).toBe(false);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining("SET status = 'rejected'"),
+        [adminId, 'Reward looks like a typo', 'version-1']
+      );
+      expect(result.version.status).toBe('rejected');
+    });
+
+    test('should not lower limits below what was already paid out', async () => {
+      mockReview({ max_rewards: { from: 100, to: 20 } });
+
+      await expect(versionService.reviewVersion(taskId, 'version-1', adminId, { decision: 'approve' }))
+        .rejects.toThrow('Max rewards cannot be lower than the rewards already issued');
+    });
+
+    test('should reject reviewing a change twice', async () => {
+      mockReview({ reward_value: { from: 50, to: 75 } }, 'applied');
+
+      await expect(versionService.reviewVersion(taskId, 'version-1', adminId, { decision: 'approve' }))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+});